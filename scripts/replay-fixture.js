@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Re-run a recorded job from its fixture, without the network.
+ *
+ * The worker runs in offline mode with an in-memory appraisal store seeded from the
+ * fixture's snapshot of the appraisal, and every WordPress, OpenAI, Gemini, PDF and
+ * appraisals backend call is answered from the recorded exchanges.
+ *
+ * Usage:
+ * node scripts/replay-fixture.js data/fixtures/<jobId>-<time>.json
+ * node scripts/replay-fixture.js <fixture> --start-step STEP_MERGE_DESCRIPTIONS --end-step STEP_UPDATE_WORDPRESS
+ */
+
+const path = require('path');
+const { program } = require('commander');
+
+program
+  .argument('<fixture>', 'Fixture file written by a recorded job')
+  .option('-s, --start-step <step>', 'Step to start from (default: the recorded start step)')
+  .option('-e, --end-step <step>', 'Last step to run (default: the recorded end step)')
+  .parse(process.argv);
+
+const options = program.opts();
+const fixturePath = path.resolve(program.args[0]);
+
+// Must be set before the worker is loaded
+process.env.OFFLINE_MODE = 'true';
+process.env.APPRAISAL_STORE = 'memory';
+process.env.JOB_STORE = 'memory';
+delete process.env.RECORD_FIXTURES;
+
+const { loadFixture, FixtureReplayer } = require('../src/utils/fixtures');
+const worker = require('../src/worker');
+
+async function replay() {
+  const fixture = await loadFixture(fixturePath);
+  const { appraisalId, startStep, usingCompletedSheet, options: recordedOptions } = fixture.job;
+  const { recordFixture, ...runOptions } = recordedOptions || {};
+
+  console.log(`\n=== Replaying job ${fixture.job.id} (recorded ${fixture.recordedAt}) ===`);
+  console.log(`Appraisal: ${appraisalId}`);
+  console.log(`Recorded calls: ${fixture.exchanges.length}`);
+
+  worker.fixtureReplayer = new FixtureReplayer(fixture);
+  await worker.initialize();
+  worker.repository.add({ id: appraisalId, ...fixture.appraisal });
+
+  let exitCode = 0;
+  try {
+    const result = await worker.processFromStep(appraisalId, options.startStep || startStep, usingCompletedSheet, {
+      ...runOptions,
+      ...(options.endStep ? { endStep: options.endStep } : {}),
+      resume: false
+    });
+    console.log('\nSteps:');
+    console.log(JSON.stringify(result.steps, null, 2));
+  } catch (error) {
+    exitCode = 1;
+    console.error(`\nReplay failed: ${error.message}`);
+  }
+
+  console.log('\nAppraisal after replay:');
+  console.log(JSON.stringify(await worker.repository.getRecord(appraisalId), null, 2));
+
+  const unused = worker.fixtureReplayer.unused();
+  if (unused.length > 0) {
+    console.log(`\n${unused.length} recorded calls were not replayed:`);
+    for (const exchange of unused) {
+      console.log(`  #${exchange.sequence} ${exchange.integration} ${exchange.method} ${exchange.key}`);
+    }
+  }
+
+  await worker.shutdown();
+  process.exit(exitCode);
+}
+
+replay().catch(error => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
@@ -1,3 +1,7 @@
+// Registered before anything else so every span below has somewhere to go
+const { initTracing, shutdownTracing, createTracingMiddleware } = require('./utils/tracing');
+initTracing();
+
 const express = require('express');
 const cors = require('cors');
 const { createLogger } = require('./utils/logger');
@@ -5,39 +9,120 @@ const worker = require('./worker');
 const path = require('path');
 const templateLoader = require('./utils/template-loader');
 const GeminiService = require('./services/gemini.service');
+const HealthService = require('./services/health.service');
+const AppraisalFinder = require('./utils/appraisal-finder');
+const { createIdempotencyMiddleware } = require('./utils/idempotency');
+const { getCircuitBreakerStates } = require('./utils/circuit-breaker');
+const { registry: metricsRegistry } = require('./utils/metrics');
+const { runWithContext, updateContext } = require('./utils/async-context');
+const { randomUUID } = require('crypto');
 
 const logger = createLogger('App');
 const app = express();
 const geminiService = new GeminiService();
+const healthService = new HealthService(worker, { geminiService });
+// Idempotency records live in the job store, which is ready once the worker has initialized
+const idempotency = createIdempotencyMiddleware(() => worker.jobStore);
+
+const MISSING_IDENTIFIER_MESSAGE = 'Missing required parameters: startStep and an appraisal identifier (id, sessionId, postId or email) are required';
 
+app.use(createTracingMiddleware());
 app.use(cors());
 app.use(express.json());
 
+// Correlate every log line of a request: reuse the caller's X-Request-Id, else the
+// Cloud Run trace ID (X-Cloud-Trace-Context: TRACE_ID/SPAN_ID;o=1), else a new UUID
+app.use((req, res, next) => {
+  const traceHeader = req.get('X-Cloud-Trace-Context');
+  const requestId = req.get('X-Request-Id') || (traceHeader && traceHeader.split('/')[0]) || randomUUID();
+  res.set('X-Request-Id', requestId);
+  runWithContext({ requestId }, next);
+});
+
+// X-WordPress-Site selects one of the configured WordPress sites (WORDPRESS_SITES) for
+// everything the request does, including the jobs it starts
+app.use((req, res, next) => {
+  const wordpressSite = req.get('X-WordPress-Site');
+  if (wordpressSite) {
+    updateContext({ wordpressSite });
+  }
+  next();
+});
+
 // API endpoints documentation
 const API_DOCUMENTATION = {
+  headers: {
+    'X-Request-Id': 'Optional on every request. Echoed back (or generated) and attached as requestId to every log entry of the request',
+    'X-WordPress-Site': 'Optional on every request. Name of a site in WORDPRESS_SITES (e.g. staging) that every WordPress call of the request, and of the jobs it starts, goes to. Unknown names are rejected with 400',
+    'Idempotency-Key': 'Optional on POST /api/process-step, /api/jobs, /api/analyze-image-and-merge and /api/migrate-appraisal. Repeats with the same key and body return the first response (or its running job) instead of processing again'
+  },
   endpoints: {
     '/health': {
       methods: ['GET'],
       description: 'Health check endpoint to verify service availability',
       response: {
-        status: 'String indicating service status (ok)',
+        status: 'String indicating service status (ok, or degraded while a downstream circuit breaker is not closed)',
+        circuitBreakers: 'Object - State (closed, open, half_open), consecutive failures and next probe time of the PDF backend and appraisals backend breakers',
         timestamp: 'ISO timestamp of the response'
       }
     },
+    '/health/live': {
+      methods: ['GET'],
+      description: 'Liveness probe: 200 while the process is serving requests, 503 if the worker failed to initialize',
+      response: {
+        status: 'String - ok or init_failed',
+        initError: 'String - Why initialization failed (only when it did)',
+        activeProcesses: 'Number - Appraisal runs in progress on this instance',
+        shuttingDown: 'Boolean - Whether the worker is draining for shutdown'
+      }
+    },
+    '/health/ready': {
+      methods: ['GET'],
+      description: 'Readiness probe: 200 when the worker is initialized, not shutting down and every required dependency is up, 503 otherwise',
+      response: {
+        ready: 'Boolean - Whether the instance should receive traffic',
+        status: 'String - ready, degraded (an optional dependency is down), not_ready, initializing, init_failed or shutting_down',
+        checks: 'Object - Per dependency (sheets, wordpress, openai, pdfBackend, crm, gemini): status (up, down, disabled), required, latencyMs, details or error',
+        activeProcesses: 'Number - Appraisal runs in progress on this instance',
+        circuitBreakers: 'Object - Downstream circuit breaker states'
+      }
+    },
+    '/metrics': {
+      methods: ['GET'],
+      description: 'Prometheus metrics: step duration/outcome by appraisal type, integration latency and error codes, active jobs, in-flight queue messages and jobs by status'
+    },
     '/api/process-step': {
       methods: ['POST'],
       description: 'Endpoint for processing an appraisal from a specific step',
       requestFormat: {
-        id: 'String - Unique identifier for the appraisal',
+        id: 'String - Appraisal ID (its row in the sheet); or identify the appraisal by one of sessionId, postId (WordPress post ID) or email (customer email)',
         startStep: 'String - The step to start processing from',
-        options: 'Object - Additional options for processing'
+        options: 'Object - Additional options for processing (endStep to run a range of steps, dryRun to only return the plan, onConflict: "join" to wait for a job already processing the appraisal instead of a 409, recordFixture to record the outbound calls of the job, wordpressSite to write to a site from WORDPRESS_SITES instead of the default one)'
       }
     },
+    '/api/jobs': {
+      methods: ['POST', 'GET'],
+      description: 'POST enqueues processing from a step and returns a job ID immediately; GET lists jobs (filter with ?appraisalId= and ?status=)',
+      requestFormat: {
+        id: 'String - Appraisal ID (its row in the sheet); or identify the appraisal by one of sessionId, postId (WordPress post ID) or email (customer email)',
+        startStep: 'String - The step to start processing from',
+        options: 'Object - Additional options for processing (endStep to run a range of steps, onConflict: "join" to return a job already processing the appraisal instead of a 409, recordFixture to record the outbound calls of the job, wordpressSite to write to a site from WORDPRESS_SITES instead of the default one)'
+      },
+      response: {
+        jobId: 'String - ID to poll with GET /api/jobs/:jobId',
+        status: 'String - pending, running, completed, failed or cancelled',
+        joined: 'Boolean - Whether an already running job was returned'
+      }
+    },
+    '/api/jobs/:jobId': {
+      methods: ['GET', 'DELETE'],
+      description: 'GET returns job status with per-step progress and timestamps; DELETE cancels the job and aborts its in-flight requests'
+    },
     '/api/analyze-image-and-merge': {
       methods: ['POST'],
       description: 'Specialized endpoint for analyzing images with GPT-4o and merging descriptions',
       requestFormat: {
-        id: 'String - Unique identifier for the appraisal',
+        id: 'String - Appraisal ID (optional: looked up from sessionId, postId or email when omitted)',
         postId: 'String - WordPress post ID',
         description: 'String - Customer description (optional)',
         options: 'Object - Additional options for processing'
@@ -80,69 +165,187 @@ const API_DOCUMENTATION = {
 
 // Health check endpoint
 app.get('/health', (req, res) => {
+  const circuitBreakers = getCircuitBreakerStates();
+  const degraded = Object.values(circuitBreakers).some(breaker => breaker.state !== 'closed');
+  
   res.status(200).json({ 
-    status: 'ok',
+    status: degraded ? 'degraded' : 'ok',
+    circuitBreakers,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Liveness probe
+app.get('/health/live', (req, res) => {
+  const liveness = healthService.getLiveness();
+  
+  res.status(liveness.status === 'ok' ? 200 : 503).json({
+    ...liveness,
     timestamp: new Date().toISOString()
   });
 });
 
+// Readiness probe with per-dependency status
+app.get('/health/ready', async (req, res) => {
+  try {
+    const readiness = await healthService.getReadiness();
+    
+    res.status(readiness.ready ? 200 : 503).json({
+      ...readiness,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Readiness check failed:', error);
+    res.status(503).json({
+      ready: false,
+      status: 'error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Prometheus metrics
+app.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', metricsRegistry.contentType);
+    res.end(await metricsRegistry.metrics());
+  } catch (error) {
+    logger.error('Error collecting metrics:', error);
+    res.status(500).end(error.message);
+  }
+});
+
+// The server listens while the worker initializes; until it is done, API calls get a 503
+app.use('/api', (req, res, next) => {
+  if (worker.initialized || req.path === '/docs') {
+    return next();
+  }
+  
+  res.status(503).json({
+    success: false,
+    message: worker.initError
+      ? `Worker failed to initialize: ${worker.initError.message}`
+      : 'Worker is initializing, retry shortly'
+  });
+});
+
 // Documentation endpoint
 app.get('/api/docs', (req, res) => {
   res.status(200).json(API_DOCUMENTATION);
 });
 
 // Process a specific step
-app.post('/api/process-step', async (req, res) => {
-  const { id, startStep, options = {} } = req.body;
+app.post('/api/process-step', idempotency, async (req, res) => {
+  const { startStep, options = {} } = req.body;
+  const identifier = AppraisalFinder.parseIdentifier(req.body);
   
-  if (!id || !startStep) {
+  if (!identifier || !startStep) {
     return res.status(400).json({
       success: false,
-      message: 'Missing required parameters: id and startStep are required'
+      message: MISSING_IDENTIFIER_MESSAGE
     });
   }
   
   // Log the reprocessing option if present
   const isReprocessing = options.reprocess === true;
-  logger.info(`Received request to ${isReprocessing ? 'reprocess' : 'process'} appraisal ${id} from step ${startStep}`);
+  let id = identifier.value;
+  logger.info(`Received request to ${isReprocessing ? 'reprocess' : 'process'} appraisal ${identifier.type} ${identifier.value} from step ${startStep}`);
   
   try {
     // Ensure worker and finder are initialized
-    if (!worker || !worker.appraisalFinder) {
-      throw new Error('Worker or AppraisalFinder not initialized');
+    if (!worker || !worker.appraisalService) {
+      throw new Error('Worker not initialized');
     }
-
-    // If reprocessing, we don't need to check sheets
-    let usingCompletedSheet = false;
     
-    if (!isReprocessing) {
-      // Determine the correct sheet *before* calling the worker (only if not reprocessing)
-      const { exists, usingCompletedSheet: sheetFlag } = await worker.appraisalFinder.appraisalExists(id);
+    id = await worker.resolveAppraisalId(identifier);
 
-      if (!exists) {
-        logger.error(`Appraisal ${id} not found in either sheet.`);
-        return res.status(404).json({
-          success: false,
-          message: `Appraisal ${id} not found in either Pending or Completed sheets.`
-        });
-      }
-      
-      usingCompletedSheet = sheetFlag;
-      logger.info(`Appraisal ${id} found in ${usingCompletedSheet ? 'Completed' : 'Pending'} sheet. Starting process...`);
-    } else {
+    if (isReprocessing) {
       logger.info(`Reprocessing mode active for appraisal ${id} - skipping sheet verification`);
     }
 
-    // Pass the determined sheet flag to the worker method along with options
-    await worker.processFromStep(id, startStep, usingCompletedSheet, options);
+    // Finds the correct sheet, then runs the requested steps (or only plans them on a dry run)
+    const result = await worker.dispatchStep(id, startStep, {
+      ...options,
+      onJobStarted: job => req.idempotency?.attachJob(job.id)
+    });
     
     res.status(200).json({
       success: true,
-      message: `Appraisal ${id} has been ${isReprocessing ? 're' : ''}processed from step ${startStep}`,
+      message: result.dryRun
+        ? `Dry run for appraisal ${id} from step ${startStep}`
+        : result.joined
+          ? `Appraisal ${id} was processed by already running job ${result.jobId}`
+          : `Appraisal ${id} has been ${isReprocessing ? 're' : ''}processed from step ${startStep}`,
+      data: result,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
     logger.error(`Error ${isReprocessing ? 're' : ''}processing appraisal ${id} from step ${startStep}:`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+      ...(error.runningJobId && { runningJobId: error.runningJobId })
+    });
+  }
+});
+
+// Enqueue processing from a step and return immediately
+app.post('/api/jobs', idempotency, async (req, res) => {
+  const { startStep, options = {} } = req.body;
+  const identifier = AppraisalFinder.parseIdentifier(req.body);
+  
+  if (!identifier || !startStep) {
+    return res.status(400).json({
+      success: false,
+      message: MISSING_IDENTIFIER_MESSAGE
+    });
+  }
+  
+  let id = identifier.value;
+  logger.info(`Received request to enqueue appraisal ${identifier.type} ${identifier.value} from step ${startStep}`);
+  
+  try {
+    id = await worker.resolveAppraisalId(identifier);
+    const job = await worker.enqueueJob(id, startStep, options);
+    req.idempotency?.attachJob(job.id);
+    
+    res.status(202).json({
+      success: true,
+      message: job.joined
+        ? `Appraisal ${id} is already being processed by job ${job.id}`
+        : `Appraisal ${id} queued from step ${startStep}`,
+      data: {
+        jobId: job.id,
+        status: job.status,
+        joined: !!job.joined,
+        statusUrl: `/api/jobs/${job.id}`
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error enqueueing appraisal ${id} from step ${startStep}:`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+      ...(error.runningJobId && { runningJobId: error.runningJobId })
+    });
+  }
+});
+
+// List jobs, newest first
+app.get('/api/jobs', async (req, res) => {
+  try {
+    const { appraisalId, status } = req.query;
+    const jobs = await worker.jobStore.listJobs({ appraisalId, status });
+    
+    res.status(200).json({
+      success: true,
+      data: jobs,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error listing jobs:', error);
     res.status(500).json({
       success: false,
       message: error.message || 'Internal server error'
@@ -150,20 +353,68 @@ app.post('/api/process-step', async (req, res) => {
   }
 });
 
+// Job status with per-step progress
+app.get('/api/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await worker.getJob(req.params.jobId);
+    
+    res.status(200).json({
+      success: true,
+      data: job,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error(`Error getting job ${req.params.jobId}:`, error);
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Internal server error'
+    });
+  }
+});
+
+// Cancel a job
+app.delete('/api/jobs/:jobId', async (req, res) => {
+  const { jobId } = req.params;
+  logger.info(`Received request to cancel job ${jobId}`);
+  
+  try {
+    const job = await worker.cancelJob(jobId);
+    
+    res.status(202).json({
+      success: true,
+      message: `Cancellation requested for job ${jobId}`,
+      data: job,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error cancelling job ${jobId}:`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Internal server error'
+    });
+  }
+});
+
 // Specialized endpoint for image analysis and description merging
-app.post('/api/analyze-image-and-merge', async (req, res) => {
-  const { id, postId, description = '', options = {} } = req.body;
+app.post('/api/analyze-image-and-merge', idempotency, async (req, res) => {
+  const { postId, description = '', options = {} } = req.body;
   
-  if (!id || !postId) {
+  if (!postId) {
     return res.status(400).json({
       success: false,
-      message: 'Missing required parameters: id and postId are required'
+      message: 'Missing required parameter: postId is required'
     });
   }
   
+  let id = req.body.id || '(not given)';
   logger.info(`Received request to analyze image and merge descriptions for appraisal ${id}, post ${postId}`);
   
   try {
+    // Without an id, the appraisal is found by its session ID, email or this post
+    id = await worker.resolveAppraisalId(AppraisalFinder.parseIdentifier(req.body));
+    
     // Process the image analysis and merge descriptions
     const result = await worker.analyzeImageAndMergeDescriptions(id, postId, description, options);
     
@@ -175,7 +426,7 @@ app.post('/api/analyze-image-and-merge', async (req, res) => {
     });
   } catch (error) {
     logger.error(`Error analyzing image and merging descriptions for appraisal ${id}:`, error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || 'Internal server error'
     });
@@ -183,7 +434,7 @@ app.post('/api/analyze-image-and-merge', async (req, res) => {
 });
 
 // Migration endpoint for migrating existing appraisals to new format
-app.post('/api/migrate-appraisal', async (req, res) => {
+app.post('/api/migrate-appraisal', idempotency, async (req, res) => {
   try {
     const { url, sessionId, customerEmail, options = {} } = req.body;
     
@@ -513,6 +764,7 @@ async function shutdown(signal) {
   
   try {
     await worker.shutdown();
+    await shutdownTracing();
     logger.info('Graceful shutdown completed');
     process.exit(0);
   } catch (error) {
@@ -543,6 +795,12 @@ process.on('SIGINT', () => {
   shutdown('SIGINT').finally(() => clearTimeout(shutdownTimer));
 });
 
+// Start the server first, so the health probes can report how initialization is going
+const PORT = process.env.PORT || 8080;
+app.listen(PORT, () => {
+  logger.info(`Server running on port ${PORT}`);
+});
+
 // Initialize the worker
 worker.initialize()
   .then(() => {
@@ -554,14 +812,9 @@ worker.initialize()
       logger.info(`Setting master template path to ${masterTemplatePath}`);
       templateLoader.setMasterTemplatePath(masterTemplatePath);
     }
-    
-    // Start the server
-    const PORT = process.env.PORT || 8080;
-    app.listen(PORT, () => {
-      logger.info(`Server running on port ${PORT}`);
-    });
   })
   .catch(error => {
+    // Keep serving: /health/ready and /health/live report the failure, and the
+    // failing liveness probe gets the instance restarted
     logger.error('Failed to initialize worker:', error);
-    process.exit(1);
   });
\ No newline at end of file
@@ -0,0 +1,438 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+const secretManager = require('../utils/secrets');
+const AppraisalFinder = require('../utils/appraisal-finder');
+const { DEFAULT_FIELDS } = require('../utils/sheet-schema');
+
+const DEFAULT_FILE_PATH = path.join(process.cwd(), 'data', 'appraisals.json');
+
+// Fields each named write may touch
+const STATUS_FIELDS = ['status'];
+const VALUE_FIELDS = ['value', 'appraisalType'];
+const DESCRIPTION_FIELDS = ['description', 'aiDescription', 'mergedDescription', 'briefTitle', 'detailedTitle'];
+const LINK_FIELDS = ['publicUrl', 'pdfLink', 'docLink'];
+const NOTIFICATION_FIELDS = ['notificationStatus'];
+
+/**
+ * Where appraisals are read from and written to. Field names are those of the
+ * sheet schema (utils/sheet-schema.js) whatever the backend.
+ *
+ * Backends implement initialize, locate, resolve, getAppraisal, updateAppraisal,
+ * complete and checkHealth (flush and describeFields are optional). The named
+ * writes the pipeline uses (updateStatus, saveValue, saveDescriptions, saveLinks,
+ * saveNotificationStatus) are built on updateAppraisal here, so every backend
+ * stores the same fields.
+ *
+ * `usingCompletedSheet` says which sheet an appraisal is in; backends without
+ * sheets ignore it.
+ */
+class AppraisalRepository {
+  constructor(name) {
+    this.logger = createLogger(name);
+  }
+
+  async initialize() {}
+
+  /**
+   * Whether an appraisal exists and which sheet it is in
+   * @param {string|number} id - Appraisal ID
+   * @returns {Promise<{exists: boolean, usingCompletedSheet: boolean}>}
+   */
+  async locate(id) {
+    throw this.notImplemented('locate');
+  }
+
+  /**
+   * Find an appraisal by any identifier (see AppraisalFinder.parseIdentifier)
+   * @param {{type: string, value: string}} identifier - The identifier
+   * @returns {Promise<{id: string, usingCompletedSheet: boolean, sessionId: string|null}>}
+   * @throws {Error} With statusCode 400 for an ambiguous or missing identifier, 404 if nothing matches
+   */
+  async resolve(identifier) {
+    throw this.notImplemented('resolve');
+  }
+
+  /**
+   * Read fields of an appraisal
+   * @param {string|number} id - Appraisal ID
+   * @param {string[]} fields - Field names
+   * @param {boolean} usingCompletedSheet - Which sheet to read; located first when undefined
+   * @returns {Promise<object>} - Values keyed by field name, null when empty
+   * @throws {Error} If the appraisal does not exist
+   */
+  async getAppraisal(id, fields, usingCompletedSheet) {
+    throw this.notImplemented('getAppraisal');
+  }
+
+  /**
+   * Write fields of an appraisal. Backends may queue writes until flush().
+   * @param {string|number} id - Appraisal ID
+   * @param {object} values - Values keyed by field name
+   * @param {boolean} usingCompletedSheet - Which sheet to write
+   * @returns {Promise<void>}
+   */
+  async updateAppraisal(id, values, usingCompletedSheet) {
+    throw this.notImplemented('updateAppraisal');
+  }
+
+  /**
+   * Mark an appraisal as completed (the Sheets backend moves it to the Completed sheet)
+   * @param {string|number} id - Appraisal ID
+   * @returns {Promise<object>} - Backend-specific details
+   */
+  async complete(id) {
+    throw this.notImplemented('complete');
+  }
+
+  async checkHealth() {
+    throw this.notImplemented('checkHealth');
+  }
+
+  /**
+   * Send queued writes
+   * @returns {Promise<number>} - Number of writes sent
+   */
+  async flush() {
+    return 0;
+  }
+
+  /**
+   * Where each field is stored, for documentation (e.g. sheet columns)
+   * @returns {object|null} - Location keyed by field name, or null if the backend has none
+   */
+  describeFields() {
+    return null;
+  }
+
+  /**
+   * Write the status and send it right away, since the status shows progress
+   * @param {string|number} id - Appraisal ID
+   * @param {string} status - New status
+   * @param {boolean} usingCompletedSheet - Which sheet to write
+   * @returns {Promise<void>}
+   */
+  async updateStatus(id, status, usingCompletedSheet) {
+    await this.save(id, STATUS_FIELDS, { status }, usingCompletedSheet);
+    await this.flush();
+  }
+
+  /**
+   * @param {string|number} id - Appraisal ID
+   * @param {{value: any, appraisalType: string}} values - Appraisal value and/or type
+   * @param {boolean} usingCompletedSheet - Which sheet to write
+   */
+  saveValue(id, values, usingCompletedSheet) {
+    return this.save(id, VALUE_FIELDS, values, usingCompletedSheet);
+  }
+
+  /**
+   * @param {string|number} id - Appraisal ID
+   * @param {object} values - Any of description, aiDescription, mergedDescription, briefTitle, detailedTitle
+   * @param {boolean} usingCompletedSheet - Which sheet to write
+   */
+  saveDescriptions(id, values, usingCompletedSheet) {
+    return this.save(id, DESCRIPTION_FIELDS, values, usingCompletedSheet);
+  }
+
+  /**
+   * @param {string|number} id - Appraisal ID
+   * @param {object} values - Any of publicUrl, pdfLink, docLink
+   * @param {boolean} usingCompletedSheet - Which sheet to write
+   */
+  saveLinks(id, values, usingCompletedSheet) {
+    return this.save(id, LINK_FIELDS, values, usingCompletedSheet);
+  }
+
+  /**
+   * @param {string|number} id - Appraisal ID
+   * @param {string} notificationStatus - Outcome of the customer notification
+   * @param {boolean} usingCompletedSheet - Which sheet to write
+   */
+  saveNotificationStatus(id, notificationStatus, usingCompletedSheet) {
+    return this.save(id, NOTIFICATION_FIELDS, { notificationStatus }, usingCompletedSheet);
+  }
+
+  async save(id, allowedFields, values, usingCompletedSheet) {
+    const unexpected = Object.keys(values).filter(field => !allowedFields.includes(field));
+    if (unexpected.length > 0) {
+      throw new Error(`Cannot save ${unexpected.join(', ')} here (expected ${allowedFields.join(', ')})`);
+    }
+
+    // Undefined means "not given"; null clears the field
+    const defined = Object.entries(values).filter(([, value]) => value !== undefined);
+    if (defined.length > 0) {
+      await this.updateAppraisal(id, Object.fromEntries(defined), usingCompletedSheet);
+    }
+  }
+
+  notImplemented(method) {
+    return new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+}
+
+/**
+ * Appraisals in the Pending/Completed Appraisals spreadsheet
+ */
+class SheetsAppraisalRepository extends AppraisalRepository {
+  /**
+   * @param {object} sheetsService - SheetsService instance
+   */
+  constructor(sheetsService) {
+    super('SheetsAppraisalRepository');
+    this.sheetsService = sheetsService;
+    this.finder = new AppraisalFinder(sheetsService);
+  }
+
+  async initialize() {
+    if (this.sheetsService.isInitialized()) return;
+
+    const spreadsheetId = await secretManager.getSecret('PENDING_APPRAISALS_SPREADSHEET_ID');
+    if (!spreadsheetId) {
+      throw new Error('Failed to get spreadsheet ID from Secret Manager');
+    }
+    await this.sheetsService.initialize({ PENDING_APPRAISALS_SPREADSHEET_ID: spreadsheetId });
+  }
+
+  locate(id) {
+    return this.finder.appraisalExists(id);
+  }
+
+  resolve(identifier) {
+    return this.finder.resolve(identifier);
+  }
+
+  async getAppraisal(id, fields, usingCompletedSheet) {
+    if (usingCompletedSheet === undefined) {
+      const { data } = await this.finder.findAppraisalFields(id, fields);
+      return data;
+    }
+    const { data } = await this.finder.getMultipleFields(id, fields, usingCompletedSheet);
+    return data;
+  }
+
+  updateAppraisal(id, values, usingCompletedSheet) {
+    return this.sheetsService.updateFields(id, values, usingCompletedSheet);
+  }
+
+  complete(id) {
+    return this.sheetsService.moveToCompleted(id);
+  }
+
+  flush() {
+    return this.sheetsService.flushWrites();
+  }
+
+  checkHealth() {
+    return this.sheetsService.checkHealth();
+  }
+
+  describeFields() {
+    return this.sheetsService.getSchema(false).describe();
+  }
+}
+
+/**
+ * In-memory appraisals for tests and offline development. Each appraisal is a
+ * record of sheet fields plus its ID; there is a single "sheet", so
+ * usingCompletedSheet is always false.
+ */
+class MemoryAppraisalRepository extends AppraisalRepository {
+  /**
+   * @param {object} options - Repository options
+   * @param {object[]} options.appraisals - Initial records: { id, sessionId, customerEmail, ... }
+   */
+  constructor(options = {}, name = 'MemoryAppraisalRepository') {
+    super(name);
+    this.appraisals = new Map();
+    (options.appraisals || []).forEach(appraisal => this.add(appraisal));
+  }
+
+  /**
+   * Add or replace an appraisal
+   * @param {object} appraisal - Record with an id and sheet fields
+   * @returns {object} - The stored record
+   */
+  add(appraisal) {
+    if (appraisal.id === undefined || appraisal.id === null) {
+      throw new Error('Appraisal records need an id');
+    }
+    const record = { ...appraisal, id: String(appraisal.id) };
+    this.appraisals.set(record.id, record);
+    return record;
+  }
+
+  async locate(id) {
+    return { exists: this.appraisals.has(String(id)), usingCompletedSheet: false };
+  }
+
+  async resolve(identifier) {
+    const { type, value } = identifier || {};
+    const matchers = {
+      id: record => record.id === value,
+      sessionId: record => String(record.sessionId) === value,
+      email: record => String(record.customerEmail || '').toLowerCase() === value.toLowerCase(),
+      postId: record => postIdFromUrl(record.wordpressUrl) === value
+    };
+    if (!matchers[type]) {
+      const error = new Error(`An appraisal identifier is required: one of ${Object.keys(matchers).join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const matches = [...this.appraisals.values()].filter(matchers[type]);
+    if (matches.length === 0) {
+      const error = new Error(`No appraisal found for ${type} ${value}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    if (matches.length > 1) {
+      const error = new Error(`${type} ${value} matches ${matches.length} appraisals (IDs ${matches.map(record => record.id).join(', ')}); use the session ID instead`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return { id: matches[0].id, usingCompletedSheet: false, sessionId: matches[0].sessionId || null };
+  }
+
+  async getAppraisal(id, fields) {
+    const record = this.getRecord(id);
+    return fields.reduce((data, field) => {
+      const value = record[field];
+      data[field] = value !== undefined && value !== '' ? value : null;
+      return data;
+    }, {});
+  }
+
+  async updateAppraisal(id, values) {
+    const unknown = Object.keys(values).filter(field => !DEFAULT_FIELDS[field]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown appraisal fields: ${unknown.join(', ')}`);
+    }
+    Object.assign(this.getRecord(id), values);
+    await this.persist();
+  }
+
+  async complete(id) {
+    const record = this.getRecord(id);
+    record.status = 'Moved to Completed';
+    record.completedAt = new Date().toISOString();
+    await this.persist();
+    this.logger.info(`Appraisal ${id} completed`);
+    return { completedAt: record.completedAt };
+  }
+
+  async checkHealth() {
+    return { store: 'memory', appraisals: this.appraisals.size };
+  }
+
+  getRecord(id) {
+    const record = this.appraisals.get(String(id));
+    if (!record) {
+      const error = new Error(`No data found for appraisal ${id}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return record;
+  }
+
+  async persist() {}
+}
+
+/**
+ * Appraisals in a JSON file ({ "appraisals": [...] }), loaded at startup and
+ * rewritten after every change through a temporary file + rename
+ */
+class FileAppraisalRepository extends MemoryAppraisalRepository {
+  /**
+   * @param {object} options - Repository options
+   * @param {string} options.filePath - JSON file (APPRAISAL_STORE_PATH, default data/appraisals.json)
+   */
+  constructor(options = {}) {
+    super(options, 'FileAppraisalRepository');
+    this.filePath = options.filePath || DEFAULT_FILE_PATH;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async initialize() {
+    try {
+      const { appraisals = [] } = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      appraisals.forEach(appraisal => this.add(appraisal));
+      this.logger.info(`Loaded ${this.appraisals.size} appraisals from ${this.filePath}`);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.logger.info(`No appraisals found at ${this.filePath}, starting empty`);
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        return;
+      }
+      this.logger.error(`Failed to load appraisals from ${this.filePath}:`, error);
+      throw error;
+    }
+  }
+
+  async checkHealth() {
+    return { store: 'file', filePath: this.filePath, appraisals: this.appraisals.size };
+  }
+
+  async persist() {
+    const snapshot = JSON.stringify({ appraisals: [...this.appraisals.values()] }, null, 2);
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(async () => {
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tmpPath, snapshot, 'utf8');
+        await fs.rename(tmpPath, this.filePath);
+      });
+
+    try {
+      await this.writeQueue;
+    } catch (error) {
+      this.logger.error(`Failed to persist appraisals to ${this.filePath}:`, error);
+      throw error;
+    }
+  }
+}
+
+function postIdFromUrl(wpUrl) {
+  try {
+    return new URL(wpUrl).searchParams.get('post');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create the appraisal repository selected by the APPRAISAL_STORE environment
+ * variable ("sheets" by default, "memory" or "file")
+ * @param {object} options - Repository options
+ * @param {object} options.sheetsService - SheetsService for the "sheets" store
+ * @param {string} options.filePath - JSON file for the "file" store (APPRAISAL_STORE_PATH)
+ * @param {object[]} options.appraisals - Initial records for the "memory" store
+ * @returns {AppraisalRepository} - The repository instance
+ */
+function createAppraisalRepository(options = {}) {
+  const type = (options.type || process.env.APPRAISAL_STORE || 'sheets').toLowerCase();
+
+  switch (type) {
+    case 'sheets':
+      return new SheetsAppraisalRepository(options.sheetsService);
+    case 'memory':
+      return new MemoryAppraisalRepository(options);
+    case 'file':
+      return new FileAppraisalRepository({
+        ...options,
+        filePath: options.filePath || process.env.APPRAISAL_STORE_PATH
+      });
+    default:
+      throw new Error(`Unknown appraisal store type: ${type}`);
+  }
+}
+
+module.exports = {
+  AppraisalRepository,
+  SheetsAppraisalRepository,
+  MemoryAppraisalRepository,
+  FileAppraisalRepository,
+  createAppraisalRepository
+};
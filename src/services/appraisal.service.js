@@ -1,16 +1,50 @@
 const { createLogger } = require('../utils/logger');
-const AppraisalFinder = require('../utils/appraisal-finder');
-const fetch = require('node-fetch');
+const { isCancelledError, throwIfAborted } = require('../utils/abort');
+const { isDownstreamUnavailableError } = require('../utils/circuit-breaker');
+const { runWithContext, updateContext } = require('../utils/async-context');
+const { observeStep } = require('../utils/metrics');
+const { AcfSchema } = require('../utils/acf-schema');
+const { isConflictError } = require('../utils/post-version');
+
+const ACF_SCHEMA = new AcfSchema();
+
+// Screen readers cut alt text off around this length
+const MAX_ALT_TEXT_LENGTH = 125;
+
+/**
+ * Alt text for an appraisal image: the description's first sentence, cut at a
+ * word boundary when it is too long
+ * @param {string} description - Merged description
+ * @returns {string|null}
+ */
+function altTextFromDescription(description) {
+  if (!description || !description.trim()) return null;
+
+  const text = description.replace(/\s+/g, ' ').trim();
+  const firstSentence = (text.match(/^.+?[.!?](?=\s|$)/) || [text])[0];
+  if (firstSentence.length <= MAX_ALT_TEXT_LENGTH) return firstSentence;
+
+  const cut = firstSentence.slice(0, MAX_ALT_TEXT_LENGTH - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
 
 class AppraisalService {
-  constructor(sheetsService, wordpressService, openaiService, crmService, pdfService) {
+  /**
+   * @param {object} repository - AppraisalRepository the appraisal fields are read from and written to
+   * @param {object} wordpressService - WordPressService
+   * @param {object} openaiService - OpenAIService
+   * @param {object} crmService - CrmService (may be uninitialized)
+   * @param {object} pdfService - PDFService
+   * @param {object} jobStore - Job store for step checkpoints
+   */
+  constructor(repository, wordpressService, openaiService, crmService, pdfService, jobStore = null) {
     this.logger = createLogger('AppraisalService');
-    this.sheetsService = sheetsService;
+    this.repository = repository;
     this.wordpressService = wordpressService;
     this.openaiService = openaiService;
     this.crmService = crmService;
     this.pdfService = pdfService;
-    this.appraisalFinder = new AppraisalFinder(sheetsService);
+    this.jobStore = jobStore;
     // Track important status events to avoid duplication
     this.statusEvents = new Map();
   }
@@ -22,18 +56,25 @@ class AppraisalService {
    * @param {string} description - Customer description
    * @param {string} appraisalType - Appraisal type (Regular, Insurance, IRS)
    * @param {boolean|null} usingCompletedSheet - Which sheet to use, or null to skip all sheet operations
+   * @param {object} options - Additional options
+   * @param {string} options.jobId - Job record to checkpoint each step against, so an interrupted run resumes
+   * @param {AbortSignal} options.signal - Aborts the run, including in-flight report and PDF requests
    * @returns {Promise<object>} - Result
    */
-  async processAppraisal(id, value, description, appraisalType = 'Regular', usingCompletedSheet = null) {
+  async processAppraisal(id, value, description, appraisalType = 'Regular', usingCompletedSheet = null, options = {}) {
+    const { jobId = null, signal = null } = options;
+    // Check if sheet operations should be skipped
+    const skipSheetOperations = usingCompletedSheet === null;
+    
+    // Step metrics are labelled with the appraisal type
+    updateContext({ appraisalType });
+    
     try {
-      // Check if sheet operations should be skipped
-      const skipSheetOperations = usingCompletedSheet === null;
-      
       if (!skipSheetOperations) {
         // Skip sheet determination if usingCompletedSheet is provided as parameter
         if (usingCompletedSheet === null) {
           // Only check sheet if not explicitly provided
-          const existenceCheck = await this.appraisalFinder.appraisalExists(id);
+          const existenceCheck = await this.repository.locate(id);
           if (!existenceCheck.exists) {
             throw new Error(`Appraisal ${id} not found in either pending or completed sheets`);
           }
@@ -45,10 +86,9 @@ class AppraisalService {
         // Update status (keep this - it's important to set the initial status)
         await this.updateStatus(id, 'Processing', 'Starting appraisal workflow', usingCompletedSheet);
         
-        // Explicitly save value to column J and appraisal type to column B
-        await this.sheetsService.updateValues(`J${id}`, [[value]], usingCompletedSheet);
-        await this.sheetsService.updateValues(`B${id}`, [[appraisalType]], usingCompletedSheet);
-        this.logger.info(`Saved appraisal value ${value} to column J and type ${appraisalType} to column B`);
+        // Explicitly save the appraisal value and type
+        await this.repository.saveValue(id, { value, appraisalType }, usingCompletedSheet);
+        this.logger.info(`Saved appraisal value ${value} and type ${appraisalType}`);
       } else {
         this.logger.info(`Processing appraisal ${id} (value: ${value}, type: ${appraisalType}) - skipping sheet operations`);
       }
@@ -64,38 +104,61 @@ class AppraisalService {
         postId = id; // Fallback to using the appraisal ID as the post ID
         this.logger.warn(`Sheet operations skipped - using ${postId} as WordPress post ID`);
       }
+      updateContext({ postId });
       
       // Skip value formatting and J column update since value from sheets is already correctly formatted
       // The input value will be used as-is for WordPress updates later
       
       // Merge descriptions - pass along which sheet to use AND the postId
-      const mergeResult = await this.mergeDescriptions(id, description, postId, skipSheetOperations ? null : usingCompletedSheet);
+      const mergeResult = await this.runCheckpointedStep(jobId, 'merge', signal, () =>
+        this.mergeDescriptions(id, description, postId, skipSheetOperations ? null : usingCompletedSheet)
+      );
       
       // Update WordPress with the raw value (no formatting needed)
       // Pass the mergeResult object instead of the original description
-      const { publicUrl, usingCompletedSheet: wpUsingCompletedSheet } = await this.updateWordPress(id, value, mergeResult, appraisalType, skipSheetOperations ? null : usingCompletedSheet, postId);
+      const { publicUrl, usingCompletedSheet: wpUsingCompletedSheet, postVersion } = await this.runCheckpointedStep(jobId, 'wordpress', signal, () =>
+        this.updateWordPress(id, value, mergeResult, appraisalType, skipSheetOperations ? null : usingCompletedSheet, postId)
+      );
       
       // Store public URL if not skipping sheet operations
       if (!skipSheetOperations) {
-        await this.sheetsService.updateValues(`P${id}`, [[publicUrl]], wpUsingCompletedSheet);
+        await this.repository.saveLinks(id, { publicUrl }, wpUsingCompletedSheet);
       }
 
+      // Fill the object's attribute fields from the merged description. Each step
+      // that writes the post passes on the version it left the post at (kept in
+      // its checkpoint), so the next one notices edits made in between
+      const attributesResult = await this.runCheckpointedStep(jobId, 'attributes', signal, () =>
+        this.extractAttributes(id, postId, mergeResult.mergedDescription, skipSheetOperations ? null : wpUsingCompletedSheet, {
+          expectedVersion: postVersion
+        })
+      );
+
       // Apply WordPress template pattern before generating report
-      await this.applyWordPressTemplate(id, postId, skipSheetOperations ? null : wpUsingCompletedSheet);
+      await this.runCheckpointedStep(jobId, 'template', signal, () =>
+        this.applyWordPressTemplate(id, postId, skipSheetOperations ? null : wpUsingCompletedSheet, {
+          expectedVersion: attributesResult.postVersion || postVersion
+        })
+      );
       
       // Generate complete appraisal report (which includes visualizations, statistics, etc.)
       if (!skipSheetOperations) {
         await this.updateStatus(id, 'Generating', 'Building complete appraisal report', wpUsingCompletedSheet);
       }
-      await this.visualize(id, postId, skipSheetOperations ? null : wpUsingCompletedSheet);
+      await this.runCheckpointedStep(jobId, 'visualize', signal, () =>
+        this.visualize(id, postId, skipSheetOperations ? null : wpUsingCompletedSheet, { signal })
+      );
       
       // Create PDF
       if (!skipSheetOperations) {
         await this.updateStatus(id, 'Finalizing', 'Creating PDF document', wpUsingCompletedSheet);
       }
-      const pdfResult = await this.finalize(id, postId, publicUrl, skipSheetOperations ? null : wpUsingCompletedSheet, true);
+      const pdfResult = await this.runCheckpointedStep(jobId, 'finalize', signal, () =>
+        this.finalize(id, postId, publicUrl, skipSheetOperations ? null : wpUsingCompletedSheet, true, { signal })
+      );
       
       // Mark as complete only if not from completed sheet and not skipping sheet operations
+      throwIfAborted(signal);
       if (!skipSheetOperations && !usingCompletedSheet) {
         await this.complete(id);
       }
@@ -105,12 +168,60 @@ class AppraisalService {
     } catch (error) {
       this.logger.error(`Error processing appraisal ${id}:`, error);
       if (!skipSheetOperations) {
-        await this.updateStatus(id, 'Failed', `Error: ${error.message}`, usingCompletedSheet);
+        if (isCancelledError(error)) {
+          await this.updateStatus(id, 'Cancelled', error.message, usingCompletedSheet);
+        } else if (isDownstreamUnavailableError(error)) {
+          await this.updateStatus(id, `Downstream Unavailable (${error.downstream})`, error.message, usingCompletedSheet);
+        } else if (isConflictError(error)) {
+          await this.updateStatus(id, 'Conflict', error.message, usingCompletedSheet);
+        } else {
+          await this.updateStatus(id, 'Failed', `Error: ${error.message}`, usingCompletedSheet);
+        }
       }
       throw error;
     }
   }
 
+  /**
+   * Run a pipeline step, or return its checkpointed output if the job already completed it
+   * @param {string|null} jobId - Job ID, or null to run without checkpointing
+   * @param {string} step - Checkpoint name
+   * @param {AbortSignal|null} signal - Stops the run before the step starts if aborted
+   * @param {Function} fn - Async function performing the step
+   * @returns {Promise<any>} - The step output
+   */
+  async runCheckpointedStep(jobId, step, signal, fn) {
+    throwIfAborted(signal);
+    
+    // Logs and metrics inside the step carry its name
+    const runStep = () => runWithContext({ step }, () => observeStep(step, fn, isCancelledError));
+
+    if (!jobId || !this.jobStore) {
+      return runStep();
+    }
+    
+    const job = await this.jobStore.getJob(jobId);
+    const checkpoint = job?.steps?.[step];
+    
+    if (checkpoint && checkpoint.status === 'completed') {
+      this.logger.info(`Job ${jobId}: skipping ${step}, already completed at ${checkpoint.completedAt}`);
+      return checkpoint.output;
+    }
+    
+    await this.jobStore.markStepStarted(jobId, step);
+    
+    try {
+      const output = await runStep();
+      await this.repository.flush();
+      await this.jobStore.saveCheckpoint(jobId, step, output);
+      return output;
+    } catch (error) {
+      await this.jobStore.markStepFailed(jobId, step, error.message)
+        .catch(storeError => this.logger.error(`Failed to record ${step} failure for job ${jobId}:`, storeError));
+      throw error;
+    }
+  }
+
   async updateStatus(id, status, details = null, useCompletedSheet = false) {
     try {
       // Skip sheet operations if useCompletedSheet is null
@@ -138,8 +249,8 @@ class AppraisalService {
         return { success: true, status, skipped: true };
       }
       
-      // Update status in column F (status column) through SheetsService
-      await this.sheetsService.updateValues(`F${id}`, [[status]], useCompletedSheet);
+      // The status shows progress, so the repository writes it right away
+      await this.repository.updateStatus(id, status, useCompletedSheet);
       
       return { success: true, status };
     } catch (error) {
@@ -150,13 +261,14 @@ class AppraisalService {
   }
 
   async setAppraisalValue(id, value, description, appraisalType = null, useCompletedSheet = false) {
-    // Save value and description to columns J and K
-    await this.sheetsService.updateValues(`J${id}:K${id}`, [[value, description]], useCompletedSheet);
+    // Save value and description
+    await this.repository.saveValue(id, { value }, useCompletedSheet);
+    await this.repository.saveDescriptions(id, { description }, useCompletedSheet);
     
-    // If appraisal type is provided, save it to column B
+    // If appraisal type is provided, save it too
     if (appraisalType) {
-      await this.sheetsService.updateValues(`B${id}`, [[appraisalType]], useCompletedSheet);
-      this.logger.debug(`Updated appraisal type ${appraisalType} in column B for appraisal ${id}`);
+      await this.repository.saveValue(id, { appraisalType }, useCompletedSheet);
+      this.logger.debug(`Updated appraisal type ${appraisalType} for appraisal ${id}`);
     }
   }
 
@@ -164,15 +276,14 @@ class AppraisalService {
     // Skip sheet operations if useCompletedSheet is null
     const skipSheetOperations = useCompletedSheet === null;
     
-    // Get AI description from column H
+    // Get the stored AI description
     let iaDescription = '';
     
     if (!skipSheetOperations) {
-      const aiDescValues = await this.sheetsService.getValues(`H${id}`, useCompletedSheet);
+      const { aiDescription } = await this.repository.getAppraisal(id, ['aiDescription'], useCompletedSheet);
       
-      // Add null checking to prevent "Cannot read properties of undefined" error
-      if (aiDescValues && aiDescValues[0] && aiDescValues[0][0]) {
-        iaDescription = aiDescValues[0][0];
+      if (aiDescription) {
+        iaDescription = aiDescription;
         this.logger.debug(`Found existing AI description for appraisal ${id}`);
       } else {
         this.logger.debug(`No AI description found for appraisal ${id}. Generating one.`);
@@ -190,8 +301,8 @@ class AppraisalService {
                const generationPrompt = `Analyze this image of an artwork or antique. Provide a detailed description covering aspects like style, period, materials, condition, subject matter, and potential artist or origin. Focus on objective observations.`;
                iaDescription = await this.openaiService.analyzeImageWithGPT4o(imageUrl, generationPrompt);
                
-               // 4. Save the newly generated description back to column H
-               await this.sheetsService.updateValues(`H${id}`, [[iaDescription]], useCompletedSheet);
+               // 4. Save the newly generated description back to the sheet
+               await this.repository.saveDescriptions(id, { aiDescription: iaDescription }, useCompletedSheet);
              } else {
                this.logger.warn(`Could not retrieve image URL for media ID ${featuredMediaId}`);
                iaDescription = ''; // Ensure it's empty if generation failed
@@ -232,9 +343,9 @@ class AppraisalService {
       detailedTitle: mergedDescription || 'Error generating description.'
     };
     
-    // Save merged description to Column L, using the correct sheet
+    // Save merged description, using the correct sheet
     if (!skipSheetOperations) {
-      await this.sheetsService.updateValues(`L${id}`, [[result.mergedDescription]], useCompletedSheet);
+      await this.repository.saveDescriptions(id, { mergedDescription: result.mergedDescription }, useCompletedSheet);
       this.logger.debug(`Generated and saved merged description`);
     } else {
       this.logger.debug(`Generated merged description (sheet update skipped)`);
@@ -246,14 +357,14 @@ class AppraisalService {
 
   async getAppraisalType(id) {
     try {
-      const { data, usingCompletedSheet } = await this.appraisalFinder.findAppraisalData(id, `B${id}`);
+      const data = await this.repository.getAppraisal(id, ['appraisalType']);
       
-      if (!data || !data[0] || !data[0][0]) {
+      if (!data.appraisalType) {
         this.logger.debug(`No appraisal type found for ID ${id}, using default`);
         return 'Regular';
       }
       
-      let appraisalType = data[0][0].toString();
+      let appraisalType = data.appraisalType.toString();
       
       // Validate and normalize appraisal type
       const validTypes = ['Regular', 'IRS', 'Insurance'];
@@ -269,15 +380,28 @@ class AppraisalService {
     }
   }
 
-  async updateWordPress(id, value, mergedDescriptionObj, appraisalType, usingCompletedSheet = false, postId = null) {
+  /**
+   * Set the titles, value and type on the WordPress post
+   * @param {string|number} id - Appraisal ID
+   * @param {any} value - Appraisal value
+   * @param {Object|string} mergedDescriptionObj - Result of mergeDescriptions, or the merged description
+   * @param {string} appraisalType - Appraisal type
+   * @param {boolean|null} usingCompletedSheet - Which sheet the appraisal is in
+   * @param {string|null} postId - WordPress post ID (read from the sheet when omitted)
+   * @param {Object} options - Additional options
+   * @param {Object} options.expectedVersion - Post version an earlier step left the post at
+   * @returns {Promise<Object>} - { postId, publicUrl, usingCompletedSheet, postVersion }
+   * @throws {Error} With code WORDPRESS_CONFLICT if the post was edited since expectedVersion
+   */
+  async updateWordPress(id, value, mergedDescriptionObj, appraisalType, usingCompletedSheet = false, postId = null, options = {}) {
+    const { expectedVersion = null } = options;
+
     // Pass the usingCompletedSheet parameter to getWordPressPostId only if postId is not provided
     if (!postId) {
        const { postId: fetchedPostId } = await this.getWordPressPostId(id, usingCompletedSheet);
        postId = fetchedPostId; // Assign the fetched postId
     }
     
-    const post = await this.wordpressService.getPost(postId);
-    
     // Validate and format the value
     let safeValue = value;
     
@@ -338,32 +462,33 @@ class AppraisalService {
         : 'Artwork Appraisal';
     }
     
-    // Simplified WordPress update with only essential fields
-    const updatedPost = await this.wordpressService.updateAppraisalPost(postId, {
+    // Simplified WordPress update with only essential fields; the content is
+    // written back as it is, so edits made since it was read must not be lost
+    const updatedPost = await this.wordpressService.modifyAppraisalPost(postId, post => ({
       title: briefTitle,
       content: post.content?.rendered || '',
       value: safeValue, // Use safely formatted value
       appraisalType: appraisalType,
       detailedTitle: detailedTitle // This will be mapped to 'detailedtitle' in the WordPress service
-    });
+    }), { expectedVersion });
 
     return {
       postId,
       publicUrl: updatedPost.publicUrl,
-      usingCompletedSheet
+      usingCompletedSheet,
+      postVersion: updatedPost.version
     };
   }
 
   async getWordPressPostId(id, usingCompletedSheet = false) {
     try {
       // Get the WordPress URL directly from the specified sheet
-      const data = await this.sheetsService.getValues(`G${id}`, usingCompletedSheet);
+      const { wordpressUrl: wpUrl } = await this.repository.getAppraisal(id, ['wordpressUrl'], usingCompletedSheet);
       
-      if (!data || !data[0] || !data[0][0]) {
+      if (!wpUrl) {
         throw new Error(`No WordPress URL found for appraisal ${id}`);
       }
 
-      const wpUrl = data[0][0];
       const url = new URL(wpUrl);
       const postId = url.searchParams.get('post');
       
@@ -383,52 +508,80 @@ class AppraisalService {
     }
   }
 
-  async visualize(id, postId, usingCompletedSheet = false) {
+  /**
+   * Have the AI read the object's attributes (type, creator, age, medium,
+   * condition) from the merged description and store them in the post's ACF
+   * fields. Attributes the description does not cover, or that fail the ACF
+   * schema, are left out; without a merged description nothing is extracted.
+   * A failure marks the appraisal Warning without stopping the pipeline.
+   * @param {string|number} id - Appraisal ID
+   * @param {string|number} postId - WordPress post ID
+   * @param {string} mergedDescription - The merged description
+   * @param {boolean|null} usingCompletedSheet - Which sheet the appraisal is in (null skips sheet updates)
+   * @param {Object} options - Additional options
+   * @param {Object} options.expectedVersion - Post version an earlier step left the post at
+   * @returns {Promise<Object>} - { success, attributes, postVersion } with the values written, keyed by
+   *   field name, and the version the post is at afterwards
+   * @throws {Error} With code WORDPRESS_CONFLICT if the post was edited since expectedVersion
+   */
+  async extractAttributes(id, postId, mergedDescription, usingCompletedSheet = false, options = {}) {
+    const { expectedVersion = null } = options;
+
+    if (!mergedDescription || !mergedDescription.trim()) {
+      this.logger.warn(`No merged description for appraisal ${id} - skipping attribute extraction`);
+      return { success: true, attributes: {}, postVersion: expectedVersion };
+    }
+
+    try {
+      const fields = ACF_SCHEMA.extractableFields();
+      const extracted = await this.openaiService.extractAttributes(mergedDescription, fields);
+
+      // Only the extractable fields, so the AI cannot overwrite the value, titles or links
+      const { values, errors } = ACF_SCHEMA.validate(
+        Object.fromEntries(fields.filter(({ name }) => name in extracted).map(({ name }) => [name, extracted[name]]))
+      );
+      for (const [name, message] of Object.entries(errors)) {
+        this.logger.warn(`Dropping extracted ${name} for appraisal ${id}: ${message}`);
+      }
+
+      if (Object.keys(values).length === 0) {
+        this.logger.warn(`No attributes extracted for appraisal ${id}`);
+        return { success: true, attributes: {}, postVersion: expectedVersion };
+      }
+
+      const updatedPost = await this.wordpressService.modifyAppraisalPost(postId, () => values, { expectedVersion });
+      this.logger.info(`Stored ${Object.keys(values).join(', ')} on post ${postId}`);
+
+      return { success: true, attributes: values, postVersion: updatedPost.version };
+    } catch (error) {
+      if (isCancelledError(error) || isDownstreamUnavailableError(error) || isConflictError(error)) {
+        this.logger.warn(error.message);
+        throw error;
+      }
+      this.logger.error(`Error extracting attributes for post ${postId}:`, error);
+      await this.updateStatus(id, 'Warning', 'Failed to extract object details', usingCompletedSheet);
+      // Don't throw the error, allow the process to continue
+      return { success: false, error: error.message, postVersion: expectedVersion };
+    }
+  }
+
+  async visualize(id, postId, usingCompletedSheet = false, options = {}) {
+    const { signal = null } = options;
+    
     try {
       this.logger.info(`Generating appraisal report for post ID: ${postId}`);
       
-      // Use runtime environment variable for backend URL
-      let appraisalsBackendUrl = process.env.APPRAISALS_BACKEND_URL;
-      
-      // Fallback value if the runtime variable is not set
-      if (!appraisalsBackendUrl) {
-        this.logger.warn('APPRAISALS_BACKEND_URL runtime variable not found, using fallback URL');
-        appraisalsBackendUrl = 'https://appraisals-backend-856401495068.us-central1.run.app';
-      }
+      // The appraisals backend builds the complete report (visualizations, statistics, etc.)
+      await this.wordpressService.completeAppraisalReport(postId, { signal });
       
-      // Set up AbortController with a 30-minute timeout (1800000ms)
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 1800000); // 30 minute timeout
+      this.logger.debug(`Generated report for post ${postId}`);
       
-      try {
-        // Directly call the backend API to generate the complete appraisal report
-        const response = await fetch(`${appraisalsBackendUrl}/complete-appraisal-report`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': this.wordpressService.authHeader
-          },
-          body: JSON.stringify({ postId: postId }),
-          signal: controller.signal
-        });
-        
-        // Clear the timeout when the response is received
-        clearTimeout(timeoutId);
-        
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`Report generation failed: ${response.status} ${response.statusText} - ${errorText}`);
-        }
-        
-        this.logger.debug(`Generated report for post ${postId}`);
-        
-        return { success: true };
-      } catch (fetchError) {
-        // Clear timeout on error to prevent memory leaks
-        clearTimeout(timeoutId);
-        throw fetchError; // Rethrow to be caught by the outer try/catch
-      }
+      return { success: true };
     } catch (error) {
+      if (isCancelledError(error) || isDownstreamUnavailableError(error)) {
+        this.logger.warn(error.message);
+        throw error;
+      }
       this.logger.error(`Error generating report:`, error);
       // For errors, we still want to update the status - this will update the sheet
       await this.updateStatus(id, 'Error', `Failed to generate report`, usingCompletedSheet);
@@ -436,18 +589,21 @@ class AppraisalService {
     }
   }
 
-  async finalize(id, postId, publicUrl, usingCompletedSheet = false, sendNotification = true) {
+  async finalize(id, postId, publicUrl, usingCompletedSheet = false, sendNotification = true, options = {}) {
+    const { signal = null } = options;
+    
     try {
       // Generate PDF with proper waiting
-      const { pdfLink, docLink } = await this.pdfService.generatePDF(postId);
+      const { pdfLink, docLink } = await this.pdfService.generatePDF(postId, null, { signal });
+      throwIfAborted(signal);
       
       // Validate PDF URL - don't proceed with placeholders or invalid URLs
       if (!pdfLink || pdfLink.includes('placeholder') || !docLink || docLink.includes('placeholder')) {
         throw new Error(`Invalid PDF URLs received: ${pdfLink}`);
       }
       
-      // Save PDF links to Google Sheets
-      await this.sheetsService.updateValues(`M${id}:N${id}`, [[pdfLink, docLink]], usingCompletedSheet);
+      // Save PDF links with the appraisal
+      await this.repository.saveLinks(id, { pdfLink, docLink }, usingCompletedSheet);
       this.logger.info(`PDF generated: ${pdfLink}`);
       
       // Also update the WordPress post ACF fields so editors can access the links directly
@@ -465,7 +621,7 @@ class AppraisalService {
         // Check if CRM service is initialized before attempting to send notifications
         if (!this.crmService || !this.crmService.isInitialized) {
           this.logger.warn(`CRM service not initialized. Skipping notification for customer ${customerData.email}`);
-          await this.sheetsService.updateValues(`Q${id}`, [['CRM notification service not available']], usingCompletedSheet);
+          await this.repository.saveNotificationStatus(id, 'CRM notification service not available', usingCompletedSheet);
         } else {
           // Send notification to CRM and track delivery
           this.logger.info(`Sending CRM notification for customer ${customerData.email}`);
@@ -485,9 +641,9 @@ class AppraisalService {
             }
           );
 
-          // Save notification delivery status to Column Q
+          // Save notification delivery status
           const emailStatus = `CRM notification sent on ${notificationResult.timestamp} (ID: ${notificationResult.messageId || 'success'})`;
-          await this.sheetsService.updateValues(`Q${id}`, [[emailStatus]], usingCompletedSheet);
+          await this.repository.saveNotificationStatus(id, emailStatus, usingCompletedSheet);
         }
       } else {
         this.logger.warn(`Skipping notification due to invalid PDF URL`);
@@ -496,6 +652,10 @@ class AppraisalService {
       
       return { pdfLink, docLink, notificationResult: {} };
     } catch (error) {
+      // The caller records these with their own status
+      if (isCancelledError(error) || isDownstreamUnavailableError(error)) {
+        throw error;
+      }
       this.logger.error(`Error finalizing appraisal:`, error);
       await this.updateStatus(id, 'Failed', `PDF generation failed`, usingCompletedSheet);
       throw error;
@@ -510,20 +670,10 @@ class AppraisalService {
    */
   async getCustomerData(id, usingCompletedSheet = false) {
     try {
-      // Get columns D and E directly from the specified sheet
-      const data = await this.sheetsService.getValues(`D${id}:E${id}`, usingCompletedSheet);
+      const { customerEmail, customerName } = await this.repository.getAppraisal(id, ['customerEmail', 'customerName'], usingCompletedSheet);
       
-      let email = 'NA';
-      let name = 'NA';
-      
-      if (data && data[0] && data[0].length >= 2) {
-        [email, name] = data[0];
-        // If either value is empty, set it to 'NA'
-        email = email || 'NA';
-        name = name || 'NA';
-      }
-      
-      return { email, name };
+      // If either value is empty, use 'NA'
+      return { email: customerEmail || 'NA', name: customerName || 'NA' };
     } catch (error) {
       this.logger.error(`Error fetching customer data:`, error);
       // Return default values in case of error
@@ -531,13 +681,44 @@ class AppraisalService {
     }
   }
 
+  /**
+   * Upload a file (a photo, chart or generated document) to WordPress and attach
+   * it to the appraisal's post, with alt text and caption taken from the merged
+   * description. The same content is only ever uploaded once.
+   * @param {string|number} id - Appraisal ID
+   * @param {Object} file - { data, filename, mimeType } (see WordPressService.uploadMedia)
+   * @param {Object} options - Additional options
+   * @param {string} options.acfField - ACF field of the post to store the attachment ID in
+   * @param {string} options.title - Attachment title (the file name when omitted)
+   * @param {boolean} options.usingCompletedSheet - Which sheet the appraisal is in
+   * @returns {Promise<Object>} - { id, sourceUrl, hash, reused, postId }
+   */
+  async attachMedia(id, file, options = {}) {
+    const { acfField = null, title = null, usingCompletedSheet = false } = options;
+
+    const { postId } = await this.getWordPressPostId(id, usingCompletedSheet);
+    const { mergedDescription, description } = await this.repository.getAppraisal(id, ['mergedDescription', 'description'], usingCompletedSheet);
+    const caption = mergedDescription || description || null;
+
+    const media = await this.wordpressService.uploadMedia(file, {
+      postId,
+      title,
+      altText: altTextFromDescription(caption),
+      caption,
+      acfField
+    });
+
+    this.logger.info(`Attached media ${media.id} to post ${postId} for appraisal ${id}`);
+    return { ...media, postId };
+  }
+
   async complete(id) {
     try {
       // Mark as complete
       await this.updateStatus(id, 'Completed', 'Appraisal process completed successfully');
       
       // Then move to completed sheet
-      await this.sheetsService.moveToCompleted(id);
+      await this.repository.complete(id);
       
       this.logger.info(`Appraisal ${id} marked as complete`);
     } catch (error) {
@@ -580,45 +761,56 @@ class AppraisalService {
     return result;
   }
 
-  async applyWordPressTemplate(id, postId, usingCompletedSheet = false) {
+  /**
+   * Replace the post content with the reusable block holding the report template
+   * @param {string|number} id - Appraisal ID
+   * @param {string|number} postId - WordPress post ID
+   * @param {boolean|null} usingCompletedSheet - Which sheet the appraisal is in
+   * @param {Object} options - Additional options
+   * @param {Object} options.expectedVersion - Post version an earlier step left the post at
+   * @returns {Promise<Object>} - { success, postVersion }
+   * @throws {Error} With code WORDPRESS_CONFLICT if the post was edited since expectedVersion
+   */
+  async applyWordPressTemplate(id, postId, usingCompletedSheet = false, options = {}) {
+    const { expectedVersion = null } = options;
+
     try {
       this.logger.info(`Applying WordPress template pattern to post ${postId} for appraisal ${id}`);
       
-      // Get the current post content
-      const post = await this.wordpressService.getPost(postId);
-      let content = post.content?.rendered || '';
-      
-      // The WordPress block pattern ID is 142384
-      const blockPatternCode = `<!-- wp:block {"ref":142384} /-->`;
+      // The reusable block holding the report template (configured per WordPress site)
+      const blockPatternCode = this.wordpressService.getTemplateBlockReference();
       
-      // Check if the block pattern is already in the content
-      if (!content.includes(blockPatternCode)) {
-        // Add the block pattern to the beginning of the content
-        const updatedContent = blockPatternCode;
+      // Edits made since the previous step wrote the post are not overwritten
+      const updatedPost = await this.wordpressService.modifyAppraisalPost(postId, post => {
+        const content = post.content?.rendered || '';
         
-        // Update the WordPress post with the new content
-        // We're only sending the block reference, not the original content
-        // This prevents duplication of content when WordPress expands the block
-        await this.wordpressService.updateAppraisalPost(postId, {
-          content: updatedContent
-        });
+        // Check if the block pattern is already in the content
+        if (!content.includes(blockPatternCode)) {
+          // Update the WordPress post with the new content
+          // We're only sending the block reference, not the original content
+          // This prevents duplication of content when WordPress expands the block
+          return { content: blockPatternCode };
+        }
         
-        this.logger.info(`Successfully applied WordPress template pattern to post ${postId}`);
-      } else {
         this.logger.info(`WordPress template pattern already exists in post ${postId}`);
         
         // If the pattern exists but we see expanded content, fix it
         // We need to clean up any expanded block content to prevent duplications
-        if (content.includes(blockPatternCode) && content.length > blockPatternCode.length + 100) {
+        if (content.length > blockPatternCode.length + 100) {
           this.logger.info(`Found expanded block content, cleaning up to prevent duplication`);
-          await this.wordpressService.updateAppraisalPost(postId, {
-            content: blockPatternCode
-          });
+          return { content: blockPatternCode };
         }
-      }
+        return null;
+      }, { expectedVersion });
       
-      return { success: true };
+      this.logger.info(`WordPress template pattern is in place on post ${postId}`);
+      return { success: true, postVersion: updatedPost.version };
     } catch (error) {
+      if (isConflictError(error)) {
+        // Someone is editing the post; leave it to them rather than overwrite their changes
+        this.logger.warn(error.message);
+        throw error;
+      }
       this.logger.error(`Error applying WordPress template to post ${postId}:`, error);
       await this.updateStatus(id, 'Warning', `Failed to apply WordPress template`, usingCompletedSheet);
       // Don't throw the error, allow the process to continue
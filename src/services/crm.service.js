@@ -1,14 +1,20 @@
 const { PubSub } = require('@google-cloud/pubsub');
 const { createLogger } = require('../utils/logger');
 const secretManager = require('../utils/secrets');
+const { observeIntegrationCall } = require('../utils/metrics');
+const { injectTraceContext } = require('../utils/tracing');
 
 /**
  * Service for sending notifications to CRM via Google Cloud Pub/Sub
  */
 class CrmService {
-  constructor() {
+  /**
+   * @param {object} options - Service options
+   * @param {object} options.pubsub - Pub/Sub client (defaults to a new PubSub; pass a FakePubSub to run offline)
+   */
+  constructor(options = {}) {
     this.logger = createLogger('CrmService');
-    this.pubsub = null;
+    this.pubsub = options.pubsub || null;
     this.topic = null;
     this.isInitialized = false;
     this.projectId = null;
@@ -49,9 +55,11 @@ class CrmService {
 
       // Initialize PubSub client
       try {
-        this.pubsub = new PubSub({
-          projectId: this.projectId
-        });
+        if (!this.pubsub) {
+          this.pubsub = new PubSub({
+            projectId: this.projectId
+          });
+        }
         
         this.topic = this.pubsub.topic(this.topicName);
         this.logger.info(`CRM service initialized successfully with topic: ${this.topicName}, subscription: ${this.subscriptionName}`);
@@ -69,6 +77,23 @@ class CrmService {
     }
   }
 
+  /**
+   * Verify the CRM topic exists and is reachable
+   * @returns {Promise<object>} - Health details; status "disabled" when initialization left CRM off
+   */
+  async checkHealth() {
+    if (!this.isInitialized) {
+      return { status: 'disabled', reason: 'CRM notifications are disabled (see startup logs)' };
+    }
+
+    const [exists] = await this.topic.exists();
+    if (!exists) {
+      throw new Error(`CRM topic ${this.topicName} does not exist`);
+    }
+
+    return { topic: this.topicName };
+  }
+
   /**
    * Send a notification to the CRM system
    * @param {string} processType - CRM process type (e.g., "appraisalReadyNotification")
@@ -113,7 +138,10 @@ class CrmService {
       const messageBuffer = Buffer.from(JSON.stringify(messageData));
       
       this.logger.info(`Sending ${processType} notification to CRM for ${customerData.email}`);
-      const messageId = await this.topic.publish(messageBuffer);
+      // The trace context travels in the message attributes so the CRM's processing joins this trace
+      const messageId = await observeIntegrationCall('crm', `publish ${this.topicName}`, () =>
+        this.topic.publish(messageBuffer, injectTraceContext())
+      );
       
       this.logger.info(`Notification sent successfully, Message ID: ${messageId}`);
       
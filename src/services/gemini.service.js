@@ -1,6 +1,14 @@
 const { createLogger } = require('../utils/logger');
 const secretManager = require('../utils/secrets');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const fetch = require('node-fetch');
+const { withRetry } = require('../utils/retry');
+const { fixtureCall } = require('../utils/fixtures');
+
+// GEMINI_API_BASE_URL points the client at another host (offline mode's stub server)
+function getBaseUrl() {
+  return process.env.GEMINI_API_BASE_URL || 'https://generativelanguage.googleapis.com';
+}
 
 /**
  * Service for interacting with Google's Gemini 2.5 Pro API
@@ -26,7 +34,7 @@ class GeminiService {
       }
       
       this.client = new GoogleGenerativeAI(apiKey);
-      this.model = this.client.getGenerativeModel({ model: "gemini-2.5-pro-preview-05-06" });
+      this.model = this.client.getGenerativeModel({ model: "gemini-2.5-pro-preview-05-06" }, { baseUrl: getBaseUrl() });
       
       this.initialized = true;
       this.logger.info('Gemini service initialized successfully');
@@ -40,6 +48,27 @@ class GeminiService {
     return this.initialized;
   }
 
+  /**
+   * Verify the API key is valid. The service initializes lazily on first use,
+   * so the key is read from Secret Manager when it has not been loaded yet.
+   * @returns {Promise<object>} - Health details
+   */
+  async checkHealth() {
+    const apiKey = this.client ? this.client.apiKey : await secretManager.getSecret('GEMINI_API_KEY');
+    if (!apiKey) throw new Error('Gemini API key not found in Secret Manager');
+
+    const response = await fetch(`${getBaseUrl()}/v1beta/models?pageSize=1`, {
+      headers: { 'x-goog-api-key': apiKey },
+      timeout: 10000
+    });
+
+    if (!response.ok) {
+      throw new Error(`Gemini API key check failed: ${response.status} ${response.statusText}`);
+    }
+
+    return { initialized: this.initialized };
+  }
+
   /**
    * Process appraisal data with Gemini 2.5 Pro
    * @param {object} wordpressPostData - Raw WordPress post data (no preprocessing)
@@ -75,9 +104,13 @@ class GeminiService {
           "detailedTitle": "More descriptive title with key details"
         }
       `;
-      const result = await this.model.generateContent(prompt);
-      const response = result.response;
-      const responseText = response.text();
+      // The SDK cannot be given a fetch, so the call is recorded/replayed as a whole (utils/fixtures.js)
+      const responseText = await withRetry('gemini', 'process appraisal data', () =>
+        fixtureCall('gemini', 'generateContent', { model: this.model.model, prompt }, async () => {
+          const result = await this.model.generateContent(prompt);
+          return result.response.text();
+        })
+      );
       // Parse the JSON response
       let parsedResponse;
       try {
@@ -0,0 +1,169 @@
+const { createLogger } = require('../utils/logger');
+const { getCircuitBreakerStates } = require('../utils/circuit-breaker');
+
+const DEFAULT_CHECK_TIMEOUT_MS = 10000; // 10 seconds
+// Probes hit the health routes every few seconds; don't spend API quota on each one
+const DEFAULT_CACHE_MS = 15000; // 15 seconds
+const DEFAULT_REQUIRED_DEPENDENCIES = ['sheets', 'wordpress', 'openai', 'pdfBackend'];
+
+/**
+ * Liveness and readiness reporting for the worker and every dependency it calls.
+ * A dependency is "up", "down" or "disabled"; the instance is ready only when it
+ * finished initializing, is not shutting down, and every required dependency is up.
+ */
+class HealthService {
+  /**
+   * @param {object} worker - Worker instance
+   * @param {object} options - Health options
+   * @param {object} options.geminiService - GeminiService used by /api/fetch-appraisal (lives in app.js)
+   * @param {number} options.checkTimeoutMs - Per-dependency timeout (HEALTH_CHECK_TIMEOUT_MS)
+   * @param {number} options.cacheMs - How long readiness results are reused (HEALTH_CHECK_CACHE_MS)
+   * @param {string[]} options.requiredDependencies - Dependencies that must be up to be ready (HEALTH_REQUIRED_DEPENDENCIES, comma-separated)
+   */
+  constructor(worker, options = {}) {
+    this.logger = createLogger('HealthService');
+    this.worker = worker;
+    this.geminiService = options.geminiService || null;
+    this.checkTimeoutMs = options.checkTimeoutMs || parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || DEFAULT_CHECK_TIMEOUT_MS;
+    this.cacheMs = options.cacheMs !== undefined
+      ? options.cacheMs
+      : (parseInt(process.env.HEALTH_CHECK_CACHE_MS, 10) || DEFAULT_CACHE_MS);
+    this.requiredDependencies = options.requiredDependencies ||
+      (process.env.HEALTH_REQUIRED_DEPENDENCIES
+        ? process.env.HEALTH_REQUIRED_DEPENDENCIES.split(',').map(name => name.trim()).filter(Boolean)
+        : DEFAULT_REQUIRED_DEPENDENCIES);
+    this.startedAt = Date.now();
+    this.cachedChecks = null;
+    this.cachedAt = 0;
+    this.pendingChecks = null;
+  }
+
+  /**
+   * Dependencies to check. Required ones make the instance unready when down;
+   * the others (by default CRM notifications and Gemini for /api/fetch-appraisal) only degrade it.
+   * @returns {object[]}
+   */
+  getDependencies() {
+    const appraisalService = this.worker.appraisalService;
+
+    return [
+      // The appraisal store: the spreadsheet, or the memory/file store when running offline
+      { name: 'sheets', service: this.worker.repository },
+      { name: 'wordpress', service: appraisalService && appraisalService.wordpressService },
+      { name: 'openai', service: appraisalService && appraisalService.openaiService },
+      { name: 'pdfBackend', service: appraisalService && appraisalService.pdfService },
+      { name: 'crm', service: appraisalService && appraisalService.crmService },
+      { name: 'gemini', service: this.geminiService }
+    ].map(dependency => ({ ...dependency, required: this.requiredDependencies.includes(dependency.name) }));
+  }
+
+  /**
+   * Liveness: the process is up and serving requests. A failed initialization
+   * makes it fail too, so the instance gets restarted.
+   * @returns {object}
+   */
+  getLiveness() {
+    return {
+      status: this.worker.initError ? 'init_failed' : 'ok',
+      ...(this.worker.initError && { initError: this.worker.initError.message }),
+      uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+      activeProcesses: this.worker.activeProcesses.size,
+      shuttingDown: this.worker.isShuttingDown
+    };
+  }
+
+  /**
+   * Readiness: the worker initialized, is not shutting down, and every required dependency is up
+   * @returns {Promise<object>} - Report with ready flag and per-dependency checks
+   */
+  async getReadiness() {
+    const initialized = this.worker.initialized;
+    const checks = initialized ? await this.runChecks() : {};
+    const requiredDown = Object.entries(checks)
+      .filter(([, check]) => check.required && check.status !== 'up')
+      .map(([name]) => name);
+    const optionalDown = Object.entries(checks)
+      .filter(([, check]) => !check.required && check.status !== 'up')
+      .map(([name]) => name);
+
+    const ready = initialized && !this.worker.isShuttingDown && requiredDown.length === 0;
+    let status = 'ready';
+    if (!initialized) {
+      status = this.worker.initError ? 'init_failed' : 'initializing';
+    } else if (this.worker.isShuttingDown) {
+      status = 'shutting_down';
+    } else if (requiredDown.length > 0) {
+      status = 'not_ready';
+    } else if (optionalDown.length > 0) {
+      status = 'degraded';
+    }
+
+    return {
+      ready,
+      status,
+      initialized,
+      ...(this.worker.initError && { initError: this.worker.initError.message }),
+      shuttingDown: this.worker.isShuttingDown,
+      activeProcesses: this.worker.activeProcesses.size,
+      checks,
+      circuitBreakers: getCircuitBreakerStates()
+    };
+  }
+
+  /**
+   * Check every dependency, reusing recent results and sharing an in-flight run
+   * @returns {Promise<object>} - Check results keyed by dependency name
+   */
+  async runChecks() {
+    if (this.cachedChecks && Date.now() - this.cachedAt < this.cacheMs) {
+      return this.cachedChecks;
+    }
+
+    if (!this.pendingChecks) {
+      this.pendingChecks = Promise.all(this.getDependencies().map(dependency => this.checkDependency(dependency)))
+        .then(results => {
+          this.cachedChecks = results.reduce((acc, { name, ...result }) => {
+            acc[name] = result;
+            return acc;
+          }, {});
+          this.cachedAt = Date.now();
+          return this.cachedChecks;
+        })
+        .finally(() => {
+          this.pendingChecks = null;
+        });
+    }
+
+    return this.pendingChecks;
+  }
+
+  /**
+   * Run a single dependency check with a timeout
+   * @param {object} dependency - Entry from getDependencies
+   * @returns {Promise<object>} - { name, status, required, latencyMs, details | error }
+   */
+  async checkDependency({ name, required, service }) {
+    const started = Date.now();
+
+    if (!service || typeof service.checkHealth !== 'function') {
+      return { name, status: 'down', required, latencyMs: 0, error: 'Service not initialized' };
+    }
+
+    let timer;
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${this.checkTimeoutMs}ms`)), this.checkTimeoutMs);
+      });
+      const { status = 'up', ...details } = (await Promise.race([service.checkHealth(), timeout])) || {};
+
+      return { name, status, required, latencyMs: Date.now() - started, details };
+    } catch (error) {
+      this.logger.warn(`Health check for ${name} failed: ${error.message}`);
+      return { name, status: 'down', required, latencyMs: Date.now() - started, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = HealthService;
@@ -0,0 +1,439 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('../utils/logger');
+
+const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+// Failed jobs pick up where they stopped; these are finished for good
+const RESUMABLE_EXCLUDED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.CANCELLED];
+
+// Finished jobs older than this are pruned when the store loads and whenever a job is created
+const DEFAULT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Most jobs kept; beyond this the oldest finished jobs are pruned early
+const DEFAULT_MAX_JOBS = 1000;
+
+/**
+ * Build a stable hash of the processing options so a resumed job is only
+ * matched when it was started with the same inputs
+ * @param {object} options - Processing options
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashOptions(options = {}) {
+  const sorted = Object.keys(options)
+    .sort()
+    .reduce((acc, key) => {
+      acc[key] = options[key];
+      return acc;
+    }, {});
+  return crypto.createHash('sha256').update(JSON.stringify(sorted)).digest('hex');
+}
+
+/**
+ * In-memory job store. Also defines the interface every job store backend
+ * must implement (initialize, createJob, getJob, updateJob, markStepStarted,
+ * saveCheckpoint, markStepFailed, findResumableJob, listJobs, and the
+ * idempotency key methods), so a database-backed store can be dropped in
+ * without touching the Worker or AppraisalService.
+ */
+class MemoryJobStore {
+  constructor(options = {}) {
+    this.logger = createLogger('JobStore');
+    this.jobs = new Map();
+    this.idempotencyKeys = new Map();
+    this.retentionMs = options.retentionMs || DEFAULT_RETENTION_MS;
+    this.maxJobs = options.maxJobs || parseInt(process.env.JOB_STORE_MAX_JOBS, 10) || DEFAULT_MAX_JOBS;
+  }
+
+  async initialize() {
+    this.logger.info('Using in-memory job store (jobs will not survive a restart)');
+  }
+
+  /**
+   * Create a new job record for an appraisal run
+   * @param {object} params - Job parameters
+   * @param {string|number} params.appraisalId - Appraisal ID (sheet row)
+   * @param {string} params.startStep - Step the run starts from
+   * @param {boolean} params.usingCompletedSheet - Which sheet the appraisal is in
+   * @param {object} params.options - Processing options
+   * @returns {Promise<object>} - The created job
+   */
+  async createJob({ appraisalId, startStep, usingCompletedSheet = false, options = {} }) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      appraisalId: String(appraisalId),
+      startStep,
+      usingCompletedSheet,
+      options,
+      optionsHash: hashOptions(options),
+      status: JOB_STATUS.PENDING,
+      steps: {},
+      currentStep: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this._prune();
+    await this._persist();
+    return { ...job };
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object|null>} - The job or null if not found
+   */
+  async getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? { ...job, steps: { ...job.steps } } : null;
+  }
+
+  /**
+   * Apply a partial update to a job
+   * @param {string} jobId - Job ID
+   * @param {object} updates - Fields to update
+   * @returns {Promise<object>} - The updated job
+   */
+  async updateJob(jobId, updates) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error(`Job ${jobId} not found`);
+    }
+
+    Object.assign(job, updates, { updatedAt: new Date().toISOString() });
+
+    if (FINISHED_STATUSES.includes(updates.status)) {
+      job.completedAt = job.updatedAt;
+    } else if (updates.status) {
+      job.completedAt = null;
+    }
+
+    await this._persist();
+    return { ...job };
+  }
+
+  /**
+   * Record that a step has started, for progress reporting
+   * @param {string} jobId - Job ID
+   * @param {string} step - Step name
+   * @returns {Promise<void>}
+   */
+  async markStepStarted(jobId, step) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error(`Job ${jobId} not found`);
+    }
+
+    const now = new Date().toISOString();
+    job.steps[step] = {
+      status: JOB_STATUS.RUNNING,
+      startedAt: now
+    };
+    job.currentStep = step;
+    job.updatedAt = now;
+
+    await this._persist();
+  }
+
+  /**
+   * Record the output of a completed step so the job can resume after it
+   * @param {string} jobId - Job ID
+   * @param {string} step - Step name (e.g. "merge", "visualize")
+   * @param {any} output - JSON-serialisable step output
+   * @returns {Promise<void>}
+   */
+  async saveCheckpoint(jobId, step, output) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error(`Job ${jobId} not found`);
+    }
+
+    const now = new Date().toISOString();
+    job.steps[step] = {
+      status: JOB_STATUS.COMPLETED,
+      startedAt: job.steps[step]?.startedAt || now,
+      completedAt: now,
+      output: output === undefined ? null : output
+    };
+    job.updatedAt = now;
+
+    await this._persist();
+  }
+
+  /**
+   * Record that a step failed
+   * @param {string} jobId - Job ID
+   * @param {string} step - Step name
+   * @param {string} errorMessage - Failure reason
+   * @returns {Promise<void>}
+   */
+  async markStepFailed(jobId, step, errorMessage) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error(`Job ${jobId} not found`);
+    }
+
+    const now = new Date().toISOString();
+    job.steps[step] = {
+      status: JOB_STATUS.FAILED,
+      startedAt: job.steps[step]?.startedAt || now,
+      failedAt: now,
+      error: errorMessage
+    };
+    job.updatedAt = now;
+
+    await this._persist();
+  }
+
+  /**
+   * Find the most recent unfinished job for an appraisal that was started
+   * from the same step with the same options. Completed and cancelled jobs
+   * are never resumed, so retrying a request cannot undo a cancellation.
+   * @param {string|number} appraisalId - Appraisal ID
+   * @param {string} startStep - Step the run starts from
+   * @param {object} options - Processing options
+   * @returns {Promise<object|null>} - The job to resume or null
+   */
+  async findResumableJob(appraisalId, startStep, options = {}) {
+    const optionsHash = hashOptions(options);
+    const candidates = [...this.jobs.values()]
+      .filter(job =>
+        job.appraisalId === String(appraisalId) &&
+        job.startStep === startStep &&
+        job.optionsHash === optionsHash &&
+        !RESUMABLE_EXCLUDED_STATUSES.includes(job.status)
+      )
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return candidates.length > 0 ? this.getJob(candidates[0].id) : null;
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {object} filter - Optional filter
+   * @param {string|number} filter.appraisalId - Only jobs for this appraisal
+   * @param {string} filter.status - Only jobs with this status
+   * @returns {Promise<object[]>} - Matching jobs
+   */
+  async listJobs({ appraisalId, status } = {}) {
+    return [...this.jobs.values()]
+      .filter(job => appraisalId === undefined || job.appraisalId === String(appraisalId))
+      .filter(job => status === undefined || job.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(job => ({ ...job }));
+  }
+
+  /**
+   * Claim an idempotency key, or return the record of the request that claimed it first
+   * @param {string} key - Idempotency key, scoped by the caller (e.g. "POST /api/process-step:abc")
+   * @param {object} params - Record parameters
+   * @param {string} params.requestHash - Hash of the request body, to detect reuse with a different request
+   * @param {number} params.ttlMs - How long the key is remembered
+   * @returns {Promise<{claimed: boolean, record: object}>} - claimed is false if the key was already in use
+   */
+  async claimIdempotencyKey(key, { requestHash, ttlMs }) {
+    const existing = this.idempotencyKeys.get(key);
+    if (existing && Date.parse(existing.expiresAt) > Date.now()) {
+      return { claimed: false, record: { ...existing } };
+    }
+
+    const now = new Date();
+    const record = {
+      key,
+      requestHash,
+      status: 'in_progress',
+      jobId: null,
+      response: null,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + ttlMs).toISOString()
+    };
+
+    this.idempotencyKeys.set(key, record);
+    this._prune();
+    await this._persist();
+    return { claimed: true, record: { ...record } };
+  }
+
+  /**
+   * Apply a partial update to an idempotency record (e.g. its job ID or stored response)
+   * @param {string} key - Idempotency key
+   * @param {object} updates - Fields to update
+   * @returns {Promise<void>}
+   */
+  async updateIdempotencyRecord(key, updates) {
+    const record = this.idempotencyKeys.get(key);
+    if (!record) return;
+
+    Object.assign(record, updates);
+    await this._persist();
+  }
+
+  /**
+   * Forget an idempotency key so the request can be retried
+   * @param {string} key - Idempotency key
+   * @returns {Promise<void>}
+   */
+  async deleteIdempotencyRecord(key) {
+    if (this.idempotencyKeys.delete(key)) {
+      await this._persist();
+    }
+  }
+
+  // Drop finished jobs older than the retention window, then the oldest
+  // finished jobs over maxJobs, and expired idempotency keys. Unfinished
+  // jobs are always kept so they can still be resumed.
+  _prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    let pruned = 0;
+
+    for (const [jobId, job] of this.jobs.entries()) {
+      if (job.completedAt && Date.parse(job.completedAt) < cutoff) {
+        this.jobs.delete(jobId);
+        pruned++;
+      }
+    }
+
+    if (this.jobs.size > this.maxJobs) {
+      const oldestFinished = [...this.jobs.values()]
+        .filter(job => job.completedAt)
+        .sort((a, b) => a.completedAt.localeCompare(b.completedAt))
+        .slice(0, this.jobs.size - this.maxJobs);
+
+      for (const job of oldestFinished) {
+        this.jobs.delete(job.id);
+        pruned++;
+      }
+    }
+
+    for (const [key, record] of this.idempotencyKeys.entries()) {
+      if (Date.parse(record.expiresAt) <= Date.now()) {
+        this.idempotencyKeys.delete(key);
+      }
+    }
+
+    return pruned;
+  }
+
+  // No-op for the in-memory store; file and database stores override this
+  async _persist() {}
+}
+
+/**
+ * JSON file-backed job store for local development and single-instance
+ * deployments with a mounted volume. Writes are serialised and go through a
+ * temporary file + rename so a crash mid-write never corrupts the store.
+ * Changes made while a write is in flight are coalesced into one follow-up
+ * write, so a burst of checkpoints does not rewrite the file once each.
+ */
+class FileJobStore extends MemoryJobStore {
+  constructor(options = {}) {
+    super(options);
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'jobs.json');
+    this.writeQueue = Promise.resolve();
+    this.pendingWrite = null;
+  }
+
+  async initialize() {
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const raw = await fs.readFile(this.filePath, 'utf8');
+      const data = JSON.parse(raw);
+      // Older stores are a bare array of jobs
+      const { jobs = [], idempotencyKeys = [] } = Array.isArray(data) ? { jobs: data } : data;
+
+      for (const job of jobs) {
+        this.jobs.set(job.id, job);
+      }
+
+      // Requests still in progress belonged to the previous process and will
+      // never store a response, so their keys are released for retries
+      for (const record of idempotencyKeys) {
+        if (record.status !== 'in_progress') {
+          this.idempotencyKeys.set(record.key, record);
+        }
+      }
+
+      const pruned = this._prune();
+      this.logger.info(`Loaded ${this.jobs.size} jobs from ${this.filePath}${pruned ? ` (pruned ${pruned})` : ''}`);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.logger.info(`No job store found at ${this.filePath}, starting empty`);
+        return;
+      }
+      this.logger.error(`Failed to load job store from ${this.filePath}:`, error);
+      throw error;
+    }
+  }
+
+  // Resolves once a write that includes every change made so far has landed.
+  // The snapshot is taken when the write starts, so callers that arrive
+  // before then share it.
+  async _persist() {
+    if (!this.pendingWrite) {
+      this.pendingWrite = this.writeQueue
+        .catch(() => {})
+        .then(async () => {
+          this.pendingWrite = null;
+          const snapshot = JSON.stringify({
+            jobs: [...this.jobs.values()],
+            idempotencyKeys: [...this.idempotencyKeys.values()]
+          });
+          const tmpPath = `${this.filePath}.tmp`;
+          await fs.writeFile(tmpPath, snapshot, 'utf8');
+          await fs.rename(tmpPath, this.filePath);
+        });
+      this.writeQueue = this.pendingWrite;
+    }
+
+    const write = this.pendingWrite;
+    try {
+      await write;
+    } catch (error) {
+      this.logger.error(`Failed to persist job store to ${this.filePath}:`, error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Create the job store selected by the JOB_STORE environment variable
+ * ("file" by default, or "memory")
+ * @param {object} options - Store options (filePath, retentionMs, maxJobs)
+ * @returns {MemoryJobStore} - The job store instance
+ */
+function createJobStore(options = {}) {
+  const type = (options.type || process.env.JOB_STORE || 'file').toLowerCase();
+
+  switch (type) {
+    case 'memory':
+      return new MemoryJobStore(options);
+    case 'file':
+      return new FileJobStore({
+        ...options,
+        filePath: options.filePath || process.env.JOB_STORE_PATH
+      });
+    default:
+      throw new Error(`Unknown job store type: ${type}`);
+  }
+}
+
+module.exports = {
+  JOB_STATUS,
+  FINISHED_STATUSES,
+  MemoryJobStore,
+  FileJobStore,
+  createJobStore
+};
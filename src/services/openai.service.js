@@ -1,7 +1,8 @@
 const { createLogger } = require('../utils/logger');
 const secretManager = require('../utils/secrets');
 const OpenAI = require('openai');
-const fetch = require('node-fetch');
+const { withRetry, createHttpError } = require('../utils/retry');
+const { createFixtureFetch } = require('../utils/fixtures');
 
 /**
  * Service for interacting with OpenAI API
@@ -11,6 +12,9 @@ class OpenAIService {
     this.logger = createLogger('OpenAIService');
     this.client = null;
     this.initialized = false;
+    // Calls made for a job are recorded/replayed with its fixture (utils/fixtures.js);
+    // images come from the WordPress media library
+    this.fetchImage = createFixtureFetch('wordpress');
   }
 
   /**
@@ -27,7 +31,10 @@ class OpenAIService {
       }
       
       this.client = new OpenAI({
-        apiKey: apiKey
+        apiKey: apiKey,
+        // Retries go through the shared policy in utils/retry instead of the SDK's own
+        maxRetries: 0,
+        fetch: createFixtureFetch('openai', () => this.client && this.client.baseURL)
       });
       
       this.initialized = true;
@@ -42,6 +49,17 @@ class OpenAIService {
     return this.initialized;
   }
 
+  /**
+   * Verify the API key is valid and can use the o3 model
+   * @returns {Promise<object>} - Health details
+   */
+  async checkHealth() {
+    if (!this.isInitialized()) throw new Error('OpenAI service not initialized');
+
+    const model = await this.client.models.retrieve('o3');
+    return { model: model.id };
+  }
+
   /**
    * Merge customer description with AI-generated description
    * @param {string} customerDescription - User-provided description (from the appraiser - most important)
@@ -81,7 +99,7 @@ class OpenAIService {
         mergedDescription, briefTitle.
       `;
       
-      const response = await this.client.chat.completions.create({
+      const response = await withRetry('openai', 'merge descriptions', () => this.client.chat.completions.create({
         model: 'o3',
         messages: [
           { 
@@ -94,7 +112,7 @@ class OpenAIService {
           }
         ],
         response_format: { type: 'json_object' }
-      });
+      }));
       
       // Get the response text
       const responseText = response.choices[0].message.content;
@@ -121,6 +139,63 @@ class OpenAIService {
     }
   }
 
+  /**
+   * Extract structured attributes of the appraised object from its merged description
+   * @param {string} mergedDescription - The merged description
+   * @param {object[]} fields - Attributes to extract: { name, type, maxLength, extract } (see AcfSchema.extractableFields)
+   * @returns {Promise<object>} - Values keyed by attribute name; attributes the description does not cover are left out
+   * @throws {Error} If the response is not a JSON object
+   */
+  async extractAttributes(mergedDescription, fields) {
+    if (!this.isInitialized()) {
+      throw new Error('OpenAI service not initialized');
+    }
+
+    this.logger.info(`Calling OpenAI to extract ${fields.length} attributes`);
+
+    const fieldList = fields
+      .map(field => `- ${field.name}: ${field.extract}${field.maxLength ? ` (at most ${field.maxLength} characters)` : ''}`)
+      .join('\n');
+    const prompt = `
+        Read this description of an item submitted for appraisal and extract the following attributes:
+
+        ${fieldList}
+
+        Description: "${mergedDescription}"
+
+        Only use what the description states or clearly implies. Leave out any attribute it does not cover
+        instead of guessing. Return a JSON object with the attribute names above as keys and strings as values.
+      `;
+
+    const response = await withRetry('openai', 'extract attributes', () => this.client.chat.completions.create({
+      model: 'o3',
+      messages: [
+        {
+          role: 'assistant',
+          content: 'You are an expert art appraiser assistant that fills in catalogue fields from appraisal descriptions. You never invent details that are not in the description.'
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      response_format: { type: 'json_object' }
+    }));
+
+    let attributes;
+    try {
+      attributes = JSON.parse(response.choices[0].message.content);
+    } catch (parseError) {
+      throw new Error('OpenAI returned attributes that are not valid JSON');
+    }
+    if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+      throw new Error('OpenAI returned attributes that are not a JSON object');
+    }
+
+    const names = fields.map(field => field.name);
+    return Object.fromEntries(Object.entries(attributes).filter(([name]) => names.includes(name)));
+  }
+
   /**
    * Analyze an image using GPT-4o and return a description
    * @param {string} imageUrl - URL of the image to analyze
@@ -138,12 +213,14 @@ class OpenAIService {
       // First, fetch the image and encode as base64
       let imageData;
       try {
-        const response = await fetch(imageUrl);
-        if (!response.ok) {
-          throw new Error(`Failed to fetch image: ${response.statusText}`);
-        }
-        
-        const imageBuffer = await response.buffer();
+        // Images are served from the WordPress media library
+        const imageBuffer = await withRetry('wordpress', `GET image ${imageUrl}`, async () => {
+          const response = await this.fetchImage(imageUrl);
+          if (!response.ok) {
+            throw createHttpError(`Failed to fetch image: ${response.statusText}`, response);
+          }
+          return response.buffer();
+        });
         imageData = imageBuffer.toString('base64');
       } catch (fetchError) {
         this.logger.error('Error fetching image:', fetchError);
@@ -151,7 +228,7 @@ class OpenAIService {
       }
       
       // Call o3 with the image
-      const response = await this.client.chat.completions.create({
+      const response = await withRetry('openai', 'analyze image', () => this.client.chat.completions.create({
         model: 'o3',
         messages: [
           { 
@@ -174,7 +251,7 @@ class OpenAIService {
             ]
           }
         ]
-      });
+      }));
       
       // Get the response text
       const description = response.choices[0].message.content;
@@ -1,5 +1,12 @@
 const fetch = require('node-fetch');
 const { createLogger } = require('../utils/logger');
+const { createCancelledError, withTimeout } = require('../utils/abort');
+const { withRetry, createHttpError } = require('../utils/retry');
+const { getCircuitBreaker } = require('../utils/circuit-breaker');
+const { createFixtureFetch } = require('../utils/fixtures');
+
+// Rendering a PDF can take many minutes
+const PDF_TIMEOUT_MS = 900000; // 15 minutes
 
 class PDFService {
   constructor() {
@@ -18,6 +25,8 @@ class PDFService {
       // Updated default region to europe-west1 to match current deployment
       this.pdfServiceUrl = 'https://pdf-backend-856401495068.europe-west1.run.app/render-pdf';
     }
+    // Render requests are recorded/replayed with the job's fixture (utils/fixtures.js)
+    this.fetch = createFixtureFetch('pdf', () => this.pdfServiceUrl);
     this.logger.info('PDF service initialized immediately');
   }
 
@@ -30,33 +39,55 @@ class PDFService {
     return true;
   }
 
-  async generatePDF(postId, sessionId) {
+  /**
+   * Verify the PDF backend is reachable. Any response below 500 counts as reachable,
+   * since the backend has no dedicated health route.
+   * @returns {Promise<object>} - Health details
+   */
+  async checkHealth() {
+    const { origin } = new URL(this.pdfServiceUrl);
+    const response = await fetch(origin, { method: 'GET', timeout: 10000 });
+
+    if (response.status >= 500) {
+      throw new Error(`PDF backend returned ${response.status} ${response.statusText}`);
+    }
+
+    return { url: origin, httpStatus: response.status };
+  }
+
+  /**
+   * Generate the PDF and HTML versions of an appraisal
+   * @param {string} postId - WordPress post ID
+   * @param {string} sessionId - Session ID (unused by the backend)
+   * @param {object} options - Additional options
+   * @param {AbortSignal} options.signal - Aborts the request when the job is cancelled
+   * @returns {Promise<{pdfLink: string, docLink: string}>} - Generated document links
+   */
+  async generatePDF(postId, sessionId, options = {}) {
+    const { signal = null } = options;
     this.logger.info(`Generating PDF for post ${postId}`);
     
-    // Use a longer timeout for PDF generation (900 seconds/15 minutes)
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 900000);
-    
     try {
-      // Use timeout and better error handling
-      const response = await fetch(this.pdfServiceUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ postId }),
-        signal: controller.signal,
-        timeout: 900000 // 15 minute timeout
-      });
-
-      // Clear the timeout if the response comes back before timeout
-      clearTimeout(timeout);
+      // Fails fast while the backend is known to be down. Rendering is not idempotent, so
+      // only a failure to connect is retried; each attempt gets its own 15 minute timeout
+      const data = await getCircuitBreaker('pdf').execute(() => withRetry('pdf', `render post ${postId}`, () =>
+        withTimeout(PDF_TIMEOUT_MS, signal, async attemptSignal => {
+          const response = await this.fetch(this.pdfServiceUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ postId }),
+            signal: attemptSignal,
+            timeout: PDF_TIMEOUT_MS
+          });
 
-      if (!response.ok) {
-        const errorText = await response.text().catch(() => 'No error details available');
-        this.logger.error(`PDF generation returned non-OK status: ${response.status}, details: ${errorText}`);
-        throw new Error(`PDF generation failed with status: ${response.status}`);
-      }
+          if (!response.ok) {
+            const errorText = await response.text().catch(() => 'No error details available');
+            this.logger.error(`PDF generation returned non-OK status: ${response.status}, details: ${errorText}`);
+            throw createHttpError(`PDF generation failed with status: ${response.status}`, response);
+          }
 
-      const data = await response.json();
+          return response.json();
+        }), { signal }), { signal });
       
       // Map new response keys to legacy ones expected by the rest of the codebase
       const pdfUrl = data.pdfUrl || data.pdfLink; // Support transitional keys
@@ -77,15 +108,18 @@ class PDFService {
       };
     } catch (error) {
       // Don't swallow the error - let it propagate to stop the process
+      if (error.name === 'AbortError' && signal && signal.aborted) {
+        this.logger.warn(`PDF generation for post ${postId} was cancelled`);
+        throw createCancelledError(`PDF generation for post ${postId} was cancelled`);
+      }
+      
       if (error.name === 'AbortError') {
-        this.logger.error(`PDF generation for post ${postId} timed out after 900 seconds`);
-        throw new Error(`PDF generation timed out after 900 seconds`);
+        this.logger.error(`PDF generation for post ${postId} timed out after ${PDF_TIMEOUT_MS / 1000} seconds`);
+        throw new Error(`PDF generation timed out after ${PDF_TIMEOUT_MS / 1000} seconds`);
       }
       
       this.logger.error(`PDF generation failed for post ${postId}: ${error.message}`);
       throw error;
-    } finally {
-      clearTimeout(timeout);
     }
   }
 }
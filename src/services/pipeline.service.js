@@ -0,0 +1,516 @@
+const { createLogger } = require('../utils/logger');
+const { isCancelledError, throwIfAborted } = require('../utils/abort');
+const { isDownstreamUnavailableError } = require('../utils/circuit-breaker');
+const { observeStep } = require('../utils/metrics');
+const { updateContext } = require('../utils/async-context');
+const { isConflictError } = require('../utils/post-version');
+
+/**
+ * Extract the WordPress post ID from the edit URL stored in the sheet
+ * @param {string} wpUrl - WordPress URL (e.g. https://.../post.php?post=123&action=edit)
+ * @returns {string} - The post ID
+ */
+function parsePostIdFromUrl(wpUrl) {
+  const url = new URL(wpUrl);
+  const postId = url.searchParams.get('post');
+  if (!postId) {
+    throw new Error(`Could not extract post ID from WordPress URL`);
+  }
+  return postId;
+}
+
+/**
+ * Step definitions for the appraisal pipeline.
+ *
+ * Each step declares:
+ * - inputs: values it needs, resolved in order from a custom resolver, outputs of
+ *   earlier steps in the same run, request options, then the named sheet field
+ *   (see utils/sheet-schema.js)
+ * - outputs: keys of the object returned by run(), made available to later steps
+ * - next: the step that follows it when running a range of steps
+ * - status: [status, details] written to the status column before the step runs
+ * - errorLabel: prefix for the "Failed" status details
+ * - onReprocess: what a reprocess run (options.reprocess) leaves out: 'skipSheet'
+ *   for sheet reads and status writes, 'skipStatus' for status writes only.
+ *   Steps without it read and write the sheet as usual when reprocessing.
+ */
+const STEP_DEFINITIONS = [
+  {
+    name: 'STEP_SET_VALUE',
+    description: 'Save value and type, then run the full appraisal workflow',
+    errorLabel: 'SET_VALUE',
+    status: ['Processing', 'Starting appraisal workflow'],
+    onReprocess: 'skipSheet',
+    inputs: [
+      {
+        name: 'appraisalValue',
+        required: true,
+        resolve: (worker, options) => worker.extractAppraisalValue(options.appraisalValue, options.geminiAnalysis)
+      },
+      {
+        name: 'description',
+        required: true,
+        resolve: (worker, options) => worker.extractDescription(options.description, options.geminiAnalysis)
+      },
+      {
+        name: 'appraisalType',
+        resolve: (worker, options) => worker.extractAppraisalType(options.appraisalType, options.geminiAnalysis)
+      }
+    ],
+    outputs: ['success'],
+    next: null,
+    async run(worker, ctx, inputs) {
+      return worker.appraisalService.processAppraisal(
+        ctx.id,
+        inputs.appraisalValue,
+        inputs.description,
+        inputs.appraisalType,
+        ctx.skipSheetOperations ? null : ctx.usingCompletedSheet, // Pass null to skip sheet operations
+        { jobId: ctx.jobId, signal: ctx.signal }
+      );
+    }
+  },
+  {
+    name: 'STEP_MERGE_DESCRIPTIONS',
+    description: 'Analyze the main image with o3 and merge it with the customer description',
+    errorLabel: 'MERGE_DESC',
+    status: ['Analyzing', 'Merging descriptions'],
+    onReprocess: 'skipSheet',
+    inputs: [
+      { name: 'description', field: 'description', default: '' },
+      { name: 'postId', field: 'wordpressUrl', parse: parsePostIdFromUrl, required: true }
+    ],
+    outputs: ['postId', 'mergedDescription', 'briefTitle', 'detailedTitle', 'postVersion'],
+    next: 'STEP_UPDATE_WORDPRESS',
+    async run(worker, ctx, inputs) {
+      const analysisResult = await worker.analyzeImageAndMergeDescriptions(
+        ctx.id,
+        inputs.postId,
+        inputs.description || '',
+        { usingCompletedSheet: ctx.usingCompletedSheet, skipSheetOperations: ctx.skipSheetOperations }
+      );
+
+      const output = {
+        postId: inputs.postId,
+        mergedDescription: analysisResult.mergedDescription || '',
+        briefTitle: analysisResult.briefTitle || '',
+        detailedTitle: analysisResult.detailedTitle || ''
+      };
+
+      // If we should skip sheet operations, we're done here
+      if (ctx.skipSheetOperations) {
+        return output;
+      }
+
+      // Save the titles with the appraisal
+      await worker.repository.saveDescriptions(ctx.id, {
+        briefTitle: output.briefTitle,
+        detailedTitle: output.detailedTitle
+      }, ctx.usingCompletedSheet);
+
+      // Update WordPress post with the new titles
+      try {
+        const updatedPost = await worker.appraisalService.wordpressService.updatePostTitles(inputs.postId, {
+          title: output.briefTitle,
+          detailedTitle: output.detailedTitle
+        });
+        // Later steps check the post was not edited since
+        output.postVersion = updatedPost.version;
+
+        await worker.appraisalService.updateStatus(ctx.id, 'Ready', 'Descriptions merged successfully', ctx.usingCompletedSheet);
+      } catch (wpError) {
+        worker.logger.error(`Error updating WordPress post titles:`, wpError);
+        await worker.appraisalService.updateStatus(ctx.id, 'Warning', `Descriptions merged but WordPress update failed`, ctx.usingCompletedSheet);
+      }
+
+      return output;
+    }
+  },
+  {
+    name: 'STEP_UPDATE_WORDPRESS',
+    description: 'Set titles, value, type and description on the WordPress post',
+    errorLabel: 'UPDATE_WP',
+    status: ['Updating', 'Setting titles and metadata in WordPress'],
+    inputs: [
+      { name: 'appraisalValue', field: 'value', default: 0 },
+      { name: 'mergedDescription', option: false, field: 'mergedDescription', default: '' },
+      { name: 'appraisalType', field: 'appraisalType', default: 'Regular' },
+      { name: 'postId' },
+      // Version the previous step left the post at, to notice edits made since
+      { name: 'postVersion', option: false }
+    ],
+    outputs: ['postId', 'publicUrl', 'postVersion'],
+    next: 'STEP_EXTRACT_ATTRIBUTES',
+    async run(worker, ctx, inputs) {
+      // Create a proper structure for the merged description to match what mergeDescriptions returns
+      const mergeResult = {
+        mergedDescription: inputs.mergedDescription,
+        briefTitle: '',
+        detailedTitle: inputs.mergedDescription
+      };
+
+      const { postId, publicUrl, postVersion } = await worker.appraisalService.updateWordPress(
+        ctx.id,
+        inputs.appraisalValue,
+        mergeResult,
+        inputs.appraisalType,
+        ctx.usingCompletedSheet,
+        inputs.postId || null,
+        { expectedVersion: inputs.postVersion || null }
+      );
+
+      return { postId, publicUrl, postVersion };
+    }
+  },
+  {
+    name: 'STEP_EXTRACT_ATTRIBUTES',
+    description: 'Extract object type, creator, age, medium and condition from the merged description into ACF fields',
+    errorLabel: 'EXTRACT_ATTR',
+    status: ['Analyzing', 'Extracting object details'],
+    // Still reads the post ID from the sheet, but leaves the sheet unchanged
+    onReprocess: 'skipStatus',
+    inputs: [
+      { name: 'mergedDescription', option: false, field: 'mergedDescription', default: '' },
+      { name: 'postId', field: 'wordpressUrl', parse: parsePostIdFromUrl, required: true },
+      { name: 'postVersion', option: false }
+    ],
+    outputs: ['attributes', 'postVersion'],
+    next: 'STEP_GENERATE_VISUALIZATION',
+    async run(worker, ctx, inputs) {
+      const { attributes = {}, postVersion } = await worker.appraisalService.extractAttributes(
+        ctx.id,
+        inputs.postId,
+        inputs.mergedDescription,
+        ctx.skipSheetOperations ? null : ctx.usingCompletedSheet,
+        { expectedVersion: inputs.postVersion || null }
+      );
+      return { attributes, postVersion };
+    }
+  },
+  {
+    name: 'STEP_GENERATE_VISUALIZATION',
+    description: 'Complete the appraisal report (visualizations, statistics) on the backend',
+    errorLabel: 'GEN_VIS',
+    status: null,
+    inputs: [
+      { name: 'postId', field: 'wordpressUrl', parse: parsePostIdFromUrl, required: true }
+    ],
+    outputs: [],
+    next: 'STEP_GENERATE_PDF',
+    async run(worker, ctx, inputs) {
+      await worker.appraisalService.wordpressService.completeAppraisalReport(inputs.postId, { signal: ctx.signal });
+      return {};
+    }
+  },
+  {
+    name: 'STEP_GENERATE_PDF',
+    description: 'Generate the PDF, store links and notify the customer',
+    errorLabel: 'GEN_PDF',
+    status: ['Finalizing', 'Creating PDF document'],
+    inputs: [
+      { name: 'postId', field: 'wordpressUrl', parse: parsePostIdFromUrl, required: true }
+    ],
+    outputs: ['pdfLink', 'docLink'],
+    next: null,
+    async run(worker, ctx, inputs) {
+      // Get public URL
+      const publicUrl = await worker.appraisalService.wordpressService.getPermalink(inputs.postId);
+
+      // Generate PDF - this will throw an error if the PDF generation fails
+      const pdfResult = await worker.appraisalService.finalize(ctx.id, inputs.postId, publicUrl, ctx.usingCompletedSheet, false, { signal: ctx.signal });
+
+      // Validate PDF URLs
+      if (!pdfResult.pdfLink || pdfResult.pdfLink.includes('placeholder')) {
+        throw new Error(`PDF generation returned placeholder or invalid URLs`);
+      }
+
+      // Mark as complete if it was a full process (only if in pending sheet)
+      if (!ctx.usingCompletedSheet) {
+        await worker.appraisalService.updateStatus(ctx.id, 'Completed', 'PDF created and emailed to customer', ctx.usingCompletedSheet);
+      }
+
+      return { pdfLink: pdfResult.pdfLink, docLink: pdfResult.docLink };
+    }
+  },
+  {
+    name: 'STEP_BUILD_REPORT',
+    description: 'Run the full appraisal workflow with the value, type and description in the sheet',
+    errorLabel: 'BUILD_REPORT',
+    status: ['Processing', 'Starting appraisal workflow'],
+    inputs: [
+      { name: 'appraisalType', option: false, field: 'appraisalType', default: 'Regular' },
+      { name: 'appraisalValue', option: false, field: 'value' },
+      { name: 'description', option: false, field: 'description' }
+    ],
+    outputs: ['success'],
+    next: null,
+    async run(worker, ctx, inputs) {
+      return worker.appraisalService.processAppraisal(
+        ctx.id,
+        inputs.appraisalValue,
+        inputs.description,
+        inputs.appraisalType,
+        ctx.usingCompletedSheet,
+        { jobId: ctx.jobId, signal: ctx.signal }
+      );
+    }
+  }
+];
+
+/**
+ * Runs appraisal steps from the declarative step registry
+ */
+class PipelineService {
+  /**
+   * @param {object} worker - Worker instance providing the services the steps use
+   * @param {object[]} definitions - Step definitions (defaults to STEP_DEFINITIONS)
+   */
+  constructor(worker, definitions = STEP_DEFINITIONS) {
+    this.logger = createLogger('Pipeline');
+    this.worker = worker;
+    this.steps = new Map(definitions.map(step => [step.name, step]));
+  }
+
+  /**
+   * Get the names of all registered steps
+   * @returns {string[]} - Step names
+   */
+  getStepNames() {
+    return [...this.steps.keys()];
+  }
+
+  /**
+   * Get a step definition, rejecting unknown names
+   * @param {string} name - Step name
+   * @returns {object} - The step definition
+   * @throws {Error} With statusCode 400 if the step is not registered
+   */
+  getStep(name) {
+    const step = this.steps.get(name);
+    if (!step) {
+      const error = new Error(`Unknown step: ${name}. Valid steps are: ${this.getStepNames().join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return step;
+  }
+
+  /**
+   * Work out which steps will run, following each step's next pointer
+   * @param {string} startStep - First step to run
+   * @param {string} [endStep] - Last step to run (defaults to startStep, i.e. a single step)
+   * @returns {object[]} - Ordered step definitions
+   * @throws {Error} With statusCode 400 if a step is unknown or endStep is not reachable
+   */
+  plan(startStep, endStep = startStep) {
+    const plan = [this.getStep(startStep)];
+    this.getStep(endStep);
+
+    while (plan[plan.length - 1].name !== endStep) {
+      const { next } = plan[plan.length - 1];
+      if (!next) {
+        const error = new Error(`Step ${endStep} cannot be reached from ${startStep}`);
+        error.statusCode = 400;
+        throw error;
+      }
+      plan.push(this.getStep(next));
+    }
+
+    return plan;
+  }
+
+  /**
+   * Describe a plan without the run functions, for dry runs and documentation
+   * @param {object[]} plan - Step definitions from plan()
+   * @returns {object[]} - Serialisable step descriptions
+   */
+  describe(plan) {
+    // Sheet columns, when the appraisals are stored in the spreadsheet
+    const locations = this.worker.repository ? this.worker.repository.describeFields() : null;
+
+    return plan.map(step => ({
+      name: step.name,
+      description: step.description,
+      inputs: step.inputs.map(input => ({
+        name: input.name,
+        field: input.field || null,
+        column: input.field && locations ? locations[input.field] || null : null,
+        required: !!input.required
+      })),
+      outputs: step.outputs,
+      next: step.next
+    }));
+  }
+
+  /**
+   * Run a plan of steps for an appraisal
+   * @param {object[]} plan - Step definitions from plan()
+   * @param {object} ctx - Run context
+   * @param {string|number} ctx.id - Appraisal ID
+   * @param {boolean} ctx.usingCompletedSheet - Flag indicating which sheet the appraisal is in
+   * @param {object} ctx.options - Request options
+   * @param {string} ctx.jobId - Job record for checkpointing and progress
+   * @param {AbortSignal} ctx.signal - Cancels the run between and during steps
+   * @returns {Promise<object[]>} - Output of every step that ran
+   */
+  async run(plan, ctx) {
+    const runContext = {
+      ...ctx,
+      skipSheetOperations: ctx.options.reprocess === true,
+      state: {}
+    };
+    const { jobStore } = this.worker;
+    const results = [];
+
+    for (const step of plan) {
+      const { id, jobId, signal, usingCompletedSheet, skipSheetOperations } = runContext;
+      const writeStatus = !(skipSheetOperations && step.onReprocess);
+
+      // Steps completed by an earlier, interrupted run of this job are not repeated
+      const job = jobId ? await jobStore.getJob(jobId) : null;
+      const checkpoint = job?.steps?.[step.name];
+      if (checkpoint && checkpoint.status === 'completed') {
+        this.logger.info(`Job ${jobId}: skipping ${step.name}, already completed at ${checkpoint.completedAt}`);
+        Object.assign(runContext.state, checkpoint.output || {});
+        results.push({ step: step.name, output: checkpoint.output || {}, resumed: true });
+        continue;
+      }
+
+      updateContext({ step: step.name });
+      this.logger.info(`Running ${step.name} for appraisal ${id}`);
+
+      try {
+        throwIfAborted(signal);
+        if (jobId) {
+          await jobStore.markStepStarted(jobId, step.name);
+        }
+
+        const inputs = await this.resolveInputs(step, runContext);
+        if (inputs.postId) {
+          updateContext({ postId: inputs.postId });
+        }
+
+        if (step.status && writeStatus) {
+          const [status, details] = step.status;
+          await this.worker.appraisalService.updateStatus(id, status, details, usingCompletedSheet);
+        }
+
+        const output = (await observeStep(step.name, () => step.run(this.worker, runContext, inputs), isCancelledError)) || {};
+        Object.assign(runContext.state, output);
+        if (output.postId) {
+          updateContext({ postId: output.postId });
+        }
+        results.push({ step: step.name, output });
+
+        // A checkpointed step's sheet writes are already in the sheet
+        await this.worker.repository.flush();
+        if (jobId) {
+          await jobStore.saveCheckpoint(jobId, step.name, output);
+        }
+      } catch (error) {
+        if (jobId) {
+          await jobStore.markStepFailed(jobId, step.name, error.message)
+            .catch(storeError => this.logger.error(`Failed to record ${step.name} failure for job ${jobId}:`, storeError));
+        }
+
+        if (isCancelledError(error)) {
+          this.logger.warn(`${step.name} cancelled for appraisal ${id}`);
+          if (writeStatus) {
+            await this.worker.appraisalService.updateStatus(id, 'Cancelled', error.message, usingCompletedSheet);
+          }
+          throw error;
+        }
+
+        if (isDownstreamUnavailableError(error)) {
+          this.logger.warn(`${step.name} skipped for appraisal ${id}: ${error.message}`);
+          if (writeStatus) {
+            await this.worker.appraisalService.updateStatus(id, `Downstream Unavailable (${error.downstream})`, error.message, usingCompletedSheet);
+          }
+          throw error;
+        }
+
+        if (isConflictError(error)) {
+          this.logger.warn(`${step.name} stopped for appraisal ${id}: ${error.message}`);
+          if (writeStatus) {
+            await this.worker.appraisalService.updateStatus(id, 'Conflict', error.message, usingCompletedSheet);
+          }
+          throw error;
+        }
+
+        this.logger.error(`Error in ${step.name}:`, error);
+        if (writeStatus) {
+          await this.worker.appraisalService.updateStatus(id, 'Failed', `${step.errorLabel} Error: ${error.message}`, usingCompletedSheet);
+        }
+        throw error;
+      }
+    }
+
+    updateContext({ step: null });
+    return results;
+  }
+
+  /**
+   * Resolve a step's declared inputs
+   * @param {object} step - Step definition
+   * @param {object} ctx - Run context
+   * @returns {Promise<object>} - Input values keyed by name
+   */
+  async resolveInputs(step, ctx) {
+    const { id, options, state, usingCompletedSheet, skipSheetOperations } = ctx;
+    const readSheet = !(skipSheetOperations && step.onReprocess === 'skipSheet');
+    const isEmpty = value => value === undefined || value === null || value === '';
+    const inputs = {};
+    const pending = [];
+
+    for (const input of step.inputs) {
+      const optionName = input.option === undefined ? input.name : input.option;
+      let value;
+
+      if (input.resolve) {
+        value = input.resolve(this.worker, options);
+      } else if (!isEmpty(state[input.name])) {
+        value = state[input.name];
+      } else if (optionName && !isEmpty(options[optionName])) {
+        value = options[optionName];
+      }
+
+      if (isEmpty(value) && input.field && readSheet) {
+        pending.push(input);
+      }
+      inputs[input.name] = value;
+    }
+
+    // Read every missing field in a single sheet request
+    if (pending.length > 0) {
+      const fields = [...new Set(pending.map(input => input.field))];
+      const data = await this.worker.repository.getAppraisal(id, fields, usingCompletedSheet);
+
+      for (const input of pending) {
+        const raw = data[input.field];
+        if (!isEmpty(raw)) {
+          inputs[input.name] = input.parse ? input.parse(raw) : raw;
+        } else {
+          this.logger.warn(`No value found in ${input.field} for ${input.name} of appraisal ${id}`);
+        }
+      }
+    }
+
+    for (const input of step.inputs) {
+      if (isEmpty(inputs[input.name]) && input.default !== undefined) {
+        inputs[input.name] = input.default;
+      }
+
+      if (input.required && (inputs[input.name] === undefined || inputs[input.name] === null)) {
+        throw new Error(`Missing required input "${input.name}" for ${step.name}`);
+      }
+    }
+
+    return inputs;
+  }
+}
+
+module.exports = {
+  PipelineService,
+  STEP_DEFINITIONS,
+  parsePostIdFromUrl
+};
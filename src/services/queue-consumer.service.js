@@ -0,0 +1,259 @@
+const { PubSub } = require('@google-cloud/pubsub');
+const { createLogger } = require('../utils/logger');
+const { runWithContext, updateContext } = require('../utils/async-context');
+const { observeIntegrationCall } = require('../utils/metrics');
+const { withSpan, SpanKind, extractTraceContext } = require('../utils/tracing');
+const AppraisalFinder = require('../utils/appraisal-finder');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_MAX_CONCURRENCY = 2;
+// Reports can take 45+ minutes, keep extending the ack deadline while we work
+const MAX_EXTENSION_MINUTES = 90;
+
+/**
+ * Pull consumer for the appraisal tasks subscription.
+ *
+ * Each message carries a JSON payload `{ id, startStep, options }` that is
+ * dispatched to Worker.dispatchStep; sessionId, postId or email may identify
+ * the appraisal instead of id. Messages are acked only on success;
+ * failures are nacked straight away and redelivered after the subscription's
+ * retry policy backoff, and messages that cannot be processed (malformed
+ * payload, unknown step) or that exhaust their attempts are published to the
+ * dead-letter topic and acked.
+ */
+class QueueConsumer {
+  /**
+   * @param {object} worker - Worker instance used to process messages
+   * @param {object} options - Consumer options (each falls back to an environment variable)
+   * @param {object} options.pubsub - Pub/Sub client (defaults to a new PubSub; pass a FakePubSub in tests)
+   * @param {string} options.subscriptionName - APPRAISAL_TASKS_SUBSCRIPTION
+   * @param {string} options.deadLetterTopicName - APPRAISAL_TASKS_DEAD_LETTER_TOPIC
+   * @param {number} options.maxAttempts - QUEUE_MAX_ATTEMPTS
+   * @param {number} options.maxConcurrency - QUEUE_MAX_CONCURRENCY
+   */
+  constructor(worker, options = {}) {
+    this.logger = createLogger('QueueConsumer');
+    this.worker = worker;
+    this.pubsub = options.pubsub || null;
+    this.subscriptionName = options.subscriptionName || process.env.APPRAISAL_TASKS_SUBSCRIPTION;
+    this.deadLetterTopicName = options.deadLetterTopicName || process.env.APPRAISAL_TASKS_DEAD_LETTER_TOPIC || null;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+    this.maxConcurrency = options.maxConcurrency || parseInt(process.env.QUEUE_MAX_CONCURRENCY, 10) || DEFAULT_MAX_CONCURRENCY;
+    this.subscription = null;
+    this.deadLetterTopic = null;
+    this.isRunning = false;
+    this.inFlight = new Set();
+    // Fallback attempt counter for subscriptions without a dead-letter policy,
+    // where Pub/Sub does not populate message.deliveryAttempt
+    this.attempts = new Map();
+    this.onMessage = this.onMessage.bind(this);
+    this.onError = this.onError.bind(this);
+  }
+
+  /**
+   * Whether a subscription is configured
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return !!this.subscriptionName;
+  }
+
+  /**
+   * Start pulling messages from the subscription
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (!this.isEnabled()) {
+      this.logger.info('APPRAISAL_TASKS_SUBSCRIPTION not set, queue consumer disabled');
+      return;
+    }
+
+    if (this.isRunning) return;
+
+    if (!this.pubsub) {
+      // Honours PUBSUB_EMULATOR_HOST automatically when set
+      this.pubsub = new PubSub({ projectId: process.env.GOOGLE_CLOUD_PROJECT_ID });
+    }
+
+    this.subscription = this.pubsub.subscription(this.subscriptionName, {
+      flowControl: {
+        maxMessages: this.maxConcurrency,
+        allowExcessMessages: false,
+        maxExtensionMinutes: MAX_EXTENSION_MINUTES
+      }
+    });
+
+    if (this.deadLetterTopicName) {
+      this.deadLetterTopic = this.pubsub.topic(this.deadLetterTopicName);
+    }
+
+    this.subscription.on('message', this.onMessage);
+    this.subscription.on('error', this.onError);
+    this.isRunning = true;
+
+    this.logger.info(`Listening on ${this.subscriptionName} (concurrency ${this.maxConcurrency}, max attempts ${this.maxAttempts}, dead-letter ${this.deadLetterTopicName || 'none'})`);
+  }
+
+  /**
+   * Stop receiving new messages and wait for in-flight ones to settle
+   * @param {number} timeoutMs - Maximum time to wait for in-flight messages
+   * @returns {Promise<void>}
+   */
+  async stop(timeoutMs = 30000) {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+
+    this.subscription.removeListener('message', this.onMessage);
+    this.logger.info(`Stopping consumer, ${this.inFlight.size} messages in flight`);
+
+    const deadline = Date.now() + timeoutMs;
+    while (this.inFlight.size > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    await this.subscription.close();
+    this.subscription.removeListener('error', this.onError);
+    this.logger.info('Queue consumer stopped');
+  }
+
+  onError(error) {
+    this.logger.error(`Subscription ${this.subscriptionName} error:`, error);
+  }
+
+  /**
+   * Handle a single Pub/Sub message
+   * @param {object} message - Pub/Sub message
+   * @returns {Promise<void>}
+   */
+  async onMessage(message) {
+    // Logs for this delivery carry the message ID, plus the appraisal once the payload is parsed.
+    // Publishers that set traceparent in the attributes get the processing in their trace.
+    const spanOptions = {
+      kind: SpanKind.CONSUMER,
+      parentContext: extractTraceContext(message.attributes),
+      attributes: { 'messaging.system': 'gcp_pubsub', 'messaging.message.id': String(message.id) }
+    };
+    return runWithContext({ requestId: `pubsub-${message.id}` }, () =>
+      withSpan(`process ${this.subscriptionName}`, spanOptions, () => this.processMessage(message))
+    );
+  }
+
+  async processMessage(message) {
+    this.inFlight.add(message.id);
+    const attempt = this.getAttempt(message);
+
+    try {
+      const task = this.parseMessage(message);
+      const id = await this.worker.resolveAppraisalId(task.identifier);
+      updateContext({ appraisalId: id });
+
+      this.logger.info(`Message ${message.id}: processing appraisal ${id} from ${task.startStep} (attempt ${attempt}/${this.maxAttempts})`);
+      await this.worker.dispatchStep(id, task.startStep, task.options);
+
+      message.ack();
+      this.attempts.delete(message.id);
+      this.logger.info(`Message ${message.id}: acked`);
+    } catch (error) {
+      await this.handleFailure(message, error, attempt);
+    } finally {
+      this.inFlight.delete(message.id);
+    }
+  }
+
+  /**
+   * Decode and validate a message payload
+   * @param {object} message - Pub/Sub message
+   * @returns {{identifier: {type: string, value: string}, startStep: string, options: object}} - The task
+   * @throws {Error} With statusCode 400 if the payload is unusable
+   */
+  parseMessage(message) {
+    let payload;
+    try {
+      payload = JSON.parse(message.data.toString('utf8'));
+    } catch (parseError) {
+      const error = new Error(`Malformed message payload: ${parseError.message}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const { startStep, options = {} } = payload || {};
+    const identifier = AppraisalFinder.parseIdentifier(payload);
+    if (!identifier || !startStep) {
+      const error = new Error('Message is missing required fields: startStep and an appraisal identifier (id, sessionId, postId or email)');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return { identifier, startStep, options };
+  }
+
+  getAttempt(message) {
+    if (message.deliveryAttempt) {
+      return message.deliveryAttempt;
+    }
+    const attempt = (this.attempts.get(message.id) || 0) + 1;
+    this.attempts.set(message.id, attempt);
+    return attempt;
+  }
+
+  /**
+   * Nack for redelivery, or dead-letter poison and exhausted messages
+   * @param {object} message - Pub/Sub message
+   * @param {Error} error - Processing error
+   * @param {number} attempt - Delivery attempt number
+   * @returns {Promise<void>}
+   */
+  async handleFailure(message, error, attempt) {
+    const isPoison = error.statusCode >= 400 && error.statusCode < 500 && error.statusCode !== 409;
+
+    if (isPoison || attempt >= this.maxAttempts) {
+      const reason = isPoison ? 'unprocessable' : `failed after ${attempt} attempts`;
+      this.logger.error(`Message ${message.id} ${reason}: ${error.message}`);
+
+      try {
+        await this.deadLetter(message, error, attempt);
+        message.ack();
+        this.attempts.delete(message.id);
+      } catch (deadLetterError) {
+        this.logger.error(`Failed to dead-letter message ${message.id}, nacking instead:`, deadLetterError);
+        message.nack();
+      }
+      return;
+    }
+
+    // Waiting here would hold a flow-control slot; the subscription's retry policy
+    // (minimum/maximum backoff) spaces out the redeliveries instead
+    this.logger.warn(`Message ${message.id} failed (attempt ${attempt}/${this.maxAttempts}): ${error.message}. Nacking for redelivery`);
+    message.nack();
+  }
+
+  /**
+   * Publish the original message plus failure details to the dead-letter topic
+   * @param {object} message - Pub/Sub message
+   * @param {Error} error - Processing error
+   * @param {number} attempt - Delivery attempt number
+   * @returns {Promise<void>}
+   */
+  async deadLetter(message, error, attempt) {
+    if (!this.deadLetterTopic) {
+      this.logger.warn(`No dead-letter topic configured, dropping message ${message.id}`);
+      return;
+    }
+
+    const messageId = await observeIntegrationCall('pubsub', `publish ${this.deadLetterTopicName}`, () => this.deadLetterTopic.publishMessage({
+      data: message.data,
+      attributes: {
+        ...message.attributes,
+        originalMessageId: String(message.id),
+        subscription: this.subscriptionName,
+        error: String(error.message).substring(0, 1024),
+        attempts: String(attempt),
+        failedAt: new Date().toISOString()
+      }
+    }));
+
+    this.logger.warn(`Message ${message.id} dead-lettered to ${this.deadLetterTopicName} as ${messageId}`);
+  }
+}
+
+module.exports = QueueConsumer;
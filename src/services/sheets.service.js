@@ -1,14 +1,71 @@
 const { google } = require('googleapis');
 const { createLogger } = require('../utils/logger');
+const { getContext } = require('../utils/async-context');
+const { withRetry } = require('../utils/retry');
+const { RateLimiter } = require('../utils/rate-limiter');
+const { SheetSchema, alignRow, indexToColumn, parseA1Range } = require('../utils/sheet-schema');
+
+const SCHEMA_VALIDATION_MODES = ['warn', 'strict', 'off'];
+// Fields the Completed Appraisals sheet doesn't need a header for
+const PENDING_ONLY_FIELDS = ['completedRow'];
+
+// Default Sheets API quota per user (the service account) is 60 reads and 60 writes a minute
+const DEFAULT_REQUESTS_PER_MINUTE = 60;
+
+/**
+ * Convert values to types the Sheets API accepts
+ * @param {any[][]} values - Cell values
+ * @returns {any[][]} - Strings, numbers and nulls
+ */
+function toSheetValues(values) {
+  return values.map(row => row.map(value => {
+    if (value === undefined) return '';
+    // Promises are a bug upstream; make it visible in the sheet rather than failing the write
+    if (value instanceof Promise) return '[object Promise]';
+    if (value !== null && typeof value === 'object') {
+      try {
+        return JSON.stringify(value);
+      } catch (stringifyError) {
+        return '[object Object]';
+      }
+    }
+    if (typeof value === 'boolean') return value.toString();
+    if (typeof value !== 'string' && typeof value !== 'number' && value !== null) return String(value);
+    return value;
+  }));
+}
 
 class SheetsService {
-  constructor() {
+  /**
+   * @param {object} options - Service options
+   * @param {object} options.client - Sheets API client (defaults to googleapis with Application
+   *   Default Credentials; pass a FakeSheetsApi to run without a spreadsheet)
+   */
+  constructor(options = {}) {
     this.logger = createLogger('SheetsService');
-    this.sheets = null;
+    this.sheets = options.client || null;
     this.spreadsheetId = null;
     this.pendingSheetName = 'Pending Appraisals';
     this.completedSheetName = 'Completed Appraisals';
     this.initialized = false;
+    // Column layout per sheet; replaced by the validated/detected layout in loadSchemas()
+    this.schemas = {
+      pending: SheetSchema.fromConfig(process.env.SHEETS_COLUMNS),
+      completed: SheetSchema.fromConfig(process.env.SHEETS_COLUMNS)
+    };
+    this.headerRow = parseInt(process.env.SHEETS_HEADER_ROW, 10) || 1;
+    this.headers = { pending: null, completed: null };
+    // Shared by every job on this instance, so concurrent appraisals queue instead of tripping the quota
+    this.rateLimiters = {
+      read: new RateLimiter('sheets-read', {
+        requestsPerMinute: parseInt(process.env.SHEETS_READ_REQUESTS_PER_MINUTE, 10) || DEFAULT_REQUESTS_PER_MINUTE
+      }),
+      write: new RateLimiter('sheets-write', {
+        requestsPerMinute: parseInt(process.env.SHEETS_WRITE_REQUESTS_PER_MINUTE, 10) || DEFAULT_REQUESTS_PER_MINUTE
+      })
+    };
+    // Moves in progress, by pending row
+    this.moves = new Map();
     this.debugMode = process.env.DEBUG_SHEETS === 'true';
     // Track previous operations to reduce identical log messages
     this.lastOperations = new Map();
@@ -42,34 +99,39 @@ class SheetsService {
         throw new Error('Spreadsheet ID not found in config');
       }
 
-      this.logger.info('Creating Google Auth client...');
-      
-      // Initialize with Application Default Credentials
-      const auth = new google.auth.GoogleAuth({
-        scopes: ['https://www.googleapis.com/auth/spreadsheets']
-      });
+      if (!this.sheets) {
+        this.logger.info('Creating Google Auth client...');
+        
+        // Initialize with Application Default Credentials
+        const auth = new google.auth.GoogleAuth({
+          scopes: ['https://www.googleapis.com/auth/spreadsheets']
+        });
 
-      const authClient = await auth.getClient();
-      
-      // Initialize sheets client
-      this.sheets = google.sheets({ 
-        version: 'v4', 
-        auth: authClient,
-        timeout: 30000, // 30 seconds timeout
-        retry: {
-          retries: 3,
-          statusCodesToRetry: [[100, 199], [429, 429], [500, 599]]
-        }
-      });
+        const authClient = await auth.getClient();
+        
+        // Initialize sheets client
+        this.sheets = google.sheets({ 
+          version: 'v4', 
+          auth: authClient,
+          timeout: 30000, // 30 seconds timeout
+          // 429s are retried by callApi(), which also throttles every other caller
+          retry: {
+            retries: 3,
+            statusCodesToRetry: [[100, 199], [500, 599]]
+          }
+        });
+      }
 
       // Test connection
-      const response = await this.sheets.spreadsheets.get({
+      const response = await this.callApi('read', 'spreadsheets.get', () => this.sheets.spreadsheets.get({
         spreadsheetId: this.spreadsheetId,
         fields: 'properties.title'
-      });
+      }));
 
       this.logger.info(`Connected to spreadsheet: ${response.data.properties.title}`);
       this.initialized = true;
+
+      await this.loadSchemas();
     } catch (error) {
       this.logger.error('Sheets initialization failed:', error.message);
       if (error.response?.data?.error) {
@@ -79,6 +141,253 @@ class SheetsService {
     }
   }
 
+  /**
+   * Verify the credentials can still read the spreadsheet
+   * @returns {Promise<object>} - Health details
+   */
+  async checkHealth() {
+    if (!this.initialized) throw new Error('Sheets service not initialized');
+
+    const response = await this.callApi('read', 'spreadsheets.get', () => this.sheets.spreadsheets.get({
+      spreadsheetId: this.spreadsheetId,
+      fields: 'properties.title'
+    }));
+
+    return {
+      spreadsheet: response.data.properties.title,
+      readQuota: this.rateLimiters.read.getState(),
+      writeQuota: this.rateLimiters.write.getState()
+    };
+  }
+
+  /**
+   * Check each sheet's header row against its column schema, or detect the columns
+   * from it when SHEETS_COLUMN_DETECTION=header.
+   *
+   * SHEETS_SCHEMA_VALIDATION decides what a mismatch does: "warn" (default) logs it,
+   * "strict" fails initialization so nothing is written to the wrong columns, "off"
+   * skips reading the header row.
+   * @returns {Promise<object>} - Column letters per sheet
+   * @throws {Error} With statusCode 500 on a mismatch in strict mode
+   */
+  async loadSchemas() {
+    const validation = (process.env.SHEETS_SCHEMA_VALIDATION || 'warn').toLowerCase();
+    const detectFromHeader = process.env.SHEETS_COLUMN_DETECTION === 'header';
+    if (!SCHEMA_VALIDATION_MODES.includes(validation)) {
+      throw new Error(`Invalid SHEETS_SCHEMA_VALIDATION "${validation}" (use ${SCHEMA_VALIDATION_MODES.join(', ')})`);
+    }
+
+    if (validation !== 'off' || detectFromHeader) {
+      const problems = [];
+
+      for (const [key, sheetName] of [['pending', this.pendingSheetName], ['completed', this.completedSheetName]]) {
+        const headerRow = await this.getHeaderRow(sheetName);
+        this.headers[key] = headerRow;
+        let schema = this.schemas[key];
+        const required = field => key === 'pending' || !PENDING_ONLY_FIELDS.includes(field);
+
+        if (detectFromHeader) {
+          const { schema: detected, missing } = schema.detect(headerRow);
+          schema = detected;
+          missing.filter(required).forEach(field => problems.push(`${sheetName}: no header for ${field}, using column ${schema.column(field)}`));
+        } else {
+          schema.validate(headerRow).filter(({ field }) => required(field)).forEach(({ field, column, expected, actual }) =>
+            problems.push(`${sheetName}: column ${column} (${field}) has header "${actual}", expected "${expected}"`)
+          );
+        }
+
+        this.schemas[key] = schema;
+      }
+
+      if (problems.length > 0) {
+        problems.forEach(problem => this.logger.warn(`Sheet schema mismatch - ${problem}`));
+        if (validation === 'strict') {
+          const error = new Error(`Sheet headers do not match the column schema: ${problems.join('; ')}`);
+          error.statusCode = 500;
+          throw error;
+        }
+      }
+    }
+
+    const columns = { pending: this.schemas.pending.describe(), completed: this.schemas.completed.describe() };
+    this.logger.info(`Sheet columns: ${JSON.stringify(columns.pending)}`);
+    return columns;
+  }
+
+  async getHeaderRow(sheetName) {
+    const range = `'${sheetName}'!${this.headerRow}:${this.headerRow}`;
+    const response = await this.callApi('read', `values.get ${range}`, () => this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range
+    }));
+    return (response.data.values && response.data.values[0]) || [];
+  }
+
+  /**
+   * Column schema of a sheet
+   * @param {boolean} useCompletedSheet - Whether to use the completed sheet
+   * @returns {SheetSchema}
+   */
+  getSchema(useCompletedSheet = false) {
+    return useCompletedSheet ? this.schemas.completed : this.schemas.pending;
+  }
+
+  /**
+   * Call the Sheets API within the shared quota. Quota errors (429) throttle
+   * every caller and are retried under the "sheets" retry policy.
+   * @param {string} kind - "read" or "write" (the API has a separate quota for each)
+   * @param {string} operation - Short description for logs, metrics and traces
+   * @param {Function} fn - The API call
+   * @returns {Promise<any>} - Whatever fn resolves with
+   */
+  callApi(kind, operation, fn) {
+    const limiter = this.rateLimiters[kind];
+
+    return withRetry('sheets', operation, async () => {
+      await limiter.acquire();
+      try {
+        return await fn();
+      } catch (error) {
+        if (error.response && error.response.status === 429) {
+          limiter.exhaust();
+        }
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Read named fields of an appraisal's row in a single request. Adjacent fields
+   * are read as one range, the rest with values.batchGet.
+   * @param {number|string} id - Appraisal ID (row number)
+   * @param {string[]} fields - Field names from the schema
+   * @param {boolean} useCompletedSheet - Whether to use the completed sheet
+   * @returns {Promise<object>} - Values keyed by field name, null when empty
+   */
+  async getFields(id, fields, useCompletedSheet = false) {
+    const schema = this.getSchema(useCompletedSheet);
+    const runs = schema.runs(fields);
+    const ranges = runs.map(run => schema.spanRange(run, id));
+
+    const results = runs.length === 1
+      ? [await this.getValues(ranges[0].range, useCompletedSheet)]
+      : await this.batchGetValues(ranges.map(({ range }) => ({ range, useCompletedSheet })));
+
+    return runs.reduce((record, run, i) => ({
+      ...record,
+      ...schema.toRecord(results[i] && results[i][0], run, ranges[i].startIndex)
+    }), {});
+  }
+
+  /**
+   * Write named fields of an appraisal's row; adjacent fields share one range
+   * @param {number|string} id - Appraisal ID (row number)
+   * @param {object} values - Values keyed by field name
+   * @param {boolean} useCompletedSheet - Whether to use the completed sheet
+   * @returns {Promise<void>}
+   */
+  async updateFields(id, values, useCompletedSheet = false) {
+    const schema = this.getSchema(useCompletedSheet);
+    const data = schema.runs(Object.keys(values)).map(run => ({
+      range: this.qualifyRange(schema.spanRange(run, id).range, useCompletedSheet),
+      values: [run.map(field => values[field])]
+    }));
+
+    await this.writeValues(data);
+  }
+
+  /**
+   * Read several ranges, possibly from both sheets, in one values.batchGet
+   * @param {{range: string, useCompletedSheet: boolean}[]} requests - Ranges to read
+   * @returns {Promise<any[][][]>} - Values of each range, in request order
+   */
+  async batchGetValues(requests) {
+    if (!this.initialized) throw new Error('Sheets service not initialized');
+
+    const ranges = requests.map(({ range, useCompletedSheet }) => this.qualifyRange(range, useCompletedSheet));
+    await this.flushWritesFor(ranges);
+
+    const response = await this.callApi('read', `values.batchGet ${ranges.join(', ')}`, () => this.sheets.spreadsheets.values.batchGet({
+      spreadsheetId: this.spreadsheetId,
+      ranges,
+      valueRenderOption: 'UNFORMATTED_VALUE'
+    }));
+
+    return (response.data.valueRanges || []).map(valueRange => valueRange.values || []);
+  }
+
+  qualifyRange(range, useCompletedSheet) {
+    return `'${useCompletedSheet ? this.completedSheetName : this.pendingSheetName}'!${range}`;
+  }
+
+  /**
+   * Write ranges now, or queue them when running inside a job with a write
+   * buffer (see Worker.runJob); queued writes go out with flushWrites()
+   * @param {{range: string, values: any[][]}[]} data - Ranges (including the sheet name) and values
+   * @returns {Promise<void>}
+   */
+  async writeValues(data) {
+    if (!this.initialized) throw new Error('Sheets service not initialized');
+
+    const writes = data.map(({ range, values }) => ({ range, values: toSheetValues(values) }));
+    const buffer = getContext()?.sheetWriteBuffer;
+
+    if (buffer) {
+      writes.forEach(({ range, values }) => buffer.add(range, values));
+      this.logger.debug(`Queued ${writes.map(({ range }) => range).join(', ')} (${buffer.size} pending)`);
+      return;
+    }
+
+    await this.sendWrites(writes);
+  }
+
+  async sendWrites(writes) {
+    if (writes.length === 1) {
+      const [{ range, values }] = writes;
+      await this.callApi('write', `values.update ${range}`, () => this.sheets.spreadsheets.values.update({
+        spreadsheetId: this.spreadsheetId,
+        range,
+        valueInputOption: 'RAW',
+        resource: { values }
+      }));
+    } else {
+      const ranges = writes.map(({ range }) => range).join(', ');
+      await this.callApi('write', `values.batchUpdate ${ranges}`, () => this.sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId: this.spreadsheetId,
+        resource: { valueInputOption: 'RAW', data: writes }
+      }));
+    }
+    this.logger.debug(`Updated ${writes.map(({ range }) => range).join(', ')}`);
+  }
+
+  /**
+   * Send the writes queued by the current job in one request. Called when a step
+   * finishes, when a status is set (progress should show right away) and when
+   * the job ends.
+   * @returns {Promise<number>} - Number of ranges written
+   */
+  async flushWrites() {
+    const buffer = getContext()?.sheetWriteBuffer;
+    if (!buffer || buffer.size === 0) return 0;
+
+    const writes = buffer.drain();
+    try {
+      await this.sendWrites(writes);
+      return writes.length;
+    } catch (error) {
+      this.logger.error(`Failed to write ${writes.map(({ range }) => range).join(', ')}:`, error);
+      throw new Error(`Failed to update values: ${error.message}`);
+    }
+  }
+
+  // Reads see the job's own queued writes
+  async flushWritesFor(ranges) {
+    const buffer = getContext()?.sheetWriteBuffer;
+    if (buffer && ranges.some(range => buffer.overlaps(range))) {
+      await this.flushWrites();
+    }
+  }
+
   // Checks if we've recently performed this operation
   _shouldSkipLogging(operation, range) {
     const key = `${operation}:${range}`;
@@ -98,19 +407,19 @@ class SheetsService {
     if (!this.initialized) throw new Error('Sheets service not initialized');
 
     try {
-      const sheetToUse = checkCompletedSheet ? this.completedSheetName : this.pendingSheetName;
-      const fullRange = `'${sheetToUse}'!${range}`;
+      const fullRange = this.qualifyRange(range, checkCompletedSheet);
       
       // Only log if this isn't a repetitive call
       if (!this._shouldSkipLogging('get', fullRange)) {
         this.logger.debug(`Getting values from range: ${fullRange}`);
       }
 
-      const response = await this.sheets.spreadsheets.values.get({
+      await this.flushWritesFor([fullRange]);
+      const response = await this.callApi('read', `values.get ${fullRange}`, () => this.sheets.spreadsheets.values.get({
         spreadsheetId: this.spreadsheetId,
         range: fullRange,
         valueRenderOption: 'UNFORMATTED_VALUE'
-      });
+      }));
 
       return response.data.values || [];
     } catch (error) {
@@ -119,102 +428,17 @@ class SheetsService {
     }
   }
 
+  /**
+   * Write a range. Inside a job the write is queued and sent with the job's
+   * other writes (see writeValues).
+   * @param {string} range - A1 range without the sheet name
+   * @param {any[][]} values - Cell values
+   * @param {boolean} checkCompletedSheet - Whether to use the completed sheet
+   * @returns {Promise<void>}
+   */
   async updateValues(range, values, checkCompletedSheet = false) {
-    if (!this.initialized) throw new Error('Sheets service not initialized');
-
     try {
-      const sheetToUse = checkCompletedSheet ? this.completedSheetName : this.pendingSheetName;
-      const fullRange = `'${sheetToUse}'!${range}`;
-      
-      // First, get the current values
-      const currentValues = await this.getValues(range, checkCompletedSheet);
-      
-      // Compare current values with new values to see if an update is needed
-      let needsUpdate = true;
-      
-      if (currentValues && currentValues.length > 0) {
-        // Check if the arrays are the same size and have the same values
-        if (currentValues.length === values.length) {
-          needsUpdate = false;
-          
-          // Compare each row
-          for (let i = 0; i < values.length; i++) {
-            if (!currentValues[i] || currentValues[i].length !== values[i].length) {
-              needsUpdate = true;
-              break;
-            }
-            
-            // Compare each cell in the row
-            for (let j = 0; j < values[i].length; j++) {
-              if (currentValues[i][j] !== values[i][j]) {
-                needsUpdate = true;
-                break;
-              }
-            }
-            
-            if (needsUpdate) break;
-          }
-        }
-      }
-      
-      // Only update if the values are different
-      if (needsUpdate) {
-        // Only log if this isn't a repetitive update
-        if (!this._shouldSkipLogging('update', fullRange)) {
-          this.logger.debug(`Updating values in range: ${fullRange}`);
-        }
-        
-        // Pre-process all values to ensure they're compatible with Sheets API
-        for (let i = 0; i < values.length; i++) {
-          for (let j = 0; j < values[i].length; j++) {
-            const originalValue = values[i][j];
-            
-            // Handle undefined values
-            if (originalValue === undefined) {
-              values[i][j] = '';
-              continue;
-            }
-            
-            // Handle object values - convert Promise objects to strings
-            if (originalValue !== null && typeof originalValue === 'object') {
-              if (originalValue instanceof Promise) {
-                values[i][j] = '[object Promise]';
-              } else {
-                try {
-                  // Try to stringify the object if possible
-                  values[i][j] = JSON.stringify(originalValue);
-                } catch (stringifyError) {
-                  // If stringify fails, use a simple string representation
-                  values[i][j] = '[object Object]';
-                }
-              }
-              continue;
-            }
-            
-            // Ensure boolean values are converted to strings
-            if (typeof originalValue === 'boolean') {
-              values[i][j] = originalValue.toString();
-              continue;
-            }
-            
-            // No need to convert strings or numbers, they're already supported
-            if (typeof originalValue !== 'string' && typeof originalValue !== 'number' && originalValue !== null) {
-              values[i][j] = String(originalValue);
-            }
-          }
-        }
-        
-        await this.sheets.spreadsheets.values.update({
-          spreadsheetId: this.spreadsheetId,
-          range: fullRange,
-          valueInputOption: 'RAW',
-          resource: { values }
-        });
-        
-        this.logger.debug(`Updated ${fullRange}`);
-      } else {
-        this.logger.debug(`Skipping update for range: ${fullRange} - values unchanged`);
-      }
+      await this.writeValues([{ range: this.qualifyRange(range, checkCompletedSheet), values }]);
     } catch (error) {
       this.logger.error(`Error updating values in range ${range}:`, error);
       throw new Error(`Failed to update values in range ${range}: ${error.message}`);
@@ -225,62 +449,156 @@ class SheetsService {
     return this.initialized;
   }
 
-  async moveToCompleted(rowId) {
+  /**
+   * Copy an appraisal's row to the Completed Appraisals sheet and mark the pending
+   * row as moved. The copy is appended with values.append, so concurrent moves of
+   * different appraisals never land on the same row, then read back and compared
+   * before the destination row number is recorded on the pending row (completedRow).
+   * Moving again is safe: a row already recorded, or an earlier copy with the same
+   * session ID, is reused instead of appending a duplicate.
+   * @param {number|string} rowId - Appraisal ID (pending row number)
+   * @returns {Promise<{completedRow: number, reused: boolean}>} - Destination row and whether an existing copy was reused
+   * @throws {Error} With statusCode 500 if the copy cannot be verified
+   */
+  moveToCompleted(rowId) {
+    // Two moves of the same appraisal on this instance share one operation
+    const key = String(rowId);
+    if (!this.moves.has(key)) {
+      this.moves.set(key, this.performMove(rowId).finally(() => this.moves.delete(key)));
+    }
+    return this.moves.get(key);
+  }
+
+  async performMove(rowId) {
     try {
       this.logger.info(`Moving appraisal ${rowId} to Completed Appraisals`);
+
+      // The row is copied as it is in the sheet, so the job's queued writes go first
+      await this.flushWrites();
       
-      // Get all values from A to Q for the pending row
-      const range = `A${rowId}:Q${rowId}`;
-      const response = await this.sheets.spreadsheets.values.get({
+      const pendingSchema = this.getSchema(false);
+      const completedSchema = this.getSchema(true);
+
+      // Read the whole row, so columns outside the schema are carried over too. Values are
+      // read unformatted and written RAW, so numbers and dates (as serial numbers) stay
+      // numbers instead of becoming their displayed text
+      const range = `${rowId}:${rowId}`;
+      const response = await this.callApi('read', `values.get '${this.pendingSheetName}'!${range}`, () => this.sheets.spreadsheets.values.get({
         spreadsheetId: this.spreadsheetId,
-        range: `'${this.pendingSheetName}'!${range}`
-      });
+        range: `'${this.pendingSheetName}'!${range}`,
+        valueRenderOption: 'UNFORMATTED_VALUE',
+        dateTimeRenderOption: 'SERIAL_NUMBER'
+      }));
 
-      if (!response.data.values || !response.data.values[0]) {
+      const pendingRow = response.data.values && response.data.values[0];
+      const record = pendingSchema.toRecord(pendingRow);
+      if (!pendingRow || record.sessionId === null) {
         throw new Error(`No data found for row ${rowId}`);
       }
       
-      // Ensure we have exactly 17 columns (A to Q)
-      const rowData = response.data.values[0];
-      while (rowData.length < 17) {
-        rowData.push(''); // Pad with empty values if needed
-      }
+      // Move fields by name and other columns by header label, so the sheets may order their columns differently
+      const baseRow = alignRow(pendingRow, this.headers.pending, this.headers.completed);
+      const rowData = completedSchema.toRow({ ...record, completedRow: null }, baseRow);
+      const lastColumn = indexToColumn(rowData.length - 1);
 
-      // First, get the last row number of the Completed sheet
-      const completedResponse = await this.sheets.spreadsheets.values.get({
-        spreadsheetId: this.spreadsheetId,
-        range: `'${this.completedSheetName}'!A:A`
-      });
+      let completedRow = await this.findCompletedCopy(record);
+      const reused = completedRow !== null;
 
-      // Calculate the next empty row (length + 1 since array is 0-based)
-      const nextRow = (completedResponse.data.values?.length || 0) + 1;
+      if (reused) {
+        // An earlier move got as far as the copy; refresh it rather than appending a duplicate
+        this.logger.info(`Appraisal ${rowId} already has a copy in row ${completedRow} of Completed Appraisals, updating it`);
+        await this.sendWrites([{
+          range: `'${this.completedSheetName}'!A${completedRow}:${lastColumn}${completedRow}`,
+          values: toSheetValues([rowData])
+        }]);
+      } else {
+        // values.append picks the row after the last one with data, atomically on Google's side
+        const appendResponse = await this.callApi('write', `values.append '${this.completedSheetName}'`, () => this.sheets.spreadsheets.values.append({
+          spreadsheetId: this.spreadsheetId,
+          range: `'${this.completedSheetName}'!A${this.headerRow}:${lastColumn}`,
+          valueInputOption: 'RAW',
+          insertDataOption: 'INSERT_ROWS',
+          resource: { values: toSheetValues([rowData]) }
+        }));
+        completedRow = parseA1Range(appendResponse.data.updates.updatedRange).startRow;
+      }
 
-      // Update the specific row in Completed Appraisals
-      await this.sheets.spreadsheets.values.update({
-        spreadsheetId: this.spreadsheetId,
-        range: `'${this.completedSheetName}'!A${nextRow}:Q${nextRow}`,
-        valueInputOption: 'RAW',
-        resource: {
-          values: [rowData]
-        }
-      });
+      await this.verifyCompletedCopy(rowId, completedRow, rowData);
 
-      // Instead of deleting, update the status in the Pending Appraisals sheet
-      const statusUpdateRange = `F${rowId}`;
-      await this.updateValues(statusUpdateRange, [['Moved to Completed']], false); // false for pendingSheetName
+      // Instead of deleting, mark the pending row as moved and link it to its copy
+      await this.updateFields(rowId, { status: 'Moved to Completed', completedRow }, false);
+      await this.flushWrites();
 
-      this.logger.info(`Completed move of appraisal ${rowId}. Status set to 'Moved to Completed' in pending sheet.`);
+      this.logger.info(`Completed move of appraisal ${rowId} to row ${completedRow}. Status set to 'Moved to Completed' in pending sheet.`);
+      return { completedRow, reused };
     } catch (error) {
       this.logger.error(`Error moving appraisal ${rowId} to Completed:`, error);
       throw error;
     }
   }
 
+  /**
+   * Find an existing copy of a pending row in the Completed Appraisals sheet:
+   * the row recorded in completedRow if it still holds the same session ID,
+   * otherwise the first row with that session ID
+   * @param {object} record - The pending row's fields
+   * @returns {Promise<number|null>} - Row number, or null if there is no copy
+   */
+  async findCompletedCopy(record) {
+    const schema = this.getSchema(true);
+    const column = schema.column('sessionId');
+    const response = await this.callApi('read', `values.get '${this.completedSheetName}'!${column}:${column}`, () => this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: `'${this.completedSheetName}'!${column}:${column}`,
+      valueRenderOption: 'UNFORMATTED_VALUE'
+    }));
+
+    const sessionIds = (response.data.values || []).map(row => row[0]);
+    const matches = row => row > this.headerRow && String(sessionIds[row - 1]) === String(record.sessionId);
+
+    const recorded = parseInt(record.completedRow, 10);
+    if (recorded && matches(recorded)) {
+      return recorded;
+    }
+
+    const index = sessionIds.findIndex((sessionId, i) => matches(i + 1));
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Read the copied row back and compare it with what was written
+   * @param {number|string} rowId - Pending row number, for the error message
+   * @param {number} completedRow - Destination row number
+   * @param {any[]} rowData - The row as written
+   * @throws {Error} With statusCode 500 if any cell differs
+   */
+  async verifyCompletedCopy(rowId, completedRow, rowData) {
+    const range = `'${this.completedSheetName}'!A${completedRow}:${indexToColumn(rowData.length - 1)}${completedRow}`;
+    const response = await this.callApi('read', `values.get ${range}`, () => this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range,
+      valueRenderOption: 'UNFORMATTED_VALUE'
+    }));
+
+    const copied = (response.data.values && response.data.values[0]) || [];
+    const expected = toSheetValues([rowData])[0];
+    const normalize = value => (value === undefined || value === null ? '' : String(value));
+    const differing = expected
+      .map((value, index) => index)
+      .filter(index => normalize(copied[index]) !== normalize(expected[index]));
+
+    if (differing.length > 0) {
+      const error = new Error(`Copy of appraisal ${rowId} in row ${completedRow} of ${this.completedSheetName} does not match (columns ${differing.map(indexToColumn).join(', ')})`);
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
   async getSheetId(sheetName) {
-    const response = await this.sheets.spreadsheets.get({
+    const response = await this.callApi('read', 'spreadsheets.get', () => this.sheets.spreadsheets.get({
       spreadsheetId: this.spreadsheetId,
       fields: 'sheets.properties'
-    });
+    }));
 
     const sheet = response.data.sheets.find(
       s => s.properties.title === sheetName
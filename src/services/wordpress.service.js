@@ -1,6 +1,86 @@
+const crypto = require('crypto');
+const path = require('path');
 const fetch = require('node-fetch');
 const { createLogger } = require('../utils/logger');
 const secretManager = require('../utils/secrets');
+const { withRetry, createHttpError } = require('../utils/retry');
+const { createCancelledError, withTimeout } = require('../utils/abort');
+const { getCircuitBreaker } = require('../utils/circuit-breaker');
+const { createFixtureFetch } = require('../utils/fixtures');
+const { getContext } = require('../utils/async-context');
+const { DEFAULT_SITE, parseWordPressSites } = require('../utils/wordpress-sites');
+const { AcfSchema, CONTROL_CHARACTERS } = require('../utils/acf-schema');
+const { postVersion, changedFields, isCurrentVersion, formatDiff, createConflictError } = require('../utils/post-version');
+
+// Default appraisals backend deployment, used when APPRAISALS_BACKEND_URL is not set
+const DEFAULT_APPRAISALS_BACKEND_URL = 'https://appraisals-backend-856401495068.us-central1.run.app';
+// Completing a report (visualizations, statistics) can take up to 30 minutes
+const REPORT_TIMEOUT_MS = 1800000;
+
+const ACF_SCHEMA = new AcfSchema();
+// Post titles are one line; the detailed title is a long ACF text field
+const MAX_TITLE_LENGTH = 255;
+const MAX_DETAILED_TITLE_LENGTH = ACF_SCHEMA.fields.detailedTitle.maxLength;
+
+// Uploaded files are named <name>-<hash tag><ext>, so the tag stays in the
+// attachment's URL whatever its title is changed to
+const MEDIA_HASH_TAG_LENGTH = 16;
+// Attachment meta holding the full SHA-256 of the content. The site registers it
+// for the REST API (register_post_meta('attachment', ..., show_in_rest)); without
+// that, uploads are matched by the hash tag in their URL instead
+const MEDIA_HASH_META_KEY = 'appraisal_content_hash';
+// Attachments listed per request when looking for a match
+const MEDIA_LOOKUP_PAGE_SIZE = 100;
+
+/**
+ * Pick the attachment with the given content from a page of media
+ * @param {Array<Object>} results - Media data as the REST API lists it
+ * @param {string} hash - SHA-256 of the content (hex)
+ * @returns {Object|null} - The attachment, or null if none has that content
+ */
+function findMediaMatch(results, hash) {
+  const tag = hash.slice(0, MEDIA_HASH_TAG_LENGTH);
+  return results.find(media => media.meta && media.meta[MEDIA_HASH_META_KEY] === hash) ||
+    // Attachments from before the meta was registered, or from an upload whose metadata was never set
+    results.find(media => typeof media.source_url === 'string' && path.basename(media.source_url).includes(tag)) ||
+    null;
+}
+
+/**
+ * Check a title before it is sent to WordPress
+ * @param {string} name - Field name, for the error message
+ * @param {any} value - The title
+ * @param {object} rules - Validation rules
+ * @param {number} rules.maxLength - Longest title accepted
+ * @param {boolean} rules.required - Reject a missing or blank title
+ * @param {boolean} rules.singleLine - Collapse line breaks and repeated whitespace
+ * @returns {string|null} - The trimmed title, or null if it is optional and missing
+ * @throws {Error} With statusCode 400 if the title is invalid
+ */
+function validateTitle(name, value, { maxLength, required, singleLine }) {
+  const invalid = message => {
+    const error = new Error(`Invalid ${name}: ${message}`);
+    error.statusCode = 400;
+    return error;
+  };
+
+  if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+    if (required) throw invalid('it is required');
+    return null;
+  }
+  if (typeof value !== 'string') {
+    throw invalid(`expected a string, got ${typeof value}`);
+  }
+  if (CONTROL_CHARACTERS.test(value)) {
+    throw invalid('it contains control characters');
+  }
+
+  const title = singleLine ? value.replace(/\s+/g, ' ').trim() : value.trim();
+  if (title.length > maxLength) {
+    throw invalid(`it is ${title.length} characters long, the limit is ${maxLength}`);
+  }
+  return title;
+}
 
 /**
  * Service for interacting with WordPress API
@@ -8,8 +88,14 @@ const secretManager = require('../utils/secrets');
 class WordPressService {
   constructor() {
     this.logger = createLogger('WordPressService');
+    // The default site's API URL and credentials; other sites load theirs on first use
     this.apiUrl = null;
     this.authHeader = null;
+    this.sites = parseWordPressSites();
+    this.siteAuthHeaders = new Map();
+    // Calls made for a job are recorded/replayed with its fixture (utils/fixtures.js)
+    this.fetch = createFixtureFetch('wordpress', () => this.getSiteApiUrl());
+    this.backendFetch = createFixtureFetch('appraisalsBackend', () => this.getAppraisalsBackendUrl());
   }
 
   /**
@@ -20,30 +106,148 @@ class WordPressService {
     try {
       this.logger.info('Initializing WordPress service...');
       
+      const site = this.sites[DEFAULT_SITE];
+
       // Get WordPress credentials from Secret Manager
       const [apiUrl, username, appPassword] = await Promise.all([
-        secretManager.getSecret('WORDPRESS_API_URL'),
-        secretManager.getSecret('wp_username'),
-        secretManager.getSecret('wp_app_password')
+        site.apiUrl || secretManager.getSecret('WORDPRESS_API_URL'),
+        secretManager.getSecret(site.usernameSecret || 'wp_username'),
+        secretManager.getSecret(site.passwordSecret || 'wp_app_password')
       ]);
 
       if (!apiUrl || !username || !appPassword) {
         throw new Error('Missing WordPress credentials in Secret Manager');
       }
 
-      this.apiUrl = apiUrl;
+      this.apiUrl = apiUrl.replace(/\/+$/, '');
       
       // Create the Basic Auth header
       const credentials = Buffer.from(`${username}:${appPassword}`).toString('base64');
       this.authHeader = `Basic ${credentials}`;
       
-      this.logger.info('WordPress service initialized successfully');
+      const otherSites = Object.keys(this.sites).filter(name => name !== DEFAULT_SITE);
+      this.logger.info(`WordPress service initialized successfully${otherSites.length ? ` (other sites: ${otherSites.join(', ')})` : ''}`);
     } catch (error) {
       this.logger.error('Failed to initialize WordPress service:', error);
       throw error;
     }
   }
 
+  /**
+   * The WordPress site to talk to: the one selected for the current request or
+   * job (the wordpressSite context field), else the default site
+   * @param {string} name - Site name, defaults to the current context's
+   * @returns {object} - The site's configuration (see utils/wordpress-sites.js)
+   * @throws {Error} With statusCode 400 if no site has that name
+   */
+  getSite(name = getContext()?.wordpressSite) {
+    const site = this.sites[name || DEFAULT_SITE];
+    if (!site) {
+      const error = new Error(`Unknown WordPress site: ${name} (configured: ${Object.keys(this.sites).join(', ')})`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return site;
+  }
+
+  /**
+   * REST API URL of the current site
+   * @returns {string|null}
+   */
+  getSiteApiUrl() {
+    const site = this.getSite();
+    return site.name === DEFAULT_SITE ? this.apiUrl : site.apiUrl;
+  }
+
+  /**
+   * API URL, credentials and endpoints of the current site. A site other than
+   * the default loads its credentials from Secret Manager on first use.
+   * @returns {Promise<{site: object, apiUrl: string, authHeader: string}>}
+   */
+  async connect() {
+    const site = this.getSite();
+    if (site.name === DEFAULT_SITE) {
+      return { site, apiUrl: this.apiUrl, authHeader: this.authHeader };
+    }
+
+    if (!this.siteAuthHeaders.has(site.name)) {
+      // A failed load is forgotten so the next call tries again
+      const loading = this.loadAuthHeader(site).catch(error => {
+        this.siteAuthHeaders.delete(site.name);
+        throw error;
+      });
+      this.siteAuthHeaders.set(site.name, loading);
+    }
+
+    return { site, apiUrl: site.apiUrl, authHeader: await this.siteAuthHeaders.get(site.name) };
+  }
+
+  /**
+   * Basic Auth header of a site other than the default
+   * @param {object} site - The site
+   * @returns {Promise<string>}
+   */
+  async loadAuthHeader(site) {
+    if (!site.usernameSecret) {
+      return this.authHeader;
+    }
+
+    const [username, appPassword] = await Promise.all([
+      secretManager.getSecret(site.usernameSecret),
+      secretManager.getSecret(site.passwordSecret)
+    ]);
+    if (!username || !appPassword) {
+      throw new Error(`Missing credentials of WordPress site ${site.name} in Secret Manager`);
+    }
+
+    this.logger.info(`Loaded credentials of WordPress site ${site.name}`);
+    return `Basic ${Buffer.from(`${username}:${appPassword}`).toString('base64')}`;
+  }
+
+  /**
+   * URL of a REST collection (or an item in it) on a connected site
+   * @param {object} connection - From connect()
+   * @param {string} collection - posts, media or users
+   * @param {...(string|number)} path - Path segments below the collection, e.g. a post ID
+   * @returns {string}
+   */
+  endpointUrl(connection, collection, ...path) {
+    return [`${connection.apiUrl}/${connection.site.endpoints[collection]}`, ...path].join('/');
+  }
+
+  /**
+   * Block reference that renders the appraisal report template on the current site
+   * @returns {string}
+   */
+  getTemplateBlockReference() {
+    return `<!-- wp:block {"ref":${this.getSite().templateBlockId}} /-->`;
+  }
+
+  /**
+   * Verify the application password is accepted by the REST API
+   * @returns {Promise<object>} - Health details
+   */
+  async checkHealth() {
+    if (!this.authHeader) throw new Error('WordPress service not initialized');
+
+    const connection = await this.connect();
+    const response = await fetch(this.endpointUrl(connection, 'users', 'me'), {
+      method: 'GET',
+      headers: {
+        'Authorization': connection.authHeader,
+        'Content-Type': 'application/json'
+      },
+      timeout: 10000
+    });
+
+    if (!response.ok) {
+      throw new Error(`WordPress authentication check failed: ${response.status} ${response.statusText}`);
+    }
+
+    const user = await response.json();
+    return { user: user.slug || user.name };
+  }
+
   /**
    * Get a WordPress post by ID
    * @param {string} postId - The WordPress post ID
@@ -51,19 +255,22 @@ class WordPressService {
    */
   async getPost(postId) {
     try {
-      const response = await fetch(`${this.apiUrl}/appraisals/${postId}`, {
-        method: 'GET',
-        headers: {
-          'Authorization': this.authHeader,
-          'Content-Type': 'application/json'
-        }
-      });
+      const connection = await this.connect();
+      return await withRetry('wordpress', `GET appraisals/${postId}`, async () => {
+        const response = await this.fetch(this.endpointUrl(connection, 'posts', postId), {
+          method: 'GET',
+          headers: {
+            'Authorization': connection.authHeader,
+            'Content-Type': 'application/json'
+          }
+        });
 
-      if (!response.ok) {
-        throw new Error(`WordPress API error: ${response.status} ${response.statusText}`);
-      }
+        if (!response.ok) {
+          throw createHttpError(`WordPress API error: ${response.status} ${response.statusText}`, response);
+        }
 
-      return await response.json();
+        return response.json();
+      });
     } catch (error) {
       this.logger.error(`Error getting WordPress post ${postId}:`, error);
       throw error;
@@ -94,27 +301,17 @@ class WordPressService {
   /**
    * Update a WordPress post with appraisal data
    * @param {string} postId - The WordPress post ID
-   * @param {Object} updateData - The data to update
-   * @returns {Promise<Object>} - The updated post data with publicUrl
+   * @param {Object} updateData - title, content and any ACF fields (see utils/acf-schema.js)
+   * @param {Object} options - Additional options
+   * @param {string} options.unmodifiedSince - The post's modified_gmt as read; the write is conditional on it
+   * @returns {Promise<Object>} - The updated post data with publicUrl and version
+   * @throws {Error} With statusCode 400 if an ACF field has an invalid value
    */
-  async updateAppraisalPost(postId, updateData) {
+  async updateAppraisalPost(postId, updateData, options = {}) {
     try {
-      const { 
-        title, 
-        content, 
-        value, 
-        appraisalType, 
-        detailedTitle, 
-        object_type,
-        creator,
-        estimated_age,
-        medium,
-        condition_summary,
-        condition,
-        age_text,
-        pdfLink,
-        docLink
-      } = updateData;
+      const { title, content } = updateData;
+      // Every other field is an ACF field; invalid values are rejected before anything is sent
+      const acfData = ACF_SCHEMA.toAcf(updateData);
       
       // Prepare the update payload
       const payload = {};
@@ -147,73 +344,190 @@ class WordPressService {
         }
       }
 
-      // Prepare ACF fields update if any ACF fields are provided
-      const acfData = {};
-      
-      // Only add ACF fields if they're provided
-      if (value !== undefined) acfData.value = value ? Number(value) : null;
-      if (appraisalType) acfData.appraisaltype = appraisalType || 'Regular';
-      if (detailedTitle) acfData.detailedtitle = detailedTitle;
-      if (object_type) acfData.object_type = object_type;
-      if (creator) acfData.creator = creator;
-      if (estimated_age) acfData.estimated_age = estimated_age;
-      if (age_text) acfData.age_text = age_text;
-      if (medium) acfData.medium = medium;
-      if (condition_summary) acfData.condition_summary = condition_summary;
-      if (condition) acfData.condition = condition;
-      
-      // Map PDF and HTML links to their respective ACF fields if provided
-      if (pdfLink) acfData.pdflink = pdfLink;
-      if (docLink) acfData.doclink = docLink;
-      
       // Only add the acf field to payload if we have ACF data
       if (Object.keys(acfData).length > 0) {
         payload.acf = acfData;
       }
       
-      // Check for potential issues with detailedTitle
-      if (detailedTitle) {
-        if (detailedTitle.length > 100000) {
-          this.logger.warn(`detailedTitle is extremely long (${detailedTitle.length} chars) - may exceed WordPress limits`);
-        }
-        if (detailedTitle.includes('\u0000')) {
-          this.logger.warn(`detailedTitle contains null bytes which could cause saving issues`);
-        }
-      }
-      
-      const requestBody = JSON.stringify(payload);
-      
       this.logger.info(`Updating WordPress post ${postId}`);
+      return await this.savePost(postId, payload, options);
+    } catch (error) {
+      this.logger.error(`Error updating WordPress post ${postId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an appraisal post based on its current state without overwriting
+   * edits made to it since the pipeline last wrote it (e.g. by an appraiser in
+   * wp-admin between two steps)
+   *
+   * The post is read and, when an expected version is given (the version an
+   * earlier step's write returned, kept in its checkpoint), compared with it;
+   * any difference aborts the update. The update is then built from the post
+   * and sent conditional on its modified timestamp (If-Unmodified-Since), so
+   * a WordPress site that honours the header rejects an edit made in between.
+   * WordPress core ignores it, which leaves the time between the read and the
+   * write unguarded there.
+   * @param {string} postId - The WordPress post ID
+   * @param {Function} buildUpdate - Given the post, returns the data for updateAppraisalPost, or null to leave it alone
+   * @param {Object} options - Additional options
+   * @param {Object} options.expectedVersion - Version (see utils/post-version.js) the post must still be at
+   * @returns {Promise<Object>} - The updated post (or the current one, if nothing was written) with publicUrl and version
+   * @throws {Error} With code WORDPRESS_CONFLICT and statusCode 409 if the post was edited
+   */
+  async modifyAppraisalPost(postId, buildUpdate, options = {}) {
+    const { expectedVersion = null } = options;
+    const post = await this.getPost(postId);
 
-      // Update the post
-      const response = await fetch(`${this.apiUrl}/appraisals/${postId}`, {
+    if (expectedVersion && !isCurrentVersion(expectedVersion, post)) {
+      const changes = changedFields(expectedVersion, post);
+      this.logger.warn(`WordPress post ${postId} was edited since ${expectedVersion.modified || 'it was last written'}: ${formatDiff(changes)}`);
+      throw createConflictError(postId, changes);
+    }
+
+    const updateData = await buildUpdate(post);
+    if (!updateData) {
+      return { ...post, publicUrl: post.link, version: postVersion(post) };
+    }
+    return this.updateAppraisalPost(postId, updateData, { unmodifiedSince: post.modified_gmt || null });
+  }
+
+  /**
+   * Send a REST update of an appraisal post
+   * @param {string} postId - The WordPress post ID
+   * @param {Object} payload - Post fields as the REST API names them (title, content, acf, ...)
+   * @param {Object} options - Additional options
+   * @param {string} options.unmodifiedSince - The post's modified_gmt as read; sent as If-Unmodified-Since
+   * @returns {Promise<Object>} - The updated post data with publicUrl and version
+   * @throws {Error} With code WORDPRESS_CONFLICT if the site rejects the precondition (412)
+   */
+  async savePost(postId, payload, options = {}) {
+    const { unmodifiedSince = null } = options;
+    const requestBody = JSON.stringify(payload);
+    const connection = await this.connect();
+
+    // The payload is absolute, so repeating it after a transient failure is safe
+    const updatedPost = await withRetry('wordpress', `POST appraisals/${postId}`, async attempt => {
+      const headers = {
+        'Authorization': connection.authHeader,
+        'Content-Type': 'application/json'
+      };
+      // Only on the first attempt: a retry may follow a write that landed,
+      // which the precondition would then report as a conflict
+      const since = unmodifiedSince ? Date.parse(/Z$/.test(unmodifiedSince) ? unmodifiedSince : `${unmodifiedSince}Z`) : NaN;
+      if (attempt === 1 && !Number.isNaN(since)) {
+        headers['If-Unmodified-Since'] = new Date(since).toUTCString();
+      }
+
+      const response = await this.fetch(this.endpointUrl(connection, 'posts', postId), {
         method: 'POST',
-        headers: {
-          'Authorization': this.authHeader,
-          'Content-Type': 'application/json'
-        },
+        headers,
         body: requestBody
       });
 
+      if (response.status === 412) {
+        this.logger.warn(`WordPress post ${postId} was edited after it was read; the update was rejected`);
+        throw createConflictError(postId, []);
+      }
+
       if (!response.ok) {
         const errorText = await response.text();
         this.logger.error(`WordPress API Error Details for post ${postId}:`);
         this.logger.error(`Status: ${response.status} ${response.statusText}`);
         this.logger.error(`Response: ${errorText}`);
-        throw new Error(`WordPress API error: ${response.status} ${response.statusText} - ${errorText}`);
+        throw createHttpError(`WordPress API error: ${response.status} ${response.statusText} - ${errorText}`, response);
       }
 
-      const updatedPost = await response.json();
-      
-      // Get public URL
-      const publicUrl = updatedPost.link;
-      
-      return {
-        ...updatedPost,
-        publicUrl
-      };
+      return response.json();
+    });
+
+    return {
+      ...updatedPost,
+      publicUrl: updatedPost.link,
+      version: postVersion(updatedPost)
+    };
+  }
+
+  /**
+   * Set the title of an appraisal post and its detailed title (the detailedtitle ACF field)
+   * @param {string} postId - The WordPress post ID
+   * @param {Object} titles - The titles
+   * @param {string} titles.title - Post title (the brief title), required
+   * @param {string} titles.detailedTitle - Detailed title, left unchanged when omitted
+   * @returns {Promise<Object>} - The updated post data with publicUrl
+   * @throws {Error} With statusCode 400 if a title is missing, too long or contains control characters
+   */
+  async updatePostTitles(postId, titles = {}) {
+    const title = validateTitle('title', titles.title, { maxLength: MAX_TITLE_LENGTH, required: true, singleLine: true });
+    const detailedTitle = validateTitle('detailedTitle', titles.detailedTitle, { maxLength: MAX_DETAILED_TITLE_LENGTH, required: false, singleLine: false });
+
+    this.logger.info(`Updating titles of post ${postId}`);
+    return this.updateAppraisalPost(postId, detailedTitle ? { title, detailedTitle } : { title });
+  }
+
+  /**
+   * Base URL of the appraisals backend: the current site's appraisalsBackendUrl,
+   * else APPRAISALS_BACKEND_URL
+   * @returns {string}
+   */
+  getAppraisalsBackendUrl() {
+    const url = this.getSite().appraisalsBackendUrl || process.env.APPRAISALS_BACKEND_URL;
+    return url && url.trim() ? url.trim().replace(/\/$/, '') : DEFAULT_APPRAISALS_BACKEND_URL;
+  }
+
+  /**
+   * Have the appraisals backend complete the report on an appraisal post
+   * (visualizations, statistics and the other generated sections). The backend
+   * writes to WordPress with this service's credentials.
+   * @param {string} postId - The WordPress post ID
+   * @param {Object} options - Additional options
+   * @param {AbortSignal} options.signal - Aborts the request when the job is cancelled
+   * @returns {Promise<{success: boolean}>}
+   * @throws {Error} With code DOWNSTREAM_UNAVAILABLE while the backend's breaker is open,
+   *   JOB_CANCELLED if the signal aborts
+   */
+  async completeAppraisalReport(postId, options = {}) {
+    const { signal = null } = options;
+    const connection = await this.connect();
+    if (!connection.site.appraisalsBackendUrl && !process.env.APPRAISALS_BACKEND_URL) {
+      this.logger.warn('APPRAISALS_BACKEND_URL runtime variable not found, using fallback URL');
+    }
+    const backendUrl = this.getAppraisalsBackendUrl();
+
+    this.logger.info(`Completing appraisal report for post ${postId}`);
+
+    try {
+      // Fails fast while the backend is known to be down. Generating a report is not
+      // idempotent, so only a failure to connect is retried; each attempt has its own
+      // timeout, and cancelling the job aborts the request as well
+      await getCircuitBreaker('appraisalsBackend').execute(() => withRetry('appraisalsBackend', `complete-appraisal-report ${postId}`, () =>
+        withTimeout(REPORT_TIMEOUT_MS, signal, async attemptSignal => {
+          const response = await this.backendFetch(`${backendUrl}/complete-appraisal-report`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'Authorization': connection.authHeader
+            },
+            body: JSON.stringify({ postId: postId }),
+            signal: attemptSignal
+          });
+
+          if (!response.ok) {
+            const errorText = await response.text();
+            throw createHttpError(`Report generation failed: ${response.status} ${response.statusText} - ${errorText}`, response);
+          }
+        }), { signal }), { signal });
+
+      this.logger.debug(`Completed report for post ${postId}`);
+      return { success: true };
     } catch (error) {
-      this.logger.error(`Error updating WordPress post ${postId}:`, error);
+      if (signal && signal.aborted) {
+        throw createCancelledError(`Report generation for post ${postId} was cancelled`);
+      }
+      if (error.name === 'AbortError') {
+        throw new Error(`Report generation for post ${postId} timed out after ${REPORT_TIMEOUT_MS / 60000} minutes`);
+      }
       throw error;
     }
   }
@@ -225,24 +539,26 @@ class WordPressService {
    */
   async getMedia(mediaId) {
     try {
-      // Use the correct WordPress REST API endpoint for media
-      const mediaUrl = `https://resources.appraisily.com/wp-json/wp/v2/media/${mediaId}`;
+      const connection = await this.connect();
+      const mediaUrl = this.endpointUrl(connection, 'media', mediaId);
       
       this.logger.info(`Fetching media data for ID ${mediaId} from ${mediaUrl}`);
       
-      const response = await fetch(mediaUrl, {
-        method: 'GET',
-        headers: {
-          'Authorization': this.authHeader,
-          'Content-Type': 'application/json'
-        }
-      });
+      return await withRetry('wordpress', `GET media/${mediaId}`, async () => {
+        const response = await this.fetch(mediaUrl, {
+          method: 'GET',
+          headers: {
+            'Authorization': connection.authHeader,
+            'Content-Type': 'application/json'
+          }
+        });
 
-      if (!response.ok) {
-        throw new Error(`WordPress API error: ${response.status} ${response.statusText}`);
-      }
+        if (!response.ok) {
+          throw createHttpError(`WordPress API error: ${response.status} ${response.statusText}`, response);
+        }
 
-      return await response.json();
+        return response.json();
+      });
     } catch (error) {
       this.logger.error(`Error getting media with ID ${mediaId}:`, error);
       throw error;
@@ -280,6 +596,180 @@ class WordPressService {
       return null;
     }
   }
+
+  /**
+   * Find a media attachment of a post uploaded earlier with the same content.
+   * The post's own attachments are looked through first, then unattached media,
+   * where an upload whose response was lost may sit; an attachment of another
+   * appraisal is never moved or relabelled. Makes a single request per page;
+   * callers retry it as part of their own operation.
+   * @param {string} hash - SHA-256 of the file content (hex)
+   * @param {string|null} postId - Post the attachment belongs to (null for unattached media)
+   * @returns {Promise<Object|null>} - The media data, or null if there is none
+   */
+  async findMediaByHash(hash, postId = null) {
+    const parents = postId ? [Number(postId), 0] : [0];
+
+    for (const parent of parents) {
+      let totalPages = 1;
+      for (let page = 1; page <= totalPages; page++) {
+        const { results, pages } = await this.listMedia({ parent, per_page: MEDIA_LOOKUP_PAGE_SIZE, page });
+        const match = findMediaMatch(results, hash);
+        if (match) return match;
+        totalPages = pages;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * List one page of the media library
+   * @param {Object} query - REST API query parameters
+   * @returns {Promise<Object>} - { results, pages }, pages being the number of pages of the listing
+   */
+  async listMedia(query) {
+    const connection = await this.connect();
+    const response = await this.fetch(`${this.endpointUrl(connection, 'media')}?${new URLSearchParams(query)}`, {
+      method: 'GET',
+      headers: {
+        'Authorization': connection.authHeader,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    if (!response.ok) {
+      throw createHttpError(`WordPress API error: ${response.status} ${response.statusText}`, response);
+    }
+
+    return {
+      results: (await response.json()) || [],
+      pages: Number(response.headers.get('X-WP-TotalPages')) || 1
+    };
+  }
+
+  /**
+   * Upload a file to the media library and attach it to an appraisal post. A file
+   * whose content was uploaded to the same post before is not uploaded again:
+   * the existing attachment is reused and its metadata updated. The same
+   * content for another post is uploaded as a separate attachment.
+   * @param {Object} file - The file
+   * @param {Buffer} file.data - File content
+   * @param {string} file.filename - File name, e.g. "chart.png"
+   * @param {string} file.mimeType - MIME type, e.g. "image/png" or "application/pdf"
+   * @param {Object} options - Attachment metadata
+   * @param {string} options.postId - Appraisal post the attachment belongs to
+   * @param {string} options.title - Attachment title
+   * @param {string} options.altText - Alt text
+   * @param {string} options.caption - Caption
+   * @param {string} options.acfField - ACF field of the post to store the attachment ID in
+   * @returns {Promise<Object>} - { id, sourceUrl, hash, reused }, reused meaning the content
+   *   was already attached to the post
+   * @throws {Error} With statusCode 400 if the file is empty or has no name or type
+   */
+  async uploadMedia(file, options = {}) {
+    const { data, filename, mimeType } = file || {};
+    const { postId = null, title = null, altText = null, caption = null, acfField = null } = options;
+
+    if (!Buffer.isBuffer(data) || data.length === 0 || !filename || !mimeType) {
+      const error = new Error('Invalid media file: data (a non-empty Buffer), filename and mimeType are required');
+      error.statusCode = 400;
+      throw error;
+    }
+    if (acfField && !postId) {
+      const error = new Error('Invalid media options: acfField needs a postId');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const hash = crypto.createHash('sha256').update(data).digest('hex');
+    const { name, ext } = path.parse(filename);
+    const storedName = `${name.replace(/[^\w.-]+/g, '-')}-${hash.slice(0, MEDIA_HASH_TAG_LENGTH)}${ext}`;
+
+    try {
+      // Set once this call has sent the file, so an attachment found by a later
+      // attempt counts as uploaded rather than reused
+      let uploaded = false;
+      const connection = await this.connect();
+      // The upload is attached to the post as it is created, and each attempt looks
+      // the hash up first, so retrying after an upload that reached WordPress does
+      // not leave a duplicate behind
+      let media = await withRetry('wordpress', `POST media ${storedName}`, async () => {
+        const existing = await this.findMediaByHash(hash, postId);
+        if (existing) return existing;
+
+        uploaded = true;
+        const uploadUrl = this.endpointUrl(connection, 'media') + (postId ? `?post=${Number(postId)}` : '');
+        const response = await this.fetch(uploadUrl, {
+          method: 'POST',
+          headers: {
+            'Authorization': connection.authHeader,
+            'Content-Type': mimeType,
+            'Content-Disposition': `attachment; filename="${storedName}"`
+          },
+          body: data
+        });
+
+        if (!response.ok) {
+          const errorText = await response.text();
+          throw createHttpError(`WordPress media upload failed: ${response.status} ${response.statusText} - ${errorText}`, response);
+        }
+
+        return response.json();
+      });
+
+      const reused = !uploaded;
+      this.logger.info(reused
+        ? `Reusing media ${media.id} for ${filename} (same content)`
+        : `Uploaded ${filename} as media ${media.id}`);
+
+      const metadata = { meta: { [MEDIA_HASH_META_KEY]: hash } };
+      if (postId) metadata.post = Number(postId);
+      if (title) metadata.title = title;
+      if (altText) metadata.alt_text = altText;
+      if (caption) metadata.caption = caption;
+
+      media = await this.updateMedia(media.id, metadata);
+      if (acfField) {
+        await this.savePost(postId, { acf: { [acfField]: media.id } });
+        this.logger.info(`Set ${acfField} of post ${postId} to media ${media.id}`);
+      }
+
+      return { id: media.id, sourceUrl: media.source_url, hash, reused };
+    } catch (error) {
+      this.logger.error(`Error uploading ${filename} to the media library:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the metadata of a media attachment
+   * @param {string|number} mediaId - The WordPress media ID
+   * @param {Object} metadata - Fields as the REST API names them (post, title, alt_text, caption, meta)
+   * @returns {Promise<Object>} - The updated media data
+   */
+  async updateMedia(mediaId, metadata) {
+    const requestBody = JSON.stringify(metadata);
+    const connection = await this.connect();
+
+    return withRetry('wordpress', `POST media/${mediaId}`, async () => {
+      const response = await this.fetch(this.endpointUrl(connection, 'media', mediaId), {
+        method: 'POST',
+        headers: {
+          'Authorization': connection.authHeader,
+          'Content-Type': 'application/json'
+        },
+        body: requestBody
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw createHttpError(`WordPress API error: ${response.status} ${response.statusText} - ${errorText}`, response);
+      }
+
+      return response.json();
+    });
+  }
 }
 
 module.exports = WordPressService;
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * Helpers for cancelling in-flight work with AbortSignals
+ */
+
+const CANCELLED_CODE = 'JOB_CANCELLED';
+
+/**
+ * Create the error thrown when a job is cancelled
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code JOB_CANCELLED
+ */
+function createCancelledError(message = 'Job was cancelled') {
+  const error = new Error(message);
+  error.code = CANCELLED_CODE;
+  return error;
+}
+
+/**
+ * Check whether an error was caused by a cancellation
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+function isCancelledError(error) {
+  return !!error && error.code === CANCELLED_CODE;
+}
+
+/**
+ * Throw a cancellation error if the signal has been aborted
+ * @param {AbortSignal} [signal] - Signal to check
+ * @throws {Error} With code JOB_CANCELLED
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw createCancelledError();
+  }
+}
+
+/**
+ * Abort a local controller (e.g. one that also enforces a timeout) when an outer signal aborts
+ * @param {AbortSignal} [signal] - Outer signal, e.g. from the job's AbortController
+ * @param {AbortController} controller - Local controller passed to fetch
+ * @returns {Function} - Removes the listener; call it once the request settles
+ */
+function linkAbortSignal(signal, controller) {
+  if (!signal) {
+    return () => {};
+  }
+
+  if (signal.aborted) {
+    controller.abort();
+    return () => {};
+  }
+
+  const onAbort = () => controller.abort();
+  signal.addEventListener('abort', onAbort, { once: true });
+  return () => signal.removeEventListener('abort', onAbort);
+}
+
+/**
+ * Run a request with its own timeout that is also aborted when an outer signal
+ * aborts. Each attempt of a retried call gets a fresh timeout this way.
+ * @param {number} timeoutMs - Timeout for this request
+ * @param {AbortSignal} [signal] - Outer signal, e.g. from the job's AbortController
+ * @param {Function} fn - Receives the signal to pass to fetch
+ * @returns {Promise<any>} - Whatever fn resolves with
+ */
+async function withTimeout(timeoutMs, signal, fn) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  const unlinkSignal = linkAbortSignal(signal, controller);
+
+  try {
+    return await fn(controller.signal);
+  } finally {
+    clearTimeout(timeout);
+    unlinkSignal();
+  }
+}
+
+module.exports = {
+  createCancelledError,
+  isCancelledError,
+  throwIfAborted,
+  linkAbortSignal,
+  withTimeout
+};
@@ -0,0 +1,194 @@
+/**
+ * ACF (Advanced Custom Fields) fields of appraisal posts
+ */
+
+// Control characters other than tab and newlines, which WordPress fails to save
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/;
+
+/**
+ * Appraisal data written to ACF fields, keyed by the name callers use (e.g. in
+ * WordPressService.updateAppraisalPost). Each field declares:
+ * - acf: the ACF field name on the post
+ * - type: number, string (one line), text (multi-line) or url
+ * - maxLength / min: limits for strings and numbers
+ * - emptyAsNull: an empty value clears the field instead of being skipped
+ * - extract: for attributes the AI reads from the merged description, what to
+ *   put in the field (used in the extraction prompt)
+ */
+const DEFAULT_ACF_FIELDS = {
+  value: { acf: 'value', type: 'number', min: 0, emptyAsNull: true },
+  appraisalType: { acf: 'appraisaltype', type: 'string', maxLength: 50 },
+  detailedTitle: { acf: 'detailedtitle', type: 'text', maxLength: 100000 },
+  object_type: {
+    acf: 'object_type',
+    type: 'string',
+    maxLength: 100,
+    extract: 'What the object is, e.g. "Oil painting", "Porcelain vase", "Pocket watch"'
+  },
+  creator: {
+    acf: 'creator',
+    type: 'string',
+    maxLength: 200,
+    extract: 'Artist, maker or manufacturer, with attribution wording such as "Attributed to" or "Follower of" when the description uses it'
+  },
+  estimated_age: {
+    acf: 'estimated_age',
+    type: 'string',
+    maxLength: 100,
+    extract: 'Period or date range, e.g. "Late 19th century" or "circa 1920-1930"'
+  },
+  age_text: {
+    acf: 'age_text',
+    type: 'text',
+    maxLength: 2000,
+    extract: 'One or two sentences on what the estimated age is based on'
+  },
+  medium: {
+    acf: 'medium',
+    type: 'string',
+    maxLength: 200,
+    extract: 'Materials and technique, e.g. "Oil on canvas" or "Sterling silver with enamel"'
+  },
+  condition: {
+    acf: 'condition',
+    type: 'string',
+    maxLength: 100,
+    extract: 'Overall condition in a few words, e.g. "Very good" or "Fair, with restorations"'
+  },
+  condition_summary: {
+    acf: 'condition_summary',
+    type: 'text',
+    maxLength: 2000,
+    extract: 'A short paragraph on wear, damage and restorations'
+  },
+  pdfLink: { acf: 'pdflink', type: 'url' },
+  docLink: { acf: 'doclink', type: 'url' }
+};
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Check and convert one value
+ * @param {object} definition - The field's definition
+ * @param {any} value - A value that is not blank
+ * @returns {{value: any}|{error: string}} - The value to send, or what is wrong with it
+ */
+function convert(definition, value) {
+  switch (definition.type) {
+    case 'number': {
+      // Sheet values may carry currency formatting, e.g. "$1,500"
+      const number = typeof value === 'number' ? value : Number(String(value).replace(/[$,\s]/g, ''));
+      if (!Number.isFinite(number)) return { error: `expected a number, got "${value}"` };
+      if (definition.min !== undefined && number < definition.min) return { error: `it is below ${definition.min}` };
+      return { value: number };
+    }
+    case 'url': {
+      let url = null;
+      try {
+        url = new URL(String(value).trim());
+      } catch (error) {
+        // Reported below
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) return { error: 'expected an http(s) URL' };
+      return { value: url.toString() };
+    }
+    case 'string':
+    case 'text': {
+      if (typeof value !== 'string' && typeof value !== 'number') return { error: `expected a string, got ${typeof value}` };
+      const text = String(value);
+      if (CONTROL_CHARACTERS.test(text)) return { error: 'it contains control characters' };
+      const cleaned = definition.type === 'string' ? text.replace(/\s+/g, ' ').trim() : text.trim();
+      if (definition.maxLength && cleaned.length > definition.maxLength) {
+        return { error: `it is ${cleaned.length} characters long, the limit is ${definition.maxLength}` };
+      }
+      return { value: cleaned };
+    }
+    default:
+      return { error: `unknown field type ${definition.type}` };
+  }
+}
+
+/**
+ * Maps appraisal data to ACF fields, checking each value against its type
+ */
+class AcfSchema {
+  /**
+   * @param {object} fields - Field definitions keyed by name (see DEFAULT_ACF_FIELDS)
+   */
+  constructor(fields = DEFAULT_ACF_FIELDS) {
+    this.fields = fields;
+  }
+
+  /**
+   * Check and convert the schema fields present in some data. Blank values are
+   * skipped (or cleared, for emptyAsNull fields); keys that are not schema
+   * fields are ignored.
+   * @param {object} data - Values keyed by field name
+   * @returns {{acf: object, values: object, errors: object}} - Values keyed by ACF field name,
+   *   the same converted values keyed by field name, and a message per invalid field
+   */
+  validate(data) {
+    const acf = {};
+    const values = {};
+    const errors = {};
+
+    for (const [name, definition] of Object.entries(this.fields)) {
+      if (!data || data[name] === undefined) continue;
+
+      const value = data[name];
+      if (isBlank(value) || (definition.emptyAsNull && !value)) {
+        if (definition.emptyAsNull) {
+          acf[definition.acf] = null;
+          values[name] = null;
+        }
+        continue;
+      }
+
+      const converted = convert(definition, value);
+      if (converted.error) {
+        errors[name] = converted.error;
+        continue;
+      }
+      values[name] = converted.value;
+      acf[definition.acf] = converted.value;
+    }
+
+    return { acf, values, errors };
+  }
+
+  /**
+   * ACF payload for some data
+   * @param {object} data - Values keyed by field name
+   * @returns {object} - Values keyed by ACF field name
+   * @throws {Error} With statusCode 400 (and a message per field in fields) if any value is invalid
+   */
+  toAcf(data) {
+    const { acf, errors } = this.validate(data);
+
+    if (Object.keys(errors).length > 0) {
+      const error = new Error(`Invalid ACF fields: ${Object.entries(errors).map(([name, message]) => `${name}: ${message}`).join('; ')}`);
+      error.statusCode = 400;
+      error.fields = errors;
+      throw error;
+    }
+    return acf;
+  }
+
+  /**
+   * Fields the AI extracts from the merged description
+   * @returns {object[]} - { name, type, maxLength, extract } per field
+   */
+  extractableFields() {
+    return Object.entries(this.fields)
+      .filter(([, definition]) => definition.extract)
+      .map(([name, { type, maxLength, extract }]) => ({ name, type, maxLength, extract }));
+  }
+}
+
+module.exports = {
+  CONTROL_CHARACTERS,
+  DEFAULT_ACF_FIELDS,
+  AcfSchema
+};
@@ -3,6 +3,20 @@
  */
 const { createLogger } = require('./logger');
 
+// How long the identifier index is trusted before it is rebuilt
+const DEFAULT_INDEX_TTL_MS = 60000;
+
+// Request fields that identify an appraisal, in the order they are checked
+const IDENTIFIER_TYPES = ['id', 'sessionId', 'postId', 'email'];
+
+function postIdFromUrl(wpUrl) {
+  try {
+    return new URL(wpUrl).searchParams.get('post');
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * AppraisalFinder - A utility class to locate and retrieve appraisal data
  * regardless of whether it's in the pending or completed sheets
@@ -12,61 +26,184 @@ class AppraisalFinder {
     this.logger = createLogger('AppraisalFinder');
     this.sheetsService = sheetsService;
     this.appraisalLocationCache = new Map(); // Cache to remember which sheet an appraisal is in
+    this.indexTtlMs = parseInt(process.env.APPRAISAL_INDEX_TTL_MS, 10) || DEFAULT_INDEX_TTL_MS;
+    this.index = null;
+    this.indexLoadedAt = 0;
+    this.indexLoading = null;
   }
 
   /**
-   * Find appraisal data in either pending or completed sheet
-   * @param {string|number} id - Appraisal ID
-   * @param {string} range - Cell range to fetch (e.g., "A1:G1" or "J1")
-   * @returns {Promise<{data: any[][], usingCompletedSheet: boolean}>} The data and which sheet it was found in
-   * @throws {Error} If the appraisal cannot be found in either sheet
+   * Pick the appraisal identifier out of a request body or queue message
+   * @param {object} source - Object with one of: id (sheet row), sessionId, postId (WordPress post), email (customer email)
+   * @returns {{type: string, value: string}|null} - The identifier, or null if there is none
    */
-  async findAppraisalData(id, range) {
-    this.logger.debug(`Searching for appraisal ${id} in range ${range}`);
-    
-    // Check cache first
-    const cacheKey = `appraisal-${id}`;
-    if (this.appraisalLocationCache.has(cacheKey)) {
-      const usingCompletedSheet = this.appraisalLocationCache.get(cacheKey);
-      
-      try {
-        const data = await this.sheetsService.getValues(`${range.replace(/\d+/g, id)}`, usingCompletedSheet);
-        if (data && data[0]) {
-          return { data, usingCompletedSheet };
-        }
-        // If we get here, the cache is stale
-        this.logger.debug(`Refreshing stale cache for appraisal ${id}`);
-        this.appraisalLocationCache.delete(cacheKey);
-      } catch (error) {
-        this.logger.error(`Error fetching from cached location`, error);
-        this.appraisalLocationCache.delete(cacheKey);
+  static parseIdentifier(source) {
+    const type = IDENTIFIER_TYPES.find(key => source && source[key] !== undefined && source[key] !== null && source[key] !== '');
+    return type ? { type, value: String(source[type]).trim() } : null;
+  }
+
+  /**
+   * Resolve an appraisal from any identifier to its row and sheet. Session IDs,
+   * emails and post IDs go through an index of both sheets, so they keep working
+   * when rows are moved or reordered; a row ID (id) is checked directly.
+   * Like appraisalExists, the Pending sheet wins when an appraisal is in both.
+   * @param {{type: string, value: string}} identifier - From AppraisalFinder.parseIdentifier()
+   * @returns {Promise<{id: string, usingCompletedSheet: boolean, sessionId: string|null}>}
+   * @throws {Error} With statusCode 400 for an unknown identifier type or an email that
+   *   matches more than one appraisal, 404 if nothing matches
+   */
+  async resolve(identifier) {
+    if (!identifier || !IDENTIFIER_TYPES.includes(identifier.type)) {
+      const error = new Error(`An appraisal identifier is required: one of ${IDENTIFIER_TYPES.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const { type, value } = identifier;
+    if (type === 'id') {
+      const { exists, usingCompletedSheet } = await this.appraisalExists(value);
+      if (!exists) {
+        throw this.notFound(identifier);
       }
+      return { id: value, usingCompletedSheet, sessionId: null };
     }
-    
-    // First try to get data from pending sheet
-    let data = await this.sheetsService.getValues(`${range.replace(/\d+/g, id)}`);
-    let usingCompletedSheet = false;
-    
-    // If data not found in pending sheet, check completed sheet
-    if (!data || !data[0]) {
-      try {
-        data = await this.sheetsService.getValues(`${range.replace(/\d+/g, id)}`, true); // true = check completed sheet
-        if (data && data[0]) {
-          usingCompletedSheet = true;
-          this.appraisalLocationCache.set(cacheKey, true); // Cache the location
-        }
-      } catch (error) {
-        this.logger.error(`Error checking completed sheet`, error);
-        // Continue execution even if completed sheet check fails
+
+    // A stale index can point at a row that now holds another appraisal, so a hit is
+    // checked against the sheet and the index rebuilt once if it no longer matches
+    let matches = this.lookup(await this.loadIndex(), identifier);
+    if (matches.length === 0 || !(await this.stillMatches(matches))) {
+      matches = this.lookup(await this.loadIndex(true), identifier);
+    }
+
+    if (matches.length === 0) {
+      throw this.notFound(identifier);
+    }
+    if (matches.length > 1) {
+      const error = new Error(`${type} ${value} matches ${matches.length} appraisals (session IDs ${matches.map(match => match.sessionId).join(', ')}); use the session ID instead`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const [{ row, usingCompletedSheet, sessionId }] = matches;
+    this.appraisalLocationCache.set(`appraisal-${row}`, usingCompletedSheet);
+    this.logger.debug(`Resolved ${type} ${value} to row ${row} of the ${usingCompletedSheet ? 'Completed' : 'Pending'} sheet`);
+    return { id: String(row), usingCompletedSheet, sessionId };
+  }
+
+  notFound({ type, value }) {
+    const error = new Error(`No appraisal found for ${type} ${value} in either Pending or Completed sheets`);
+    error.statusCode = 404;
+    return error;
+  }
+
+  /**
+   * Appraisals matching an identifier, one per session ID (in its preferred sheet)
+   * @param {Map} index - From loadIndex()
+   * @param {{type: string, value: string}} identifier - The identifier
+   * @returns {object[]} - { row, usingCompletedSheet, sessionId } per appraisal
+   */
+  lookup(index, { type, value }) {
+    const key = type === 'email' ? value.toLowerCase() : value;
+    const entries = index[type].get(key) || [];
+    const bySession = new Map();
+
+    for (const entry of entries) {
+      const current = bySession.get(entry.sessionId);
+      if (!current || (current.usingCompletedSheet && !entry.usingCompletedSheet)) {
+        bySession.set(entry.sessionId, entry);
       }
-    } else {
-      this.appraisalLocationCache.set(cacheKey, false); // Cache the location
     }
+    return [...bySession.values()];
+  }
+
+  async stillMatches(matches) {
+    for (const { row, usingCompletedSheet, sessionId } of matches) {
+      const current = await this.sheetsService.getFields(row, ['sessionId'], usingCompletedSheet);
+      if (String(current.sessionId) !== sessionId) {
+        this.logger.info(`Appraisal index is stale (row ${row} now holds ${current.sessionId}), rebuilding`);
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Index both sheets by session ID, customer email and WordPress post ID. The
+   * columns are read in one batch request; the index is kept for
+   * APPRAISAL_INDEX_TTL_MS (default 60s) and concurrent loads share one read.
+   * @param {boolean} refresh - Rebuild even if the index is still fresh
+   * @returns {Promise<{sessionId: Map, email: Map, postId: Map}>} - Rows ({ row, usingCompletedSheet, sessionId }) per key
+   */
+  loadIndex(refresh = false) {
+    if (this.index && !refresh && Date.now() - this.indexLoadedAt < this.indexTtlMs) {
+      return Promise.resolve(this.index);
+    }
+    if (!this.indexLoading) {
+      this.indexLoading = this.buildIndex()
+        .then(index => {
+          this.index = index;
+          this.indexLoadedAt = Date.now();
+          return index;
+        })
+        .finally(() => {
+          this.indexLoading = null;
+        });
+    }
+    return this.indexLoading;
+  }
+
+  async buildIndex() {
+    const fields = ['sessionId', 'customerEmail', 'wordpressUrl'];
+    const sheets = [false, true];
+    const requests = sheets.flatMap(usingCompletedSheet => {
+      const schema = this.sheetsService.getSchema(usingCompletedSheet);
+      return fields.map(field => ({ range: `${schema.column(field)}:${schema.column(field)}`, useCompletedSheet: usingCompletedSheet }));
+    });
+    const columns = await this.sheetsService.batchGetValues(requests);
+
+    const index = { sessionId: new Map(), email: new Map(), postId: new Map() };
+    const add = (map, key, entry) => {
+      if (key === null || key === undefined || key === '') return;
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(entry);
+    };
+
+    sheets.forEach((usingCompletedSheet, sheetIndex) => {
+      const [sessionIds, emails, urls] = columns.slice(sheetIndex * fields.length, (sheetIndex + 1) * fields.length)
+        .map(column => column.map(cells => cells[0]));
+
+      // Rows up to the header row hold no appraisals
+      for (let i = this.sheetsService.headerRow; i < sessionIds.length; i++) {
+        const sessionId = sessionIds[i];
+        if (sessionId === undefined || sessionId === '') continue;
+
+        const entry = { row: i + 1, usingCompletedSheet, sessionId: String(sessionId) };
+        add(index.sessionId, String(sessionId), entry);
+        add(index.email, emails[i] ? String(emails[i]).trim().toLowerCase() : null, entry);
+        add(index.postId, urls[i] ? postIdFromUrl(String(urls[i])) : null, entry);
+      }
+    });
+
+    this.logger.info(`Indexed ${index.sessionId.size} appraisals by session ID, email and post ID`);
+    return index;
+  }
+
+  /**
+   * Read named fields of an appraisal from whichever sheet it is in
+   * @param {string|number} id - Appraisal ID
+   * @param {string[]} fields - Field names from the sheet schema (e.g. ["appraisalType"])
+   * @returns {Promise<{data: Object, usingCompletedSheet: boolean}>} Values keyed by field and which sheet they were found in
+   * @throws {Error} If the appraisal cannot be found in either sheet
+   */
+  async findAppraisalFields(id, fields) {
+    this.logger.debug(`Searching for appraisal ${id} fields ${fields.join(', ')}`);
     
-    if (!data || !data[0]) {
-      throw new Error(`No data found for appraisal ${id} in range ${range} in either sheet`);
+    const { exists, usingCompletedSheet } = await this.appraisalExists(id);
+    if (!exists) {
+      throw new Error(`No data found for appraisal ${id} in either sheet`);
     }
     
+    const data = await this.sheetsService.getFields(id, fields, usingCompletedSheet);
     return { data, usingCompletedSheet };
   }
   
@@ -82,24 +219,26 @@ class AppraisalFinder {
       if (this.appraisalLocationCache.has(cacheKey)) {
         const usingCompletedSheet = this.appraisalLocationCache.get(cacheKey);
         // Verify the cached location is still valid
-        const data = await this.sheetsService.getValues(`A${id}`, usingCompletedSheet);
-        if (data && data[0]) {
+        if (await this.rowExists(id, usingCompletedSheet)) {
           return { exists: true, usingCompletedSheet };
         }
         // If we get here, the cache is stale
         this.appraisalLocationCache.delete(cacheKey);
       }
       
-      // Check if row exists in pending sheet first
-      let data = await this.sheetsService.getValues(`A${id}`);
-      if (data && data[0]) {
+      // Check both sheets in one request; the pending sheet wins if the row is in both
+      const [pending, completed] = await this.sheetsService.batchGetValues([
+        { range: this.sheetsService.getSchema(false).range('sessionId', id), useCompletedSheet: false },
+        { range: this.sheetsService.getSchema(true).range('sessionId', id), useCompletedSheet: true }
+      ]);
+      const hasSessionId = values => Boolean(values[0] && values[0][0] !== undefined && values[0][0] !== '');
+      
+      if (hasSessionId(pending)) {
         this.appraisalLocationCache.set(cacheKey, false);
         return { exists: true, usingCompletedSheet: false };
       }
       
-      // If not in pending, check completed sheet
-      data = await this.sheetsService.getValues(`A${id}`, true);
-      if (data && data[0]) {
+      if (hasSessionId(completed)) {
         this.appraisalLocationCache.set(cacheKey, true);
         return { exists: true, usingCompletedSheet: true };
       }
@@ -112,90 +251,48 @@ class AppraisalFinder {
   }
   
   /**
-   * Get full row data for an appraisal
+   * Whether a sheet has a row for the appraisal (its session ID cell is filled)
    * @param {string|number} id - Appraisal ID
-   * @param {string} columnRange - Column range (e.g., "A:G" or "B:L")
-   * @returns {Promise<{data: any[][], usingCompletedSheet: boolean}>} Full row data and which sheet it was found in
+   * @param {boolean} usingCompletedSheet - Which sheet to check
+   * @returns {Promise<boolean>}
    */
-  async getFullRow(id, columnRange) {
-    return this.findAppraisalData(id, `${columnRange}${id}`);
+  async rowExists(id, usingCompletedSheet) {
+    const { sessionId } = await this.sheetsService.getFields(id, ['sessionId'], usingCompletedSheet);
+    return sessionId !== null;
   }
   
   /**
    * Get multiple data points for an appraisal at once
    * @param {string|number} id - Appraisal ID
-   * @param {string[]} columns - Array of column letters or ranges (e.g., ["A", "J:K"])
+   * @param {string[]} fields - Field names from the sheet schema (e.g. ["description", "wordpressUrl"])
    * @param {boolean} usingCompletedSheet - Flag indicating which sheet the appraisal is in (determined by caller)
-   * @returns {Promise<{data: Object, usingCompletedSheet: boolean}>} Object with column values and which sheet it was found in
+   * @returns {Promise<{data: Object, usingCompletedSheet: boolean}>} Object with field values and which sheet they were found in
    * @throws {Error} If the appraisal data cannot be found in the specified sheet
    */
-  async getMultipleFields(id, columns, usingCompletedSheet) {
-    // Create a full range (A:Z) to fetch the entire potential row data efficiently
-    const fullRange = `A${id}:Z${id}`;
-    
-    // Use findAppraisalData which will utilize the cache if possible, but target the specified sheet
-    // Note: findAppraisalData needs to be slightly adjusted or we directly call sheetsService.getValues
-    // Let's call sheetsService.getValues directly here for simplicity, as findAppraisalData logic
-    // is primarily for *finding* the sheet, which we've already done.
-    let data;
+  async getMultipleFields(id, fields, usingCompletedSheet) {
+    let row;
     try {
-      data = await this.sheetsService.getValues(fullRange, usingCompletedSheet);
+      // One request for the span of columns covering every field; the session ID shows the row exists
+      row = await this.sheetsService.getFields(id, [...new Set(['sessionId', ...fields])], usingCompletedSheet);
     } catch (error) {
-        this.logger.error(`Error fetching range ${fullRange}`, error);
-        throw new Error(`Failed to fetch data for appraisal ${id} from the specified sheet.`);
+      this.logger.error(`Error fetching fields ${fields.join(', ')} for appraisal ${id}`, error);
+      throw new Error(`Failed to fetch data for appraisal ${id} from the specified sheet.`);
     }
     
-    if (!data || !data[0]) {
+    if (row.sessionId === null) {
       // This case should ideally not happen if appraisalExists passed before calling this function,
       // but could occur due to race conditions or delays.
       this.logger.error(`No data found for appraisal ${id} despite prior existence check`);
       throw new Error(`No data found for appraisal ${id} in the specified sheet.`);
     }
     
-    // Create result object with column-value pairs
-    const result = {};
-    const row = data[0];
-    
-    // Map column letters to array indices (A=0, B=1, etc.)
-    const columnToIndex = (col) => {
-      if (col.length !== 1 || col < 'A' || col > 'Z') {
-        this.logger.error(`Invalid column specified: ${col}`);
-        throw new Error(`Invalid column specified: ${col}`);
-      }
-      return col.charCodeAt(0) - 65; // 'A' is 65 in ASCII
-    };
-    
-    // Process each requested column
-    for (const column of columns) {
-      try {
-        if (column.includes(':')) {
-          // Handle ranges like "J:K"
-          const [start, end] = column.split(':');
-          const startIdx = columnToIndex(start);
-          const endIdx = columnToIndex(end);
-          
-          if (startIdx > endIdx) {
-             throw new Error(`Invalid range specified: ${column}`);
-          }
-          
-          for (let i = startIdx; i <= endIdx; i++) {
-            const colLetter = String.fromCharCode(65 + i);
-            result[colLetter] = row[i] !== undefined ? row[i] : null;
-          }
-        } else {
-          // Handle single columns like "J"
-          const idx = columnToIndex(column);
-          result[column] = row[idx] !== undefined ? row[idx] : null;
-        }
-      } catch (parseError) {
-         this.logger.error(`Error processing column/range "${column}"`, parseError);
-         // Assign null or re-throw depending on desired behavior for invalid columns
-         result[column] = null; 
-      }
-    }
+    const data = fields.reduce((result, field) => {
+      result[field] = row[field];
+      return result;
+    }, {});
     
     // Return data along with the sheet flag that was used
-    return { data: result, usingCompletedSheet }; 
+    return { data, usingCompletedSheet }; 
   }
 }
 
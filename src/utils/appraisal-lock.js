@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000; // 5 minutes, refreshed while the lock is held
+
+/**
+ * In-process lock backend. Also defines the interface a distributed backend
+ * (Redis, Firestore, ...) must implement:
+ * - acquire(key, token, ttlMs, data) -> { acquired, holder }
+ * - refresh(key, token, ttlMs) -> boolean
+ * - update(key, token, data) -> boolean
+ * - release(key, token) -> boolean
+ * - get(key) -> holder or null
+ * where holder is { token, data, expiresAt }.
+ */
+class MemoryLockBackend {
+  constructor() {
+    this.locks = new Map();
+  }
+
+  async acquire(key, token, ttlMs, data = {}) {
+    const current = await this.get(key);
+    if (current && current.token !== token) {
+      return { acquired: false, holder: current };
+    }
+
+    const holder = { token, data, expiresAt: Date.now() + ttlMs };
+    this.locks.set(key, holder);
+    return { acquired: true, holder };
+  }
+
+  async refresh(key, token, ttlMs) {
+    const current = this.locks.get(key);
+    if (!current || current.token !== token) return false;
+    current.expiresAt = Date.now() + ttlMs;
+    return true;
+  }
+
+  async update(key, token, data) {
+    const current = this.locks.get(key);
+    if (!current || current.token !== token) return false;
+    current.data = { ...current.data, ...data };
+    return true;
+  }
+
+  async release(key, token) {
+    const current = this.locks.get(key);
+    if (!current || current.token !== token) return false;
+    this.locks.delete(key);
+    return true;
+  }
+
+  async get(key) {
+    const current = this.locks.get(key);
+    if (!current) return null;
+
+    // Expired locks belong to a holder that stopped refreshing (e.g. a crashed instance)
+    if (current.expiresAt <= Date.now()) {
+      this.locks.delete(key);
+      return null;
+    }
+
+    return { ...current, data: { ...current.data } };
+  }
+}
+
+/**
+ * Per-appraisal lock so the same appraisal row is never processed by two
+ * runs at once. Held locks are refreshed in the background until released.
+ */
+class AppraisalLock {
+  /**
+   * @param {object} backend - Lock backend (defaults to MemoryLockBackend)
+   * @param {object} options - Lock options
+   * @param {number} options.ttlMs - Lock lifetime without a refresh (APPRAISAL_LOCK_TTL_MS)
+   */
+  constructor(backend = new MemoryLockBackend(), options = {}) {
+    this.logger = createLogger('AppraisalLock');
+    this.backend = backend;
+    this.ttlMs = options.ttlMs || parseInt(process.env.APPRAISAL_LOCK_TTL_MS, 10) || DEFAULT_TTL_MS;
+    this.heartbeats = new Map(); // token -> interval
+  }
+
+  _key(appraisalId) {
+    return `appraisal:${appraisalId}`;
+  }
+
+  /**
+   * Try to take the lock for an appraisal
+   * @param {string|number} appraisalId - Appraisal ID
+   * @param {object} data - Metadata stored with the lock (e.g. jobId)
+   * @returns {Promise<{acquired: boolean, lease: object|null, holder: object|null}>}
+   *   lease is passed to attach/release; holder describes the current owner when not acquired
+   */
+  async acquire(appraisalId, data = {}) {
+    const key = this._key(appraisalId);
+    const token = crypto.randomUUID();
+    const { acquired, holder } = await this.backend.acquire(key, token, this.ttlMs, data);
+
+    if (!acquired) {
+      this.logger.info(`Appraisal ${appraisalId} is locked by job ${holder.data.jobId || '(starting)'}`);
+      return { acquired: false, lease: null, holder };
+    }
+
+    const lease = { key, token, appraisalId: String(appraisalId) };
+    const heartbeat = setInterval(() => {
+      this.backend.refresh(key, token, this.ttlMs).then(refreshed => {
+        if (!refreshed) {
+          this.logger.warn(`Lost lock for appraisal ${appraisalId}`);
+          this._stopHeartbeat(token);
+        }
+      }).catch(error => this.logger.error(`Failed to refresh lock for appraisal ${appraisalId}:`, error));
+    }, Math.max(1000, Math.floor(this.ttlMs / 3)));
+    heartbeat.unref();
+    this.heartbeats.set(token, heartbeat);
+
+    return { acquired: true, lease, holder: null };
+  }
+
+  /**
+   * Record metadata (e.g. the job ID once it is known) on a held lock
+   * @param {object} lease - Lease from acquire()
+   * @param {object} data - Metadata to merge
+   * @returns {Promise<void>}
+   */
+  async attach(lease, data) {
+    await this.backend.update(lease.key, lease.token, data);
+  }
+
+  /**
+   * Release a held lock
+   * @param {object} lease - Lease from acquire()
+   * @returns {Promise<void>}
+   */
+  async release(lease) {
+    if (!lease) return;
+    this._stopHeartbeat(lease.token);
+
+    try {
+      await this.backend.release(lease.key, lease.token);
+    } catch (error) {
+      // The lock expires on its own if the backend is unreachable
+      this.logger.error(`Failed to release lock for appraisal ${lease.appraisalId}:`, error);
+    }
+  }
+
+  /**
+   * Get the current holder of an appraisal's lock
+   * @param {string|number} appraisalId - Appraisal ID
+   * @returns {Promise<object|null>} - Holder ({ token, data, expiresAt }) or null
+   */
+  async getHolder(appraisalId) {
+    return this.backend.get(this._key(appraisalId));
+  }
+
+  _stopHeartbeat(token) {
+    const heartbeat = this.heartbeats.get(token);
+    if (heartbeat) {
+      clearInterval(heartbeat);
+      this.heartbeats.delete(token);
+    }
+  }
+}
+
+module.exports = {
+  AppraisalLock,
+  MemoryLockBackend
+};
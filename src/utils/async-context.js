@@ -0,0 +1,45 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a context that code anywhere below it can read,
+ * without threading it through every service signature. Fields of an
+ * enclosing context (e.g. the HTTP request ID) are inherited.
+ *
+ * Correlation fields picked up by the logger: requestId, jobId,
+ * appraisalId, postId, step. Jobs also carry onRetry and appraisalType.
+ *
+ * @param {object} context - Context fields
+ * @param {Function} fn - Function to run
+ * @returns {any} - Whatever fn returns
+ */
+function runWithContext(context, fn) {
+  return storage.run({ ...storage.getStore(), ...context }, fn);
+}
+
+/**
+ * Get the current context, if any
+ * @returns {object|null} - The context or null outside one
+ */
+function getContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Set fields on the current context once they become known (e.g. the post ID
+ * after it is read from the sheet). No-op outside a context.
+ * @param {object} fields - Fields to set
+ */
+function updateContext(fields) {
+  const context = storage.getStore();
+  if (context) {
+    Object.assign(context, fields);
+  }
+}
+
+module.exports = {
+  runWithContext,
+  getContext,
+  updateContext
+};
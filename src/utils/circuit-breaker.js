@@ -0,0 +1,214 @@
+const { createLogger } = require('./logger');
+const { isCancelledError } = require('./abort');
+
+const DOWNSTREAM_UNAVAILABLE_CODE = 'DOWNSTREAM_UNAVAILABLE';
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_RESET_TIMEOUT_MS = 60000; // 1 minute
+
+/**
+ * Downstreams guarded by a breaker. Settings can be overridden with
+ * CIRCUIT_<NAME>_FAILURE_THRESHOLD and CIRCUIT_<NAME>_RESET_TIMEOUT_MS,
+ * e.g. CIRCUIT_PDF_FAILURE_THRESHOLD=3.
+ */
+const DOWNSTREAMS = {
+  pdf: { label: 'PDF backend' },
+  appraisalsBackend: { label: 'Appraisals backend' }
+};
+
+function envNumber(name, setting) {
+  const prefix = name.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+  const value = parseInt(process.env[`CIRCUIT_${prefix}_${setting}`], 10);
+  return Number.isNaN(value) ? undefined : value;
+}
+
+/**
+ * Create the error thrown while a breaker is open
+ * @param {CircuitBreaker} breaker - The open breaker
+ * @returns {Error} - Error with code DOWNSTREAM_UNAVAILABLE and statusCode 503
+ */
+function createDownstreamUnavailableError(breaker) {
+  const retryInSeconds = Math.max(0, Math.ceil((breaker.nextProbeAt - Date.now()) / 1000));
+  const error = new Error(`${breaker.label} is unavailable after ${breaker.failures} consecutive failures, next probe in ${retryInSeconds}s`);
+  error.code = DOWNSTREAM_UNAVAILABLE_CODE;
+  error.statusCode = 503;
+  error.downstream = breaker.label;
+  return error;
+}
+
+/**
+ * Check whether an error was thrown by an open breaker
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+function isDownstreamUnavailableError(error) {
+  return !!error && error.code === DOWNSTREAM_UNAVAILABLE_CODE;
+}
+
+/**
+ * Whether an error means the downstream is unhealthy. Cancellations and
+ * client errors (bad request, not found) say nothing about its health.
+ * @param {Error} error - Error from the guarded call
+ * @returns {boolean}
+ */
+function isDownstreamFailure(error) {
+  if (isCancelledError(error)) return false;
+  const status = error.status || error.statusCode;
+  return !status || status >= 500 || status === 429 || status === 408;
+}
+
+/**
+ * Consecutive-failure circuit breaker. Closed: calls go through. Open: calls
+ * fail fast until the reset timeout passes. Half-open: a single probe call
+ * goes through and closes the breaker on success or re-opens it on failure.
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Downstream name (a key of DOWNSTREAMS)
+   * @param {object} options - Breaker options (each falls back to the environment, then the default)
+   * @param {string} options.label - Human-readable name used in errors and statuses
+   * @param {number} options.failureThreshold - Consecutive failures before opening
+   * @param {number} options.resetTimeoutMs - How long to stay open before probing
+   */
+  constructor(name, options = {}) {
+    this.logger = createLogger('CircuitBreaker');
+    this.name = name;
+    this.label = options.label || (DOWNSTREAMS[name] && DOWNSTREAMS[name].label) || name;
+    this.failureThreshold = options.failureThreshold || envNumber(name, 'FAILURE_THRESHOLD') || DEFAULT_FAILURE_THRESHOLD;
+    this.resetTimeoutMs = options.resetTimeoutMs || envNumber(name, 'RESET_TIMEOUT_MS') || DEFAULT_RESET_TIMEOUT_MS;
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.nextProbeAt = null;
+    this.probeInFlight = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Run a call through the breaker
+   * @param {Function} fn - The guarded call
+   * @param {object} options - Additional options
+   * @param {AbortSignal} options.signal - Failures after this signal aborts are cancellations, not downstream failures
+   * @returns {Promise<any>} - Whatever fn resolves with
+   * @throws {Error} With code DOWNSTREAM_UNAVAILABLE while the breaker is open
+   */
+  async execute(fn, options = {}) {
+    const { signal = null } = options;
+
+    if (this.state === STATES.OPEN) {
+      if (Date.now() < this.nextProbeAt) {
+        throw createDownstreamUnavailableError(this);
+      }
+      this.state = STATES.HALF_OPEN;
+      this.logger.info(`${this.label} breaker half-open, probing`);
+    }
+
+    // Only one probe at a time; everyone else keeps failing fast until it settles
+    const isProbe = this.state === STATES.HALF_OPEN;
+    if (isProbe) {
+      if (this.probeInFlight) {
+        throw createDownstreamUnavailableError(this);
+      }
+      this.probeInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      const cancelled = signal && signal.aborted;
+      if (!cancelled && isDownstreamFailure(error)) {
+        this.onFailure(error);
+      } else if (isProbe) {
+        // The probe said nothing about the downstream's health; let the next call probe again
+        this.state = STATES.OPEN;
+      }
+      throw error;
+    } finally {
+      if (isProbe) {
+        this.probeInFlight = false;
+      }
+    }
+  }
+
+  onSuccess() {
+    if (this.state !== STATES.CLOSED) {
+      this.logger.info(`${this.label} breaker closed, downstream recovered`);
+    }
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.nextProbeAt = null;
+    this.lastError = null;
+  }
+
+  onFailure(error) {
+    this.failures++;
+    this.lastError = error.message;
+
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = STATES.OPEN;
+      this.openedAt = new Date().toISOString();
+      this.nextProbeAt = Date.now() + this.resetTimeoutMs;
+      this.logger.error(`${this.label} breaker open after ${this.failures} consecutive failures, failing fast for ${Math.round(this.resetTimeoutMs / 1000)}s: ${error.message}`);
+    }
+  }
+
+  /**
+   * Current state for health reporting
+   * @returns {object}
+   */
+  getState() {
+    const probeDue = this.state === STATES.OPEN && Date.now() >= this.nextProbeAt;
+    return {
+      name: this.name,
+      label: this.label,
+      state: probeDue ? STATES.HALF_OPEN : this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt,
+      nextProbeAt: this.nextProbeAt ? new Date(this.nextProbeAt).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+const breakers = new Map();
+
+/**
+ * Get the shared breaker for a downstream, creating it on first use
+ * @param {string} name - Downstream name (a key of DOWNSTREAMS)
+ * @returns {CircuitBreaker}
+ */
+function getCircuitBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name));
+  }
+  return breakers.get(name);
+}
+
+/**
+ * State of every known downstream's breaker, for /health
+ * @returns {object} - Breaker states keyed by downstream name
+ */
+function getCircuitBreakerStates() {
+  return Object.keys(DOWNSTREAMS).reduce((acc, name) => {
+    acc[name] = getCircuitBreaker(name).getState();
+    return acc;
+  }, {});
+}
+
+module.exports = {
+  STATES,
+  CircuitBreaker,
+  getCircuitBreaker,
+  getCircuitBreakerStates,
+  isDownstreamUnavailableError
+};
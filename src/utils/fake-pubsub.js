@@ -0,0 +1,157 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+/**
+ * Minimal in-process stand-in for the @google-cloud/pubsub client.
+ * Implements the subset used by QueueConsumer and CrmService (topic().publishMessage,
+ * topic().publish/exists, subscription().on/close, message ack/nack/modAck) so the queue can
+ * be exercised without the Pub/Sub emulator or a GCP project.
+ */
+class FakeMessage {
+  constructor(subscription, { data, attributes = {} }, id, deliveryAttempt) {
+    // Redeliveries keep the original message ID, as in Pub/Sub
+    this.id = id;
+    this.ackId = `${id}-${deliveryAttempt}`;
+    this.data = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    this.attributes = attributes;
+    this.deliveryAttempt = deliveryAttempt;
+    this.publishTime = new Date();
+    this.received = Date.now();
+    this._subscription = subscription;
+    this._settled = false;
+  }
+
+  ack() {
+    this._settle('ack');
+  }
+
+  nack() {
+    this._settle('nack');
+  }
+
+  // Deadline changes are meaningless in-process; only a 0 deadline (nack) is honoured
+  modAck(deadline) {
+    if (deadline === 0) {
+      this.nack();
+    }
+  }
+
+  _settle(outcome) {
+    if (this._settled) return;
+    this._settled = true;
+    this._subscription._settle(this, outcome);
+  }
+}
+
+class FakeSubscription extends EventEmitter {
+  constructor(name) {
+    super();
+    this.name = name;
+    this.isOpen = true;
+    this.acked = [];
+    this.nacked = [];
+    this.attempts = new Map();
+  }
+
+  _deliver(payload, key = crypto.randomUUID()) {
+    if (!this.isOpen) return;
+    const attempt = (this.attempts.get(key) || 0) + 1;
+    this.attempts.set(key, attempt);
+    const message = new FakeMessage(this, payload, key, attempt);
+    message._payload = payload;
+    setImmediate(() => this.emit('message', message));
+  }
+
+  _settle(message, outcome) {
+    if (outcome === 'ack') {
+      this.acked.push(message);
+      this.emit('acked', message);
+      return;
+    }
+
+    this.nacked.push(message);
+    this.emit('nacked', message);
+    // Pub/Sub redelivers nacked messages
+    this._deliver(message._payload, message.id);
+  }
+
+  async close() {
+    this.isOpen = false;
+    this.removeAllListeners('message');
+  }
+}
+
+class FakeTopic {
+  constructor(pubsub, name) {
+    this.pubsub = pubsub;
+    this.name = name;
+    this.messages = [];
+  }
+
+  async publishMessage({ data, json, attributes = {} }) {
+    const buffer = data || Buffer.from(JSON.stringify(json));
+    const payload = { data: buffer, attributes };
+    this.messages.push(payload);
+
+    for (const subscription of this.pubsub._subscriptionsFor(this.name)) {
+      subscription._deliver(payload);
+    }
+
+    return crypto.randomUUID();
+  }
+
+  async publish(data, attributes = {}) {
+    return this.publishMessage({ data, attributes });
+  }
+
+  async exists() {
+    return [true];
+  }
+}
+
+class FakePubSub {
+  constructor() {
+    this.topics = new Map();
+    this.subscriptions = new Map();
+    this.bindings = new Map(); // subscription name -> topic name
+  }
+
+  topic(name) {
+    if (!this.topics.has(name)) {
+      this.topics.set(name, new FakeTopic(this, name));
+    }
+    return this.topics.get(name);
+  }
+
+  subscription(name) {
+    if (!this.subscriptions.has(name)) {
+      this.subscriptions.set(name, new FakeSubscription(name));
+    }
+    return this.subscriptions.get(name);
+  }
+
+  /**
+   * Route messages published to a topic into a subscription
+   * @param {string} topicName - Topic name
+   * @param {string} subscriptionName - Subscription name
+   * @returns {FakeSubscription} - The subscription
+   */
+  bind(topicName, subscriptionName) {
+    this.bindings.set(subscriptionName, topicName);
+    return this.subscription(subscriptionName);
+  }
+
+  _subscriptionsFor(topicName) {
+    return [...this.bindings.entries()]
+      .filter(([, topic]) => topic === topicName)
+      .map(([subscriptionName]) => this.subscription(subscriptionName));
+  }
+
+  async close() {
+    for (const subscription of this.subscriptions.values()) {
+      await subscription.close();
+    }
+  }
+}
+
+module.exports = { FakePubSub };
@@ -0,0 +1,117 @@
+const { parseA1Range, indexToColumn } = require('./sheet-schema');
+
+/**
+ * Minimal in-memory stand-in for the googleapis Sheets v4 client.
+ * Implements the subset used by SheetsService (spreadsheets.get and
+ * values.get/batchGet/update/batchUpdate/append) over one grid per sheet, so the
+ * real SheetsService can run without a spreadsheet or Google credentials.
+ * Cells are stored as written (RAW); formatted and unformatted reads are the same.
+ */
+class FakeSheetsApi {
+  /**
+   * @param {object} options - Options
+   * @param {string} options.title - Spreadsheet title
+   * @param {object} options.sheets - Initial rows keyed by sheet name (row 1 first)
+   */
+  constructor(options = {}) {
+    this.title = options.title || 'Offline Appraisals';
+    this.grids = new Map();
+    for (const [name, rows] of Object.entries(options.sheets || {})) {
+      this.grids.set(name, rows.map(row => row.slice()));
+    }
+
+    this.spreadsheets = {
+      get: async () => this.getSpreadsheet(),
+      values: {
+        get: async ({ range }) => ({ data: { range, values: this.read(range) } }),
+        batchGet: async ({ ranges }) => ({
+          data: { valueRanges: ranges.map(range => ({ range, values: this.read(range) })) }
+        }),
+        update: async ({ range, resource }) => ({ data: this.write(range, resource.values) }),
+        batchUpdate: async ({ resource }) => ({
+          data: { responses: resource.data.map(({ range, values }) => this.write(range, values)) }
+        }),
+        append: async ({ range, resource }) => ({ data: { updates: this.append(range, resource.values) } })
+      }
+    };
+  }
+
+  grid(sheet) {
+    if (!this.grids.has(sheet)) {
+      const error = new Error(`Unable to parse range: ${sheet}`);
+      error.response = { status: 400, data: { error: { message: error.message } } };
+      throw error;
+    }
+    return this.grids.get(sheet);
+  }
+
+  getSpreadsheet() {
+    return {
+      data: {
+        properties: { title: this.title },
+        sheets: [...this.grids.keys()].map((title, sheetId) => ({ properties: { sheetId, title } }))
+      }
+    };
+  }
+
+  /**
+   * Read a range the way the API returns it: trailing empty cells and rows are omitted
+   * @param {string} range - A1 range including the sheet name
+   * @returns {any[][]|undefined} - Rows, or undefined when the range is empty
+   */
+  read(range) {
+    const { sheet, startRow, endRow, startColumn, endColumn } = parseA1Range(range);
+    const grid = this.grid(sheet);
+    const firstRow = startRow || 1;
+    const lastRow = endRow || grid.length;
+
+    const rows = [];
+    for (let rowNumber = firstRow; rowNumber <= lastRow; rowNumber++) {
+      const row = grid[rowNumber - 1] || [];
+      const cells = row.slice(startColumn || 0, endColumn === null ? row.length : endColumn + 1);
+      while (cells.length > 0 && (cells[cells.length - 1] === '' || cells[cells.length - 1] === undefined || cells[cells.length - 1] === null)) {
+        cells.pop();
+      }
+      rows.push(Array.from(cells, cell => (cell === undefined || cell === null ? '' : cell)));
+    }
+    while (rows.length > 0 && rows[rows.length - 1].length === 0) {
+      rows.pop();
+    }
+
+    return rows.length > 0 ? rows : undefined;
+  }
+
+  write(range, values) {
+    const { sheet, startRow, startColumn } = parseA1Range(range);
+    const grid = this.grid(sheet);
+    const firstRow = startRow || 1;
+    const firstColumn = startColumn || 0;
+
+    values.forEach((cells, rowOffset) => {
+      const row = grid[firstRow - 1 + rowOffset] || (grid[firstRow - 1 + rowOffset] = []);
+      cells.forEach((value, columnOffset) => {
+        row[firstColumn + columnOffset] = value === null ? '' : value;
+      });
+    });
+
+    const width = Math.max(0, ...values.map(cells => cells.length));
+    return {
+      updatedRange: `'${sheet}'!${indexToColumn(firstColumn)}${firstRow}:${indexToColumn(firstColumn + Math.max(width, 1) - 1)}${firstRow + values.length - 1}`,
+      updatedRows: values.length
+    };
+  }
+
+  // INSERT_ROWS after the last non-empty row of the table
+  append(range, values) {
+    const { sheet, startRow, startColumn } = parseA1Range(range);
+    const grid = this.grid(sheet);
+    let lastRow = grid.length;
+    while (lastRow >= (startRow || 1) && !(grid[lastRow - 1] || []).some(cell => cell !== '' && cell !== undefined && cell !== null)) {
+      lastRow--;
+    }
+
+    return this.write(`'${sheet}'!${indexToColumn(startColumn || 0)}${lastRow + 1}`, values);
+  }
+}
+
+module.exports = { FakeSheetsApi };
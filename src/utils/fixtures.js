@@ -0,0 +1,293 @@
+const fs = require('fs').promises;
+const path = require('path');
+const fetch = require('node-fetch');
+const { createLogger } = require('./logger');
+const { getContext } = require('./async-context');
+
+const logger = createLogger('Fixtures');
+
+const FIXTURE_VERSION = 1;
+const DEFAULT_FIXTURES_DIR = path.join(process.cwd(), 'data', 'fixtures');
+const TEXT_CONTENT_TYPE = /^(application\/(json|javascript|xml|x-www-form-urlencoded)|text\/)/i;
+// Never written to a fixture
+const REDACTED_HEADERS = ['authorization', 'x-goog-api-key', 'api-key', 'cookie', 'set-cookie'];
+
+/**
+ * Where a request goes, relative to the service's base URL when it is under it,
+ * so a fixture recorded against production replays against any host
+ * @param {string} url - Request URL
+ * @param {string|null} baseUrl - The service's base URL
+ * @returns {string}
+ */
+function requestKey(url, baseUrl) {
+  if (baseUrl && url.startsWith(baseUrl)) {
+    return url.slice(baseUrl.length).replace(/^\//, '');
+  }
+  return url;
+}
+
+function headersToObject(headers) {
+  const result = {};
+  if (!headers) return result;
+
+  const entries = typeof headers.entries === 'function' ? [...headers.entries()] : Object.entries(headers);
+  for (const [name, value] of entries) {
+    if (!REDACTED_HEADERS.includes(name.toLowerCase())) {
+      result[name.toLowerCase()] = value;
+    }
+  }
+  return result;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    status: error.status || error.statusCode
+  };
+}
+
+function deserializeError(recorded) {
+  const error = new Error(recorded.message);
+  error.name = recorded.name || 'Error';
+  if (recorded.code) error.code = recorded.code;
+  if (recorded.status) error.status = recorded.status;
+  return error;
+}
+
+/**
+ * Collects every outbound exchange made during one job, with the appraisal as it
+ * was when the job started, and writes them to FIXTURES_DIR/<jobId>-<time>.json
+ */
+class FixtureRecorder {
+  /**
+   * @param {object} job - Job record
+   * @param {boolean} usingCompletedSheet - Which sheet the appraisal is in
+   * @param {object} options - Processing options the job ran with
+   */
+  constructor(job, usingCompletedSheet, options = {}) {
+    this.fixture = {
+      version: FIXTURE_VERSION,
+      recordedAt: new Date().toISOString(),
+      job: {
+        id: job.id,
+        appraisalId: job.appraisalId,
+        startStep: job.startStep,
+        usingCompletedSheet,
+        options
+      },
+      appraisal: null,
+      exchanges: []
+    };
+  }
+
+  get mode() {
+    return 'record';
+  }
+
+  /**
+   * Store the appraisal's fields as the job sees them before its first step
+   * @param {object} appraisal - Field values keyed by name
+   */
+  setAppraisal(appraisal) {
+    this.fixture.appraisal = appraisal;
+  }
+
+  add(exchange) {
+    this.fixture.exchanges.push({ sequence: this.fixture.exchanges.length + 1, ...exchange });
+  }
+
+  /**
+   * Write the fixture file
+   * @param {string} directory - Target directory (default FIXTURES_DIR or data/fixtures)
+   * @returns {Promise<string>} - Path of the written file
+   */
+  async save(directory = process.env.FIXTURES_DIR || DEFAULT_FIXTURES_DIR) {
+    const stamp = this.fixture.recordedAt.replace(/[:.]/g, '-');
+    const filePath = path.join(directory, `${this.fixture.job.id}-${stamp}.json`);
+
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(this.fixture, null, 2));
+    logger.info(`Recorded ${this.fixture.exchanges.length} outbound calls of job ${this.fixture.job.id} to ${filePath}`);
+    return filePath;
+  }
+}
+
+/**
+ * Answers outbound calls from a recorded fixture instead of the network. Each call
+ * takes the first unused exchange with the same integration, method and request key,
+ * so repeated calls (retries, re-reads) get their responses in recorded order.
+ */
+class FixtureReplayer {
+  /**
+   * @param {object} fixture - Parsed fixture file
+   */
+  constructor(fixture) {
+    this.fixture = fixture;
+    this.used = new Set();
+  }
+
+  get mode() {
+    return 'replay';
+  }
+
+  /**
+   * Take the recorded exchange for a call
+   * @param {string} integration - Integration name (as in utils/retry.js)
+   * @param {string} method - HTTP method, or "CALL" for SDK calls
+   * @param {string} key - Request key (see requestKey)
+   * @param {string|null} body - Request body, compared with the recording
+   * @returns {object} - The exchange
+   * @throws {Error} With statusCode 500 if the fixture has no matching exchange
+   */
+  take(integration, method, key, body) {
+    const exchange = this.fixture.exchanges.find(candidate =>
+      !this.used.has(candidate.sequence) &&
+      candidate.integration === integration &&
+      candidate.method === method &&
+      candidate.key === key
+    );
+
+    if (!exchange) {
+      const error = new Error(`Fixture has no recorded ${integration} response for ${method} ${key}`);
+      error.statusCode = 500;
+      throw error;
+    }
+
+    this.used.add(exchange.sequence);
+    if (body !== undefined && (exchange.request.body ?? null) !== (body ?? null)) {
+      logger.warn(`Replaying ${integration} ${method} ${key} (#${exchange.sequence}) although its request body differs from the recording`);
+    }
+    return exchange;
+  }
+
+  /**
+   * Recorded exchanges the replay did not use
+   * @returns {object[]}
+   */
+  unused() {
+    return this.fixture.exchanges.filter(exchange => !this.used.has(exchange.sequence));
+  }
+}
+
+/**
+ * Read a fixture file
+ * @param {string} filePath - Path of the fixture
+ * @returns {Promise<object>} - The fixture
+ * @throws {Error} If the file is not a fixture this version can replay
+ */
+async function loadFixture(filePath) {
+  const fixture = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  if (fixture.version !== FIXTURE_VERSION || !fixture.job || !Array.isArray(fixture.exchanges)) {
+    throw new Error(`${filePath} is not a version ${FIXTURE_VERSION} fixture`);
+  }
+  return fixture;
+}
+
+/**
+ * A fetch for a service's outbound HTTP calls. Outside a recording or replaying
+ * job it is plain node-fetch; while recording it captures each request and
+ * response (credentials redacted) on the job's fixture; while replaying it
+ * answers from the fixture without touching the network.
+ * @param {string} integration - Integration name (as in utils/retry.js)
+ * @param {Function} getBaseUrl - Returns the service's base URL, for host-independent request keys
+ * @returns {Function} - fetch(url, init)
+ */
+function createFixtureFetch(integration, getBaseUrl = () => null) {
+  return async function fixtureFetch(url, init = {}) {
+    const fixture = getContext()?.fixture;
+    if (!fixture) {
+      return fetch(url, init);
+    }
+
+    const target = String(url);
+    const method = (init.method || 'GET').toUpperCase();
+    const key = requestKey(target, getBaseUrl());
+    const body = typeof init.body === 'string' ? init.body : null;
+
+    if (fixture.mode === 'replay') {
+      const { response, error } = fixture.take(integration, method, key, body);
+      if (error) throw deserializeError(error);
+
+      const buffer = response.encoding === 'base64' ? Buffer.from(response.body, 'base64') : Buffer.from(response.body, 'utf8');
+      return new fetch.Response(buffer, { status: response.status, statusText: response.statusText, headers: response.headers });
+    }
+
+    const exchange = {
+      integration,
+      method,
+      key,
+      url: target,
+      request: { headers: headersToObject(init.headers), body }
+    };
+    const startedAt = Date.now();
+
+    let response;
+    try {
+      response = await fetch(url, init);
+    } catch (error) {
+      fixture.add({ ...exchange, durationMs: Date.now() - startedAt, error: serializeError(error) });
+      throw error;
+    }
+
+    const buffer = await response.buffer();
+    const contentType = response.headers.get('content-type') || '';
+    const encoding = TEXT_CONTENT_TYPE.test(contentType) ? 'utf8' : 'base64';
+    fixture.add({
+      ...exchange,
+      durationMs: Date.now() - startedAt,
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: headersToObject(response.headers),
+        encoding,
+        body: buffer.toString(encoding)
+      }
+    });
+
+    return new fetch.Response(buffer, { status: response.status, statusText: response.statusText, headers: response.headers.raw() });
+  };
+}
+
+/**
+ * Record or replay an SDK call that cannot be given a fetch (the Gemini client).
+ * The call's result must be JSON-serializable.
+ * @param {string} integration - Integration name (as in utils/retry.js)
+ * @param {string} operation - Stable name of the call, used as its request key
+ * @param {object} request - What the call sends, stored for inspection and compared on replay
+ * @param {Function} fn - Makes the call
+ * @returns {Promise<any>} - Whatever fn resolves with (or the recorded result)
+ */
+async function fixtureCall(integration, operation, request, fn) {
+  const fixture = getContext()?.fixture;
+  if (!fixture) {
+    return fn();
+  }
+
+  const body = JSON.stringify(request);
+  if (fixture.mode === 'replay') {
+    const { result, error } = fixture.take(integration, 'CALL', operation, body);
+    if (error) throw deserializeError(error);
+    return result;
+  }
+
+  const exchange = { integration, method: 'CALL', key: operation, request: { body } };
+  const startedAt = Date.now();
+  try {
+    const result = await fn();
+    fixture.add({ ...exchange, durationMs: Date.now() - startedAt, result });
+    return result;
+  } catch (error) {
+    fixture.add({ ...exchange, durationMs: Date.now() - startedAt, error: serializeError(error) });
+    throw error;
+  }
+}
+
+module.exports = {
+  FixtureRecorder,
+  FixtureReplayer,
+  loadFixture,
+  createFixtureFetch,
+  fixtureCall
+};
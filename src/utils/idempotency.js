@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Idempotency');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+// How long a request is treated as in progress before its key can be claimed
+// again; longer than a synchronous run, including a joined job's wait
+const DEFAULT_IN_PROGRESS_TTL_MS = 60 * 60 * 1000; // 1 hour
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Whether a response should be replayed for later requests with the same key.
+ * Server errors and lock conflicts are transient, so those keys are released
+ * and the request can be retried.
+ * @param {number} statusCode - HTTP status code
+ * @returns {boolean}
+ */
+function isStorableResponse(statusCode) {
+  return statusCode < 500 && statusCode !== 409;
+}
+
+/**
+ * Express middleware that honours the Idempotency-Key header: the first
+ * request with a key runs normally and its response is stored in the job
+ * store; repeats within the window get the stored response, or the job
+ * that is still running, instead of re-running paid AI calls and customer
+ * notifications.
+ *
+ * Routes can call req.idempotency.attachJob(jobId) once they know the job
+ * that serves the request, so repeats made while it runs can be pointed at it.
+ *
+ * A key is only held for inProgressTtlMs until the response is stored, and is
+ * released if the request ends without a JSON response and without a job
+ * (e.g. the handler threw or the client went away), so a request that dies
+ * does not block its retries for the whole TTL.
+ *
+ * @param {Function} getStore - Returns the job store (null until the worker is initialized)
+ * @param {object} options - Middleware options
+ * @param {number} options.ttlMs - How long keys are remembered (IDEMPOTENCY_TTL_MS)
+ * @param {number} options.inProgressTtlMs - How long an unfinished request holds its key (IDEMPOTENCY_IN_PROGRESS_TTL_MS)
+ * @returns {Function} - Express middleware
+ */
+function createIdempotencyMiddleware(getStore, options = {}) {
+  const ttlMs = options.ttlMs || parseInt(process.env.IDEMPOTENCY_TTL_MS, 10) || DEFAULT_TTL_MS;
+  const inProgressTtlMs = Math.min(
+    ttlMs,
+    options.inProgressTtlMs || parseInt(process.env.IDEMPOTENCY_IN_PROGRESS_TTL_MS, 10) || DEFAULT_IN_PROGRESS_TTL_MS
+  );
+
+  return async function idempotency(req, res, next) {
+    const idempotencyKey = req.get('Idempotency-Key');
+    const store = getStore();
+
+    if (!idempotencyKey || !store) {
+      return next();
+    }
+
+    if (idempotencyKey.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    // Keys are scoped per endpoint so the same key can be reused across endpoints
+    const key = `${req.method} ${req.path}:${idempotencyKey}`;
+    const requestHash = crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+
+    let claim;
+    try {
+      claim = await store.claimIdempotencyKey(key, { requestHash, ttlMs: inProgressTtlMs });
+    } catch (error) {
+      // Fail open: processing without deduplication beats refusing the request
+      logger.error(`Failed to claim idempotency key ${key}, processing without it:`, error);
+      return next();
+    }
+
+    const { claimed, record } = claim;
+
+    if (!claimed) {
+      if (record.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key has already been used with a different request body'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+
+      if (record.status === 'completed') {
+        logger.info(`Replaying stored response for ${key}`);
+        return res.status(record.response.statusCode).json(record.response.body);
+      }
+
+      logger.info(`Request ${key} is still in progress${record.jobId ? ` as job ${record.jobId}` : ''}`);
+      return res.status(record.jobId ? 202 : 409).json({
+        success: !!record.jobId,
+        message: 'A request with this Idempotency-Key is still in progress',
+        data: record.jobId ? { jobId: record.jobId, statusUrl: `/api/jobs/${record.jobId}` } : undefined,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let settled = false;
+    let jobId = null;
+
+    req.idempotency = {
+      key,
+      attachJob: attachedJobId => {
+        jobId = attachedJobId;
+        return store.updateIdempotencyRecord(key, { jobId: attachedJobId })
+          .catch(error => logger.error(`Failed to attach job ${attachedJobId} to ${key}:`, error));
+      }
+    };
+
+    const json = res.json.bind(res);
+    res.json = body => {
+      settled = true;
+      const statusCode = res.statusCode;
+      const settle = isStorableResponse(statusCode)
+        ? store.updateIdempotencyRecord(key, {
+          status: 'completed',
+          response: { statusCode, body },
+          expiresAt: new Date(Date.now() + ttlMs).toISOString()
+        })
+        : store.deleteIdempotencyRecord(key);
+      settle.catch(error => logger.error(`Failed to store response for ${key}:`, error));
+      return json(body);
+    };
+
+    // A job that is still running keeps the key, so repeats are pointed at it
+    res.on('close', () => {
+      if (settled || jobId) return;
+      logger.warn(`Request ${key} ended without a response, releasing its key`);
+      store.deleteIdempotencyRecord(key)
+        .catch(error => logger.error(`Failed to release ${key}:`, error));
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  createIdempotencyMiddleware
+};
@@ -1,84 +1,151 @@
-function createLogger(name) {
+const { trace } = require('@opentelemetry/api');
+const { getContext } = require('./async-context');
+
+// 0 = ERROR, 1 = WARN, 2 = INFO, 3 = DEBUG
+const LEVELS = [
+  { name: 'error', severity: 'ERROR', write: console.error },
+  { name: 'warn', severity: 'WARNING', write: console.warn },
+  { name: 'info', severity: 'INFO', write: console.log },
+  { name: 'debug', severity: 'DEBUG', write: console.debug }
+];
+
+// Context fields copied onto every entry, so one appraisal or request can be filtered across services
+const CORRELATION_FIELDS = ['requestId', 'jobId', 'appraisalId', 'postId', 'step'];
+
+/**
+ * Output format: JSON lines (LOG_FORMAT=json) that Cloud Logging parses into
+ * structured entries, or plain text (LOG_FORMAT=text). Defaults to JSON on
+ * Cloud Run (K_SERVICE is set) and text locally.
+ * @returns {string} - json or text
+ */
+function getLogFormat() {
+  const format = (process.env.LOG_FORMAT || '').toLowerCase();
+  if (format === 'json' || format === 'text') return format;
+  return process.env.K_SERVICE ? 'json' : 'text';
+}
+
+// JSON.stringify turns Errors into {}; keep what is useful for debugging
+function serializeError(error) {
+  const serialized = { name: error.name, message: error.message };
+  for (const key of ['code', 'status', 'statusCode', 'downstream']) {
+    if (error[key] !== undefined) serialized[key] = error[key];
+  }
+  return serialized;
+}
+
+function formatArg(arg) {
+  if (arg instanceof Error) return arg.message;
+  if (typeof arg !== 'object' || arg === null) return String(arg);
+  try {
+    return JSON.stringify(arg);
+  } catch (error) {
+    return String(arg);
+  }
+}
+
+function getCorrelationFields() {
+  const context = getContext();
+  if (!context) return {};
+
+  return CORRELATION_FIELDS.reduce((fields, field) => {
+    if (context[field] !== undefined && context[field] !== null) {
+      fields[field] = String(context[field]);
+    }
+    return fields;
+  }, {});
+}
+
+/**
+ * Create a logger for a component. Entries carry the correlation fields of the
+ * current async context (requestId, jobId, appraisalId, postId, step).
+ *
+ * Repeated identical info/debug messages can be suppressed by setting
+ * LOG_DEDUP_MS (or options.dedupMs); this is off by default so no entry is
+ * silently dropped.
+ * @param {string} name - Component name
+ * @param {object} options - Logger options
+ * @param {number} options.dedupMs - Suppress identical info/debug messages within this window
+ * @returns {{error: Function, warn: Function, info: Function, debug: Function}}
+ */
+function createLogger(name, options = {}) {
   // Default log level is INFO (2)
-  // 0 = ERROR, 1 = WARN, 2 = INFO, 3 = DEBUG
   const LOG_LEVEL = process.env.LOG_LEVEL ? parseInt(process.env.LOG_LEVEL) : 2;
-  
+  const dedupMs = options.dedupMs !== undefined
+    ? options.dedupMs
+    : (parseInt(process.env.LOG_DEDUP_MS, 10) || 0);
+
   // Track recent log messages to avoid repetition
   const recentLogs = new Map();
-  const DUPLICATE_THRESHOLD_MS = 3000; // 3 seconds
-  
+
   // Checks if this is a duplicate log message within threshold time
   const isDuplicate = (level, message) => {
+    if (!dedupMs) return false;
+
     const key = `${level}:${message}`;
     const now = Date.now();
-    
-    if (recentLogs.has(key)) {
-      const lastTime = recentLogs.get(key);
-      if (now - lastTime < DUPLICATE_THRESHOLD_MS) {
-        return true;
-      }
+
+    if (recentLogs.has(key) && now - recentLogs.get(key) < dedupMs) {
+      return true;
     }
-    
+
     recentLogs.set(key, now);
     // Clean up old entries
     if (recentLogs.size > 100) {
-      const keysToDelete = [];
       for (const [k, time] of recentLogs.entries()) {
-        if (now - time > DUPLICATE_THRESHOLD_MS) {
-          keysToDelete.push(k);
+        if (now - time > dedupMs) {
+          recentLogs.delete(k);
         }
       }
-      keysToDelete.forEach(k => recentLogs.delete(k));
     }
-    
+
     return false;
   };
-  
-  // Create a simplified message by removing excess details
-  const simplifyMessage = (args) => {
-    if (args.length === 0) return '';
-    
-    // Convert all arguments to strings
-    const message = args.map(arg => 
-      typeof arg === 'object' ? JSON.stringify(arg) : String(arg)
-    ).join(' ');
-    
-    return message;
-  };
-  
-  return {
-    error: (...args) => {
-      if (LOG_LEVEL >= 0) {
-        const message = simplifyMessage(args);
-        console.error(`[${name}]`, message);
-      }
-    },
-    
-    warn: (...args) => {
-      if (LOG_LEVEL >= 1) {
-        const message = simplifyMessage(args);
-        console.warn(`[${name}]`, message);
-      }
-    },
-    
-    info: (...args) => {
-      if (LOG_LEVEL >= 2) {
-        const message = simplifyMessage(args);
-        if (!isDuplicate('info', message)) {
-          console.log(`[${name}]`, message);
-        }
+
+  const log = (levelIndex, args) => {
+    if (LOG_LEVEL < levelIndex) return;
+
+    const level = LEVELS[levelIndex];
+    const message = args.map(formatArg).join(' ');
+    if (levelIndex >= 2 && isDuplicate(level.name, message)) return;
+
+    const error = args.find(arg => arg instanceof Error);
+    const fields = getCorrelationFields();
+
+    if (getLogFormat() === 'json') {
+      const entry = {
+        severity: level.severity,
+        message,
+        component: name,
+        timestamp: new Date().toISOString(),
+        ...fields
+      };
+      // Links the entry to its span when tracing is enabled
+      const span = trace.getActiveSpan();
+      if (span && span.isRecording()) {
+        entry.traceId = span.spanContext().traceId;
+        entry.spanId = span.spanContext().spanId;
       }
-    },
-    
-    debug: (...args) => {
-      if (LOG_LEVEL >= 3) {
-        const message = simplifyMessage(args);
-        if (!isDuplicate('debug', message)) {
-          console.debug(`[${name}]`, message);
-        }
+      if (error) {
+        entry.error = serializeError(error);
+        // Cloud Error Reporting picks up stack traces from this field
+        entry.stack_trace = error.stack;
       }
+      level.write(JSON.stringify(entry));
+      return;
     }
+
+    const correlation = Object.entries(fields).map(([key, value]) => `${key}=${value}`).join(' ');
+    const lines = [`[${name}]`, message];
+    if (correlation) lines.push(`(${correlation})`);
+    level.write(...lines);
+  };
+
+  return {
+    error: (...args) => log(0, args),
+    warn: (...args) => log(1, args),
+    info: (...args) => log(2, args),
+    debug: (...args) => log(3, args)
   };
 }
 
-module.exports = { createLogger };
\ No newline at end of file
+module.exports = { createLogger, getLogFormat };
@@ -0,0 +1,167 @@
+const client = require('prom-client');
+const { getContext } = require('./async-context');
+const { withSpan, SpanKind } = require('./tracing');
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const APPRAISAL_TYPES = ['Regular', 'Insurance', 'IRS'];
+
+// Report generation and PDF rendering take many minutes
+const STEP_BUCKETS = [0.5, 1, 5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600];
+const INTEGRATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300, 900, 1800];
+
+const stepDuration = new client.Histogram({
+  name: 'appraisal_step_duration_seconds',
+  help: 'Duration of pipeline and processAppraisal steps',
+  labelNames: ['step', 'status', 'appraisal_type'],
+  buckets: STEP_BUCKETS,
+  registers: [registry]
+});
+
+const stepsTotal = new client.Counter({
+  name: 'appraisal_steps_total',
+  help: 'Pipeline and processAppraisal steps by outcome (success, failure, cancelled)',
+  labelNames: ['step', 'status', 'appraisal_type'],
+  registers: [registry]
+});
+
+const integrationDuration = new client.Histogram({
+  name: 'integration_request_duration_seconds',
+  help: 'Latency of outbound calls per integration, one observation per attempt',
+  labelNames: ['integration', 'code'],
+  buckets: INTEGRATION_BUCKETS,
+  registers: [registry]
+});
+
+const integrationErrors = new client.Counter({
+  name: 'integration_errors_total',
+  help: 'Failed outbound calls per integration and HTTP status or error code',
+  labelNames: ['integration', 'code'],
+  registers: [registry]
+});
+
+const activeJobs = new client.Gauge({
+  name: 'appraisal_active_jobs',
+  help: 'Jobs currently running on this instance',
+  registers: [registry]
+});
+
+const activeProcesses = new client.Gauge({
+  name: 'appraisal_active_processes',
+  help: 'Appraisal runs, image analyses and migrations in progress on this instance',
+  registers: [registry]
+});
+
+const queueInFlight = new client.Gauge({
+  name: 'appraisal_queue_in_flight_messages',
+  help: 'Pub/Sub task messages being processed on this instance',
+  registers: [registry]
+});
+
+const jobsByStatus = new client.Gauge({
+  name: 'appraisal_jobs',
+  help: 'Job records by status (pending jobs are the queue waiting to run)',
+  labelNames: ['status'],
+  registers: [registry]
+});
+
+/**
+ * Map an appraisal type to a bounded label value
+ * @param {string} appraisalType - Appraisal type from column B or the request
+ * @returns {string} - Regular, Insurance, IRS, other or unknown
+ */
+function appraisalTypeLabel(appraisalType) {
+  if (!appraisalType) return 'unknown';
+  const match = APPRAISAL_TYPES.find(type => type.toLowerCase() === String(appraisalType).trim().toLowerCase());
+  return match || 'other';
+}
+
+// Status code for HTTP/SDK errors, error code for network failures
+function errorCode(error) {
+  return String(error.status || error.statusCode || error.code || 'error');
+}
+
+// Span attributes for the appraisal being worked on, from the async context
+function appraisalAttributes() {
+  const context = getContext() || {};
+  const attributes = {};
+  if (context.appraisalId) attributes['appraisal.id'] = String(context.appraisalId);
+  if (context.postId) attributes['appraisal.post_id'] = String(context.postId);
+  if (context.jobId) attributes['appraisal.job_id'] = context.jobId;
+  return attributes;
+}
+
+/**
+ * Time a step, count its outcome and trace it as a span. The appraisal type
+ * comes from the job context, where processAppraisal records it once known.
+ * @param {string} step - Step name
+ * @param {Function} fn - Async function performing the step
+ * @param {Function} isCancelled - Whether an error is a cancellation
+ * @returns {Promise<any>} - Whatever fn resolves with
+ */
+async function observeStep(step, fn, isCancelled = () => false) {
+  const end = stepDuration.startTimer();
+  let status = 'success';
+
+  try {
+    return await withSpan(`step ${step}`, { attributes: { 'appraisal.step': step, ...appraisalAttributes() } }, fn);
+  } catch (error) {
+    status = isCancelled(error) ? 'cancelled' : 'failure';
+    throw error;
+  } finally {
+    const context = getContext();
+    const labels = { step, status, appraisal_type: appraisalTypeLabel(context && context.appraisalType) };
+    end(labels);
+    stepsTotal.inc(labels);
+  }
+}
+
+/**
+ * Time a single outbound call, record its status code and trace it as a client span
+ * @param {string} integration - wordpress, sheets, openai, gemini, pdf, appraisalsBackend, crm or pubsub
+ * @param {string} operation - Short description used as the span name (e.g. "GET post 123")
+ * @param {Function} fn - The call
+ * @returns {Promise<any>} - Whatever fn resolves with
+ */
+async function observeIntegrationCall(integration, operation, fn) {
+  const end = integrationDuration.startTimer();
+  const attributes = { 'integration.name': integration, 'integration.operation': operation, ...appraisalAttributes() };
+
+  try {
+    const result = await withSpan(`${integration} ${operation}`, { kind: SpanKind.CLIENT, attributes }, fn);
+    end({ integration, code: 'ok' });
+    return result;
+  } catch (error) {
+    const code = errorCode(error);
+    end({ integration, code });
+    integrationErrors.inc({ integration, code });
+    throw error;
+  }
+}
+
+/**
+ * Read worker gauges at scrape time
+ * @param {object} worker - Worker instance
+ */
+function bindWorkerMetrics(worker) {
+  activeJobs.collect = () => activeJobs.set(worker.jobControllers.size);
+  activeProcesses.collect = () => activeProcesses.set(worker.activeProcesses.size);
+  queueInFlight.collect = () => queueInFlight.set(worker.queueConsumer ? worker.queueConsumer.inFlight.size : 0);
+  jobsByStatus.collect = async () => {
+    if (!worker.jobStore) return;
+    const jobs = await worker.jobStore.listJobs();
+    jobsByStatus.reset();
+    for (const job of jobs) {
+      jobsByStatus.inc({ status: job.status });
+    }
+  };
+}
+
+module.exports = {
+  registry,
+  appraisalTypeLabel,
+  observeStep,
+  observeIntegrationCall,
+  bindWorkerMetrics
+};
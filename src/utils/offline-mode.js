@@ -0,0 +1,177 @@
+const { createLogger } = require('./logger');
+const { FakePubSub } = require('./fake-pubsub');
+const { FakeSheetsApi } = require('./fake-sheets');
+const { SheetSchema } = require('./sheet-schema');
+
+const SAMPLE_POST_ID = '1001';
+const SAMPLE_MEDIA_ID = '2001';
+const TASKS_TOPIC = 'appraisal-tasks';
+const CRM_TOPIC = 'crm-messages';
+
+/**
+ * Whether the worker runs offline (OFFLINE_MODE=true): every external service is
+ * replaced by an in-process stand-in, so the real app.js routes and Worker can be
+ * exercised on a laptop without credentials or network access
+ * @returns {boolean}
+ */
+function isOfflineMode() {
+  return process.env.OFFLINE_MODE === 'true';
+}
+
+// Same layout as SheetsService, so SHEETS_COLUMNS overrides apply to the fake spreadsheet too
+function sampleSchema() {
+  return SheetSchema.fromConfig(process.env.SHEETS_COLUMNS);
+}
+
+function sampleHeaderRow() {
+  const schema = sampleSchema();
+  return schema.toRow(
+    Object.fromEntries(Object.entries(schema.fields).map(([field, definition]) => [field, definition.headers[0] || field]))
+  );
+}
+
+function samplePendingRow() {
+  return sampleSchema().toRow({
+    sessionId: 'offline-session-1',
+    appraisalType: 'Regular',
+    customerEmail: 'customer@example.com',
+    customerName: 'Sample Customer',
+    status: 'Pending',
+    wordpressUrl: `https://resources.appraisily.com/wp-admin/post.php?post=${SAMPLE_POST_ID}&action=edit`,
+    value: 1500,
+    description: 'Oil painting of a river landscape, signed lower right, bought at an estate sale'
+  });
+}
+
+/**
+ * In-process stand-ins for everything the worker talks to:
+ *
+ * - Google Sheets: a FakeSheetsApi spreadsheet with one pending appraisal (row 2)
+ * - Pub/Sub: a FakePubSub; the appraisal tasks topic feeds the queue consumer
+ * - Secret Manager: the local-dev mock secrets, pointed at the stub server
+ * - WordPress, OpenAI, Gemini, the PDF backend and the appraisals backend: an HTTP
+ *   stub server (utils/offline-stubs.js) started by start(), on OFFLINE_STUB_PORT
+ *   or a free port
+ *
+ * State lives in memory and starts from the same sample appraisal on every boot.
+ */
+class OfflineEnvironment {
+  constructor() {
+    this.logger = createLogger('OfflineMode');
+    this.sheetsApi = new FakeSheetsApi({
+      sheets: {
+        'Pending Appraisals': [sampleHeaderRow(), samplePendingRow()],
+        'Completed Appraisals': [sampleHeaderRow()]
+      }
+    });
+    this.pubsub = new FakePubSub();
+    this.tasksSubscription = process.env.APPRAISAL_TASKS_SUBSCRIPTION || `${TASKS_TOPIC}-sub`;
+    this.pubsub.bind(TASKS_TOPIC, this.tasksSubscription);
+    this.posts = new Map();
+    this.media = new Map();
+    this.server = null;
+    this.baseUrl = null;
+  }
+
+  /**
+   * Options for the QueueConsumer so it reads the in-memory appraisal tasks topic
+   * @returns {object}
+   */
+  queueOptions() {
+    return { pubsub: this.pubsub, subscriptionName: this.tasksSubscription };
+  }
+
+  seedWordPress() {
+    this.media.set(SAMPLE_MEDIA_ID, {
+      id: Number(SAMPLE_MEDIA_ID),
+      media_type: 'image',
+      mime_type: 'image/png',
+      source_url: `${this.baseUrl}/wp-content/uploads/sample-painting.png`
+    });
+
+    this.posts.set(SAMPLE_POST_ID, {
+      id: Number(SAMPLE_POST_ID),
+      type: 'appraisals',
+      status: 'publish',
+      link: `${this.baseUrl}/appraisals/sample-painting/`,
+      title: { rendered: 'Sample Appraisal' },
+      content: { rendered: '', protected: false },
+      featured_media: Number(SAMPLE_MEDIA_ID),
+      acf: {
+        session_id: 'offline-session-1',
+        customer_email: 'customer@example.com',
+        customer_name: 'Sample Customer',
+        appraisaltype: 'Regular',
+        value: 1500,
+        main: Number(SAMPLE_MEDIA_ID)
+      }
+    });
+  }
+
+  /**
+   * Start the stub server and point secrets and service URLs at it
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.server) return;
+
+    // Required lazily so the stub server's dependencies only load offline
+    const { createOfflineStubApp } = require('./offline-stubs');
+    const mockSecretManager = require('./local-dev');
+
+    const app = createOfflineStubApp(this);
+    const port = parseInt(process.env.OFFLINE_STUB_PORT, 10) || 0;
+    this.server = await new Promise((resolve, reject) => {
+      const server = app.listen(port, '127.0.0.1', () => resolve(server));
+      server.on('error', reject);
+    });
+    this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+
+    this.seedWordPress();
+
+    Object.assign(mockSecretManager.secrets, {
+      WORDPRESS_API_URL: `${this.baseUrl}/wp-json/wp/v2`,
+      wp_username: 'offline-appraiser',
+      wp_app_password: 'offline-password',
+      OPENAI_API_KEY: 'sk-offline',
+      GEMINI_API_KEY: 'offline-gemini-key',
+      PUBSUB_TOPIC_CRM_MESSAGES: CRM_TOPIC
+    });
+
+    process.env.OPENAI_BASE_URL = `${this.baseUrl}/openai/v1`;
+    process.env.GEMINI_API_BASE_URL = `${this.baseUrl}/gemini`;
+    process.env.PDF_BACKEND_URL = `${this.baseUrl}/pdf`;
+    process.env.APPRAISALS_BACKEND_URL = `${this.baseUrl}/backend`;
+
+    this.logger.info(`Offline mode: stand-in services listening on ${this.baseUrl}`);
+    this.logger.info(`Sample appraisal: id 2, session offline-session-1, WordPress post ${SAMPLE_POST_ID}`);
+    this.logger.info(`Publish appraisal tasks with POST ${this.baseUrl}/offline/pubsub/topics/${TASKS_TOPIC}`);
+  }
+
+  async stop() {
+    if (!this.server) return;
+
+    await new Promise(resolve => this.server.close(resolve));
+    await this.pubsub.close();
+    this.server = null;
+  }
+}
+
+let environment = null;
+
+/**
+ * The process-wide offline environment, created on first use
+ * @returns {OfflineEnvironment}
+ */
+function getOfflineEnvironment() {
+  if (!environment) {
+    environment = new OfflineEnvironment();
+  }
+  return environment;
+}
+
+module.exports = {
+  isOfflineMode,
+  getOfflineEnvironment,
+  OfflineEnvironment
+};
@@ -0,0 +1,269 @@
+const express = require('express');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('OfflineStubs');
+
+// 1x1 PNG served for every uploaded media file
+const SAMPLE_IMAGE = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+// Canned model output: the same answers every time, so offline runs are repeatable
+const CANNED_IMAGE_ANALYSIS = 'Oil on canvas landscape depicting a river valley at dusk, in the manner of the late 19th century ' +
+  'American Hudson River School. Warm palette with atmospheric perspective, loose brushwork in the foliage and a finely ' +
+  'rendered sky. Gilt wood frame with minor losses; the canvas shows light craquelure consistent with age.';
+
+const CANNED_MERGE = {
+  mergedDescription: 'Late 19th century American oil on canvas landscape of a river valley at dusk, attributed by the ' +
+    'appraiser to a Hudson River School follower. Warm palette, atmospheric perspective and loose brushwork in the ' +
+    'foliage. Presented in a gilt wood frame with minor losses; light craquelure consistent with age.',
+  briefTitle: 'Hudson River School Style River Valley Landscape, Oil on Canvas, Late 19th Century',
+  detailedTitle: 'Late 19th Century American Hudson River School Style Oil on Canvas Landscape of a River Valley at Dusk in Gilt Frame'
+};
+
+const CANNED_ATTRIBUTES = {
+  object_type: 'Oil painting',
+  creator: 'Follower of the Hudson River School',
+  estimated_age: 'Late 19th century',
+  age_text: 'The palette, canvas and craquelure are consistent with a painting from the late 19th century.',
+  medium: 'Oil on canvas',
+  condition: 'Good, with minor frame losses',
+  condition_summary: 'Light craquelure consistent with age. The gilt wood frame has minor losses.'
+};
+
+const CANNED_EXTRACTION = {
+  title: 'River Valley Landscape at Dusk',
+  value: '1500',
+  imageURLs: [],
+  sessionID: '',
+  customerEmail: '',
+  detailedTitle: CANNED_MERGE.detailedTitle
+};
+
+function wordpressError(res, status, code, message) {
+  return res.status(status).json({ code, message, data: { status } });
+}
+
+/**
+ * HTTP stand-ins for the services the worker reaches over HTTP, for offline mode:
+ *
+ * - /wp-json/wp/v2: WordPress REST API (users/me, appraisals/:id GET/POST, media search and
+ *   upload, media/:id GET/POST) over the environment's posts and media, plus
+ *   /wp-content/uploads for the image files
+ * - /openai/v1: OpenAI models and chat completions with canned answers
+ * - /gemini: Gemini generateContent with a canned extraction
+ * - /pdf: the PDF backend's /render-pdf
+ * - /backend: the appraisals backend's /complete-appraisal-report
+ * - /offline: inspect the fake spreadsheet and publish to or read the in-memory Pub/Sub
+ *
+ * @param {object} environment - OfflineEnvironment holding the fake data
+ * @returns {express.Application}
+ */
+function createOfflineStubApp(environment) {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+
+  app.use((req, res, next) => {
+    logger.debug(`${req.method} ${req.path}`);
+    next();
+  });
+
+  // WordPress
+  const wordpress = express.Router();
+
+  wordpress.get('/users/me', (req, res) => {
+    res.json({ id: 1, name: 'Offline Appraiser', slug: 'offline-appraiser' });
+  });
+
+  wordpress.get('/appraisals/:id', (req, res) => {
+    const post = environment.posts.get(String(req.params.id));
+    if (!post) {
+      return wordpressError(res, 404, 'rest_post_invalid_id', 'Invalid post ID.');
+    }
+    res.json(post);
+  });
+
+  wordpress.post('/appraisals/:id', (req, res) => {
+    const post = environment.posts.get(String(req.params.id));
+    if (!post) {
+      return wordpressError(res, 404, 'rest_post_invalid_id', 'Invalid post ID.');
+    }
+
+    // Like a site whose server honours conditional requests (WordPress core does not)
+    const unmodifiedSince = Date.parse(req.get('If-Unmodified-Since'));
+    if (post.modified_gmt && !Number.isNaN(unmodifiedSince) && Date.parse(`${post.modified_gmt}Z`) > unmodifiedSince) {
+      return wordpressError(res, 412, 'rest_precondition_failed', 'The post was modified after the given date.');
+    }
+
+    const { title, content, acf } = req.body || {};
+    if (title !== undefined) post.title = { raw: title, rendered: title };
+    if (content !== undefined) post.content = { raw: content, rendered: content, protected: false };
+    if (acf) post.acf = { ...post.acf, ...acf };
+    post.modified_gmt = new Date().toISOString().slice(0, 19);
+    post.modified = post.modified_gmt;
+
+    res.json(post);
+  });
+
+  wordpress.get('/media', (req, res) => {
+    const search = String(req.query.search || '').toLowerCase();
+    const parent = req.query.parent === undefined ? null : Number(req.query.parent);
+    const matches = [...environment.media.values()].filter(media =>
+      (parent === null || (media.post || 0) === parent) &&
+      (!search || [media.title && media.title.rendered, media.caption && media.caption.raw]
+        .some(text => typeof text === 'string' && text.toLowerCase().includes(search)))
+    );
+    const perPage = Number(req.query.per_page) || 10;
+    const page = Number(req.query.page) || 1;
+    res.set('X-WP-Total', String(matches.length));
+    res.set('X-WP-TotalPages', String(Math.max(1, Math.ceil(matches.length / perPage))));
+    res.json(matches.slice((page - 1) * perPage, page * perPage));
+  });
+
+  wordpress.post('/media', express.raw({ type: () => true, limit: '50mb' }), (req, res) => {
+    const filename = ((req.get('content-disposition') || '').match(/filename="?([^";]+)"?/) || [])[1];
+    if (!filename || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return wordpressError(res, 400, 'rest_upload_no_data', 'No data supplied.');
+    }
+
+    const id = Math.max(0, ...[...environment.media.keys()].map(Number)) + 1;
+    const slug = filename.replace(/\.[^.]+$/, '').toLowerCase();
+    const mimeType = req.get('content-type');
+    const media = {
+      id,
+      slug,
+      title: { raw: slug, rendered: slug },
+      media_type: mimeType.startsWith('image/') ? 'image' : 'file',
+      mime_type: mimeType,
+      post: req.query.post === undefined ? null : Number(req.query.post),
+      alt_text: '',
+      caption: { raw: '', rendered: '' },
+      meta: {},
+      source_url: `${environment.baseUrl}/wp-content/uploads/${filename}`
+    };
+    environment.media.set(String(id), media);
+
+    res.status(201).json(media);
+  });
+
+  wordpress.post('/media/:id', (req, res) => {
+    const media = environment.media.get(String(req.params.id));
+    if (!media) {
+      return wordpressError(res, 404, 'rest_post_invalid_id', 'Invalid post ID.');
+    }
+
+    const { post, title, alt_text: altText, caption, meta } = req.body || {};
+    if (post !== undefined) media.post = post;
+    if (meta) media.meta = { ...media.meta, ...meta };
+    if (title !== undefined) media.title = { raw: title, rendered: title };
+    if (altText !== undefined) media.alt_text = altText;
+    if (caption !== undefined) media.caption = { raw: caption, rendered: `<p>${caption}</p>\n` };
+
+    res.json(media);
+  });
+
+  wordpress.get('/media/:id', (req, res) => {
+    const media = environment.media.get(String(req.params.id));
+    if (!media) {
+      return wordpressError(res, 404, 'rest_post_invalid_id', 'Invalid post ID.');
+    }
+    res.json(media);
+  });
+
+  app.use('/wp-json/wp/v2', wordpress);
+
+  app.get('/wp-content/uploads/:file', (req, res) => {
+    res.type('png').send(SAMPLE_IMAGE);
+  });
+
+  // OpenAI
+  app.get('/openai/v1/models/:model', (req, res) => {
+    res.json({ id: req.params.model, object: 'model', created: 0, owned_by: 'offline' });
+  });
+
+  app.post('/openai/v1/chat/completions', (req, res) => {
+    const { model, messages = [], response_format: responseFormat } = req.body || {};
+    const prompt = messages.map(message => (typeof message.content === 'string' ? message.content : '')).join('\n');
+    // Description merges and attribute extraction ask for JSON; image analysis is free text
+    let content = CANNED_IMAGE_ANALYSIS;
+    if (responseFormat && responseFormat.type === 'json_object') {
+      content = JSON.stringify(prompt.includes('- object_type:') ? CANNED_ATTRIBUTES : CANNED_MERGE);
+    }
+
+    res.json({
+      id: `chatcmpl-offline-${Date.now()}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    });
+  });
+
+  // Gemini
+  app.get('/gemini/:version/models', (req, res) => {
+    res.json({ models: [{ name: 'models/gemini-2.5-pro-preview-05-06' }] });
+  });
+
+  app.post('/gemini/:version/models/:action', (req, res) => {
+    if (!req.params.action.endsWith(':generateContent')) {
+      return res.status(404).json({ error: { code: 404, message: `Unsupported method ${req.params.action}`, status: 'NOT_FOUND' } });
+    }
+
+    const text = '```json\n' + JSON.stringify(CANNED_EXTRACTION, null, 2) + '\n```';
+
+    res.json({
+      candidates: [{ index: 0, content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP' }]
+    });
+  });
+
+  // PDF backend
+  app.post('/pdf/render-pdf', (req, res) => {
+    const { postId } = req.body || {};
+    if (!postId) {
+      return res.status(400).json({ error: 'postId is required' });
+    }
+
+    res.json({
+      pdfUrl: `${environment.baseUrl}/files/appraisal-${postId}.pdf`,
+      htmlUrl: `${environment.baseUrl}/files/appraisal-${postId}.html`
+    });
+  });
+
+  // Appraisals backend
+  app.post('/backend/complete-appraisal-report', (req, res) => {
+    const { postId } = req.body || {};
+    const post = environment.posts.get(String(postId));
+    if (!post) {
+      return res.status(404).json({ success: false, message: `Post ${postId} not found` });
+    }
+
+    post.acf = { ...post.acf, report_generated_at: new Date().toISOString() };
+    res.json({ success: true, message: 'Report completed (offline)' });
+  });
+
+  // Inspecting and driving the fakes
+  app.get('/offline/sheets/:sheet', (req, res) => {
+    const rows = environment.sheetsApi.grids.get(req.params.sheet);
+    if (!rows) {
+      return res.status(404).json({ success: false, message: `No sheet named ${req.params.sheet}` });
+    }
+    res.json({ success: true, data: Array.from(rows, row => Array.from(row || [], cell => (cell === undefined ? '' : cell))) });
+  });
+
+  app.post('/offline/pubsub/topics/:topic', async (req, res) => {
+    const messageId = await environment.pubsub.topic(req.params.topic).publishMessage({ json: req.body });
+    res.json({ success: true, data: { messageId } });
+  });
+
+  app.get('/offline/pubsub/topics/:topic', (req, res) => {
+    const topic = environment.pubsub.topics.get(req.params.topic);
+    const messages = topic ? topic.messages.map(({ data, attributes }) => ({ data: JSON.parse(data.toString()), attributes })) : [];
+    res.json({ success: true, data: messages });
+  });
+
+  return app;
+}
+
+module.exports = { createOfflineStubApp };
@@ -0,0 +1,132 @@
+/**
+ * Helpers for noticing that a WordPress post changed since the pipeline last
+ * wrote it, e.g. because an appraiser edited it in wp-admin between two steps
+ */
+const crypto = require('crypto');
+
+const CONFLICT_CODE = 'WORDPRESS_CONFLICT';
+
+// Longest value shown in a logged diff
+const MAX_DIFF_VALUE_LENGTH = 80;
+
+function rendered(field) {
+  if (field && typeof field === 'object') return field.rendered ?? field.raw ?? '';
+  return field ?? '';
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value ?? null)).digest('hex').slice(0, 12);
+}
+
+function modifiedOf(post) {
+  return post.modified_gmt || post.modified || null;
+}
+
+/**
+ * The fields of a post an edit can change, keyed by a readable path
+ * @param {object} post - Post as the REST API returns it
+ * @returns {object}
+ */
+function editableFields(post) {
+  const fields = {
+    title: rendered(post.title),
+    content: rendered(post.content),
+    excerpt: rendered(post.excerpt),
+    status: post.status ?? ''
+  };
+  for (const [name, value] of Object.entries(post.acf || {})) {
+    fields[`acf.${name}`] = value;
+  }
+  return fields;
+}
+
+/**
+ * Version of a post: its modified timestamp and a hash per editable field.
+ * The timestamp has one-second resolution in WordPress, so two edits within
+ * the same second are told apart by the hashes, which also say what changed.
+ * It is small enough to keep in a step's checkpoint output.
+ * @param {object} post - Post as the REST API returns it
+ * @returns {{modified: string|null, fields: Object<string, string>}}
+ */
+function postVersion(post) {
+  const fields = {};
+  for (const [name, value] of Object.entries(editableFields(post))) {
+    fields[name] = hash(value);
+  }
+  return { modified: modifiedOf(post), fields };
+}
+
+/**
+ * Fields of a post that differ from a version of it
+ * @param {object} version - Result of postVersion
+ * @param {object} post - The post as read now
+ * @returns {object[]} - { field, value } per changed field, with its current value
+ */
+function changedFields(version, post) {
+  const current = editableFields(post);
+  const names = [...new Set([...Object.keys(version.fields || {}), ...Object.keys(current)])];
+
+  return names
+    .filter(name => (version.fields || {})[name] !== (name in current ? hash(current[name]) : undefined))
+    .map(name => ({ field: name, value: current[name] }));
+}
+
+/**
+ * Whether a post is still at a version
+ * @param {object} version - Result of postVersion
+ * @param {object} post - The post as read now
+ * @returns {boolean}
+ */
+function isCurrentVersion(version, post) {
+  return version.modified === modifiedOf(post) && changedFields(version, post).length === 0;
+}
+
+function shorten(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value) ?? 'undefined';
+  return text.length > MAX_DIFF_VALUE_LENGTH ? `${text.slice(0, MAX_DIFF_VALUE_LENGTH - 1)}…` : text;
+}
+
+/**
+ * One-line description of what changed, for the logs
+ * @param {object[]} changes - Result of changedFields
+ * @returns {string}
+ */
+function formatDiff(changes) {
+  if (changes.length === 0) return 'modified timestamp only';
+  return changes.map(({ field, value }) => `${field} is now ${JSON.stringify(shorten(value))}`).join('; ');
+}
+
+/**
+ * Create the error thrown when a post was edited since the pipeline wrote it
+ * @param {string} postId - WordPress post ID
+ * @param {object[]} changes - Result of changedFields (empty when unknown)
+ * @returns {Error} - Error with code WORDPRESS_CONFLICT and statusCode 409
+ */
+function createConflictError(postId, changes) {
+  const fields = changes.map(change => change.field);
+  const error = new Error(`WordPress post ${postId} was edited while it was being updated${fields.length ? ` (${fields.join(', ')})` : ''}`);
+  error.code = CONFLICT_CODE;
+  error.statusCode = 409;
+  error.postId = String(postId);
+  error.changes = changes;
+  return error;
+}
+
+/**
+ * Check whether an error is an update conflict
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+function isConflictError(error) {
+  return !!error && error.code === CONFLICT_CODE;
+}
+
+module.exports = {
+  CONFLICT_CODE,
+  postVersion,
+  changedFields,
+  isCurrentVersion,
+  formatDiff,
+  createConflictError,
+  isConflictError
+};
@@ -0,0 +1,79 @@
+const { createLogger } = require('./logger');
+
+const logger = createLogger('RateLimiter');
+
+/**
+ * Token bucket shared by every caller of a quota-limited API. Up to
+ * requestsPerMinute calls go through immediately; after that callers wait, in
+ * order, for tokens refilled at requestsPerMinute / 60 per second.
+ */
+class RateLimiter {
+  /**
+   * @param {string} name - Name for logs (e.g. "sheets-read")
+   * @param {object} options - Limiter options
+   * @param {number} options.requestsPerMinute - Sustained rate and burst size
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.requestsPerMinute = options.requestsPerMinute || 60;
+    this.tokens = this.requestsPerMinute;
+    this.refilledAt = Date.now();
+    this.waiting = 0;
+    // Callers wait one after another so nobody is starved
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.requestsPerMinute, this.tokens + (now - this.refilledAt) * this.requestsPerMinute / 60000);
+    this.refilledAt = now;
+  }
+
+  /**
+   * Wait for a token
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    this.waiting++;
+    const turn = this.queue.then(async () => {
+      this.refill();
+      while (this.tokens < 1) {
+        const waitMs = Math.ceil((1 - this.tokens) * 60000 / this.requestsPerMinute);
+        logger.debug(`${this.name}: quota reached, waiting ${waitMs}ms (${this.waiting} queued)`);
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+        this.refill();
+      }
+      this.tokens -= 1;
+    }).finally(() => {
+      this.waiting--;
+    });
+
+    this.queue = turn;
+    return turn;
+  }
+
+  /**
+   * The API reported its quota as exhausted (429): empty the bucket so every
+   * caller slows down, not just the one that was rejected
+   */
+  exhaust() {
+    this.refill();
+    this.tokens = Math.min(this.tokens, 0);
+    logger.warn(`${this.name}: quota exceeded, throttling to ${this.requestsPerMinute} requests per minute`);
+  }
+
+  /**
+   * Current state for logs and health reporting
+   * @returns {object}
+   */
+  getState() {
+    this.refill();
+    return {
+      requestsPerMinute: this.requestsPerMinute,
+      availableTokens: Math.floor(this.tokens),
+      waiting: this.waiting
+    };
+  }
+}
+
+module.exports = { RateLimiter };
@@ -0,0 +1,240 @@
+const { createLogger } = require('./logger');
+const { getContext } = require('./async-context');
+const { observeIntegrationCall } = require('./metrics');
+const { createCancelledError, isCancelledError } = require('./abort');
+
+const logger = createLogger('Retry');
+
+const TRANSIENT_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ESOCKETTIMEDOUT'];
+// Failures to connect at all: the request never reached the server
+const CONNECT_NETWORK_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Per-integration retry policies. Every value can be overridden with
+ * RETRY_<INTEGRATION>_<SETTING>, e.g. RETRY_WORDPRESS_MAX_ATTEMPTS=6 or
+ * RETRY_APPRAISALS_BACKEND_BASE_DELAY_MS=5000.
+ */
+const RETRY_POLICIES = {
+  wordpress: {
+    maxAttempts: 4,
+    baseDelayMs: 1000,
+    maxDelayMs: 30000,
+    retryableStatusCodes: TRANSIENT_STATUS_CODES,
+    retryableNetworkCodes: TRANSIENT_NETWORK_CODES
+  },
+  openai: {
+    maxAttempts: 3,
+    baseDelayMs: 2000,
+    maxDelayMs: 60000,
+    retryableStatusCodes: TRANSIENT_STATUS_CODES,
+    retryableNetworkCodes: TRANSIENT_NETWORK_CODES
+  },
+  gemini: {
+    maxAttempts: 3,
+    baseDelayMs: 2000,
+    maxDelayMs: 60000,
+    retryableStatusCodes: TRANSIENT_STATUS_CODES,
+    retryableNetworkCodes: TRANSIENT_NETWORK_CODES
+  },
+  // PDF renders and report generation are not idempotent and run for many
+  // minutes. Any response, timeout or dropped connection may come after the
+  // backend started the work, so only failures to connect are retried.
+  pdf: {
+    maxAttempts: 2,
+    baseDelayMs: 5000,
+    maxDelayMs: 60000,
+    retryableStatusCodes: [],
+    retryableNetworkCodes: CONNECT_NETWORK_CODES
+  },
+  appraisalsBackend: {
+    maxAttempts: 2,
+    baseDelayMs: 5000,
+    maxDelayMs: 60000,
+    retryableStatusCodes: [],
+    retryableNetworkCodes: CONNECT_NETWORK_CODES
+  },
+  // Only quota errors: the googleapis client already retries 5xx itself
+  sheets: {
+    maxAttempts: 5,
+    baseDelayMs: 2000,
+    maxDelayMs: 60000,
+    retryableStatusCodes: [429],
+    retryableNetworkCodes: TRANSIENT_NETWORK_CODES
+  }
+};
+
+function envNumber(integration, setting) {
+  const prefix = integration.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+  const value = parseInt(process.env[`RETRY_${prefix}_${setting}`], 10);
+  return Number.isNaN(value) ? undefined : value;
+}
+
+/**
+ * Resolve the retry policy for an integration, applying environment overrides
+ * @param {string} integration - Integration name (a key of RETRY_POLICIES)
+ * @returns {object} - The policy
+ */
+function getRetryPolicy(integration) {
+  const policy = RETRY_POLICIES[integration];
+  if (!policy) {
+    throw new Error(`Unknown retry policy: ${integration}`);
+  }
+
+  return {
+    ...policy,
+    maxAttempts: envNumber(integration, 'MAX_ATTEMPTS') ?? policy.maxAttempts,
+    baseDelayMs: envNumber(integration, 'BASE_DELAY_MS') ?? policy.baseDelayMs,
+    maxDelayMs: envNumber(integration, 'MAX_DELAY_MS') ?? policy.maxDelayMs
+  };
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Build an error for a non-OK fetch response, carrying the status and
+ * Retry-After delay so withRetry can decide whether to try again
+ * @param {string} message - Error message
+ * @param {object} response - fetch Response
+ * @returns {Error}
+ */
+function createHttpError(message, response) {
+  const error = new Error(message);
+  error.status = response.status;
+  error.retryAfterMs = parseRetryAfter(response.headers && response.headers.get('retry-after'));
+  return error;
+}
+
+// Status from our own HTTP errors, the OpenAI SDK, the Gemini SDK and googleapis (gaxios)
+function getStatus(error) {
+  return error.status || error.statusCode || (error.response && error.response.status) || null;
+}
+
+function getRetryAfterMs(error) {
+  if (error.retryAfterMs !== undefined && error.retryAfterMs !== null) {
+    return error.retryAfterMs;
+  }
+  // OpenAI SDK errors expose the response headers as a plain object, gaxios errors on the response
+  const headers = error.headers || (error.response && error.response.headers);
+  return headers ? parseRetryAfter(headers['retry-after']) : null;
+}
+
+/**
+ * Whether an error is worth retrying under a policy
+ * @param {Error} error - The error
+ * @param {object} policy - Retry policy
+ * @returns {boolean}
+ */
+function isRetryableError(error, policy) {
+  if (isCancelledError(error) || error.name === 'AbortError') {
+    return false;
+  }
+
+  const status = getStatus(error);
+  if (status) {
+    return policy.retryableStatusCodes.includes(status);
+  }
+
+  // The OpenAI SDK wraps network errors in its own classes
+  return policy.retryableNetworkCodes.includes(error.code) ||
+    error.name === 'APIConnectionError' ||
+    error.name === 'APIConnectionTimeoutError';
+}
+
+/**
+ * Exponential backoff with jitter, or the server's Retry-After when it sent one
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {object} policy - Retry policy
+ * @param {Error} error - The error
+ * @returns {number} - Delay in milliseconds
+ */
+function getDelayMs(attempt, policy, error) {
+  const retryAfterMs = getRetryAfterMs(error);
+  if (retryAfterMs !== null) {
+    return Math.min(retryAfterMs, policy.maxDelayMs);
+  }
+
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createCancelledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createCancelledError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run an outbound call, retrying transient failures under the integration's policy.
+ * Retries are logged and, inside a job, recorded on the job record via the job context.
+ * @param {string} integration - Integration name (a key of RETRY_POLICIES)
+ * @param {string} operation - Short description for logs (e.g. "GET appraisals/123")
+ * @param {Function} fn - The call; receives the attempt number (1-based)
+ * @param {object} options - Additional options
+ * @param {AbortSignal} options.signal - Stops retrying when aborted
+ * @returns {Promise<any>} - Whatever fn resolves with
+ */
+async function withRetry(integration, operation, fn, options = {}) {
+  const { signal = null } = options;
+  const policy = getRetryPolicy(integration);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await observeIntegrationCall(integration, operation, () => fn(attempt));
+    } catch (error) {
+      if (attempt >= policy.maxAttempts || !isRetryableError(error, policy)) {
+        if (attempt > 1) {
+          logger.error(`${integration} ${operation} failed after ${attempt} attempts: ${error.message}`);
+        }
+        throw error;
+      }
+
+      const delayMs = getDelayMs(attempt, policy, error);
+      logger.warn(`${integration} ${operation} failed (attempt ${attempt}/${policy.maxAttempts}, status ${getStatus(error) || error.code || 'n/a'}): ${error.message}. Retrying in ${delayMs}ms`);
+
+      const context = getContext();
+      if (context && context.onRetry) {
+        context.onRetry({ integration, operation, attempt, error });
+      }
+
+      await sleep(delayMs, signal);
+    }
+  }
+}
+
+module.exports = {
+  RETRY_POLICIES,
+  getRetryPolicy,
+  parseRetryAfter,
+  createHttpError,
+  isRetryableError,
+  withRetry
+};
@@ -1,5 +1,6 @@
 const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
 const { createLogger } = require('./logger');
+const { isOfflineMode } = require('./offline-mode');
 
 class SecretManager {
   constructor() {
@@ -57,4 +58,5 @@ class SecretManager {
   }
 }
 
-module.exports = new SecretManager();
\ No newline at end of file
+// Offline mode reads the mock secrets, which point at the local stand-in services
+module.exports = isOfflineMode() ? require('./local-dev') : new SecretManager();
\ No newline at end of file
@@ -0,0 +1,353 @@
+/**
+ * Column layout of the Pending/Completed Appraisals sheets
+ */
+
+/**
+ * Named fields and their default columns. `headers` are the header-row labels
+ * accepted for a field (compared case-insensitively, ignoring spaces and
+ * punctuation); they validate the layout at startup and locate the field when
+ * columns are detected from the header row. An `optional` field was added after
+ * the sheets were set up, so a blank header cell in its column is accepted;
+ * only a different header counts as a mismatch.
+ */
+const DEFAULT_FIELDS = {
+  sessionId: { column: 'A', headers: ['Session ID', 'Session'] },
+  appraisalType: { column: 'B', headers: ['Appraisal Type', 'Type'] },
+  customerEmail: { column: 'D', headers: ['Customer Email', 'Email'] },
+  customerName: { column: 'E', headers: ['Customer Name', 'Name'] },
+  status: { column: 'F', headers: ['Status'] },
+  wordpressUrl: { column: 'G', headers: ['WordPress URL', 'WP URL', 'Post URL', 'Edit URL'] },
+  aiDescription: { column: 'H', headers: ['AI Description', 'IA Description'] },
+  value: { column: 'J', headers: ['Value', 'Appraisal Value'] },
+  description: { column: 'K', headers: ['Description', 'Customer Description'] },
+  mergedDescription: { column: 'L', headers: ['Merged Description'] },
+  pdfLink: { column: 'M', headers: ['PDF Link', 'PDF'] },
+  docLink: { column: 'N', headers: ['Doc Link', 'HTML Link', 'Document Link'] },
+  publicUrl: { column: 'P', headers: ['Public URL', 'Public Link'] },
+  notificationStatus: { column: 'Q', headers: ['Notification Status', 'Email Status', 'Notification'] },
+  briefTitle: { column: 'S', headers: ['Brief Title', 'Title'] },
+  detailedTitle: { column: 'T', headers: ['Detailed Title'] },
+  // Pending sheet only: the row moveToCompleted copied the appraisal to
+  completedRow: { column: 'U', headers: ['Completed Row', 'Moved To Row'], optional: true }
+};
+
+/**
+ * Convert a column letter to a 0-based index (A = 0, Z = 25, AA = 26)
+ * @param {string} column - Column letter(s)
+ * @returns {number}
+ */
+function columnToIndex(column) {
+  if (!/^[A-Z]+$/.test(column)) {
+    throw new Error(`Invalid column: ${column}`);
+  }
+  return column.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Convert a 0-based index to a column letter (0 = A, 26 = AA)
+ * @param {number} index - Column index
+ * @returns {string}
+ */
+function indexToColumn(index) {
+  let column = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    column = String.fromCharCode(65 + (n - 1) % 26) + column;
+  }
+  return column;
+}
+
+/**
+ * Parse an A1 range such as "'Pending Appraisals'!J5:K5", "A:A" or "5:5".
+ * Missing bounds (whole columns or rows) are null.
+ * @param {string} range - A1 range, optionally prefixed with the sheet name
+ * @returns {{sheet: string|null, startRow: number|null, endRow: number|null, startColumn: number|null, endColumn: number|null}}
+ */
+function parseA1Range(range) {
+  const separator = range.lastIndexOf('!');
+  const sheet = separator === -1 ? null : range.slice(0, separator).replace(/^'|'$/g, '').replace(/''/g, "'");
+  const [start, end = start] = range.slice(separator + 1).split(':');
+
+  const parseCell = cell => {
+    const match = /^([A-Z]*)(\d*)$/.exec(cell.toUpperCase());
+    if (!match) throw new Error(`Invalid A1 range: ${range}`);
+    return {
+      column: match[1] ? columnToIndex(match[1]) : null,
+      row: match[2] ? parseInt(match[2], 10) : null
+    };
+  };
+  const from = parseCell(start);
+  const to = parseCell(end);
+
+  return { sheet, startRow: from.row, endRow: to.row, startColumn: from.column, endColumn: to.column };
+}
+
+/**
+ * Whether two A1 ranges share at least one cell
+ * @param {string} a - A1 range
+ * @param {string} b - A1 range
+ * @returns {boolean}
+ */
+function rangesOverlap(a, b) {
+  const first = parseA1Range(a);
+  const second = parseA1Range(b);
+  // Open bounds (null) extend to the edge of the sheet
+  const intersects = (start1, end1, start2, end2) =>
+    (start1 === null || end2 === null || start1 <= end2) && (start2 === null || end1 === null || start2 <= end1);
+
+  return first.sheet === second.sheet &&
+    intersects(first.startRow, first.endRow, second.startRow, second.endRow) &&
+    intersects(first.startColumn, first.endColumn, second.startColumn, second.endColumn);
+}
+
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Re-order a row from one sheet's header layout to another's, matching columns
+ * by header label. Without both header rows, cells keep their position.
+ * @param {any[]} row - Cells in the source layout
+ * @param {string[]|null} fromHeaders - Source header row
+ * @param {string[]|null} toHeaders - Destination header row
+ * @returns {any[]} - Cells in the destination layout
+ */
+function alignRow(row, fromHeaders, toHeaders) {
+  if (!fromHeaders || !toHeaders || fromHeaders.length === 0 || toHeaders.length === 0) {
+    return row.slice();
+  }
+
+  const sourceIndex = new Map();
+  fromHeaders.forEach((header, index) => {
+    const key = normalizeHeader(header);
+    if (key && !sourceIndex.has(key)) sourceIndex.set(key, index);
+  });
+
+  return toHeaders.map(header => {
+    const index = sourceIndex.get(normalizeHeader(header));
+    return index === undefined || row[index] === undefined ? '' : row[index];
+  });
+}
+
+/**
+ * Maps named fields to columns of one sheet
+ */
+class SheetSchema {
+  /**
+   * @param {object} fields - Field definitions keyed by name: { column, headers, optional }
+   */
+  constructor(fields = DEFAULT_FIELDS) {
+    this.fields = {};
+    for (const [name, definition] of Object.entries(fields)) {
+      const column = String(definition.column).toUpperCase();
+      this.fields[name] = {
+        column,
+        index: columnToIndex(column),
+        headers: definition.headers || [],
+        optional: !!definition.optional
+      };
+    }
+  }
+
+  /**
+   * Build the schema from the defaults plus overrides, e.g. the SHEETS_COLUMNS
+   * environment variable: {"publicUrl": "R"} or {"publicUrl": {"column": "R", "headers": ["Report URL"]}}
+   * @param {object|string} overrides - Overrides keyed by field name, or their JSON
+   * @returns {SheetSchema}
+   */
+  static fromConfig(overrides = {}) {
+    const parsed = typeof overrides === 'string' ? JSON.parse(overrides) : overrides;
+    const fields = { ...DEFAULT_FIELDS };
+
+    for (const [name, override] of Object.entries(parsed || {})) {
+      const definition = typeof override === 'string' ? { column: override } : override;
+      fields[name] = { ...fields[name], ...definition };
+    }
+
+    return new SheetSchema(fields);
+  }
+
+  /**
+   * Column letter of a field
+   * @param {string} field - Field name
+   * @returns {string}
+   * @throws {Error} If the field is not in the schema
+   */
+  column(field) {
+    const definition = this.fields[field];
+    if (!definition) {
+      throw new Error(`Unknown sheet field: ${field}`);
+    }
+    return definition.column;
+  }
+
+  /**
+   * 0-based column index of a field
+   * @param {string} field - Field name
+   * @returns {number}
+   */
+  index(field) {
+    return columnToIndex(this.column(field));
+  }
+
+  /**
+   * A1 range of a field in a row, e.g. range('status', 12) === 'F12'
+   * @param {string} field - Field name
+   * @param {number|string} row - Row number (the appraisal ID)
+   * @returns {string}
+   */
+  range(field, row) {
+    return `${this.column(field)}${row}`;
+  }
+
+  /**
+   * Smallest A1 range of a row covering several fields
+   * @param {string[]} fields - Field names
+   * @param {number|string} row - Row number
+   * @returns {{range: string, startIndex: number}} - The range and the index of its first column
+   */
+  spanRange(fields, row) {
+    const indexes = fields.map(field => this.index(field));
+    const startIndex = Math.min(...indexes);
+    const endIndex = Math.max(...indexes);
+    const range = startIndex === endIndex
+      ? `${indexToColumn(startIndex)}${row}`
+      : `${indexToColumn(startIndex)}${row}:${indexToColumn(endIndex)}${row}`;
+    return { range, startIndex };
+  }
+
+  /**
+   * Group fields into runs of adjacent columns, each readable or writable as one range
+   * @param {string[]} fields - Field names
+   * @returns {string[][]} - Runs of field names, in column order
+   */
+  runs(fields) {
+    const sorted = [...new Set(fields)].sort((a, b) => this.index(a) - this.index(b));
+    const runs = [];
+
+    for (const field of sorted) {
+      const run = runs[runs.length - 1];
+      if (run && this.index(field) === this.index(run[run.length - 1]) + 1) {
+        run.push(field);
+      } else {
+        runs.push([field]);
+      }
+    }
+    return runs;
+  }
+
+  /**
+   * Number of columns up to and including the last field
+   * @returns {number}
+   */
+  get width() {
+    return Math.max(...Object.values(this.fields).map(definition => definition.index)) + 1;
+  }
+
+  /**
+   * Read named fields out of a row
+   * @param {any[]} row - Cell values, starting at startIndex
+   * @param {string[]} fields - Fields to read (default all)
+   * @param {number} startIndex - Column index of row[0]
+   * @returns {object} - Values keyed by field name, null when empty
+   */
+  toRecord(row, fields = Object.keys(this.fields), startIndex = 0) {
+    return fields.reduce((record, field) => {
+      const value = (row || [])[this.index(field) - startIndex];
+      record[field] = value !== undefined && value !== '' ? value : null;
+      return record;
+    }, {});
+  }
+
+  /**
+   * Lay out named fields as a row. Columns the schema does not name are taken
+   * from baseRow by position.
+   * @param {object} record - Values keyed by field name
+   * @param {any[]} baseRow - Cells for unnamed columns
+   * @returns {any[]} - Row of at least this.width cells
+   */
+  toRow(record, baseRow = []) {
+    const named = new Set(Object.values(this.fields).map(definition => definition.index));
+    const row = Array.from({ length: Math.max(this.width, baseRow.length) }, (cell, index) =>
+      named.has(index) || baseRow[index] === undefined ? '' : baseRow[index]
+    );
+
+    for (const [field, value] of Object.entries(record)) {
+      if (this.fields[field] && value !== undefined && value !== null) {
+        row[this.index(field)] = value;
+      }
+    }
+    return row;
+  }
+
+  /**
+   * Compare the schema with a sheet's header row
+   * @param {string[]} headerRow - Header cells
+   * @returns {object[]} - One { field, column, expected, actual } per field whose header does not match
+   *   (an optional field's blank header matches)
+   */
+  validate(headerRow) {
+    return Object.entries(this.fields)
+      .filter(([, definition]) => definition.headers.length > 0)
+      .filter(([, definition]) => {
+        const actual = normalizeHeader(headerRow[definition.index]);
+        if (definition.optional && actual === '') return false;
+        return !definition.headers.some(header => normalizeHeader(header) === actual);
+      })
+      .map(([field, definition]) => ({
+        field,
+        column: definition.column,
+        expected: definition.headers[0],
+        actual: headerRow[definition.index] || ''
+      }));
+  }
+
+  /**
+   * Locate every field by its header label instead of its configured column
+   * @param {string[]} headerRow - Header cells
+   * @returns {{schema: SheetSchema, missing: string[]}} - Detected schema (fields not found keep their configured column) and the fields not found
+   */
+  detect(headerRow) {
+    const normalized = headerRow.map(normalizeHeader);
+    const fields = {};
+    const missing = [];
+
+    for (const [field, definition] of Object.entries(this.fields)) {
+      const index = definition.headers
+        .map(header => normalized.indexOf(normalizeHeader(header)))
+        .find(position => position !== -1);
+
+      if (index === undefined) {
+        // An optional field may keep its column as long as nothing else uses it
+        if (!(definition.optional && !normalized[definition.index])) {
+          missing.push(field);
+        }
+        fields[field] = definition;
+      } else {
+        fields[field] = { ...definition, column: indexToColumn(index) };
+      }
+    }
+
+    return { schema: new SheetSchema(fields), missing };
+  }
+
+  /**
+   * Column letter of every field, for logs and documentation
+   * @returns {object}
+   */
+  describe() {
+    return Object.entries(this.fields).reduce((columns, [field, definition]) => {
+      columns[field] = definition.column;
+      return columns;
+    }, {});
+  }
+}
+
+module.exports = {
+  DEFAULT_FIELDS,
+  SheetSchema,
+  alignRow,
+  parseA1Range,
+  rangesOverlap,
+  columnToIndex,
+  indexToColumn
+};
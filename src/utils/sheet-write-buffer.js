@@ -0,0 +1,51 @@
+const { rangesOverlap } = require('./sheet-schema');
+
+/**
+ * Cell writes queued during a job, sent together in one values.batchUpdate by
+ * SheetsService.flushWrites(). A later write to the same range replaces the
+ * earlier one; writes are otherwise sent in the order they were made.
+ */
+class SheetWriteBuffer {
+  constructor() {
+    this.writes = new Map();
+  }
+
+  /**
+   * Queue a write
+   * @param {string} range - A1 range including the sheet name
+   * @param {any[][]} values - Cell values
+   */
+  add(range, values) {
+    // Re-inserting moves the range to the end, keeping the last write last
+    this.writes.delete(range);
+    this.writes.set(range, values);
+  }
+
+  /**
+   * Whether a queued write touches any cell of a range
+   * @param {string} range - A1 range including the sheet name
+   * @returns {boolean}
+   */
+  overlaps(range) {
+    for (const pending of this.writes.keys()) {
+      if (rangesOverlap(pending, range)) return true;
+    }
+    return false;
+  }
+
+  get size() {
+    return this.writes.size;
+  }
+
+  /**
+   * Take every queued write, leaving the buffer empty
+   * @returns {{range: string, values: any[][]}[]} - Data for values.batchUpdate
+   */
+  drain() {
+    const data = [...this.writes].map(([range, values]) => ({ range, values }));
+    this.writes.clear();
+    return data;
+  }
+}
+
+module.exports = { SheetWriteBuffer };
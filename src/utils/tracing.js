@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const { trace, context, propagation, SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+const { ExportResultCode, hrTimeToMilliseconds } = require('@opentelemetry/core');
+const { Resource } = require('@opentelemetry/resources');
+const { ATTR_SERVICE_NAME } = require('@opentelemetry/semantic-conventions');
+const { NodeTracerProvider } = require('@opentelemetry/sdk-trace-node');
+const { BatchSpanProcessor, SimpleSpanProcessor, ConsoleSpanExporter } = require('@opentelemetry/sdk-trace-base');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { createLogger } = require('./logger');
+const { isCancelledError } = require('./abort');
+
+const logger = createLogger('Tracing');
+
+const TRACER_NAME = 'appraisers-task-queue';
+const DEFAULT_SERVICE_NAME = 'appraisers-task-queue';
+const DEFAULT_TRACES_FILE = path.join(__dirname, '../../data/traces.jsonl');
+
+const tracer = trace.getTracer(TRACER_NAME);
+let provider = null;
+
+/**
+ * Writes finished spans as JSON lines, so traces can be inspected locally or in tests
+ * without a collector.
+ */
+class FileSpanExporter {
+  /**
+   * @param {string} filePath - File to append spans to
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  export(spans, resultCallback) {
+    const lines = spans.map(span => JSON.stringify({
+      traceId: span.spanContext().traceId,
+      spanId: span.spanContext().spanId,
+      parentSpanId: span.parentSpanId || null,
+      name: span.name,
+      kind: SpanKind[span.kind],
+      startTime: new Date(hrTimeToMilliseconds(span.startTime)).toISOString(),
+      durationMs: hrTimeToMilliseconds(span.duration),
+      status: span.status,
+      attributes: span.attributes,
+      events: span.events.map(event => ({ name: event.name, attributes: event.attributes }))
+    }));
+
+    fs.appendFile(this.filePath, lines.map(line => `${line}\n`).join(''), error => {
+      resultCallback(error ? { code: ExportResultCode.FAILED, error } : { code: ExportResultCode.SUCCESS });
+    });
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Build the span processor for OTEL_TRACES_EXPORTER:
+ * - otlp: OTLP/HTTP, endpoint from OTEL_EXPORTER_OTLP_TRACES_ENDPOINT or OTEL_EXPORTER_OTLP_ENDPOINT
+ * - console: print spans to stdout
+ * - file: append spans as JSON lines to OTEL_TRACES_FILE (default data/traces.jsonl)
+ * @param {string} exporterName - Exporter name
+ * @returns {object|null} - Span processor, or null for an unknown exporter
+ */
+function createSpanProcessor(exporterName) {
+  switch (exporterName) {
+    case 'otlp':
+      return new BatchSpanProcessor(new OTLPTraceExporter());
+    case 'console':
+      return new SimpleSpanProcessor(new ConsoleSpanExporter());
+    case 'file':
+      return new SimpleSpanProcessor(new FileSpanExporter(process.env.OTEL_TRACES_FILE || DEFAULT_TRACES_FILE));
+    default:
+      return null;
+  }
+}
+
+/**
+ * Register the tracer provider. Tracing is off unless OTEL_TRACES_EXPORTER is set;
+ * until then every span below is a no-op.
+ * @returns {boolean} - Whether tracing was enabled
+ */
+function initTracing() {
+  const exporterName = (process.env.OTEL_TRACES_EXPORTER || 'none').toLowerCase();
+  if (provider || exporterName === 'none') {
+    return !!provider;
+  }
+
+  const processor = createSpanProcessor(exporterName);
+  if (!processor) {
+    logger.warn(`Unknown OTEL_TRACES_EXPORTER "${exporterName}", tracing disabled (use otlp, console, file or none)`);
+    return false;
+  }
+
+  provider = new NodeTracerProvider({
+    resource: new Resource({ [ATTR_SERVICE_NAME]: process.env.OTEL_SERVICE_NAME || DEFAULT_SERVICE_NAME }),
+    spanProcessors: [processor]
+  });
+  // Also installs the W3C traceparent propagator and the async context manager
+  provider.register();
+  logger.info(`Tracing enabled with the ${exporterName} exporter`);
+  return true;
+}
+
+/**
+ * Flush pending spans, e.g. during graceful shutdown
+ * @returns {Promise<void>}
+ */
+async function shutdownTracing() {
+  if (provider) {
+    await provider.shutdown();
+    provider = null;
+  }
+}
+
+/**
+ * Run a function inside a new active span. The span records the error and
+ * ends with an error status if fn throws; cancellations are marked with
+ * job.cancelled instead, since nothing went wrong downstream.
+ * @param {string} name - Span name
+ * @param {object} options - Span options
+ * @param {object} options.attributes - Span attributes
+ * @param {number} options.kind - SpanKind (default INTERNAL)
+ * @param {object} options.parentContext - Context to start the span in (default the active one)
+ * @param {Function} fn - Function to run; receives the span
+ * @returns {Promise<any>} - Whatever fn resolves with
+ */
+function withSpan(name, options, fn) {
+  const { attributes = {}, kind = SpanKind.INTERNAL, parentContext = context.active() } = options;
+
+  return tracer.startActiveSpan(name, { kind, attributes }, parentContext, async span => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      if (isCancelledError(error)) {
+        span.setAttribute('job.cancelled', true);
+      } else {
+        span.recordException(error);
+        span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+        const status = error.status || error.statusCode;
+        if (status) span.setAttribute('http.response.status_code', status);
+      }
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Express middleware: continue the caller's trace (W3C traceparent header) and
+ * wrap the request in a server span ended when the response is sent
+ * @returns {Function} - Express middleware
+ */
+function createTracingMiddleware() {
+  return (req, res, next) => {
+    const parentContext = propagation.extract(context.active(), req.headers);
+    const span = tracer.startSpan(`${req.method} ${req.path}`, {
+      kind: SpanKind.SERVER,
+      attributes: {
+        'http.request.method': req.method,
+        'url.path': req.path
+      }
+    }, parentContext);
+
+    res.on('finish', () => {
+      if (req.route) {
+        span.updateName(`${req.method} ${req.route.path}`);
+        span.setAttribute('http.route', req.route.path);
+      }
+      span.setAttribute('http.response.status_code', res.statusCode);
+      if (res.statusCode >= 500) {
+        span.setStatus({ code: SpanStatusCode.ERROR });
+      }
+      span.end();
+    });
+
+    context.with(trace.setSpan(parentContext, span), next);
+  };
+}
+
+/**
+ * Add the active trace context to outgoing message attributes
+ * @param {object} attributes - Message attributes
+ * @returns {object} - Attributes with traceparent/tracestate when a span is active
+ */
+function injectTraceContext(attributes = {}) {
+  const carrier = { ...attributes };
+  propagation.inject(context.active(), carrier);
+  return carrier;
+}
+
+/**
+ * Get the trace context carried by incoming message attributes
+ * @param {object} attributes - Message attributes
+ * @returns {object} - Context to start spans in
+ */
+function extractTraceContext(attributes = {}) {
+  return propagation.extract(context.active(), attributes);
+}
+
+module.exports = {
+  SpanKind,
+  FileSpanExporter,
+  initTracing,
+  shutdownTracing,
+  withSpan,
+  createTracingMiddleware,
+  injectTraceContext,
+  extractTraceContext
+};
@@ -0,0 +1,136 @@
+/**
+ * WordPress sites the worker can write appraisals to. The default site is the
+ * production one (WORDPRESS_API_URL and the wp_username/wp_app_password
+ * secrets); WORDPRESS_SITES adds others, such as staging or a local stub, and
+ * can override the default site's endpoints.
+ */
+
+const DEFAULT_SITE = 'default';
+
+// Path of each REST collection under the site's API URL
+const DEFAULT_ENDPOINTS = {
+  posts: 'appraisals',
+  media: 'media',
+  users: 'users'
+};
+
+// Reusable block holding the appraisal report template
+const DEFAULT_TEMPLATE_BLOCK_ID = 142384;
+
+const SITE_NAME = /^[a-z0-9_-]+$/i;
+
+function invalidConfig(message) {
+  return new Error(`Invalid WORDPRESS_SITES: ${message}`);
+}
+
+/**
+ * Validate one site's entry and fill in its defaults
+ * @param {string} name - Site name
+ * @param {object} definition - The entry from WORDPRESS_SITES
+ * @param {object} base - Settings the entry starts from
+ * @returns {object} - The site
+ */
+function buildSite(name, definition, base) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw invalidConfig(`site ${name} must be an object`);
+  }
+
+  const site = {
+    ...base,
+    ...definition,
+    name,
+    endpoints: { ...base.endpoints, ...definition.endpoints }
+  };
+
+  if (site.apiUrl !== null && (typeof site.apiUrl !== 'string' || !/^https?:\/\//.test(site.apiUrl))) {
+    throw invalidConfig(`apiUrl of site ${name} must be an http(s) URL`);
+  }
+  if (site.apiUrl) site.apiUrl = site.apiUrl.replace(/\/+$/, '');
+
+  for (const [collection, endpoint] of Object.entries(site.endpoints)) {
+    if (typeof endpoint !== 'string' || !endpoint.trim()) {
+      throw invalidConfig(`endpoints.${collection} of site ${name} must be a path`);
+    }
+    site.endpoints[collection] = endpoint.trim().replace(/^\/+|\/+$/g, '');
+  }
+
+  if (!Number.isInteger(Number(site.templateBlockId)) || Number(site.templateBlockId) <= 0) {
+    throw invalidConfig(`templateBlockId of site ${name} must be a positive integer`);
+  }
+  site.templateBlockId = Number(site.templateBlockId);
+
+  if (Boolean(site.usernameSecret) !== Boolean(site.passwordSecret)) {
+    throw invalidConfig(`site ${name} needs both usernameSecret and passwordSecret, or neither`);
+  }
+
+  return site;
+}
+
+/**
+ * Parse the configured WordPress sites
+ *
+ * WORDPRESS_SITES is a JSON object keyed by site name, e.g.
+ * {"staging": {"apiUrl": "https://staging.example.com/wp-json/wp/v2",
+ *   "usernameSecret": "wp_username_staging", "passwordSecret": "wp_app_password_staging",
+ *   "templateBlockId": 5120}}
+ *
+ * Each site may set apiUrl, endpoints (posts, media, users), templateBlockId,
+ * usernameSecret/passwordSecret (Secret Manager names; the default site's
+ * credentials are used when omitted) and appraisalsBackendUrl. Every site other
+ * than the default needs an apiUrl; the default site reads it from the
+ * WORDPRESS_API_URL secret unless given.
+ *
+ * @param {string|object} config - WORDPRESS_SITES (JSON) or the parsed object
+ * @returns {Object<string, object>} - Sites keyed by name, always including "default"
+ * @throws {Error} If the configuration is invalid
+ */
+function parseWordPressSites(config = process.env.WORDPRESS_SITES) {
+  let parsed = config || {};
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch (error) {
+      throw invalidConfig(error.message);
+    }
+  }
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw invalidConfig('expected an object keyed by site name');
+  }
+
+  const defaultSite = buildSite(DEFAULT_SITE, parsed[DEFAULT_SITE] || {}, {
+    apiUrl: null,
+    endpoints: DEFAULT_ENDPOINTS,
+    templateBlockId: DEFAULT_TEMPLATE_BLOCK_ID,
+    usernameSecret: null,
+    passwordSecret: null,
+    appraisalsBackendUrl: null
+  });
+  const sites = { [DEFAULT_SITE]: defaultSite };
+
+  for (const [name, definition] of Object.entries(parsed)) {
+    if (name === DEFAULT_SITE) continue;
+    if (!SITE_NAME.test(name)) {
+      throw invalidConfig(`site name "${name}" may only contain letters, digits, "-" and "_"`);
+    }
+    if (!definition || !definition.apiUrl) {
+      throw invalidConfig(`site ${name} needs an apiUrl`);
+    }
+    // Other sites share the default site's endpoints and template unless they set their own
+    sites[name] = buildSite(name, definition, {
+      ...defaultSite,
+      apiUrl: null,
+      usernameSecret: null,
+      passwordSecret: null,
+      appraisalsBackendUrl: null
+    });
+  }
+
+  return sites;
+}
+
+module.exports = {
+  DEFAULT_SITE,
+  DEFAULT_ENDPOINTS,
+  DEFAULT_TEMPLATE_BLOCK_ID,
+  parseWordPressSites
+};
@@ -6,38 +6,78 @@ const OpenAIService = require('./services/openai.service');
 const CrmService = require('./services/crm.service');
 const PDFService = require('./services/pdf.service');
 const AppraisalService = require('./services/appraisal.service');
-const AppraisalFinder = require('./utils/appraisal-finder');
+const { createAppraisalRepository } = require('./services/appraisal-repository.service');
 const MigrationService = require('./services/migration.service');
+const { createJobStore, JOB_STATUS, FINISHED_STATUSES } = require('./services/job-store.service');
+const { PipelineService } = require('./services/pipeline.service');
+const QueueConsumer = require('./services/queue-consumer.service');
+const { isCancelledError } = require('./utils/abort');
+const { AppraisalLock } = require('./utils/appraisal-lock');
+const { runWithContext, updateContext, getContext } = require('./utils/async-context');
+const { SheetWriteBuffer } = require('./utils/sheet-write-buffer');
+const { withSpan } = require('./utils/tracing');
+const { bindWorkerMetrics } = require('./utils/metrics');
+const { isOfflineMode, getOfflineEnvironment } = require('./utils/offline-mode');
+const { FixtureRecorder } = require('./utils/fixtures');
+const { DEFAULT_FIELDS } = require('./utils/sheet-schema');
+const { DEFAULT_SITE } = require('./utils/wordpress-sites');
+
+const JOIN_POLL_INTERVAL_MS = 2000;
+// Longest a joining request waits; a report alone can take 30 minutes
+const DEFAULT_JOIN_TIMEOUT_MS = 40 * 60 * 1000;
+// Appraisal fields a recorded fixture starts from (completedRow is bookkeeping of the move)
+const FIXTURE_FIELDS = Object.keys(DEFAULT_FIELDS).filter(field => field !== 'completedRow');
 
 class Worker {
   constructor() {
     this.logger = createLogger('Worker');
-    this.sheetsService = new SheetsService();
+    // OFFLINE_MODE=true swaps every external service for an in-process stand-in (utils/offline-mode.js)
+    this.offline = isOfflineMode() ? getOfflineEnvironment() : null;
+    this.sheetsService = new SheetsService({ client: this.offline ? this.offline.sheetsApi : null });
     this.appraisalService = null;
     this.migrationService = null;
     this.activeProcesses = new Set();
     this.isShuttingDown = false;
-    this.appraisalFinder = null;
+    // Reported by the health probes, which are served while initialize() runs
+    this.initialized = false;
+    this.initError = null;
+    // Where appraisals are stored: the spreadsheet, or memory/a JSON file for offline runs (APPRAISAL_STORE)
+    this.repository = createAppraisalRepository({ sheetsService: this.sheetsService });
+    this.jobStore = null;
+    this.jobControllers = new Map(); // jobId -> AbortController for jobs running on this instance
+    // Replace with an AppraisalLock over a shared backend when running several instances
+    this.appraisalLock = new AppraisalLock();
+    this.joinPollIntervalMs = JOIN_POLL_INTERVAL_MS;
+    this.joinTimeoutMs = parseInt(process.env.JOIN_TIMEOUT_MS, 10) || DEFAULT_JOIN_TIMEOUT_MS;
+    // Set by scripts/replay-fixture.js: jobs then answer their outbound calls from this FixtureReplayer
+    this.fixtureReplayer = null;
+    this.pipeline = new PipelineService(this);
+    this.queueConsumer = new QueueConsumer(this, this.offline ? this.offline.queueOptions() : {});
+    bindWorkerMetrics(this);
   }
 
   async initialize() {
     try {
       this.logger.info('Initializing worker...');
 
+      // The stand-in services must be listening before anything reads secrets or service URLs
+      if (this.offline) {
+        await this.offline.start();
+      }
+
       // Initialize Secret Manager first
       await secretManager.initialize();
 
-      // Get spreadsheet ID from Secret Manager
-      const spreadsheetId = await secretManager.getSecret('PENDING_APPRAISALS_SPREADSHEET_ID');
-      if (!spreadsheetId) {
-        throw new Error('Failed to get spreadsheet ID from Secret Manager');
-      }
-      
-      // Initialize all services
-      await this.sheetsService.initialize({ PENDING_APPRAISALS_SPREADSHEET_ID: spreadsheetId });
+      // Load the job store so interrupted runs can be resumed. Offline state starts
+      // afresh on every boot, so offline jobs default to memory as well
+      this.jobStore = createJobStore(this.offline ? { type: process.env.JOB_STORE || 'memory' } : {});
+      await this.jobStore.initialize();
+
+      // Initialize all services (the Sheets repository connects to the spreadsheet)
+      await this.repository.initialize();
       const wordpressService = new WordPressService();
       const openaiService = new OpenAIService();
-      const crmService = new CrmService();
+      const crmService = new CrmService({ pubsub: this.offline ? this.offline.pubsub : null });
       const pdfService = new PDFService();
       
       // Initialize core services concurrently - CRM service is allowed to fail
@@ -57,345 +97,494 @@ class Worker {
         throw new Error(`Failed to initialize core services: ${serviceError.message}`);
       }
       
-      // Initialize appraisal finder
-      this.appraisalFinder = new AppraisalFinder(this.sheetsService);
-      
       // Initialize AppraisalService with all dependencies
       this.appraisalService = new AppraisalService(
-        this.sheetsService,
+        this.repository,
         wordpressService,
         openaiService,
         crmService, // Pass CRM service even if initialization failed
-        pdfService
+        pdfService,
+        this.jobStore
       );
       
       // Initialize MigrationService
       this.migrationService = new MigrationService(wordpressService);
       await this.migrationService.initialize();
       
+      // Start pulling appraisal tasks once everything they depend on is ready
+      await this.queueConsumer.start();
+      
+      this.initialized = true;
       this.logger.info('Worker initialized successfully');
     } catch (error) {
+      this.initError = error;
       this.logger.error('Failed to initialize worker:', error);
       throw error;
     }
   }
 
+  /**
+   * Turn whichever identifier a request or message carries into the appraisal ID
+   * (its sheet row), looking session IDs, post IDs and emails up in the sheets
+   * @param {{type: string, value: string}} identifier - From AppraisalFinder.parseIdentifier()
+   * @returns {Promise<string>} - The appraisal ID
+   * @throws {Error} With statusCode 400 if there is no identifier or an email matches several
+   *   appraisals, 404 if nothing matches
+   */
+  async resolveAppraisalId(identifier) {
+    if (!identifier) {
+      const error = new Error('Missing appraisal identifier: one of id, sessionId, postId or email is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    // Row IDs are checked by locateAppraisal, which reprocessing and dry runs skip
+    if (identifier.type === 'id') {
+      return identifier.value;
+    }
+    
+    const { id } = await this.repository.resolve(identifier);
+    this.logger.info(`Appraisal ${identifier.type} ${identifier.value} is appraisal ${id}`);
+    return id;
+  }
+
+  /**
+   * Find which sheet an appraisal is in
+   * @param {string|number} id - Appraisal ID
+   * @param {object} options - Processing options
+   * @returns {Promise<boolean>} - Whether the appraisal is in the Completed sheet
+   * @throws {Error} With statusCode 404 if the appraisal does not exist
+   */
+  async locateAppraisal(id, options = {}) {
+    // Reprocessing skips sheet operations, and a dry run never touches them
+    if (options.reprocess === true || options.dryRun === true) {
+      return false;
+    }
+    
+    const { exists, usingCompletedSheet } = await this.repository.locate(id);
+    
+    if (!exists) {
+      const error = new Error(`Appraisal ${id} not found in either Pending or Completed sheets.`);
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    this.logger.info(`Appraisal ${id} found in ${usingCompletedSheet ? 'Completed' : 'Pending'} sheet`);
+    return usingCompletedSheet;
+  }
+
+  /**
+   * Locate the sheet an appraisal is in, then process it from a step.
+   * Shared entry point for HTTP requests and queue messages.
+   * @param {string|number} id - Appraisal ID
+   * @param {string} startStep - Step to start processing from
+   * @param {object} options - Additional options (see processFromStep)
+   * @returns {Promise<object>} - The executed (or planned) steps
+   * @throws {Error} With statusCode 400 for unknown steps or WordPress sites, 404 if the appraisal does not exist
+   */
+  async dispatchStep(id, startStep, options = {}) {
+    // Reject unknown steps, unreachable ranges and unknown sites before touching the sheets
+    this.pipeline.plan(startStep, options.endStep);
+    options = this.withWordPressSite(options);
+    
+    const usingCompletedSheet = await this.locateAppraisal(id, options);
+    return this.processFromStep(id, startStep, usingCompletedSheet, options);
+  }
+
+  /**
+   * Create (or resume) a job and run it in the background
+   * @param {string|number} id - Appraisal ID
+   * @param {string} startStep - Step to start processing from
+   * @param {object} options - Additional options (see processFromStep, dryRun is not supported)
+   * @returns {Promise<object>} - The job record, before any step has run (or the running job when joined)
+   * @throws {Error} With statusCode 400 for unknown steps or WordPress sites, 404 if the appraisal does not exist,
+   *   409 if the appraisal is already being processed, 503 when shutting down
+   */
+  async enqueueJob(id, startStep, options = {}) {
+    this.assertAcceptingWork();
+    
+    const { dryRun, onConflict, onJobStarted, ...runOptions } = this.withWordPressSite(options);
+    const plan = this.pipeline.plan(startStep, runOptions.endStep);
+    const usingCompletedSheet = await this.locateAppraisal(id, runOptions);
+    
+    const { lease, runningJob } = await this.claimAppraisal(id, onConflict);
+    if (runningJob) {
+      return { ...runningJob, joined: true };
+    }
+    
+    const job = await this.startJob(id, startStep, usingCompletedSheet, runOptions, lease);
+    
+    // Errors are recorded on the job record, which callers poll
+    this.runJob(job, plan, usingCompletedSheet, runOptions, lease).catch(() => {});
+    
+    return job;
+  }
+
   /**
    * Process an appraisal from a specific step via direct API call
    * @param {string|number} id - Appraisal ID
    * @param {string} startStep - Step to start processing from
    * @param {boolean} usingCompletedSheet - Flag indicating which sheet the appraisal is in
    * @param {object} options - Additional options
-   * @returns {Promise<void>}
+   * @param {string} options.endStep - Last step to run (defaults to startStep, i.e. a single step)
+   * @param {boolean} options.dryRun - Only return the plan of steps that would run
+   * @param {string} options.onConflict - "join" to wait for a job already processing this appraisal instead of failing with 409
+   * @param {Function} options.onJobStarted - Called with the job record once the job serving this request is known
+   * @param {string} options.wordpressSite - WordPress site to write to (see utils/wordpress-sites.js)
+   * @returns {Promise<object>} - The executed (or planned) steps
+   * @throws {Error} With statusCode 400 for an unknown WordPress site, 409 if the appraisal is already being processed
    */
   async processFromStep(id, startStep, usingCompletedSheet, options = {}) {
-    if (this.isShuttingDown) {
-      this.logger.warn('Worker is shutting down, rejecting new processing request');
-      throw new Error('Service is shutting down, try again later');
+    this.assertAcceptingWork();
+
+    const { dryRun = false, onConflict, onJobStarted, ...runOptions } = this.withWordPressSite(options);
+
+    // Rejects unknown step names before anything runs
+    const plan = this.pipeline.plan(startStep, runOptions.endStep);
+    
+    if (dryRun) {
+      this.logger.info(`Dry run for appraisal ${id}: ${plan.map(step => step.name).join(' -> ')}`);
+      return { dryRun: true, steps: this.pipeline.describe(plan) };
+    }
+
+    const { lease, runningJob } = await this.claimAppraisal(id, onConflict);
+    if (runningJob) {
+      onJobStarted?.(runningJob);
+      const finishedJob = await this.waitForJob(runningJob.id, id);
+      return { dryRun: false, jobId: finishedJob.id, joined: true, steps: finishedJob.steps };
     }
 
+    const job = await this.startJob(id, startStep, usingCompletedSheet, runOptions, lease);
+    onJobStarted?.(job);
+    const steps = await this.runJob(job, plan, usingCompletedSheet, runOptions, lease);
+    return { dryRun: false, jobId: job.id, steps };
+  }
+
+  /**
+   * Settle which WordPress site a run writes to: options.wordpressSite, else the
+   * site the request selected (X-WordPress-Site). It is kept in the options so
+   * the job record shows it and only a job for the same site is resumed.
+   * @param {object} options - Processing options
+   * @returns {object} - The options, with wordpressSite set unless it is the default site
+   * @throws {Error} With statusCode 400 if no site has that name
+   */
+  withWordPressSite(options) {
+    const { wordpressSite = getContext()?.wordpressSite, ...rest } = options;
+    if (wordpressSite === undefined || wordpressSite === null || wordpressSite === '') {
+      return rest;
+    }
+
+    const site = this.appraisalService.wordpressService.getSite(String(wordpressSite));
+    return site.name === DEFAULT_SITE ? rest : { ...rest, wordpressSite: site.name };
+  }
+
+  /**
+   * Take the per-appraisal lock so the same row is never processed twice at once
+   * @param {string|number} id - Appraisal ID
+   * @param {string} onConflict - "join" to return the running job instead of failing
+   * @returns {Promise<{lease: object|null, runningJob: object|null}>} - The lease, or the job to join
+   * @throws {Error} With statusCode 409 (and runningJobId) if the appraisal is locked and not joined
+   */
+  async claimAppraisal(id, onConflict) {
+    const { acquired, lease, holder } = await this.appraisalLock.acquire(id);
+    
+    if (acquired) {
+      return { lease, runningJob: null };
+    }
+    
+    const runningJobId = holder.data.jobId || null;
+    
+    if (onConflict === 'join' && runningJobId) {
+      this.logger.info(`Appraisal ${id} is already being processed, joining job ${runningJobId}`);
+      return { lease: null, runningJob: await this.getJob(runningJobId) };
+    }
+    
+    const error = new Error(`Appraisal ${id} is already being processed${runningJobId ? ` by job ${runningJobId}` : ''}`);
+    error.statusCode = 409;
+    error.runningJobId = runningJobId;
+    throw error;
+  }
+
+  /**
+   * Prepare the job record and tag the held lock with its ID so concurrent requests can find it
+   * @param {string|number} id - Appraisal ID
+   * @param {string} startStep - Step to start processing from
+   * @param {boolean} usingCompletedSheet - Flag indicating which sheet the appraisal is in
+   * @param {object} options - Processing options
+   * @param {object} lease - Lease from claimAppraisal, released if preparation fails
+   * @returns {Promise<object>} - The job record, marked as pending
+   */
+  async startJob(id, startStep, usingCompletedSheet, options, lease) {
+    try {
+      const job = await this.prepareJob(id, startStep, usingCompletedSheet, options);
+      await this.appraisalLock.attach(lease, { jobId: job.id });
+      return job;
+    } catch (error) {
+      await this.appraisalLock.release(lease);
+      throw error;
+    }
+  }
+
+  /**
+   * Wait for a job to finish, whichever instance is running it. The job's
+   * owner holds the appraisal lock until the job is finished, so an
+   * unfinished job whose lock is gone was abandoned (e.g. its instance died).
+   * @param {string} jobId - Job ID
+   * @param {string|number} appraisalId - Appraisal the job processes
+   * @returns {Promise<object>} - The completed job
+   * @throws {Error} If the job failed or was cancelled; with statusCode 409 if it
+   *   was abandoned, 504 if it is still running after joinTimeoutMs
+   */
+  async waitForJob(jobId, appraisalId) {
+    const deadline = Date.now() + this.joinTimeoutMs;
+    let job = await this.getJob(jobId);
+    
+    while (!FINISHED_STATUSES.includes(job.status)) {
+      if (!(await this.isJobOwned(jobId, appraisalId))) {
+        // The owner records the outcome before releasing the lock
+        job = await this.getJob(jobId);
+        if (FINISHED_STATUSES.includes(job.status)) break;
+
+        const error = new Error(`Job ${jobId} stopped without finishing; its owner no longer holds appraisal ${appraisalId}`);
+        error.statusCode = 409;
+        error.runningJobId = jobId;
+        throw error;
+      }
+      
+      if (Date.now() >= deadline) {
+        const error = new Error(`Job ${jobId} is still ${job.status} after ${Math.round(this.joinTimeoutMs / 1000)}s`);
+        error.statusCode = 504;
+        error.runningJobId = jobId;
+        throw error;
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, this.joinPollIntervalMs));
+      job = await this.getJob(jobId);
+    }
+    
+    if (job.status !== JOB_STATUS.COMPLETED) {
+      throw new Error(`Job ${jobId} ${job.status}: ${job.error || 'no error recorded'}`);
+    }
+    
+    return job;
+  }
+
+  // Whether the appraisal lock is still held for this job
+  async isJobOwned(jobId, appraisalId) {
+    const holder = await this.appraisalLock.getHolder(appraisalId);
+    return !!holder && holder.data.jobId === jobId;
+  }
+
+  /**
+   * Run a job's plan, keeping its record and cancellation handle up to date
+   * @param {object} job - Job record from prepareJob
+   * @param {object[]} plan - Step definitions to run
+   * @param {boolean} usingCompletedSheet - Flag indicating which sheet the appraisal is in
+   * @param {object} options - Processing options
+   * @param {object} lease - Appraisal lock lease, released when the job finishes
+   * @returns {Promise<object[]>} - Output of every step that ran
+   */
+  runJob(job, plan, usingCompletedSheet, options = {}, lease = null) {
+    // Logs carry the job and appraisal IDs; outbound calls report their retries through the context,
+    // and sheet writes are queued in the job's buffer until SheetsService.flushWrites()
+    const context = {
+      jobId: job.id,
+      appraisalId: job.appraisalId,
+      onRetry: retry => this.recordRetry(job, retry),
+      sheetWriteBuffer: new SheetWriteBuffer(),
+      fixture: this.createFixture(job, usingCompletedSheet, options),
+      // Every WordPress call of the job goes to this site
+      wordpressSite: options.wordpressSite || DEFAULT_SITE
+    };
+    const attributes = { 'appraisal.id': String(job.appraisalId), 'appraisal.job_id': job.id, 'appraisal.start_step': job.startStep };
+    return runWithContext(context, () =>
+      withSpan(`job ${job.startStep}`, { attributes }, () => this.executeJob(job, plan, usingCompletedSheet, options, lease))
+    );
+  }
+
+  async executeJob(job, plan, usingCompletedSheet, options, lease) {
+    const { id: jobId, appraisalId: id, startStep } = job;
     const processId = `${id}-${Date.now()}`;
+    const controller = new AbortController();
     this.activeProcesses.add(processId);
+    this.jobControllers.set(jobId, controller);
     
     // Check if this is a reprocessing request that should skip sheet operations
     const skipSheetOperations = options.reprocess === true;
     if (skipSheetOperations) {
       this.logger.info(`Reprocessing appraisal ${id} from step ${startStep} - skipping sheet operations`);
     }
+    const { fixture } = getContext();
 
     try {
-      this.logger.info(`Processing appraisal ${id} from step ${startStep} (Sheet: ${usingCompletedSheet ? 'Completed' : 'Pending'}, Reprocess: ${skipSheetOperations})`);
-      
-      const { 
-        appraisalValue, 
-        description, 
-        appraisalType, 
-        postId,
-        geminiAnalysis // New field containing the Gemini AI analysis
-      } = options;
+      this.logger.info(`Processing appraisal ${id} from step ${startStep} (Job: ${jobId}, Sheet: ${usingCompletedSheet ? 'Completed' : 'Pending'}, Reprocess: ${skipSheetOperations})`);
+      await this.jobStore.updateJob(jobId, { status: JOB_STATUS.RUNNING, startedAt: new Date().toISOString() });
       
-      // Process based on step
-      switch (startStep) {
-        case 'STEP_SET_VALUE':
-          try {
-            // Use provided values directly from options as the source of truth.
-            // If we have geminiAnalysis, extract values from it
-            const valueToUse = this.extractAppraisalValue(appraisalValue, geminiAnalysis);
-            const descToUse = this.extractDescription(description, geminiAnalysis);
-            const typeToUse = this.extractAppraisalType(appraisalType, geminiAnalysis);
-            
-            if (valueToUse === undefined || valueToUse === null || descToUse === undefined || descToUse === null) {
-              this.logger.error(`Missing required fields from backend for STEP_SET_VALUE: appraisalValue (${valueToUse}), description (${descToUse}) for ID ${id}`);
-              throw new Error('Missing required fields from backend for STEP_SET_VALUE: appraisalValue or description must be provided.');
-            }
-            
-            // Update status with the correct sheet (passed as parameter)
-            if (!skipSheetOperations) {
-              await this.appraisalService.updateStatus(id, 'Processing', 'Starting appraisal workflow', usingCompletedSheet);
-            }
-            
-            // Process the appraisal
-            await this.appraisalService.processAppraisal(
-              id, 
-              valueToUse, 
-              descToUse,
-              typeToUse, 
-              skipSheetOperations ? null : usingCompletedSheet // Pass null to skip sheet operations
-            );
-          } catch (error) {
-            this.logger.error(`Error in STEP_SET_VALUE:`, error);
-            if (!skipSheetOperations) {
-              await this.appraisalService.updateStatus(id, 'Failed', `SET_VALUE Error: ${error.message}`, usingCompletedSheet);
-            }
-            throw error;
-          }
-          break;
-          
-        case 'STEP_MERGE_DESCRIPTIONS':
-          try {
-            if (!skipSheetOperations) {
-              await this.appraisalService.updateStatus(id, 'Analyzing', 'Merging descriptions', usingCompletedSheet);
-            }
-            
-            // Get existing descriptions if not provided in options
-            let descriptionToUse = description;
-            let postIdToUse = postId;
-            
-            if (!descriptionToUse && !skipSheetOperations) {
-              // Read customer description from column K
-              const { data: descData } = await this.appraisalFinder.getMultipleFields(id, ['K'], usingCompletedSheet);
-              if (descData && descData.K) {
-                descriptionToUse = descData.K;
-              } else {
-                this.logger.warn(`No description found in column K for appraisal ${id}`);
-              }
-            }
-            
-            // Get WordPress post ID if not provided in options
-            if (!postIdToUse && !skipSheetOperations) {
-              try {
-                const { postId: fetchedPostId } = await this.appraisalService.getWordPressPostId(id, usingCompletedSheet);
-                postIdToUse = fetchedPostId;
-              } catch (error) {
-                this.logger.error(`Error getting WordPress post ID:`, error);
-                throw new Error(`Failed to get WordPress post ID: ${error.message}`);
-              }
-            }
-            
-            // Ensure we have post ID
-            if (!postIdToUse) {
-              throw new Error(`No WordPress post ID available. Cannot merge descriptions.`);
-            }
-            
-            // Call the specialized method for image analysis and description merging
-            const analysisResult = await this.analyzeImageAndMergeDescriptions(
-              id, 
-              postIdToUse, 
-              descriptionToUse || '', 
-              { usingCompletedSheet, skipSheetOperations }
-            );
-            
-            // If we should skip sheet operations, we're done here
-            if (skipSheetOperations) {
-              this.logger.info(`Reprocessing completed for STEP_MERGE_DESCRIPTIONS`);
-              break;
-            }
-            
-            // Save the result to columns S and T
-            await this.sheetsService.updateValues(`S${id}`, [[analysisResult.briefTitle || '']], usingCompletedSheet);
-            await this.sheetsService.updateValues(`T${id}`, [[analysisResult.detailedTitle || '']], usingCompletedSheet);
-            
-            // Update WordPress post with the new titles
-            try {
-              await this.wordpressService.updatePostTitles(postIdToUse, {
-                title: analysisResult.briefTitle,
-                detailedTitle: analysisResult.detailedTitle
-              });
-              
-              await this.appraisalService.updateStatus(id, 'Ready', 'Descriptions merged successfully', usingCompletedSheet);
-            } catch (wpError) {
-              this.logger.error(`Error updating WordPress post titles:`, wpError);
-              await this.appraisalService.updateStatus(id, 'Warning', `Descriptions merged but WordPress update failed`, usingCompletedSheet);
-            }
-          } catch (error) {
-            this.logger.error(`Error in STEP_MERGE_DESCRIPTIONS:`, error);
-            if (!skipSheetOperations) {
-              await this.appraisalService.updateStatus(id, 'Failed', `MERGE_DESC Error: ${error.message}`, usingCompletedSheet);
-            }
-            throw error;
-          }
-          break;
-          
-        case 'STEP_UPDATE_WORDPRESS':
-          try {
-            // Fetch required data using the known sheet
-            const { data: appraisalData } = await this.appraisalFinder.getMultipleFields(id, ['B', 'J', 'L'], usingCompletedSheet);
-            
-            const valueToUse = appraisalValue || (appraisalData.J || 0);
-            const descriptionToUse = appraisalData.L || '';
-            const typeToUse = appraisalType || appraisalData.B || 'Regular';
-            
-            // Update WordPress
-            await this.appraisalService.updateStatus(id, 'Updating', 'Setting titles and metadata in WordPress', usingCompletedSheet);
-            
-            // Create a proper structure for the merged description to match what mergeDescriptions returns
-            const mergeResult = {
-              mergedDescription: descriptionToUse,
-              briefTitle: '', 
-              detailedTitle: descriptionToUse
-            };
-            
-            await this.appraisalService.updateWordPress(id, valueToUse, mergeResult, typeToUse, usingCompletedSheet);
-          } catch (error) {
-             this.logger.error(`Error in STEP_UPDATE_WORDPRESS:`, error);
-             await this.appraisalService.updateStatus(id, 'Failed', `UPDATE_WP Error: ${error.message}`, usingCompletedSheet);
-             throw error;
-          }
-          break;
-          
-        case 'STEP_GENERATE_VISUALIZATION':
-          try {
-            // Get the PostID either from options or from spreadsheet (using the known sheet)
-            let postIdToUse = postId;
-            if (!postIdToUse) {
-                const { data: postData } = await this.appraisalFinder.getMultipleFields(id, ['G'], usingCompletedSheet);
-                
-                if (!postData || !postData.G) {
-                   throw new Error('WordPress URL not found');
-                }
-                 // Extract post ID from WordPress URL
-                const wpUrl = postData.G;
-                const url = new URL(wpUrl);
-                postIdToUse = url.searchParams.get('post');
-                if (!postIdToUse) {
-                  throw new Error(`Could not extract post ID from WordPress URL`);
-                }
-            }
-            
-            // Complete the report (which includes visualizations)
-            await this.appraisalService.wordpressService.completeAppraisalReport(postIdToUse);
-          } catch (error) {
-             this.logger.error(`Error in STEP_GENERATE_VISUALIZATION:`, error);
-             await this.appraisalService.updateStatus(id, 'Failed', `GEN_VIS Error: ${error.message}`, usingCompletedSheet);
-             throw error;
-          }
-          break;
-          
-        case 'STEP_GENERATE_PDF':
-          try {
-            // Get PostID using the appraisalFinder utility with the known sheet
-            let pdfPostId = postId;
-            if (!pdfPostId) {
-               const { data: postData } = await this.appraisalFinder.getMultipleFields(id, ['G'], usingCompletedSheet);
-                if (!postData || !postData.G) {
-                  throw new Error('WordPress URL not found');
-                }
-                const wpUrl = postData.G;
-                const url = new URL(wpUrl);
-                pdfPostId = url.searchParams.get('post');
-                if (!pdfPostId) {
-                  throw new Error(`Could not extract post ID from WordPress URL`);
-                }
-            }
-            
-            // Update status
-            await this.appraisalService.updateStatus(id, 'Finalizing', 'Creating PDF document', usingCompletedSheet);
-            
-            // Get public URL
-            const publicUrl = await this.appraisalService.wordpressService.getPermalink(pdfPostId);
-            
-            // Generate PDF - this will throw an error if the PDF generation fails
-            const pdfResult = await this.appraisalService.finalize(id, pdfPostId, publicUrl, usingCompletedSheet, false);
-            
-            // Validate PDF URLs
-            if (!pdfResult.pdfLink || pdfResult.pdfLink.includes('placeholder')) {
-              throw new Error(`PDF generation returned placeholder or invalid URLs`);
-            }
-            
-            // Mark as complete if it was a full process (only if in pending sheet)
-            if (!usingCompletedSheet) {
-              await this.appraisalService.updateStatus(id, 'Completed', 'PDF created and emailed to customer', usingCompletedSheet);
-            }
-            
-          } catch (error) {
-            this.logger.error(`Error in STEP_GENERATE_PDF:`, error);
-            await this.appraisalService.updateStatus(id, 'Failed', `GEN_PDF Error: ${error.message}`, usingCompletedSheet);
-            throw error;
-          }
-          break;
-          
-        case 'STEP_BUILD_REPORT':
-          try {
-            await this.appraisalService.updateStatus(id, 'Processing', 'Starting appraisal workflow', usingCompletedSheet);
-            
-            // Fetch required data using the known sheet
-            const { data: appraisalData } = await this.appraisalFinder.getMultipleFields(id, ['B', 'J', 'K'], usingCompletedSheet);
-            
-            const type = appraisalData.B || 'Regular';
-            const appraisalValueFromSheet = appraisalData.J; // Column J
-            const descriptionFromSheet = appraisalData.K; // Column K
-            
-            // Process appraisal with existing data
-            await this.appraisalService.processAppraisal(
-              id, 
-              appraisalValueFromSheet, 
-              descriptionFromSheet, 
-              type,
-              usingCompletedSheet
-            );
-           } catch (error) {
-             this.logger.error(`Error in STEP_BUILD_REPORT:`, error);
-             await this.appraisalService.updateStatus(id, 'Failed', `BUILD_REPORT Error: ${error.message}`, usingCompletedSheet);
-             throw error;
-          }
-          break;
-          
-        default:
-          this.logger.warn(`Unknown step: ${startStep}. Attempting to run full process.`);
-          
-          try {
-             // Update status
-             if (!skipSheetOperations) {
-               await this.appraisalService.updateStatus(id, 'Processing', 'Starting appraisal workflow (default step)', usingCompletedSheet);
-             }
-             
-             // Get all necessary data from the spreadsheet using the known sheet
-             let defaultType = 'Regular';
-             let defaultValue = '';
-             let defaultDesc = '';
-             
-             if (!skipSheetOperations) {
-               const { data: defaultData } = await this.appraisalFinder.getMultipleFields(id, ['B', 'J', 'K'], usingCompletedSheet);
-               defaultType = defaultData.B || 'Regular';
-               defaultValue = defaultData.J || ''; // Column J
-               defaultDesc = defaultData.K || ''; // Column K
-             } else {
-               // Use values from options when reprocessing
-               defaultType = appraisalType || 'Regular';
-               defaultValue = appraisalValue || '';
-               defaultDesc = description || '';
-             }
-             
-             await this.appraisalService.processAppraisal(
-               id,
-               defaultValue,
-               defaultDesc,
-               defaultType,
-               skipSheetOperations ? null : usingCompletedSheet
-             );
-          } catch (error) {
-            this.logger.error(`Error in default case:`, error);
-            if (!skipSheetOperations) {
-              await this.appraisalService.updateStatus(id, 'Failed', `Error: ${error.message}`, usingCompletedSheet);
-            }
-            throw error;
-          }
+      if (fixture && fixture.mode === 'record') {
+        // Reprocess runs still read the sheet in most steps, so the replay needs the appraisal too
+        fixture.setAppraisal(await this.repository.getAppraisal(id, FIXTURE_FIELDS, usingCompletedSheet));
       }
+      
+      const results = await this.pipeline.run(plan, {
+        id,
+        usingCompletedSheet,
+        options,
+        jobId,
+        signal: controller.signal
+      });
+
+      await this.repository.flush();
+      await this.jobStore.updateJob(jobId, { status: JOB_STATUS.COMPLETED, currentStep: null, error: null });
+      return results;
     } catch (error) {
+      const status = isCancelledError(error) ? JOB_STATUS.CANCELLED : JOB_STATUS.FAILED;
       this.logger.error(`Error processing appraisal ${id} from step ${startStep}:`, error);
+      await this.jobStore.updateJob(jobId, { status, currentStep: null, error: error.message })
+        .catch(storeError => this.logger.error(`Failed to record ${status} for job ${jobId}:`, storeError));
       throw error;
     } finally {
+      // Writes queued before a failure (such as the Failed status) still reach the sheet
+      await this.repository.flush()
+        .catch(flushError => this.logger.error(`Failed to write queued sheet updates for job ${jobId}:`, flushError));
+      if (fixture && fixture.mode === 'record') {
+        await this.saveFixture(jobId, fixture);
+      }
+      this.jobControllers.delete(jobId);
       this.activeProcesses.delete(processId);
+      await this.appraisalLock.release(lease);
+    }
+  }
+
+  /**
+   * The fixture a job records its outbound calls to or replays them from, if any
+   * @param {object} job - Job record
+   * @param {boolean} usingCompletedSheet - Flag indicating which sheet the appraisal is in
+   * @param {object} options - Processing options; recordFixture: true records this job
+   * @returns {object|null} - A FixtureRecorder or FixtureReplayer
+   */
+  createFixture(job, usingCompletedSheet, options = {}) {
+    if (this.fixtureReplayer) {
+      return this.fixtureReplayer;
+    }
+    if (options.recordFixture === true || process.env.RECORD_FIXTURES === 'true') {
+      return new FixtureRecorder(job, usingCompletedSheet, options);
+    }
+    return null;
+  }
+
+  /**
+   * Write a recorded fixture and note its path on the job record. A failure is
+   * logged; it never fails the job.
+   * @param {string} jobId - Job ID
+   * @param {FixtureRecorder} fixture - The job's recorder
+   */
+  async saveFixture(jobId, fixture) {
+    try {
+      const filePath = await fixture.save();
+      await this.jobStore.updateJob(jobId, { fixture: filePath });
+    } catch (error) {
+      this.logger.error(`Failed to save the fixture of job ${jobId}:`, error);
+    }
+  }
+
+  /**
+   * Count a retried outbound call on the job record, per integration
+   * @param {object} job - Job record (its retries are updated in place)
+   * @param {object} retry - Retry details from withRetry
+   */
+  recordRetry(job, { integration, operation, attempt, error }) {
+    job.retries = { ...job.retries, [integration]: ((job.retries || {})[integration] || 0) + 1 };
+    
+    this.jobStore.updateJob(job.id, {
+      retries: job.retries,
+      lastRetry: { integration, operation, attempt, error: error.message, at: new Date().toISOString() }
+    }).catch(storeError => this.logger.error(`Failed to record retry for job ${job.id}:`, storeError));
+  }
+
+  /**
+   * Resume the unfinished job for this appraisal/step/options, or create a new one
+   * @param {string|number} id - Appraisal ID
+   * @param {string} startStep - Step to start processing from
+   * @param {boolean} usingCompletedSheet - Flag indicating which sheet the appraisal is in
+   * @param {object} options - Processing options; pass resume: false to always start fresh
+   * @returns {Promise<object>} - The job record, marked as pending
+   */
+  async prepareJob(id, startStep, usingCompletedSheet, options = {}) {
+    const { resume = true, ...jobOptions } = options;
+    
+    let job = resume ? await this.jobStore.findResumableJob(id, startStep, jobOptions) : null;
+    
+    if (job) {
+      const completedSteps = Object.keys(job.steps).filter(step => job.steps[step].status === JOB_STATUS.COMPLETED);
+      this.logger.info(`Resuming job ${job.id} for appraisal ${id}${completedSteps.length ? ` (completed: ${completedSteps.join(', ')})` : ''}`);
+    } else {
+      job = await this.jobStore.createJob({ appraisalId: id, startStep, usingCompletedSheet, options: jobOptions });
+      this.logger.info(`Created job ${job.id} for appraisal ${id} from step ${startStep}`);
+    }
+    
+    return this.jobStore.updateJob(job.id, { status: JOB_STATUS.PENDING, error: null });
+  }
+
+  /**
+   * Get a job record with per-step progress
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object>} - The job
+   * @throws {Error} With statusCode 404 if the job does not exist
+   */
+  async getJob(jobId) {
+    const job = await this.jobStore.getJob(jobId);
+    
+    if (!job) {
+      const error = new Error(`Job ${jobId} not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    return job;
+  }
+
+  /**
+   * Cancel a job, aborting its in-flight report and PDF requests
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object>} - The job record after the cancellation request
+   * @throws {Error} With statusCode 404 if the job does not exist, 409 if it has already finished
+   */
+  async cancelJob(jobId) {
+    const job = await this.getJob(jobId);
+    
+    if (FINISHED_STATUSES.includes(job.status)) {
+      const error = new Error(`Job ${jobId} has already finished with status ${job.status}`);
+      error.statusCode = 409;
+      throw error;
+    }
+    
+    const controller = this.jobControllers.get(jobId);
+    
+    if (controller) {
+      this.logger.info(`Cancelling job ${jobId} for appraisal ${job.appraisalId}`);
+      controller.abort();
+      return this.jobStore.updateJob(jobId, { cancelRequestedAt: new Date().toISOString() });
+    }
+    
+    // Not running on this instance (e.g. left over from a restart): just close the record
+    this.logger.info(`Job ${jobId} is not running on this instance, marking it cancelled`);
+    return this.jobStore.updateJob(jobId, {
+      status: JOB_STATUS.CANCELLED,
+      currentStep: null,
+      error: 'Job was cancelled'
+    });
+  }
+
+  /**
+   * Reject new work while shutting down
+   * @throws {Error} With statusCode 503
+   */
+  assertAcceptingWork() {
+    if (this.isShuttingDown) {
+      this.logger.warn('Worker is shutting down, rejecting new processing request');
+      const error = new Error('Service is shutting down, try again later');
+      error.statusCode = 503;
+      throw error;
     }
   }
 
@@ -403,6 +592,8 @@ class Worker {
    * Specialized method to analyze an image with GPT-4o and merge descriptions
    */
   async analyzeImageAndMergeDescriptions(id, postId, customerDescription = '', options = {}) {
+    updateContext({ appraisalId: id, postId });
+
     if (this.isShuttingDown) {
       this.logger.warn('Worker is shutting down, rejecting new processing request');
       throw new Error('Service is shutting down, try again later');
@@ -415,16 +606,16 @@ class Worker {
     const { usingCompletedSheet = false, skipSheetOperations = false } = options;
 
     try {
-      // First check if we already have an AI description in column H
+      // First check if we already have an AI description in the sheet
       let aiImageDescription = null;
       
       if (!skipSheetOperations) {
         await this.appraisalService.updateStatus(id, 'Analyzing', 'Checking for existing AI description', usingCompletedSheet);
-        const existingAiDesc = await this.sheetsService.getValues(`H${id}`, usingCompletedSheet);
+        const { aiDescription } = await this.repository.getAppraisal(id, ['aiDescription'], usingCompletedSheet);
         
-        if (existingAiDesc && existingAiDesc[0] && existingAiDesc[0][0]) {
+        if (aiDescription) {
           // Use existing AI description if available
-          aiImageDescription = existingAiDesc[0][0];
+          aiImageDescription = aiDescription;
         }
       }
       
@@ -486,10 +677,10 @@ class Worker {
           throw new Error('Image analysis failed - empty result from o3');
         }
         
-        // Save the AI description to column H if not skipping sheet operations
+        // Save the AI description if not skipping sheet operations
         if (!skipSheetOperations) {
-          this.logger.debug(`Saving generated AI description to Google Sheets`);
-          await this.sheetsService.updateValues(`H${id}`, [[aiImageDescription]], usingCompletedSheet);
+          this.logger.debug(`Saving generated AI description`);
+          await this.repository.saveDescriptions(id, { aiDescription: aiImageDescription }, usingCompletedSheet);
         }
       }
       
@@ -518,6 +709,9 @@ class Worker {
     this.logger.info('Shutting down worker...');
     this.isShuttingDown = true;
     
+    // Stop taking queue messages; unfinished ones are nacked for redelivery elsewhere
+    await this.queueConsumer.stop();
+    
     // Wait for active processes to complete (with a timeout)
     if (this.activeProcesses.size > 0) {
       this.logger.info(`Waiting for ${this.activeProcesses.size} active processes to complete...`);
@@ -539,6 +733,10 @@ class Worker {
       });
     }
     
+    if (this.offline) {
+      await this.offline.stop();
+    }
+    
     this.logger.info('Worker shutdown complete');
   }
 
@@ -0,0 +1,379 @@
+/**
+ * In-memory stand-ins for the services the worker talks to, and a harness that
+ * wires them into the real Worker, AppraisalService and SheetsService. Sheets
+ * calls go through the real SheetsService to a FakeSheetsApi, so tests can
+ * assert on the cells a run leaves behind (e.g. the status column).
+ */
+const { FakeSheetsApi } = require('../../src/utils/fake-sheets');
+const { SheetSchema } = require('../../src/utils/sheet-schema');
+const { createCancelledError } = require('../../src/utils/abort');
+const { AcfSchema } = require('../../src/utils/acf-schema');
+const { postVersion, isCurrentVersion, changedFields, createConflictError } = require('../../src/utils/post-version');
+
+const PENDING_SHEET = 'Pending Appraisals';
+const COMPLETED_SHEET = 'Completed Appraisals';
+
+const schema = SheetSchema.fromConfig();
+
+function headerRow() {
+  return schema.toRow(
+    Object.fromEntries(Object.entries(schema.fields).map(([field, definition]) => [field, definition.headers[0]]))
+  );
+}
+
+/**
+ * A spreadsheet with both appraisal sheets; each appraisal is a record of sheet
+ * fields and lands on the row after the previous one (the first on row 2)
+ * @param {object} sheets - Appraisals per sheet
+ * @param {object[]} sheets.pending - Pending appraisals
+ * @param {object[]} sheets.completed - Completed appraisals
+ * @returns {FakeSheetsApi}
+ */
+function createSheetsApi({ pending = [], completed = [] } = {}) {
+  return new FakeSheetsApi({
+    title: 'Test Appraisals',
+    sheets: {
+      [PENDING_SHEET]: [headerRow(), ...pending.map(record => schema.toRow(record))],
+      [COMPLETED_SHEET]: [headerRow(), ...completed.map(record => schema.toRow(record))]
+    }
+  });
+}
+
+/**
+ * Read a field of an appraisal straight from the fake spreadsheet
+ * @param {FakeSheetsApi} sheetsApi - The fake spreadsheet
+ * @param {number} row - Sheet row
+ * @param {string} field - Field name from the sheet schema
+ * @param {boolean} usingCompletedSheet - Read the Completed sheet
+ * @returns {any} - The cell, or undefined if it was never written
+ */
+function readCell(sheetsApi, row, field, usingCompletedSheet = false) {
+  const grid = sheetsApi.grids.get(usingCompletedSheet ? COMPLETED_SHEET : PENDING_SHEET);
+  const cells = grid[row - 1] || [];
+  const value = cells[schema.fields[field].index];
+  return value === '' ? undefined : value;
+}
+
+/**
+ * A pending appraisal record with every field the steps read
+ * @param {object} overrides - Fields to change
+ * @returns {object}
+ */
+function pendingAppraisal(overrides = {}) {
+  return {
+    sessionId: 'session-1',
+    appraisalType: 'Regular',
+    customerEmail: 'customer@example.com',
+    customerName: 'Test Customer',
+    status: 'Pending',
+    wordpressUrl: 'https://resources.example.com/wp-admin/post.php?post=101&action=edit',
+    value: 1500,
+    description: 'Oil painting of a river landscape',
+    ...overrides
+  };
+}
+
+/**
+ * A WordPress appraisal post as the REST API returns it
+ * @param {object} overrides - Fields to change
+ * @returns {object}
+ */
+function appraisalPost(overrides = {}) {
+  return {
+    id: 101,
+    link: 'https://resources.example.com/appraisals/river-landscape/',
+    modified: '2024-01-01T00:00:00',
+    title: { rendered: 'River Landscape' },
+    content: { rendered: '' },
+    featured_media: 201,
+    acf: { main: 201 },
+    ...overrides
+  };
+}
+
+/**
+ * Records every call and can be told to fail or stall a method
+ */
+class FakeService {
+  constructor() {
+    this.calls = [];
+    this.failures = new Map();
+    this.stalled = new Set();
+  }
+
+  /**
+   * Make every later call to a method reject
+   * @param {string} method - Method name
+   * @param {Error} error - Error to reject with
+   * @returns {this}
+   */
+  fail(method, error = new Error(`${method} failed`)) {
+    this.failures.set(method, error);
+    return this;
+  }
+
+  /**
+   * Make calls to a method wait until the signal passed in its options aborts
+   * @param {string} method - Method name
+   * @returns {this}
+   */
+  stall(method) {
+    this.stalled.add(method);
+    return this;
+  }
+
+  /**
+   * Arguments of every call to a method
+   * @param {string} method - Method name
+   * @returns {any[][]}
+   */
+  callsTo(method) {
+    return this.calls.filter(call => call.method === method).map(call => call.args);
+  }
+
+  async record(method, args, signal = null) {
+    this.calls.push({ method, args });
+    if (this.failures.has(method)) {
+      throw this.failures.get(method);
+    }
+    if (this.stalled.has(method)) {
+      await new Promise((resolve, reject) => {
+        const abort = () => reject(createCancelledError(`${method} was cancelled`));
+        if (!signal) return;
+        if (signal.aborted) abort();
+        signal.addEventListener('abort', abort, { once: true });
+      });
+    }
+  }
+}
+
+class FakeWordPressService extends FakeService {
+  /**
+   * @param {object[]} posts - Appraisal posts
+   * @param {object} media - Media source URLs keyed by media ID
+   */
+  constructor(posts = [], media = {}) {
+    super();
+    this.apiUrl = 'https://resources.example.com/wp-json/wp/v2';
+    this.authHeader = 'Basic dGVzdDp0ZXN0';
+    this.posts = new Map(posts.map(post => [String(post.id), JSON.parse(JSON.stringify(post))]));
+    this.media = new Map(Object.entries(media));
+  }
+
+  getTemplateBlockReference() {
+    return '<!-- wp:block {"ref":142384} /-->';
+  }
+
+  post(postId) {
+    const post = this.posts.get(String(postId));
+    if (!post) {
+      const error = new Error(`WordPress API error: 404 Not Found`);
+      error.status = 404;
+      throw error;
+    }
+    return post;
+  }
+
+  async getPost(postId) {
+    await this.record('getPost', [postId]);
+    return JSON.parse(JSON.stringify(this.post(postId)));
+  }
+
+  async getPermalink(postId) {
+    await this.record('getPermalink', [postId]);
+    return this.post(postId).link;
+  }
+
+  async getMedia(mediaId) {
+    await this.record('getMedia', [mediaId]);
+    return { id: Number(mediaId), source_url: this.media.get(String(mediaId)) || null };
+  }
+
+  async getImageUrl(imageField) {
+    await this.record('getImageUrl', [imageField]);
+    return this.media.get(String(imageField)) || null;
+  }
+
+  async updateAppraisalPost(postId, updateData) {
+    await this.record('updateAppraisalPost', [postId, updateData]);
+    const post = this.post(postId);
+    const { title, content } = updateData;
+    const acf = new AcfSchema().toAcf(updateData);
+
+    if (title) post.title = { rendered: title };
+    if (content) post.content = { rendered: content };
+    post.acf = { ...post.acf, ...acf };
+
+    return { ...JSON.parse(JSON.stringify(post)), publicUrl: post.link, version: postVersion(post) };
+  }
+
+  async modifyAppraisalPost(postId, buildUpdate, options = {}) {
+    await this.record('modifyAppraisalPost', [postId, options]);
+    const post = await this.getPost(postId);
+    if (options.expectedVersion && !isCurrentVersion(options.expectedVersion, post)) {
+      throw createConflictError(postId, changedFields(options.expectedVersion, post));
+    }
+    const updateData = await buildUpdate(post);
+    if (!updateData) {
+      return { ...post, publicUrl: post.link, version: postVersion(post) };
+    }
+    return this.updateAppraisalPost(postId, updateData);
+  }
+
+  async updatePostTitles(postId, titles) {
+    await this.record('updatePostTitles', [postId, titles]);
+    const post = this.post(postId);
+    post.title = { rendered: titles.title };
+    post.acf = { ...post.acf, detailedtitle: titles.detailedTitle };
+    return { ...JSON.parse(JSON.stringify(post)), publicUrl: post.link, version: postVersion(post) };
+  }
+
+  async completeAppraisalReport(postId, options = {}) {
+    await this.record('completeAppraisalReport', [postId, options], options.signal);
+    this.post(postId).acf.report_generated_at = new Date().toISOString();
+    return { success: true };
+  }
+}
+
+class FakeOpenAIService extends FakeService {
+  constructor() {
+    super();
+    this.imageDescription = 'AI description: oil on canvas, river valley at dusk, gilt frame';
+  }
+
+  async analyzeImageWithGPT4o(imageUrl, prompt) {
+    await this.record('analyzeImageWithGPT4o', [imageUrl, prompt]);
+    return this.imageDescription;
+  }
+
+  async mergeDescriptions(customerDescription, aiDescription) {
+    await this.record('mergeDescriptions', [customerDescription, aiDescription]);
+    return {
+      mergedDescription: `Merged: ${customerDescription} / ${aiDescription}`,
+      briefTitle: 'River Valley Landscape, Oil on Canvas',
+      detailedTitle: 'Late 19th Century River Valley Landscape, Oil on Canvas in Gilt Frame'
+    };
+  }
+
+  async extractAttributes(mergedDescription, fields) {
+    await this.record('extractAttributes', [mergedDescription, fields]);
+    return {
+      object_type: 'Oil painting',
+      estimated_age: 'Late 19th century',
+      medium: 'Oil on canvas',
+      condition: 'Good'
+    };
+  }
+}
+
+class FakeGeminiService extends FakeService {
+  constructor(analysis = {}) {
+    super();
+    this.analysis = {
+      recommendedValue: 2400,
+      mergedDescription: 'Gemini: 19th century river landscape, oil on canvas',
+      objectType: 'Oil painting',
+      ...analysis
+    };
+  }
+
+  isInitialized() {
+    return true;
+  }
+
+  async initialize() {}
+
+  async processAppraisalData(extractedData) {
+    await this.record('processAppraisalData', [extractedData]);
+    return { ...this.analysis };
+  }
+}
+
+class FakeCrmService extends FakeService {
+  constructor() {
+    super();
+    this.isInitialized = true;
+  }
+
+  async sendBulkAppraisalFinalizedNotification(...args) {
+    await this.record('sendBulkAppraisalFinalizedNotification', args);
+    return { success: true, messageId: `message-${this.calls.length}`, timestamp: '2024-01-01T00:00:00.000Z' };
+  }
+}
+
+class FakePdfService extends FakeService {
+  constructor() {
+    super();
+    this.baseUrl = 'https://docs.example.com';
+  }
+
+  async generatePDF(postId, sessionId, options = {}) {
+    await this.record('generatePDF', [postId, sessionId, options], options.signal);
+    return {
+      pdfLink: `${this.baseUrl}/appraisal-${postId}.pdf`,
+      docLink: `${this.baseUrl}/appraisal-${postId}.html`
+    };
+  }
+}
+
+/**
+ * Point the worker singleton at fresh fakes: a real SheetsService over a
+ * FakeSheetsApi, an in-memory job store and lock, and fake WordPress, OpenAI,
+ * CRM and PDF services behind the real AppraisalService
+ * @param {object} options - Harness options
+ * @param {object[]} options.pending - Pending sheet appraisals (row 2 onwards)
+ * @param {object[]} options.completed - Completed sheet appraisals (row 2 onwards)
+ * @param {object[]} options.posts - WordPress posts
+ * @param {object} options.media - Media URLs keyed by media ID
+ * @param {object} options.wordpress - WordPress service to use instead of a FakeWordPressService
+ * @returns {Promise<object>} - { worker, sheetsApi, sheetsService, wordpress, openai, crm, pdf, jobStore }
+ */
+async function createTestWorker(options = {}) {
+  const {
+    pending = [pendingAppraisal()],
+    completed = [],
+    posts = [appraisalPost()],
+    media = { 201: 'https://resources.example.com/uploads/painting.jpg' }
+  } = options;
+
+  const worker = require('../../src/worker');
+  const SheetsService = require('../../src/services/sheets.service');
+  const AppraisalService = require('../../src/services/appraisal.service');
+  const { SheetsAppraisalRepository } = require('../../src/services/appraisal-repository.service');
+  const { MemoryJobStore } = require('../../src/services/job-store.service');
+  const { AppraisalLock } = require('../../src/utils/appraisal-lock');
+
+  const sheetsApi = createSheetsApi({ pending, completed });
+  const sheetsService = new SheetsService({ client: sheetsApi });
+  await sheetsService.initialize({ PENDING_APPRAISALS_SPREADSHEET_ID: 'test-spreadsheet' });
+
+  const wordpress = options.wordpress || new FakeWordPressService(posts, media);
+  const openai = new FakeOpenAIService();
+  const crm = new FakeCrmService();
+  const pdf = new FakePdfService();
+  const jobStore = new MemoryJobStore();
+
+  worker.sheetsService = sheetsService;
+  worker.repository = new SheetsAppraisalRepository(sheetsService);
+  worker.jobStore = jobStore;
+  worker.appraisalLock = new AppraisalLock();
+  worker.isShuttingDown = false;
+  worker.appraisalService = new AppraisalService(worker.repository, wordpress, openai, crm, pdf, jobStore);
+
+  return { worker, sheetsApi, sheetsService, wordpress, openai, crm, pdf, jobStore };
+}
+
+module.exports = {
+  PENDING_SHEET,
+  COMPLETED_SHEET,
+  createSheetsApi,
+  readCell,
+  pendingAppraisal,
+  appraisalPost,
+  FakeWordPressService,
+  FakeOpenAIService,
+  FakeGeminiService,
+  FakeCrmService,
+  FakePdfService,
+  createTestWorker
+};
@@ -0,0 +1,28 @@
+const HealthService = require('../../src/services/health.service');
+
+describe('HealthService', () => {
+  let worker;
+  let health;
+
+  beforeEach(() => {
+    worker = { initialized: false, initError: null, isShuttingDown: false, activeProcesses: new Set(), appraisalService: null };
+    health = new HealthService(worker, { requiredDependencies: [] });
+    jest.spyOn(health, 'runChecks').mockResolvedValue({});
+  });
+
+  it('reports initializing until the worker has initialized', async () => {
+    expect(await health.getReadiness()).toMatchObject({ ready: false, status: 'initializing' });
+    expect(health.getLiveness().status).toBe('ok');
+
+    worker.initialized = true;
+
+    expect(await health.getReadiness()).toMatchObject({ ready: true, status: 'ready' });
+  });
+
+  it('reports a failed initialization to both probes', async () => {
+    worker.initError = new Error('Spreadsheet not found');
+
+    expect(await health.getReadiness()).toMatchObject({ ready: false, status: 'init_failed', initError: 'Spreadsheet not found' });
+    expect(health.getLiveness()).toMatchObject({ status: 'init_failed', initError: 'Spreadsheet not found' });
+  });
+});
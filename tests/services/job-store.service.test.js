@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JOB_STATUS, MemoryJobStore, FileJobStore } = require('../../src/services/job-store.service');
+
+describe.each([
+  ['MemoryJobStore', (dir, options) => new MemoryJobStore(options)],
+  ['FileJobStore', (dir, options) => new FileJobStore({ ...options, filePath: path.join(dir, 'jobs.json') })]
+])('%s', (label, createStore) => {
+  let dir;
+  let store;
+
+  const OPTIONS = { endStep: 'STEP_GENERATE_PDF' };
+  const createJob = () => store.createJob({ appraisalId: '2', startStep: 'STEP_UPDATE_WORDPRESS', options: OPTIONS });
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-store-'));
+    store = createStore(dir, { maxJobs: 3 });
+    await store.initialize();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('findResumableJob', () => {
+    it('finds a failed job started from the same step with the same options', async () => {
+      const job = await createJob();
+      await store.updateJob(job.id, { status: JOB_STATUS.FAILED });
+
+      expect((await store.findResumableJob('2', 'STEP_UPDATE_WORDPRESS', OPTIONS)).id).toBe(job.id);
+      expect(await store.findResumableJob('2', 'STEP_UPDATE_WORDPRESS', { endStep: 'STEP_EXTRACT_ATTRIBUTES' })).toBeNull();
+    });
+
+    it.each([JOB_STATUS.COMPLETED, JOB_STATUS.CANCELLED])('never resumes a %s job', async status => {
+      const job = await createJob();
+      await store.updateJob(job.id, { status });
+
+      expect(await store.findResumableJob('2', 'STEP_UPDATE_WORDPRESS', OPTIONS)).toBeNull();
+    });
+  });
+
+  describe('pruning', () => {
+    const finish = async (job, completedAt) => {
+      await store.updateJob(job.id, { status: JOB_STATUS.COMPLETED });
+      store.jobs.get(job.id).completedAt = completedAt;
+    };
+
+    it('drops finished jobs past the retention window when a job is created', async () => {
+      const old = await createJob();
+      await finish(old, new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString());
+
+      await createJob();
+
+      expect(await store.getJob(old.id)).toBeNull();
+    });
+
+    it('keeps at most maxJobs, dropping the oldest finished jobs first', async () => {
+      const running = await createJob();
+      const first = await createJob();
+      const second = await createJob();
+      await finish(first, '2026-01-01T00:00:00.000Z');
+      await finish(second, '2026-01-02T00:00:00.000Z');
+
+      const newest = await createJob();
+      expect(await store.getJob(first.id)).toBeNull();
+
+      const latest = await createJob();
+      expect((await store.listJobs()).map(job => job.id).sort()).toEqual([running.id, newest.id, latest.id].sort());
+    });
+
+    it('drops expired idempotency keys when a key is claimed', async () => {
+      await store.claimIdempotencyKey('POST /api/process-step:a', { requestHash: 'a', ttlMs: -1 });
+      await store.claimIdempotencyKey('POST /api/process-step:b', { requestHash: 'b', ttlMs: 60000 });
+
+      expect([...store.idempotencyKeys.keys()]).toEqual(['POST /api/process-step:b']);
+    });
+  });
+});
+
+describe('FileJobStore persistence', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-store-'));
+    store = new FileJobStore({ filePath: path.join(dir, 'jobs.json') });
+    await store.initialize();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes changes made before a write starts in that one write', async () => {
+    const job = await store.createJob({ appraisalId: '2', startStep: 'STEP_MERGE_DESCRIPTIONS' });
+    const writeFile = jest.spyOn(fs.promises, 'writeFile');
+
+    await Promise.all(['merge', 'wordpress', 'attributes', 'template'].map(step => store.saveCheckpoint(job.id, step, { step })));
+
+    expect(writeFile).toHaveBeenCalledTimes(1);
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'jobs.json'), 'utf8'));
+    expect(Object.keys(saved.jobs[0].steps)).toEqual(['merge', 'wordpress', 'attributes', 'template']);
+  });
+
+  it('releases idempotency keys of requests that were in progress when the process stopped', async () => {
+    await store.claimIdempotencyKey('POST /api/jobs:a', { requestHash: 'a', ttlMs: 60000 });
+    await store.claimIdempotencyKey('POST /api/jobs:b', { requestHash: 'b', ttlMs: 60000 });
+    await store.updateIdempotencyRecord('POST /api/jobs:b', { status: 'completed', response: { statusCode: 202, body: {} } });
+
+    const restarted = new FileJobStore({ filePath: store.filePath });
+    await restarted.initialize();
+
+    expect([...restarted.idempotencyKeys.keys()]).toEqual(['POST /api/jobs:b']);
+  });
+});
@@ -0,0 +1,56 @@
+const QueueConsumer = require('../../src/services/queue-consumer.service');
+const { FakePubSub } = require('../../src/utils/fake-pubsub');
+
+describe('QueueConsumer', () => {
+  let pubsub;
+  let subscription;
+  let worker;
+  let consumer;
+
+  const publish = payload => pubsub.topic('appraisal-tasks').publishMessage({ json: payload });
+  const settled = event => new Promise(resolve => subscription.once(event, resolve));
+
+  beforeEach(async () => {
+    pubsub = new FakePubSub();
+    subscription = pubsub.bind('appraisal-tasks', 'appraisal-tasks-sub');
+    worker = {
+      isShuttingDown: false,
+      resolveAppraisalId: jest.fn(async identifier => identifier.value),
+      dispatchStep: jest.fn(async () => ({}))
+    };
+    consumer = new QueueConsumer(worker, {
+      pubsub,
+      subscriptionName: 'appraisal-tasks-sub',
+      deadLetterTopicName: 'appraisal-tasks-dead-letter',
+      maxAttempts: 3
+    });
+    await consumer.start();
+  });
+
+  afterEach(async () => {
+    await consumer.stop(0);
+  });
+
+  it('acks a message once its steps succeed', async () => {
+    const acked = settled('acked');
+    await publish({ id: '2', startStep: 'STEP_GENERATE_PDF' });
+
+    await acked;
+    expect(worker.dispatchStep).toHaveBeenCalledWith('2', 'STEP_GENERATE_PDF', {});
+  });
+
+  it('nacks a failed message straight away, leaving the backoff to the subscription', async () => {
+    worker.dispatchStep.mockRejectedValue(new Error('PDF backend returned 502'));
+    const deadLettered = new Promise(resolve => {
+      jest.spyOn(pubsub.topic('appraisal-tasks-dead-letter'), 'publishMessage').mockImplementation(async message => {
+        resolve(message);
+        return 'dead-letter-1';
+      });
+    });
+
+    await publish({ id: '2', startStep: 'STEP_GENERATE_PDF' });
+
+    expect((await deadLettered).attributes).toMatchObject({ attempts: '3', error: 'PDF backend returned 502' });
+    expect(subscription.nacked).toHaveLength(2);
+  });
+});
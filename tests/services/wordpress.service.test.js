@@ -0,0 +1,518 @@
+const fetch = require('node-fetch');
+const WordPressService = require('../../src/services/wordpress.service');
+const { postVersion } = require('../../src/utils/post-version');
+const { getCircuitBreaker } = require('../../src/utils/circuit-breaker');
+
+const API_URL = 'https://resources.example.com/wp-json/wp/v2';
+const BLOCK_REFERENCE = '<!-- wp:block {"ref":142384} /-->';
+
+function jsonResponse(body, status = 200) {
+  return new fetch.Response(JSON.stringify(body), {
+    status,
+    statusText: status === 200 ? 'OK' : 'Error',
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+describe('WordPressService.updateAppraisalPost', () => {
+  let service;
+
+  // Payload of the nth request
+  const sentPayload = (call = 0) => JSON.parse(service.fetch.mock.calls[call][1].body);
+
+  beforeEach(() => {
+    service = new WordPressService();
+    service.apiUrl = API_URL;
+    service.authHeader = 'Basic dGVzdDp0ZXN0';
+    service.fetch = jest.fn(async () => jsonResponse({ id: 101, link: 'https://resources.example.com/appraisals/101/' }));
+  });
+
+  describe('block references', () => {
+    it('sends a clean block reference as it is', async () => {
+      await service.updateAppraisalPost('101', { content: `  ${BLOCK_REFERENCE}\n` });
+
+      expect(sentPayload().content).toBe(`  ${BLOCK_REFERENCE}\n`);
+    });
+
+    it('keeps only the block reference when it is mixed with its rendered content', async () => {
+      const expanded = `${BLOCK_REFERENCE}<div class="appraisal-template"><h2>Appraisal</h2><p>Rendered block</p></div>`;
+
+      await service.updateAppraisalPost('101', { content: expanded });
+
+      expect(sentPayload().content).toBe(BLOCK_REFERENCE);
+    });
+
+    it('finds the block reference after other content', async () => {
+      await service.updateAppraisalPost('101', { content: `<p>Intro</p>\n${BLOCK_REFERENCE}\n<div>Rendered</div>` });
+
+      expect(sentPayload().content).toBe(BLOCK_REFERENCE);
+    });
+
+    it('sends content with a malformed block reference unchanged', async () => {
+      const content = '<!-- wp:block {"ref":"latest"} /--><div>Rendered</div>';
+
+      await service.updateAppraisalPost('101', { content });
+
+      expect(sentPayload().content).toBe(content);
+    });
+
+    it('sends regular content unchanged', async () => {
+      const content = '<!-- wp:paragraph --><p>Hand-written appraisal notes</p><!-- /wp:paragraph -->';
+
+      await service.updateAppraisalPost('101', { content });
+
+      expect(sentPayload().content).toBe(content);
+    });
+
+    it('leaves the content alone when none is given', async () => {
+      await service.updateAppraisalPost('101', { title: 'River Landscape' });
+
+      expect(sentPayload()).toEqual({ title: 'River Landscape' });
+    });
+  });
+
+  describe('ACF fields', () => {
+    it('maps appraisal data to the ACF field names', async () => {
+      await service.updateAppraisalPost('101', {
+        value: '1500',
+        appraisalType: 'Insurance',
+        detailedTitle: 'Late 19th Century River Landscape',
+        object_type: 'Painting',
+        creator: 'Unknown',
+        medium: 'Oil on canvas',
+        pdfLink: 'https://docs.example.com/101.pdf',
+        docLink: 'https://docs.example.com/101.html'
+      });
+
+      expect(sentPayload().acf).toEqual({
+        value: 1500,
+        appraisaltype: 'Insurance',
+        detailedtitle: 'Late 19th Century River Landscape',
+        object_type: 'Painting',
+        creator: 'Unknown',
+        medium: 'Oil on canvas',
+        pdflink: 'https://docs.example.com/101.pdf',
+        doclink: 'https://docs.example.com/101.html'
+      });
+    });
+
+    it('clears the value when it is given but empty', async () => {
+      await service.updateAppraisalPost('101', { value: 0 });
+
+      expect(sentPayload().acf).toEqual({ value: null });
+    });
+
+    it('rejects invalid values with 400 without sending anything', async () => {
+      await expect(service.updateAppraisalPost('101', {
+        title: 'River Landscape',
+        value: 'about 1500',
+        pdfLink: 'docs/101.pdf'
+      })).rejects.toMatchObject({
+        statusCode: 400,
+        fields: { value: 'expected a number, got "about 1500"', pdfLink: 'expected an http(s) URL' }
+      });
+      expect(service.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  it('posts to the appraisal endpoint and returns the post with its public URL', async () => {
+    const post = await service.updateAppraisalPost('101', { title: 'River Landscape' });
+
+    const [url, { method, headers }] = service.fetch.mock.calls[0];
+    expect(url).toBe(`${API_URL}/appraisals/101`);
+    expect(method).toBe('POST');
+    expect(headers.Authorization).toBe('Basic dGVzdDp0ZXN0');
+    expect(post).toMatchObject({ id: 101, publicUrl: 'https://resources.example.com/appraisals/101/' });
+  });
+
+  it('retries a transient failure with the same payload', async () => {
+    service.fetch
+      .mockResolvedValueOnce(jsonResponse({ code: 'unavailable' }, 503))
+      .mockResolvedValueOnce(jsonResponse({ id: 101, link: 'https://resources.example.com/appraisals/101/' }));
+
+    await service.updateAppraisalPost('101', { content: BLOCK_REFERENCE });
+
+    expect(service.fetch).toHaveBeenCalledTimes(2);
+    expect(sentPayload(1)).toEqual(sentPayload(0));
+  });
+
+  it('throws a rejected update without retrying', async () => {
+    service.fetch.mockResolvedValueOnce(jsonResponse({ code: 'rest_invalid_param' }, 400));
+
+    await expect(service.updateAppraisalPost('101', { title: 'River Landscape' }))
+      .rejects.toMatchObject({ status: 400, message: expect.stringContaining('rest_invalid_param') });
+    expect(service.fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('WordPressService.modifyAppraisalPost', () => {
+  let service;
+  let current;
+
+  const post = (overrides = {}) => ({
+    id: 101,
+    link: 'https://resources.example.com/appraisals/101/',
+    modified: '2024-01-01T00:00:00',
+    modified_gmt: '2024-01-01T00:00:00',
+    title: { rendered: 'River Landscape' },
+    content: { rendered: '<p>Draft</p>' },
+    acf: { value: 1500 },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    service = new WordPressService();
+    current = post();
+    service.getPost = jest.fn(async () => current);
+    service.updateAppraisalPost = jest.fn(async (postId, updateData) => ({ id: 101, ...updateData }));
+    jest.spyOn(service.logger, 'warn').mockImplementation(() => {});
+  });
+
+  it('writes the update built from the post, conditional on its modified time', async () => {
+    const result = await service.modifyAppraisalPost('101', read => ({ content: read.content.rendered, value: 2000 }));
+
+    expect(service.updateAppraisalPost).toHaveBeenCalledWith('101', { content: '<p>Draft</p>', value: 2000 }, {
+      unmodifiedSince: '2024-01-01T00:00:00'
+    });
+    expect(result).toMatchObject({ value: 2000 });
+  });
+
+  it('writes when the post is still at the expected version', async () => {
+    await service.modifyAppraisalPost('101', () => ({ value: 2000 }), { expectedVersion: postVersion(post()) });
+
+    expect(service.updateAppraisalPost).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects with 409 without writing when the post was edited since the expected version, logging what changed', async () => {
+    const expectedVersion = postVersion(post());
+    current = post({ modified_gmt: '2024-01-01T00:05:00', content: { rendered: '<p>Appraiser notes</p>' } });
+    const buildUpdate = jest.fn(() => ({ value: 2000 }));
+
+    await expect(service.modifyAppraisalPost('101', buildUpdate, { expectedVersion })).rejects.toMatchObject({
+      code: 'WORDPRESS_CONFLICT',
+      statusCode: 409,
+      changes: [{ field: 'content', value: '<p>Appraiser notes</p>' }]
+    });
+    expect(buildUpdate).not.toHaveBeenCalled();
+    expect(service.updateAppraisalPost).not.toHaveBeenCalled();
+    expect(service.logger.warn).toHaveBeenCalledWith(expect.stringContaining('content is now "<p>Appraiser notes</p>"'));
+  });
+
+  it('notices an edit within the same second as the expected version', async () => {
+    const expectedVersion = postVersion(post());
+    current = post({ acf: { value: 1800 } });
+
+    await expect(service.modifyAppraisalPost('101', () => ({ value: 2000 }), { expectedVersion }))
+      .rejects.toMatchObject({ changes: [{ field: 'acf.value', value: 1800 }] });
+  });
+
+  it('leaves the post alone when there is nothing to update', async () => {
+    const result = await service.modifyAppraisalPost('101', () => null);
+
+    expect(service.updateAppraisalPost).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ id: 101, publicUrl: 'https://resources.example.com/appraisals/101/', version: postVersion(post()) });
+  });
+});
+
+describe('WordPressService.savePost preconditions', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new WordPressService();
+    service.apiUrl = API_URL;
+    service.authHeader = 'Basic dGVzdDp0ZXN0';
+    service.fetch = jest.fn(async () => jsonResponse({ id: 101, link: 'https://resources.example.com/appraisals/101/' }));
+  });
+
+  it('sends the modified time as If-Unmodified-Since on the first attempt only', async () => {
+    service.fetch.mockResolvedValueOnce(jsonResponse({ code: 'unavailable' }, 503));
+
+    await service.savePost('101', { content: BLOCK_REFERENCE }, { unmodifiedSince: '2024-01-01T00:00:00' });
+
+    expect(service.fetch.mock.calls[0][1].headers['If-Unmodified-Since']).toBe('Mon, 01 Jan 2024 00:00:00 GMT');
+    expect(service.fetch.mock.calls[1][1].headers['If-Unmodified-Since']).toBeUndefined();
+  });
+
+  it('reports a rejected precondition as a conflict without retrying', async () => {
+    service.fetch.mockResolvedValueOnce(jsonResponse({ code: 'rest_precondition_failed' }, 412));
+
+    await expect(service.savePost('101', { content: BLOCK_REFERENCE }, { unmodifiedSince: '2024-01-01T00:00:00' }))
+      .rejects.toMatchObject({ code: 'WORDPRESS_CONFLICT', statusCode: 409 });
+    expect(service.fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('WordPressService.uploadMedia', () => {
+  const PNG = Buffer.from('89504e470d0a1a0a', 'hex');
+  const HASH = require('crypto').createHash('sha256').update(PNG).digest('hex');
+  const STORED_URL = `https://resources.example.com/wp-content/uploads/chart-${HASH.slice(0, 16)}.png`;
+
+  let service;
+
+  // The requests sent, as [method, url]
+  const requests = () => service.fetch.mock.calls.map(([url, { method }]) => [method, url]);
+
+  beforeEach(() => {
+    service = new WordPressService();
+    service.apiUrl = API_URL;
+    service.authHeader = 'Basic dGVzdDp0ZXN0';
+    service.fetch = jest.fn(async (url, { method, body }) => {
+      if (method === 'GET') return jsonResponse([]);
+      if (url.startsWith(`${API_URL}/media?`) || url === `${API_URL}/media`) return jsonResponse({ id: 301, source_url: STORED_URL }, 201);
+      return jsonResponse({ id: 301, source_url: STORED_URL, ...JSON.parse(body) });
+    });
+  });
+
+  it('uploads the file named after its content hash, then sets its metadata', async () => {
+    const media = await service.uploadMedia({ data: PNG, filename: 'chart.png', mimeType: 'image/png' }, {
+      postId: '101',
+      altText: 'River landscape',
+      caption: 'Oil on canvas'
+    });
+
+    expect(requests()).toEqual([
+      ['GET', `${API_URL}/media?parent=101&per_page=100&page=1`],
+      ['GET', `${API_URL}/media?parent=0&per_page=100&page=1`],
+      ['POST', `${API_URL}/media?post=101`],
+      ['POST', `${API_URL}/media/301`]
+    ]);
+    const [, { headers, body }] = service.fetch.mock.calls[2];
+    expect(headers['Content-Type']).toBe('image/png');
+    expect(headers['Content-Disposition']).toBe(`attachment; filename="chart-${HASH.slice(0, 16)}.png"`);
+    expect(body).toBe(PNG);
+    expect(JSON.parse(service.fetch.mock.calls[3][1].body)).toEqual({
+      meta: { appraisal_content_hash: HASH },
+      post: 101,
+      alt_text: 'River landscape',
+      caption: 'Oil on canvas'
+    });
+    expect(media).toEqual({ id: 301, sourceUrl: STORED_URL, hash: HASH, reused: false });
+  });
+
+  it('reuses an attachment of the post with the same content instead of uploading it again', async () => {
+    service.fetch.mockResolvedValueOnce(jsonResponse([
+      { id: 250, source_url: 'https://resources.example.com/wp-content/uploads/unrelated.png', meta: {} },
+      // Renamed since, and stored under a different name
+      { id: 301, title: { rendered: 'Value chart' }, source_url: 'https://resources.example.com/wp-content/uploads/chart-1.png', meta: { appraisal_content_hash: HASH } }
+    ]));
+
+    const media = await service.uploadMedia({ data: PNG, filename: 'chart.png', mimeType: 'image/png' }, { postId: '101' });
+
+    expect(requests().filter(([method, url]) => method === 'POST' && url.startsWith(`${API_URL}/media?`))).toHaveLength(0);
+    expect(media).toMatchObject({ id: 301, reused: true });
+  });
+
+  it('looks through every page of the post\'s attachments', async () => {
+    const page = (body, totalPages) => {
+      const response = jsonResponse(body);
+      response.headers.set('X-WP-TotalPages', String(totalPages));
+      return response;
+    };
+    service.fetch
+      .mockResolvedValueOnce(page([{ id: 250, source_url: 'https://resources.example.com/wp-content/uploads/unrelated.png' }], 2))
+      .mockResolvedValueOnce(page([{ id: 301, source_url: STORED_URL }], 2));
+
+    const media = await service.uploadMedia({ data: PNG, filename: 'chart.png', mimeType: 'image/png' }, { postId: '101' });
+
+    expect(requests().slice(0, 2)).toEqual([
+      ['GET', `${API_URL}/media?parent=101&per_page=100&page=1`],
+      ['GET', `${API_URL}/media?parent=101&per_page=100&page=2`]
+    ]);
+    expect(media).toMatchObject({ id: 301, reused: true });
+  });
+
+  it('finds an attachment without the hash meta by the hash tag in its file name', async () => {
+    service.fetch.mockResolvedValueOnce(jsonResponse([{ id: 301, title: { rendered: 'Value chart' }, source_url: STORED_URL }]));
+
+    const media = await service.uploadMedia({ data: PNG, filename: 'chart.png', mimeType: 'image/png' }, { postId: '101' });
+
+    expect(media).toMatchObject({ id: 301, reused: true });
+  });
+
+  it('only looks among unattached media for a file without a post', async () => {
+    await service.uploadMedia({ data: PNG, filename: 'chart.png', mimeType: 'image/png' });
+
+    expect(requests().slice(0, 2)).toEqual([
+      ['GET', `${API_URL}/media?parent=0&per_page=100&page=1`],
+      ['POST', `${API_URL}/media`]
+    ]);
+  });
+
+  it('stores the attachment in an ACF field of the post', async () => {
+    await service.uploadMedia({ data: PNG, filename: 'chart.png', mimeType: 'image/png' }, { postId: '101', acfField: 'main' });
+
+    const [url, { body }] = service.fetch.mock.calls[4];
+    expect(url).toBe(`${API_URL}/appraisals/101`);
+    expect(JSON.parse(body)).toEqual({ acf: { main: 301 } });
+  });
+
+  it('looks the hash up again before retrying a failed upload', async () => {
+    service.fetch
+      .mockResolvedValueOnce(jsonResponse([]))
+      .mockResolvedValueOnce(jsonResponse({ code: 'unavailable' }, 503))
+      // The failed upload was stored after all
+      .mockResolvedValueOnce(jsonResponse([{ id: 301, source_url: STORED_URL }]));
+
+    const media = await service.uploadMedia({ data: PNG, filename: 'chart.png', mimeType: 'image/png' });
+
+    expect(requests().filter(([method, url]) => method === 'POST' && url === `${API_URL}/media`)).toHaveLength(1);
+    expect(media).toMatchObject({ id: 301, reused: false });
+  });
+
+  it('finds a failed upload for a post that was stored unattached, and attaches it instead of uploading it again', async () => {
+    service.fetch
+      .mockResolvedValueOnce(jsonResponse([]))
+      .mockResolvedValueOnce(jsonResponse([]))
+      .mockResolvedValueOnce(jsonResponse({ code: 'unavailable' }, 503))
+      .mockResolvedValueOnce(jsonResponse([]))
+      // The failed upload was stored after all, without its post
+      .mockResolvedValueOnce(jsonResponse([{ id: 301, source_url: STORED_URL }]));
+
+    const media = await service.uploadMedia({ data: PNG, filename: 'chart.png', mimeType: 'image/png' }, { postId: '101' });
+
+    expect(requests().filter(([method, url]) => method === 'POST' && url.startsWith(`${API_URL}/media?`))).toHaveLength(1);
+    expect(requests().slice(3, 5)).toEqual([
+      ['GET', `${API_URL}/media?parent=101&per_page=100&page=1`],
+      ['GET', `${API_URL}/media?parent=0&per_page=100&page=1`]
+    ]);
+    expect(JSON.parse(service.fetch.mock.calls[5][1].body)).toMatchObject({ post: 101 });
+    expect(media).toMatchObject({ id: 301, reused: false });
+  });
+
+  it.each([
+    ['an empty file', { data: Buffer.alloc(0), filename: 'chart.png', mimeType: 'image/png' }, {}],
+    ['a file without a type', { data: PNG, filename: 'chart.png' }, {}],
+    ['an ACF field without a post', { data: PNG, filename: 'chart.png', mimeType: 'image/png' }, { acfField: 'main' }]
+  ])('rejects %s with 400', async (label, file, options) => {
+    await expect(service.uploadMedia(file, options)).rejects.toMatchObject({ statusCode: 400 });
+    expect(service.fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('WordPressService.completeAppraisalReport', () => {
+  let service;
+
+  function connectionError(code) {
+    const error = new Error(`request to https://backend.example.com failed, reason: ${code}`);
+    error.code = code;
+    return error;
+  }
+
+  beforeEach(() => {
+    service = new WordPressService();
+    service.apiUrl = API_URL;
+    service.authHeader = 'Basic dGVzdDp0ZXN0';
+    service.backendFetch = jest.fn(async () => jsonResponse({ success: true }));
+  });
+
+  afterEach(() => {
+    getCircuitBreaker('appraisalsBackend').onSuccess();
+  });
+
+  it('retries a failure to connect, with a fresh timeout for the new attempt', async () => {
+    service.backendFetch.mockRejectedValueOnce(connectionError('ECONNREFUSED'));
+
+    await expect(service.completeAppraisalReport('101')).resolves.toEqual({ success: true });
+
+    const [[, first], [, second]] = service.backendFetch.mock.calls;
+    expect(second.signal).not.toBe(first.signal);
+  });
+
+  it.each([
+    ['a 503 response', async () => jsonResponse({ error: 'busy' }, 503)],
+    ['a dropped connection', async () => { throw connectionError('ECONNRESET'); }]
+  ])('does not send the report request again after %s', async (label, fail) => {
+    service.backendFetch.mockImplementationOnce(fail);
+
+    await expect(service.completeAppraisalReport('101')).rejects.toThrow();
+    expect(service.backendFetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('WordPressService sites', () => {
+  const secretManager = require('../../src/utils/secrets');
+  const { runWithContext } = require('../../src/utils/async-context');
+  const { parseWordPressSites } = require('../../src/utils/wordpress-sites');
+
+  const STAGING_URL = 'https://staging.example.com/wp-json/wp/v2';
+  let service;
+  let getSecret;
+
+  const onStaging = fn => runWithContext({ wordpressSite: 'staging' }, fn);
+
+  beforeEach(() => {
+    service = new WordPressService();
+    service.apiUrl = API_URL;
+    service.authHeader = 'Basic dGVzdDp0ZXN0';
+    service.sites = parseWordPressSites({
+      staging: {
+        apiUrl: STAGING_URL,
+        usernameSecret: 'wp_username_staging',
+        passwordSecret: 'wp_app_password_staging',
+        endpoints: { posts: 'appraisal-posts', media: 'files' },
+        templateBlockId: 5120,
+        appraisalsBackendUrl: 'https://staging-backend.example.com/'
+      },
+      local: { apiUrl: 'http://127.0.0.1:8090/wp-json/wp/v2' }
+    });
+    service.fetch = jest.fn(async () => jsonResponse({ id: 101, link: 'https://staging.example.com/appraisals/101/', source_url: 'https://staging.example.com/a.png' }));
+    getSecret = jest.spyOn(secretManager, 'getSecret').mockImplementation(async name => `${name}-value`);
+  });
+
+  afterEach(() => {
+    getSecret.mockRestore();
+  });
+
+  it('talks to the default site outside a site context', async () => {
+    await service.getPost('101');
+    await service.getMedia('201');
+
+    expect(service.fetch.mock.calls.map(([url]) => url)).toEqual([`${API_URL}/appraisals/101`, `${API_URL}/media/201`]);
+    expect(service.getTemplateBlockReference()).toBe(BLOCK_REFERENCE);
+    expect(getSecret).not.toHaveBeenCalled();
+  });
+
+  it("uses the selected site's URLs, endpoints, template and credentials", async () => {
+    await onStaging(async () => {
+      await service.getPost('101');
+      await service.getMedia('201');
+      await service.updateAppraisalPost('101', { title: 'River Landscape' });
+
+      expect(service.getTemplateBlockReference()).toBe('<!-- wp:block {"ref":5120} /-->');
+      expect(service.getAppraisalsBackendUrl()).toBe('https://staging-backend.example.com');
+    });
+
+    expect(service.fetch.mock.calls.map(([url, { method }]) => `${method} ${url}`)).toEqual([
+      `GET ${STAGING_URL}/appraisal-posts/101`,
+      `GET ${STAGING_URL}/files/201`,
+      `POST ${STAGING_URL}/appraisal-posts/101`
+    ]);
+    const stagingAuth = `Basic ${Buffer.from('wp_username_staging-value:wp_app_password_staging-value').toString('base64')}`;
+    expect(service.fetch.mock.calls.every(([, { headers }]) => headers.Authorization === stagingAuth)).toBe(true);
+    // Credentials are loaded once per site
+    expect(getSecret).toHaveBeenCalledTimes(2);
+  });
+
+  it("uses the default site's credentials for a site without its own", async () => {
+    await runWithContext({ wordpressSite: 'local' }, () => service.getPost('101'));
+
+    const [url, { headers }] = service.fetch.mock.calls[0];
+    expect(url).toBe('http://127.0.0.1:8090/wp-json/wp/v2/appraisals/101');
+    expect(headers.Authorization).toBe('Basic dGVzdDp0ZXN0');
+  });
+
+  it('loads the credentials again after a failed load', async () => {
+    getSecret.mockRejectedValueOnce(new Error('Secret Manager unavailable'));
+
+    await expect(onStaging(() => service.getPost('101'))).rejects.toThrow('Secret Manager unavailable');
+    await onStaging(() => service.getPost('101'));
+
+    expect(service.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects an unknown site with 400 without sending anything', async () => {
+    await expect(runWithContext({ wordpressSite: 'production-eu' }, () => service.getPost('101')))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('default, staging, local') });
+    expect(service.fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,13 @@
+// Runs before each test file. Tests never wait on real quotas or backoff, and
+// only print logs when LOG_LEVEL is set (e.g. LOG_LEVEL=3 npm test)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || '-1';
+process.env.SHEETS_READ_REQUESTS_PER_MINUTE = '100000';
+process.env.SHEETS_WRITE_REQUESTS_PER_MINUTE = '100000';
+process.env.RETRY_WORDPRESS_BASE_DELAY_MS = '1';
+process.env.RETRY_WORDPRESS_MAX_DELAY_MS = '1';
+process.env.RETRY_APPRAISALS_BACKEND_BASE_DELAY_MS = '1';
+process.env.RETRY_APPRAISALS_BACKEND_MAX_DELAY_MS = '1';
+process.env.JOB_STORE = 'memory';
+process.env.APPRAISAL_STORE = 'sheets';
+delete process.env.OFFLINE_MODE;
+delete process.env.RECORD_FIXTURES;
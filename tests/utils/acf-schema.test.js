@@ -0,0 +1,76 @@
+const { AcfSchema, DEFAULT_ACF_FIELDS } = require('../../src/utils/acf-schema');
+
+describe('AcfSchema', () => {
+  const schema = new AcfSchema();
+
+  it('converts each value to its type and keys it by ACF field name', () => {
+    expect(schema.toAcf({
+      title: 'Not an ACF field',
+      value: '$1,500',
+      appraisalType: 'IRS',
+      object_type: '  Oil\n painting ',
+      age_text: ' Dated on the stretcher.\nLabel on the back. ',
+      pdfLink: 'https://docs.example.com/appraisal-101.pdf'
+    })).toEqual({
+      value: 1500,
+      appraisaltype: 'IRS',
+      object_type: 'Oil painting',
+      age_text: 'Dated on the stretcher.\nLabel on the back.',
+      pdflink: 'https://docs.example.com/appraisal-101.pdf'
+    });
+  });
+
+  it('skips blank values, except for fields an empty value clears', () => {
+    expect(schema.validate({ value: '', creator: '  ', medium: null })).toEqual({
+      acf: { value: null },
+      values: { value: null },
+      errors: {}
+    });
+    expect(schema.toAcf({ value: 0 })).toEqual({ value: null });
+  });
+
+  it.each([
+    ['a value that is not a number', { value: 'n/a' }, 'value', 'expected a number, got "n/a"'],
+    ['a negative value', { value: -5 }, 'value', 'it is below 0'],
+    ['a link that is not http(s)', { docLink: 'ftp://docs.example.com/101.html' }, 'docLink', 'expected an http(s) URL'],
+    ['a string field given an object', { creator: { name: 'Unknown' } }, 'creator', 'expected a string, got object'],
+    ['control characters', { medium: 'Oil\u0000on canvas' }, 'medium', 'it contains control characters'],
+    ['a value over the limit', { condition: 'x'.repeat(101) }, 'condition', 'it is 101 characters long, the limit is 100']
+  ])('reports %s', (label, data, field, message) => {
+    expect(schema.validate(data).errors).toEqual({ [field]: message });
+  });
+
+  it('rejects invalid values with 400, listing every invalid field', () => {
+    let error;
+    try {
+      schema.toAcf({ value: 'n/a', medium: 'Oil on canvas', pdfLink: 'appraisal.pdf' });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe('Invalid ACF fields: value: expected a number, got "n/a"; pdfLink: expected an http(s) URL');
+    expect(Object.keys(error.fields)).toEqual(['value', 'pdfLink']);
+  });
+
+  it('lists the fields the AI extracts, with their hints', () => {
+    const fields = schema.extractableFields();
+
+    expect(fields.map(field => field.name)).toEqual([
+      'object_type', 'creator', 'estimated_age', 'age_text', 'medium', 'condition', 'condition_summary'
+    ]);
+    expect(fields[0]).toEqual({
+      name: 'object_type',
+      type: 'string',
+      maxLength: 100,
+      extract: DEFAULT_ACF_FIELDS.object_type.extract
+    });
+  });
+
+  it('uses the fields it is given', () => {
+    const custom = new AcfSchema({ lot: { acf: 'lot_number', type: 'number', min: 1 } });
+
+    expect(custom.toAcf({ lot: '12', value: 'ignored' })).toEqual({ lot_number: 12 });
+    expect(custom.extractableFields()).toEqual([]);
+  });
+});
@@ -0,0 +1,168 @@
+const SheetsService = require('../../src/services/sheets.service');
+const AppraisalFinder = require('../../src/utils/appraisal-finder');
+const { createSheetsApi, pendingAppraisal, PENDING_SHEET } = require('../helpers/fakes');
+
+function postUrl(postId) {
+  return `https://resources.example.com/wp-admin/post.php?post=${postId}&action=edit`;
+}
+
+describe('AppraisalFinder', () => {
+  let sheetsApi;
+  let finder;
+  let batchGet;
+  let get;
+
+  async function createFinder(sheets) {
+    sheetsApi = createSheetsApi(sheets);
+    const sheetsService = new SheetsService({ client: sheetsApi });
+    await sheetsService.initialize({ PENDING_APPRAISALS_SPREADSHEET_ID: 'test-spreadsheet' });
+
+    batchGet = jest.spyOn(sheetsApi.spreadsheets.values, 'batchGet');
+    get = jest.spyOn(sheetsApi.spreadsheets.values, 'get');
+    finder = new AppraisalFinder(sheetsService);
+  }
+
+  beforeEach(async () => {
+    await createFinder({
+      pending: [
+        pendingAppraisal({ sessionId: 'session-1', customerEmail: 'one@example.com', wordpressUrl: postUrl(101) }),
+        pendingAppraisal({ sessionId: 'session-2', customerEmail: 'Shared@Example.com', wordpressUrl: postUrl(102) })
+      ],
+      completed: [
+        pendingAppraisal({ sessionId: 'session-3', customerEmail: 'shared@example.com', wordpressUrl: postUrl(103) })
+      ]
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.APPRAISAL_INDEX_TTL_MS;
+  });
+
+  describe('appraisalExists', () => {
+    it('finds a row in the Pending sheet first and caches where it is', async () => {
+      expect(await finder.appraisalExists(2)).toEqual({ exists: true, usingCompletedSheet: false });
+      expect(batchGet).toHaveBeenCalledTimes(1);
+
+      // A cached location is confirmed with one read of the row instead of checking both sheets
+      expect(await finder.appraisalExists(2)).toEqual({ exists: true, usingCompletedSheet: false });
+      expect(batchGet).toHaveBeenCalledTimes(1);
+      expect(get).toHaveBeenCalledTimes(1);
+      expect(finder.appraisalLocationCache.get('appraisal-2')).toBe(false);
+    });
+
+    it('finds a row that is only in the Completed sheet', async () => {
+      await createFinder({ pending: [], completed: [pendingAppraisal()] });
+      expect(await finder.appraisalExists(2)).toEqual({ exists: true, usingCompletedSheet: true });
+      expect(finder.appraisalLocationCache.get('appraisal-2')).toBe(true);
+    });
+
+    it('drops a cached location once the row is gone and looks again', async () => {
+      await finder.appraisalExists(3);
+
+      // The row is cleared in the Pending sheet and now only exists in the Completed one
+      sheetsApi.grids.get(PENDING_SHEET)[2] = [];
+      sheetsApi.grids.get('Completed Appraisals')[2] = sheetsApi.grids.get('Completed Appraisals')[1].slice();
+
+      expect(await finder.appraisalExists(3)).toEqual({ exists: true, usingCompletedSheet: true });
+      expect(batchGet).toHaveBeenCalledTimes(2);
+      expect(finder.appraisalLocationCache.get('appraisal-3')).toBe(true);
+    });
+
+    it('does not cache appraisals that do not exist', async () => {
+      expect(await finder.appraisalExists(9)).toEqual({ exists: false, usingCompletedSheet: false });
+      expect(finder.appraisalLocationCache.has('appraisal-9')).toBe(false);
+    });
+  });
+
+  describe('resolve', () => {
+    it('resolves session IDs, post IDs and emails to rows in either sheet', async () => {
+      expect(await finder.resolve({ type: 'sessionId', value: 'session-2' }))
+        .toEqual({ id: '3', usingCompletedSheet: false, sessionId: 'session-2' });
+      expect(await finder.resolve({ type: 'postId', value: '103' }))
+        .toEqual({ id: '2', usingCompletedSheet: true, sessionId: 'session-3' });
+      expect(await finder.resolve({ type: 'email', value: 'ONE@example.com' }))
+        .toEqual({ id: '2', usingCompletedSheet: false, sessionId: 'session-1' });
+    });
+
+    it('checks row IDs directly', async () => {
+      expect(await finder.resolve({ type: 'id', value: '2' })).toEqual({ id: '2', usingCompletedSheet: false, sessionId: null });
+      await expect(finder.resolve({ type: 'id', value: '9' })).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('builds the index once and serves lookups from it while it is fresh', async () => {
+      await Promise.all([
+        finder.resolve({ type: 'sessionId', value: 'session-1' }),
+        finder.resolve({ type: 'sessionId', value: 'session-2' })
+      ]);
+      await finder.resolve({ type: 'postId', value: '101' });
+
+      // Concurrent loads share one read of both sheets
+      expect(batchGet).toHaveBeenCalledTimes(1);
+    });
+
+    it('rebuilds the index after APPRAISAL_INDEX_TTL_MS', async () => {
+      process.env.APPRAISAL_INDEX_TTL_MS = '1000';
+      finder = new AppraisalFinder(finder.sheetsService);
+      const start = Date.now();
+      const now = jest.spyOn(Date, 'now');
+
+      try {
+        now.mockReturnValue(start);
+        await finder.resolve({ type: 'sessionId', value: 'session-1' });
+        now.mockReturnValue(start + 500);
+        await finder.resolve({ type: 'sessionId', value: 'session-1' });
+        expect(batchGet).toHaveBeenCalledTimes(1);
+
+        now.mockReturnValue(start + 2000);
+        await finder.resolve({ type: 'sessionId', value: 'session-1' });
+        expect(batchGet).toHaveBeenCalledTimes(2);
+      } finally {
+        now.mockRestore();
+      }
+    });
+
+    it('rebuilds a stale index when the indexed row now holds another appraisal', async () => {
+      await finder.resolve({ type: 'sessionId', value: 'session-2' });
+
+      // Rows 2 and 3 swap places
+      const grid = sheetsApi.grids.get(PENDING_SHEET);
+      [grid[1], grid[2]] = [grid[2], grid[1]];
+
+      expect(await finder.resolve({ type: 'sessionId', value: 'session-2' }))
+        .toEqual({ id: '2', usingCompletedSheet: false, sessionId: 'session-2' });
+      expect(batchGet).toHaveBeenCalledTimes(2);
+    });
+
+    it('finds an appraisal added since the index was built', async () => {
+      await finder.resolve({ type: 'sessionId', value: 'session-1' });
+      sheetsApi.grids.get(PENDING_SHEET)[3] = sheetsApi.grids.get(PENDING_SHEET)[1].map((cell, index) => (index === 0 ? 'session-4' : cell));
+
+      expect(await finder.resolve({ type: 'sessionId', value: 'session-4' }))
+        .toEqual({ id: '4', usingCompletedSheet: false, sessionId: 'session-4' });
+    });
+
+    it('rejects an email shared by several appraisals with 400', async () => {
+      await expect(finder.resolve({ type: 'email', value: 'shared@example.com' }))
+        .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('session-2, session-3') });
+    });
+
+    it('rejects identifiers that match nothing with 404', async () => {
+      await expect(finder.resolve({ type: 'sessionId', value: 'missing' })).rejects.toMatchObject({ statusCode: 404 });
+      // A miss is retried against a fresh index before giving up
+      expect(batchGet).toHaveBeenCalledTimes(2);
+    });
+
+    it('rejects a missing or unknown identifier with 400', async () => {
+      await expect(finder.resolve(null)).rejects.toMatchObject({ statusCode: 400 });
+      await expect(finder.resolve({ type: 'phone', value: '555' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('parseIdentifier', () => {
+    it('picks the first identifier present, in order of precedence', () => {
+      expect(AppraisalFinder.parseIdentifier({ email: 'a@example.com', postId: 101 })).toEqual({ type: 'postId', value: '101' });
+      expect(AppraisalFinder.parseIdentifier({ id: '', sessionId: ' session-1 ' })).toEqual({ type: 'sessionId', value: 'session-1' });
+      expect(AppraisalFinder.parseIdentifier({})).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const { EventEmitter } = require('events');
+const { createIdempotencyMiddleware } = require('../../src/utils/idempotency');
+const { MemoryJobStore } = require('../../src/services/job-store.service');
+
+const KEY = 'POST /api/process-step:retry-1';
+
+function request(body = { id: '2', startStep: 'STEP_GENERATE_PDF' }) {
+  return {
+    method: 'POST',
+    path: '/api/process-step',
+    body,
+    get: header => (header === 'Idempotency-Key' ? 'retry-1' : undefined)
+  };
+}
+
+function response() {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.set = jest.fn();
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    res.body = body;
+    return res;
+  };
+  return res;
+}
+
+describe('createIdempotencyMiddleware', () => {
+  let store;
+  let middleware;
+
+  // Run a request through the middleware; the handler runs only if the key was claimed
+  async function send(handler = () => {}) {
+    const req = request();
+    const res = response();
+    await middleware(req, res, () => handler(req, res));
+    return res;
+  }
+
+  beforeEach(async () => {
+    store = new MemoryJobStore();
+    await store.initialize();
+    middleware = createIdempotencyMiddleware(() => store, { ttlMs: 60000, inProgressTtlMs: 1000 });
+  });
+
+  it('holds the key for the in-progress window, then for the full TTL once the response is stored', async () => {
+    let inProgress;
+    await send((req, res) => {
+      inProgress = { ...store.idempotencyKeys.get(KEY) };
+      res.status(200).json({ success: true });
+    });
+    await new Promise(setImmediate);
+
+    const stored = store.idempotencyKeys.get(KEY);
+    expect(Date.parse(inProgress.expiresAt) - Date.parse(inProgress.createdAt)).toBe(1000);
+    expect(stored.status).toBe('completed');
+    expect(Date.parse(stored.expiresAt) - Date.now()).toBeGreaterThan(50000);
+  });
+
+  it('releases the key when the request ends without a response', async () => {
+    const first = await send();
+    first.emit('close');
+    await new Promise(setImmediate);
+
+    const handler = jest.fn();
+    await send(handler);
+
+    expect(handler).toHaveBeenCalled();
+  });
+
+  it('keeps the key of a request whose job is still running', async () => {
+    const first = await send(req => req.idempotency.attachJob('job-1'));
+    first.emit('close');
+    await new Promise(setImmediate);
+
+    const retry = await send();
+
+    expect(retry.statusCode).toBe(202);
+    expect(retry.body.data.jobId).toBe('job-1');
+  });
+
+  it('lets a retry claim the key once the in-progress window has passed', async () => {
+    await send();
+    store.idempotencyKeys.get(KEY).expiresAt = new Date(Date.now() - 1).toISOString();
+
+    const handler = jest.fn();
+    await send(handler);
+
+    expect(handler).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,26 @@
+const { SheetSchema, DEFAULT_FIELDS } = require('../../src/utils/sheet-schema');
+
+// Header row of a sheet set up before completedRow (column U) was added
+const HEADERS = Object.values(DEFAULT_FIELDS).reduce((row, { column, headers }) => {
+  row[column.charCodeAt(0) - 65] = headers[0];
+  return row;
+}, []).map(header => header || '');
+
+describe('SheetSchema optional fields', () => {
+  const schema = new SheetSchema();
+  const withoutCompletedRow = HEADERS.slice(0, 20);
+
+  it('accepts a sheet without a header for an optional field', () => {
+    expect(schema.validate(withoutCompletedRow)).toEqual([]);
+    expect(schema.detect(withoutCompletedRow).missing).toEqual([]);
+  });
+
+  it('still reports an optional field whose column has another header', () => {
+    const headers = [...withoutCompletedRow, 'Notes'];
+
+    expect(schema.validate(headers)).toEqual([
+      { field: 'completedRow', column: 'U', expected: 'Completed Row', actual: 'Notes' }
+    ]);
+    expect(schema.detect(headers).missing).toEqual(['completedRow']);
+  });
+});
@@ -0,0 +1,59 @@
+const { parseWordPressSites, DEFAULT_ENDPOINTS, DEFAULT_TEMPLATE_BLOCK_ID } = require('../../src/utils/wordpress-sites');
+
+describe('parseWordPressSites', () => {
+  it('has only the default site when nothing is configured', () => {
+    expect(parseWordPressSites(undefined)).toEqual({
+      default: {
+        name: 'default',
+        apiUrl: null,
+        endpoints: DEFAULT_ENDPOINTS,
+        templateBlockId: DEFAULT_TEMPLATE_BLOCK_ID,
+        usernameSecret: null,
+        passwordSecret: null,
+        appraisalsBackendUrl: null
+      }
+    });
+  });
+
+  it('adds sites from JSON, inheriting the default endpoints and template but not its URL or credentials', () => {
+    const sites = parseWordPressSites(JSON.stringify({
+      default: { endpoints: { posts: 'appraisal-posts' } },
+      staging: {
+        apiUrl: 'https://staging.example.com/wp-json/wp/v2/',
+        usernameSecret: 'wp_username_staging',
+        passwordSecret: 'wp_app_password_staging',
+        endpoints: { media: '/files/' },
+        templateBlockId: '5120'
+      },
+      local: { apiUrl: 'http://127.0.0.1:8090/wp-json/wp/v2' }
+    }));
+
+    expect(sites.default.endpoints).toEqual({ ...DEFAULT_ENDPOINTS, posts: 'appraisal-posts' });
+    expect(sites.staging).toMatchObject({
+      name: 'staging',
+      apiUrl: 'https://staging.example.com/wp-json/wp/v2',
+      endpoints: { posts: 'appraisal-posts', media: 'files', users: 'users' },
+      templateBlockId: 5120,
+      usernameSecret: 'wp_username_staging'
+    });
+    expect(sites.local).toMatchObject({
+      apiUrl: 'http://127.0.0.1:8090/wp-json/wp/v2',
+      templateBlockId: DEFAULT_TEMPLATE_BLOCK_ID,
+      usernameSecret: null,
+      appraisalsBackendUrl: null
+    });
+  });
+
+  it.each([
+    ['malformed JSON', '{staging', /Invalid WORDPRESS_SITES/],
+    ['a list instead of an object', '[]', /keyed by site name/],
+    ['a site without an apiUrl', { staging: { templateBlockId: 1 } }, /site staging needs an apiUrl/],
+    ['an apiUrl that is not http(s)', { staging: { apiUrl: 'ftp://example.com' } }, /must be an http\(s\) URL/],
+    ['a blank endpoint', { default: { endpoints: { media: ' ' } } }, /endpoints.media of site default/],
+    ['a template block that is not an ID', { default: { templateBlockId: 'latest' } }, /templateBlockId of site default/],
+    ['only one of the credential secrets', { staging: { apiUrl: 'https://staging.example.com', usernameSecret: 'user' } }, /both usernameSecret and passwordSecret/],
+    ['a site name with spaces', { 'my site': { apiUrl: 'https://staging.example.com' } }, /site name "my site"/]
+  ])('rejects %s', (label, config, message) => {
+    expect(() => parseWordPressSites(typeof config === 'string' ? config : JSON.stringify(config))).toThrow(message);
+  });
+});
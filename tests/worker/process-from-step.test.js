@@ -0,0 +1,559 @@
+const {
+  createTestWorker,
+  readCell,
+  pendingAppraisal,
+  appraisalPost,
+  FakeGeminiService
+} = require('../helpers/fakes');
+const { createConflictError, postVersion } = require('../../src/utils/post-version');
+
+// Appraisals start on row 2, under the header row
+const ROW = '2';
+
+describe('Worker.processFromStep', () => {
+  let harness;
+  let worker;
+
+  const status = (usingCompletedSheet = false) => readCell(harness.sheetsApi, 2, 'status', usingCompletedSheet);
+  const cell = (field, usingCompletedSheet = false) => readCell(harness.sheetsApi, 2, field, usingCompletedSheet);
+
+  beforeEach(async () => {
+    harness = await createTestWorker();
+    worker = harness.worker;
+  });
+
+  describe('planning', () => {
+    it('returns the planned steps of a dry run without running them', async () => {
+      const result = await worker.processFromStep(ROW, 'STEP_MERGE_DESCRIPTIONS', false, {
+        dryRun: true,
+        endStep: 'STEP_GENERATE_PDF'
+      });
+
+      expect(result.dryRun).toBe(true);
+      expect(result.steps.map(step => step.name)).toEqual([
+        'STEP_MERGE_DESCRIPTIONS',
+        'STEP_UPDATE_WORDPRESS',
+        'STEP_EXTRACT_ATTRIBUTES',
+        'STEP_GENERATE_VISUALIZATION',
+        'STEP_GENERATE_PDF'
+      ]);
+      expect(result.steps[0].inputs).toContainEqual({ name: 'postId', field: 'wordpressUrl', column: 'G', required: true });
+      expect(harness.wordpress.calls).toEqual([]);
+      expect(status()).toBe('Pending');
+    });
+
+    it('rejects an unknown step with 400', async () => {
+      await expect(worker.processFromStep(ROW, 'STEP_DOES_NOT_EXIST', false))
+        .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('Unknown step') });
+    });
+
+    it('rejects an end step that cannot be reached with 400', async () => {
+      await expect(worker.processFromStep(ROW, 'STEP_GENERATE_PDF', false, { endStep: 'STEP_MERGE_DESCRIPTIONS' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('rejects new work with 503 while shutting down', async () => {
+      worker.isShuttingDown = true;
+
+      await expect(worker.processFromStep(ROW, 'STEP_GENERATE_VISUALIZATION', false))
+        .rejects.toMatchObject({ statusCode: 503 });
+    });
+
+    it('rejects with 409 while another job holds the appraisal', async () => {
+      const { lease } = await worker.appraisalLock.acquire(ROW, { jobId: 'other-job' });
+
+      try {
+        await expect(worker.processFromStep(ROW, 'STEP_GENERATE_VISUALIZATION', false))
+          .rejects.toMatchObject({ statusCode: 409, runningJobId: 'other-job' });
+      } finally {
+        await worker.appraisalLock.release(lease);
+      }
+      expect(harness.wordpress.callsTo('completeAppraisalReport')).toEqual([]);
+    });
+  });
+
+  describe('dispatchStep', () => {
+    it('processes an appraisal in the Completed sheet there', async () => {
+      harness = await createTestWorker({ pending: [], completed: [pendingAppraisal({ status: 'Completed' })] });
+      worker = harness.worker;
+
+      await worker.dispatchStep(ROW, 'STEP_GENERATE_PDF', {});
+
+      expect(cell('pdfLink', true)).toBe('https://docs.example.com/appraisal-101.pdf');
+      expect(harness.sheetsApi.grids.get('Pending Appraisals')).toHaveLength(1);
+    });
+
+    it('rejects an appraisal in neither sheet with 404', async () => {
+      await expect(worker.dispatchStep('9', 'STEP_GENERATE_PDF', {}))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('STEP_SET_VALUE', () => {
+    it('copies the pending row unformatted, so numbers and dates are not turned into text', async () => {
+      const get = jest.spyOn(harness.sheetsApi.spreadsheets.values, 'get');
+
+      await worker.processFromStep(ROW, 'STEP_SET_VALUE', false, { appraisalValue: 2000, description: 'Oil painting' });
+
+      expect(get).toHaveBeenCalledWith(expect.objectContaining({
+        range: `'Pending Appraisals'!${ROW}:${ROW}`,
+        valueRenderOption: 'UNFORMATTED_VALUE',
+        dateTimeRenderOption: 'SERIAL_NUMBER'
+      }));
+    });
+
+    it('saves the value and type and runs the full workflow through to the Completed sheet', async () => {
+      const result = await worker.processFromStep(ROW, 'STEP_SET_VALUE', false, {
+        appraisalValue: 2000,
+        description: 'Oil painting of a river landscape',
+        appraisalType: 'Insurance'
+      });
+
+      expect(result.steps).toEqual([{ step: 'STEP_SET_VALUE', output: expect.objectContaining({ success: true }) }]);
+
+      // The pending row is kept and linked to its copy
+      expect(status()).toBe('Moved to Completed');
+      expect(cell('completedRow')).toBe(2);
+
+      expect(status(true)).toBe('Completed');
+      expect(cell('value', true)).toBe(2000);
+      expect(cell('appraisalType', true)).toBe('Insurance');
+      expect(cell('aiDescription', true)).toBe(harness.openai.imageDescription);
+      expect(cell('mergedDescription', true)).toContain('Merged: Oil painting of a river landscape');
+      expect(cell('publicUrl', true)).toBe(appraisalPost().link);
+      expect(cell('pdfLink', true)).toBe('https://docs.example.com/appraisal-101.pdf');
+      expect(cell('docLink', true)).toBe('https://docs.example.com/appraisal-101.html');
+      expect(cell('notificationStatus', true)).toMatch(/^CRM notification sent/);
+
+      const post = harness.wordpress.posts.get('101');
+      expect(post.content.rendered).toBe('<!-- wp:block {"ref":142384} /-->');
+      expect(post.acf).toMatchObject({ value: 2000, appraisaltype: 'Insurance', pdflink: 'https://docs.example.com/appraisal-101.pdf' });
+      expect(post.acf.report_generated_at).toBeDefined();
+
+      const [[email, name, , pdfLink, publicUrl]] = harness.crm.callsTo('sendBulkAppraisalFinalizedNotification');
+      expect({ email, name, pdfLink, publicUrl }).toEqual({
+        email: 'customer@example.com',
+        name: 'Test Customer',
+        pdfLink: 'https://docs.example.com/appraisal-101.pdf',
+        publicUrl: appraisalPost().link
+      });
+    });
+
+    it('takes the value, description and type from a Gemini analysis', async () => {
+      const gemini = new FakeGeminiService();
+      const geminiAnalysis = await gemini.processAppraisalData({ descriptions: {} });
+
+      await worker.processFromStep(ROW, 'STEP_SET_VALUE', false, { geminiAnalysis });
+
+      expect(cell('value', true)).toBe(2400);
+      // "Oil painting" maps to the Art appraisal type
+      expect(cell('appraisalType', true)).toBe('Art');
+      expect(harness.openai.callsTo('mergeDescriptions')[0][0]).toBe(geminiAnalysis.mergedDescription);
+    });
+
+    it('records that no notification was sent when the CRM service is unavailable', async () => {
+      harness.crm.isInitialized = false;
+
+      await worker.processFromStep(ROW, 'STEP_SET_VALUE', false, { appraisalValue: 2000, description: 'Oil painting' });
+
+      expect(harness.crm.callsTo('sendBulkAppraisalFinalizedNotification')).toEqual([]);
+      expect(cell('notificationStatus', true)).toBe('CRM notification service not available');
+      expect(status(true)).toBe('Completed');
+    });
+
+    it('marks the appraisal Failed and records the failed step when the workflow fails', async () => {
+      harness.pdf.fail('generatePDF', new Error('Renderer crashed'));
+
+      const run = worker.processFromStep(ROW, 'STEP_SET_VALUE', false, {
+        appraisalValue: 2000,
+        description: 'Oil painting',
+        appraisalType: 'Regular'
+      });
+
+      await expect(run).rejects.toThrow('Renderer crashed');
+      expect(status()).toBe('Failed');
+
+      const [job] = await harness.jobStore.listJobs({ appraisalId: ROW });
+      expect(job.status).toBe('failed');
+      expect(job.error).toBe('Renderer crashed');
+      expect(job.steps.merge.status).toBe('completed');
+      expect(job.steps.finalize).toMatchObject({ status: 'failed', error: 'Renderer crashed' });
+      expect(job.steps.STEP_SET_VALUE.status).toBe('failed');
+    });
+  });
+
+  describe('STEP_MERGE_DESCRIPTIONS', () => {
+    it('analyzes the main image, saves the titles and marks the appraisal Ready', async () => {
+      const [{ output }] = (await worker.processFromStep(ROW, 'STEP_MERGE_DESCRIPTIONS', false)).steps;
+
+      expect(output).toEqual({
+        postId: '101',
+        mergedDescription: `Merged: Oil painting of a river landscape / ${harness.openai.imageDescription}`,
+        briefTitle: 'River Valley Landscape, Oil on Canvas',
+        detailedTitle: 'Late 19th Century River Valley Landscape, Oil on Canvas in Gilt Frame',
+        postVersion: postVersion(harness.wordpress.posts.get('101'))
+      });
+      expect(harness.openai.callsTo('analyzeImageWithGPT4o')[0][0]).toBe('https://resources.example.com/uploads/painting.jpg');
+      expect(cell('aiDescription')).toBe(harness.openai.imageDescription);
+      expect(cell('briefTitle')).toBe(output.briefTitle);
+      expect(cell('detailedTitle')).toBe(output.detailedTitle);
+      expect(harness.wordpress.callsTo('updatePostTitles')).toEqual([
+        ['101', { title: output.briefTitle, detailedTitle: output.detailedTitle }]
+      ]);
+      expect(status()).toBe('Ready');
+    });
+
+    it('reuses an AI description already in the sheet', async () => {
+      harness = await createTestWorker({ pending: [pendingAppraisal({ aiDescription: 'Stored AI description' })] });
+      worker = harness.worker;
+
+      await worker.processFromStep(ROW, 'STEP_MERGE_DESCRIPTIONS', false);
+
+      expect(harness.openai.callsTo('analyzeImageWithGPT4o')).toEqual([]);
+      expect(harness.openai.callsTo('mergeDescriptions')).toEqual([['Oil painting of a river landscape', 'Stored AI description']]);
+    });
+
+    it('marks the appraisal Warning when only the WordPress title update fails', async () => {
+      harness.wordpress.fail('updatePostTitles');
+
+      const [{ output }] = (await worker.processFromStep(ROW, 'STEP_MERGE_DESCRIPTIONS', false)).steps;
+
+      expect(output.briefTitle).toBe('River Valley Landscape, Oil on Canvas');
+      expect(cell('briefTitle')).toBe(output.briefTitle);
+      expect(status()).toBe('Warning');
+    });
+
+    it('fails when the sheet has no WordPress URL', async () => {
+      harness = await createTestWorker({ pending: [pendingAppraisal({ wordpressUrl: '' })] });
+      worker = harness.worker;
+
+      await expect(worker.processFromStep(ROW, 'STEP_MERGE_DESCRIPTIONS', false))
+        .rejects.toThrow('Missing required input "postId" for STEP_MERGE_DESCRIPTIONS');
+      expect(status()).toBe('Failed');
+    });
+
+    it('fails when the post has no main image', async () => {
+      harness = await createTestWorker({ posts: [appraisalPost({ acf: {} })] });
+      worker = harness.worker;
+
+      await expect(worker.processFromStep(ROW, 'STEP_MERGE_DESCRIPTIONS', false))
+        .rejects.toThrow('No main image found in the WordPress post');
+      expect(status()).toBe('Failed');
+      expect(harness.openai.callsTo('mergeDescriptions')).toEqual([]);
+    });
+
+    it('leaves the sheet and the post titles alone when reprocessing', async () => {
+      const [{ output }] = (await worker.processFromStep(ROW, 'STEP_MERGE_DESCRIPTIONS', false, {
+        reprocess: true,
+        postId: '101'
+      })).steps;
+
+      expect(output.postId).toBe('101');
+      expect(output.briefTitle).toBe('River Valley Landscape, Oil on Canvas');
+      // Without the sheet there is no customer description to merge
+      expect(harness.openai.callsTo('mergeDescriptions')[0][0]).toBe('');
+      expect(harness.wordpress.callsTo('updatePostTitles')).toEqual([]);
+      expect(status()).toBe('Pending');
+      expect(cell('aiDescription')).toBeUndefined();
+    });
+  });
+
+  describe('STEP_UPDATE_WORDPRESS', () => {
+    it('writes the value, type and merged description from the sheet to the post', async () => {
+      harness = await createTestWorker({
+        pending: [pendingAppraisal({ mergedDescription: 'A fine river landscape. Oil on canvas.', appraisalType: 'IRS' })]
+      });
+      worker = harness.worker;
+
+      const [{ output }] = (await worker.processFromStep(ROW, 'STEP_UPDATE_WORDPRESS', false)).steps;
+
+      expect(output).toEqual({
+        postId: '101',
+        publicUrl: appraisalPost().link,
+        postVersion: postVersion(harness.wordpress.posts.get('101'))
+      });
+      expect(harness.wordpress.callsTo('updateAppraisalPost')).toEqual([['101', {
+        title: 'A fine river landscape',
+        content: '',
+        value: 1500,
+        appraisalType: 'IRS',
+        detailedTitle: 'A fine river landscape. Oil on canvas.'
+      }]]);
+      expect(status()).toBe('Updating');
+    });
+
+    it('marks the appraisal Failed when WordPress rejects the update', async () => {
+      harness.wordpress.fail('updateAppraisalPost', new Error('WordPress API error: 500 Internal Server Error'));
+
+      await expect(worker.processFromStep(ROW, 'STEP_UPDATE_WORDPRESS', false)).rejects.toThrow('500 Internal Server Error');
+      expect(status()).toBe('Failed');
+    });
+
+    it('still reads the sheet and reports its status when reprocessing', async () => {
+      harness = await createTestWorker({ pending: [pendingAppraisal({ mergedDescription: 'A fine river landscape. Oil on canvas.' })] });
+      worker = harness.worker;
+
+      await worker.processFromStep(ROW, 'STEP_UPDATE_WORDPRESS', false, { reprocess: true });
+
+      expect(harness.wordpress.callsTo('updateAppraisalPost')[0][1].detailedTitle).toBe('A fine river landscape. Oil on canvas.');
+      expect(status()).toBe('Updating');
+
+      harness.wordpress.fail('updateAppraisalPost', new Error('WordPress API error: 500 Internal Server Error'));
+      await expect(worker.processFromStep(ROW, 'STEP_UPDATE_WORDPRESS', false, { reprocess: true })).rejects.toThrow();
+      expect(status()).toBe('Failed');
+    });
+  });
+
+  describe('STEP_EXTRACT_ATTRIBUTES', () => {
+    const mergedDescription = 'Late 19th century oil on canvas landscape of a river valley. Good condition.';
+
+    beforeEach(async () => {
+      harness = await createTestWorker({ pending: [pendingAppraisal({ mergedDescription })] });
+      worker = harness.worker;
+    });
+
+    it('writes the attributes read from the merged description to the post', async () => {
+      const [{ output }] = (await worker.processFromStep(ROW, 'STEP_EXTRACT_ATTRIBUTES', false)).steps;
+
+      const [[description, fields]] = harness.openai.callsTo('extractAttributes');
+      expect(description).toBe(mergedDescription);
+      expect(fields.map(field => field.name)).toContain('creator');
+      expect(harness.wordpress.posts.get('101').acf).toMatchObject({
+        object_type: 'Oil painting',
+        estimated_age: 'Late 19th century',
+        medium: 'Oil on canvas',
+        condition: 'Good'
+      });
+      expect(output.attributes).toMatchObject({ object_type: 'Oil painting', condition: 'Good' });
+      expect(status()).toBe('Analyzing');
+    });
+
+    it('drops attributes that fail the schema and fields the AI may not set', async () => {
+      jest.spyOn(harness.openai, 'extractAttributes').mockResolvedValue({
+        object_type: 'Oil painting',
+        condition: 'x'.repeat(500),
+        value: 1
+      });
+
+      await worker.processFromStep(ROW, 'STEP_EXTRACT_ATTRIBUTES', false);
+
+      expect(harness.wordpress.callsTo('updateAppraisalPost')).toEqual([['101', { object_type: 'Oil painting' }]]);
+      expect(harness.wordpress.posts.get('101').acf.value).toBeUndefined();
+    });
+
+    it('marks the appraisal Warning and carries on when extraction fails', async () => {
+      harness.openai.fail('extractAttributes', new Error('OpenAI returned attributes that are not valid JSON'));
+
+      const [{ output }] = (await worker.processFromStep(ROW, 'STEP_EXTRACT_ATTRIBUTES', false)).steps;
+
+      expect(output).toEqual({ attributes: {}, postVersion: null });
+      expect(harness.wordpress.callsTo('updateAppraisalPost')).toEqual([]);
+      expect(status()).toBe('Warning');
+    });
+
+    it('reads the post ID from the sheet but leaves the status alone when reprocessing', async () => {
+      await worker.processFromStep(ROW, 'STEP_EXTRACT_ATTRIBUTES', false, { reprocess: true });
+
+      expect(harness.wordpress.posts.get('101').acf).toMatchObject({ object_type: 'Oil painting' });
+      expect(status()).toBe('Pending');
+    });
+
+    it('skips extraction when there is no merged description', async () => {
+      harness = await createTestWorker();
+      worker = harness.worker;
+
+      await worker.processFromStep(ROW, 'STEP_EXTRACT_ATTRIBUTES', false);
+
+      expect(harness.openai.callsTo('extractAttributes')).toEqual([]);
+      expect(status()).toBe('Analyzing');
+    });
+  });
+
+  describe('STEP_GENERATE_VISUALIZATION', () => {
+    it('completes the report for the post without touching the status', async () => {
+      await worker.processFromStep(ROW, 'STEP_GENERATE_VISUALIZATION', false);
+
+      const [[postId, { signal }]] = harness.wordpress.callsTo('completeAppraisalReport');
+      expect(postId).toBe('101');
+      expect(signal).toBeInstanceOf(AbortSignal);
+      expect(status()).toBe('Pending');
+    });
+
+    it('marks the appraisal Failed when the report cannot be completed', async () => {
+      harness.wordpress.fail('completeAppraisalReport', new Error('Report generation failed: 500'));
+
+      await expect(worker.processFromStep(ROW, 'STEP_GENERATE_VISUALIZATION', false)).rejects.toThrow('Report generation failed');
+      expect(status()).toBe('Failed');
+    });
+  });
+
+  describe('STEP_GENERATE_PDF', () => {
+    it('stores the links and marks the appraisal Completed', async () => {
+      const [{ output }] = (await worker.processFromStep(ROW, 'STEP_GENERATE_PDF', false)).steps;
+
+      expect(output).toEqual({
+        pdfLink: 'https://docs.example.com/appraisal-101.pdf',
+        docLink: 'https://docs.example.com/appraisal-101.html'
+      });
+      expect(cell('pdfLink')).toBe(output.pdfLink);
+      expect(cell('docLink')).toBe(output.docLink);
+      expect(harness.wordpress.posts.get('101').acf).toMatchObject({ pdflink: output.pdfLink, doclink: output.docLink });
+      // Only the full workflow notifies the customer
+      expect(harness.crm.callsTo('sendBulkAppraisalFinalizedNotification')).toEqual([]);
+      expect(status()).toBe('Completed');
+    });
+
+    it('marks the appraisal Failed when the PDF links are placeholders', async () => {
+      harness.pdf.baseUrl = 'https://example.com/placeholder';
+
+      await expect(worker.processFromStep(ROW, 'STEP_GENERATE_PDF', false)).rejects.toThrow('Invalid PDF URLs');
+      expect(status()).toBe('Failed');
+      expect(cell('pdfLink')).toBeUndefined();
+      expect(harness.crm.callsTo('sendBulkAppraisalFinalizedNotification')).toEqual([]);
+    });
+
+    it('marks the appraisal Downstream Unavailable while the PDF backend breaker is open', async () => {
+      const error = new Error('PDF backend is unavailable after 5 consecutive failures, next probe in 60s');
+      error.code = 'DOWNSTREAM_UNAVAILABLE';
+      error.statusCode = 503;
+      error.downstream = 'PDF backend';
+      harness.pdf.fail('generatePDF', error);
+
+      await expect(worker.processFromStep(ROW, 'STEP_GENERATE_PDF', false)).rejects.toMatchObject({ statusCode: 503 });
+      expect(status()).toBe('Downstream Unavailable (PDF backend)');
+    });
+
+    it('marks the appraisal Cancelled when its job is cancelled mid-step', async () => {
+      harness.pdf.stall('generatePDF');
+      let jobId;
+
+      const run = worker.processFromStep(ROW, 'STEP_GENERATE_PDF', false, { onJobStarted: job => { jobId = job.id; } });
+      await waitFor(() => harness.pdf.calls.length > 0);
+      await worker.cancelJob(jobId);
+
+      await expect(run).rejects.toMatchObject({ code: 'JOB_CANCELLED' });
+      expect(status()).toBe('Cancelled');
+      expect((await worker.getJob(jobId)).status).toBe('cancelled');
+    });
+  });
+
+  describe('joining a running job', () => {
+    let jobId;
+    let running;
+
+    beforeEach(async () => {
+      worker.joinPollIntervalMs = 5;
+      harness.pdf.stall('generatePDF');
+      running = worker.processFromStep(ROW, 'STEP_GENERATE_PDF', false, { onJobStarted: job => { jobId = job.id; } });
+      await waitFor(() => harness.pdf.calls.length > 0);
+    });
+
+    afterEach(async () => {
+      await worker.cancelJob(jobId);
+      await expect(running).rejects.toMatchObject({ code: 'JOB_CANCELLED' });
+    });
+
+    it('gives up with 504 when the job is still running after the join timeout', async () => {
+      worker.joinTimeoutMs = 20;
+
+      await expect(worker.processFromStep(ROW, 'STEP_GENERATE_PDF', false, { onConflict: 'join' }))
+        .rejects.toMatchObject({ statusCode: 504, runningJobId: jobId });
+    });
+
+    it('fails with 409 when the job is abandoned by its owner', async () => {
+      const join = worker.processFromStep(ROW, 'STEP_GENERATE_PDF', false, { onConflict: 'join' });
+      // As if the owning instance died and its lock expired
+      worker.appraisalLock.backend.locks.clear();
+
+      await expect(join).rejects.toMatchObject({ statusCode: 409, runningJobId: jobId });
+    });
+  });
+
+  describe('STEP_BUILD_REPORT', () => {
+    it('runs the full workflow with the value, type and description in the sheet', async () => {
+      harness = await createTestWorker({ pending: [pendingAppraisal({ appraisalType: 'Insurance', value: 3200 })] });
+      worker = harness.worker;
+
+      await worker.processFromStep(ROW, 'STEP_BUILD_REPORT', false, { appraisalValue: 1, appraisalType: 'IRS' });
+
+      // Options never override the sheet for this step
+      expect(harness.wordpress.posts.get('101').acf).toMatchObject({ value: 3200, appraisaltype: 'Insurance' });
+      expect(harness.openai.callsTo('mergeDescriptions')[0][0]).toBe('Oil painting of a river landscape');
+      expect(status(true)).toBe('Completed');
+    });
+
+    it('stops with status Conflict when the post is being edited', async () => {
+      harness.wordpress.fail('modifyAppraisalPost', createConflictError('101', [{ field: 'content', before: '', after: '<p>Notes</p>' }]));
+
+      await expect(worker.processFromStep(ROW, 'STEP_BUILD_REPORT', false)).rejects.toMatchObject({ statusCode: 409 });
+
+      expect(harness.wordpress.callsTo('updateAppraisalPost')).toEqual([]);
+      expect(harness.pdf.callsTo('generatePDF')).toEqual([]);
+      expect(status()).toBe('Conflict');
+    });
+  });
+
+  describe('step ranges', () => {
+    it('passes outputs along from merging the descriptions through to the PDF', async () => {
+      const result = await worker.processFromStep(ROW, 'STEP_MERGE_DESCRIPTIONS', false, { endStep: 'STEP_GENERATE_PDF' });
+
+      expect(result.steps.map(step => step.step)).toEqual([
+        'STEP_MERGE_DESCRIPTIONS',
+        'STEP_UPDATE_WORDPRESS',
+        'STEP_EXTRACT_ATTRIBUTES',
+        'STEP_GENERATE_VISUALIZATION',
+        'STEP_GENERATE_PDF'
+      ]);
+      // The merged description comes from the first step, not the (empty) sheet column
+      const [[, update]] = harness.wordpress.callsTo('updateAppraisalPost');
+      expect(update.detailedTitle).toBe(result.steps[0].output.mergedDescription);
+      expect(status()).toBe('Completed');
+    });
+
+    it('resumes a failed job after its last completed step', async () => {
+      harness.pdf.fail('generatePDF', new Error('Renderer crashed'));
+      const options = { endStep: 'STEP_GENERATE_PDF' };
+
+      await expect(worker.processFromStep(ROW, 'STEP_UPDATE_WORDPRESS', false, options)).rejects.toThrow('Renderer crashed');
+      expect(status()).toBe('Failed');
+
+      harness.pdf.failures.clear();
+      const result = await worker.processFromStep(ROW, 'STEP_UPDATE_WORDPRESS', false, options);
+
+      expect(result.steps.map(({ step, resumed }) => [step, !!resumed])).toEqual([
+        ['STEP_UPDATE_WORDPRESS', true],
+        ['STEP_EXTRACT_ATTRIBUTES', true],
+        ['STEP_GENERATE_VISUALIZATION', true],
+        ['STEP_GENERATE_PDF', false]
+      ]);
+      expect(harness.wordpress.callsTo('completeAppraisalReport')).toHaveLength(1);
+      expect(harness.pdf.callsTo('generatePDF')).toHaveLength(2);
+      expect(status()).toBe('Completed');
+
+      const jobs = await harness.jobStore.listJobs({ appraisalId: ROW });
+      expect(jobs).toHaveLength(1);
+      expect(jobs[0].status).toBe('completed');
+    });
+
+    it('starts afresh when resume is turned off', async () => {
+      harness.pdf.fail('generatePDF');
+      await expect(worker.processFromStep(ROW, 'STEP_GENERATE_VISUALIZATION', false, { endStep: 'STEP_GENERATE_PDF' })).rejects.toThrow();
+
+      harness.pdf.failures.clear();
+      await worker.processFromStep(ROW, 'STEP_GENERATE_VISUALIZATION', false, { endStep: 'STEP_GENERATE_PDF', resume: false });
+
+      expect(harness.wordpress.callsTo('completeAppraisalReport')).toHaveLength(2);
+      expect(await harness.jobStore.listJobs({ appraisalId: ROW })).toHaveLength(2);
+    });
+  });
+});
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
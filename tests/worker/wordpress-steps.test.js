@@ -0,0 +1,324 @@
+const WordPressService = require('../../src/services/wordpress.service');
+const { createOfflineStubApp } = require('../../src/utils/offline-stubs');
+const { getCircuitBreaker } = require('../../src/utils/circuit-breaker');
+const { runWithContext } = require('../../src/utils/async-context');
+const { parseWordPressSites } = require('../../src/utils/wordpress-sites');
+const { createTestWorker, readCell, appraisalPost, pendingAppraisal } = require('../helpers/fakes');
+
+// The real WordPressService against the offline-mode stand-ins for the WordPress
+// REST API and the appraisals backend, over HTTP
+describe('WordPress steps end to end', () => {
+  const stubs = { posts: new Map(), media: new Map(), baseUrl: null };
+  let server;
+  let harness;
+  let wordpress;
+
+  const ROW = '2';
+  const status = () => readCell(harness.sheetsApi, 2, 'status');
+  const post = () => stubs.posts.get('101');
+
+  beforeAll(async () => {
+    server = await new Promise(resolve => {
+      const listening = createOfflineStubApp(stubs).listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    stubs.baseUrl = `http://127.0.0.1:${server.address().port}`;
+    process.env.APPRAISALS_BACKEND_URL = `${stubs.baseUrl}/backend`;
+  });
+
+  afterAll(async () => {
+    delete process.env.APPRAISALS_BACKEND_URL;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    stubs.posts.clear();
+    stubs.media.clear();
+    stubs.posts.set('101', appraisalPost({ title: { rendered: 'Untitled appraisal' } }));
+    stubs.media.set('201', { id: 201, source_url: `${stubs.baseUrl}/wp-content/uploads/painting.jpg` });
+
+    wordpress = new WordPressService();
+    wordpress.apiUrl = `${stubs.baseUrl}/wp-json/wp/v2`;
+    wordpress.authHeader = 'Basic dGVzdDp0ZXN0';
+    harness = await createTestWorker({ wordpress });
+  });
+
+  describe('STEP_MERGE_DESCRIPTIONS', () => {
+    it('sets the post title and the detailedtitle ACF field, then marks the appraisal Ready', async () => {
+      const [{ output }] = (await harness.worker.processFromStep(ROW, 'STEP_MERGE_DESCRIPTIONS', false)).steps;
+
+      expect(post().title.rendered).toBe(output.briefTitle);
+      expect(post().acf.detailedtitle).toBe(output.detailedTitle);
+      // Other ACF fields are left alone
+      expect(post().acf.main).toBe(201);
+      expect(status()).toBe('Ready');
+    });
+
+    it('leaves the post alone and marks the appraisal Warning when the merged title is blank', async () => {
+      jest.spyOn(harness.openai, 'mergeDescriptions').mockResolvedValue({
+        mergedDescription: 'A river landscape',
+        briefTitle: '   ',
+        detailedTitle: 'A river landscape, oil on canvas'
+      });
+
+      await harness.worker.processFromStep(ROW, 'STEP_MERGE_DESCRIPTIONS', false);
+
+      expect(post().title.rendered).toBe('Untitled appraisal');
+      expect(post().acf.detailedtitle).toBeUndefined();
+      expect(status()).toBe('Warning');
+    });
+
+    it('marks the appraisal Warning when the post no longer exists', async () => {
+      jest.spyOn(wordpress, 'getImageUrl').mockResolvedValue('https://resources.example.com/uploads/painting.jpg');
+      jest.spyOn(wordpress, 'getPost').mockResolvedValue(appraisalPost());
+      stubs.posts.clear();
+
+      await harness.worker.processFromStep(ROW, 'STEP_MERGE_DESCRIPTIONS', false);
+
+      expect(status()).toBe('Warning');
+    });
+  });
+
+  describe('STEP_GENERATE_VISUALIZATION', () => {
+    it('has the appraisals backend complete the report with the WordPress credentials', async () => {
+      const backendFetch = jest.spyOn(wordpress, 'backendFetch');
+
+      await harness.worker.processFromStep(ROW, 'STEP_GENERATE_VISUALIZATION', false);
+
+      expect(post().acf.report_generated_at).toBeDefined();
+      const [[url, { headers, body }]] = backendFetch.mock.calls;
+      expect(url).toBe(`${stubs.baseUrl}/backend/complete-appraisal-report`);
+      expect(headers.Authorization).toBe('Basic dGVzdDp0ZXN0');
+      expect(JSON.parse(body)).toEqual({ postId: '101' });
+      expect(status()).toBe('Pending');
+    });
+
+    it('marks the appraisal Failed when the backend rejects the report', async () => {
+      stubs.posts.clear();
+
+      await expect(harness.worker.processFromStep(ROW, 'STEP_GENERATE_VISUALIZATION', false))
+        .rejects.toMatchObject({ status: 404, message: expect.stringContaining('Report generation failed: 404') });
+      expect(status()).toBe('Failed');
+    });
+
+    it('marks the appraisal Downstream Unavailable while the backend breaker is open', async () => {
+      const breaker = getCircuitBreaker('appraisalsBackend');
+      const backendFetch = jest.spyOn(wordpress, 'backendFetch');
+      for (let i = 0; i < breaker.failureThreshold; i++) {
+        breaker.onFailure(new Error('Report generation failed: 503'));
+      }
+
+      try {
+        await expect(harness.worker.processFromStep(ROW, 'STEP_GENERATE_VISUALIZATION', false))
+          .rejects.toMatchObject({ code: 'DOWNSTREAM_UNAVAILABLE' });
+      } finally {
+        breaker.onSuccess();
+      }
+      expect(backendFetch).not.toHaveBeenCalled();
+      expect(status()).toBe('Downstream Unavailable (Appraisals backend)');
+    });
+  });
+
+  describe('edits made while the pipeline runs', () => {
+    // The appraiser saves the post in wp-admin
+    function editPost(revision) {
+      Object.assign(post(), {
+        content: { rendered: `<p>Appraiser notes, revision ${revision}</p>` },
+        modified_gmt: '2099-01-01T00:00:00'
+      });
+    }
+
+    it('stops before overwriting an edit made after the previous step wrote the post', async () => {
+      const updatePostTitles = wordpress.updatePostTitles.bind(wordpress);
+      jest.spyOn(wordpress, 'updatePostTitles').mockImplementation(async (...args) => {
+        const written = await updatePostTitles(...args);
+        editPost(1);
+        return written;
+      });
+
+      await expect(harness.worker.processFromStep(ROW, 'STEP_MERGE_DESCRIPTIONS', false, { endStep: 'STEP_UPDATE_WORDPRESS' }))
+        .rejects.toMatchObject({ code: 'WORDPRESS_CONFLICT', statusCode: 409 });
+
+      expect(post().content.rendered).toBe('<p>Appraiser notes, revision 1</p>');
+      expect(post().acf.value).toBeUndefined();
+      expect(status()).toBe('Conflict');
+    });
+
+    it('stops the template step from replacing content edited after the WordPress update', async () => {
+      const { appraisalService } = harness.worker;
+      const applyWordPressTemplate = appraisalService.applyWordPressTemplate.bind(appraisalService);
+      jest.spyOn(appraisalService, 'applyWordPressTemplate').mockImplementation(async (...args) => {
+        editPost(2);
+        return applyWordPressTemplate(...args);
+      });
+
+      await expect(harness.worker.processFromStep(ROW, 'STEP_BUILD_REPORT', false))
+        .rejects.toMatchObject({ code: 'WORDPRESS_CONFLICT' });
+
+      expect(post().content.rendered).toBe('<p>Appraiser notes, revision 2</p>');
+      expect(post().acf.report_generated_at).toBeUndefined();
+      expect(status()).toBe('Conflict');
+    });
+
+    it('has a site that honours If-Unmodified-Since reject an edit made between reading and writing', async () => {
+      const getPost = wordpress.getPost.bind(wordpress);
+      jest.spyOn(wordpress, 'getPost').mockImplementation(async postId => {
+        const read = await getPost(postId);
+        read.modified_gmt = '2024-01-01T00:00:00';
+        editPost(3);
+        return read;
+      });
+
+      await expect(harness.worker.processFromStep(ROW, 'STEP_UPDATE_WORDPRESS', false))
+        .rejects.toMatchObject({ code: 'WORDPRESS_CONFLICT' });
+
+      expect(post().content.rendered).toBe('<p>Appraiser notes, revision 3</p>');
+      expect(status()).toBe('Conflict');
+    });
+
+    it('carries on when the post was not edited', async () => {
+      await harness.worker.processFromStep(ROW, 'STEP_MERGE_DESCRIPTIONS', false, { endStep: 'STEP_EXTRACT_ATTRIBUTES' });
+
+      expect(post().acf).toMatchObject({ value: 1500, medium: 'Oil on canvas' });
+      expect(status()).toBe('Analyzing');
+    });
+  });
+
+  describe('attachMedia', () => {
+    const chart = { data: Buffer.from('value-chart'), filename: 'value chart.png', mimeType: 'image/png' };
+
+    it('uploads the file with alt text and caption from the merged description and links it to the post', async () => {
+      await harness.worker.repository.saveDescriptions(ROW, {
+        mergedDescription: 'Late 19th century oil on canvas landscape of a river valley at dusk. Gilt wood frame with minor losses.'
+      }, false);
+
+      const media = await harness.worker.appraisalService.attachMedia(ROW, chart, { acfField: 'value_chart' });
+
+      const stored = stubs.media.get(String(media.id));
+      expect(stored).toMatchObject({
+        post: 101,
+        alt_text: 'Late 19th century oil on canvas landscape of a river valley at dusk.',
+        caption: { raw: 'Late 19th century oil on canvas landscape of a river valley at dusk. Gilt wood frame with minor losses.' }
+      });
+      expect(stored.source_url).toBe(`${stubs.baseUrl}/wp-content/uploads/value-chart-${media.hash.slice(0, 16)}.png`);
+      expect(post().acf.value_chart).toBe(media.id);
+      expect(media).toMatchObject({ postId: '101', reused: false });
+    });
+
+    it('falls back to the customer description and never uploads the same content twice', async () => {
+      const first = await harness.worker.appraisalService.attachMedia(ROW, chart);
+      const second = await harness.worker.appraisalService.attachMedia(ROW, { ...chart, filename: 'copy.png' });
+
+      expect(second).toMatchObject({ id: first.id, reused: true });
+      expect(stubs.media.get(String(first.id)).alt_text).toBe('Oil painting of a river landscape');
+      expect(stubs.media.size).toBe(2);
+    });
+
+    it('finds an earlier upload after its title was changed', async () => {
+      const first = await harness.worker.appraisalService.attachMedia(ROW, chart, { title: 'Value chart' });
+      const second = await harness.worker.appraisalService.attachMedia(ROW, chart, { title: 'Value chart (2024)' });
+
+      expect(second).toMatchObject({ id: first.id, reused: true });
+      expect(stubs.media.get(String(first.id)).meta).toEqual({ appraisal_content_hash: first.hash });
+    });
+
+    it('uploads the same content separately for another appraisal, leaving the first attachment alone', async () => {
+      stubs.posts.set('102', appraisalPost({ id: 102 }));
+      harness = await createTestWorker({
+        wordpress,
+        pending: [
+          pendingAppraisal(),
+          pendingAppraisal({ wordpressUrl: 'https://resources.example.com/wp-admin/post.php?post=102&action=edit', description: 'Bronze figure' })
+        ]
+      });
+
+      const first = await harness.worker.appraisalService.attachMedia(ROW, chart);
+      const other = await harness.worker.appraisalService.attachMedia('3', chart);
+
+      expect(other).toMatchObject({ postId: '102', reused: false });
+      expect(other.id).not.toBe(first.id);
+      expect(stubs.media.get(String(first.id))).toMatchObject({ post: 101, alt_text: 'Oil painting of a river landscape' });
+      expect(stubs.media.get(String(other.id))).toMatchObject({ post: 102, alt_text: 'Bronze figure' });
+    });
+  });
+
+  describe('WordPress sites', () => {
+    beforeEach(() => {
+      // The default site is unreachable; "stub" is the stub server
+      wordpress.apiUrl = 'http://127.0.0.1:9/wp-json/wp/v2';
+      wordpress.sites = parseWordPressSites({ stub: { apiUrl: `${stubs.baseUrl}/wp-json/wp/v2` } });
+    });
+
+    it('runs a job against the site given in its options and records it on the job', async () => {
+      const { jobId } = await harness.worker.processFromStep(ROW, 'STEP_MERGE_DESCRIPTIONS', false, { wordpressSite: 'stub' });
+
+      expect(post().acf.detailedtitle).toBe('Late 19th Century River Valley Landscape, Oil on Canvas in Gilt Frame');
+      expect(status()).toBe('Ready');
+      expect((await harness.jobStore.getJob(jobId)).options).toEqual({ wordpressSite: 'stub' });
+    });
+
+    it('runs a job against the site the request selected', async () => {
+      await runWithContext({ wordpressSite: 'stub' }, () =>
+        harness.worker.processFromStep(ROW, 'STEP_GENERATE_VISUALIZATION', false));
+
+      expect(post().acf.report_generated_at).toBeDefined();
+    });
+
+    it('rejects an unknown site with 400 before the job starts', async () => {
+      await expect(harness.worker.dispatchStep(ROW, 'STEP_MERGE_DESCRIPTIONS', { wordpressSite: 'staging' }))
+        .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('Unknown WordPress site: staging') });
+      expect(await harness.jobStore.listJobs()).toEqual([]);
+      expect(status()).toBe('Pending');
+    });
+  });
+
+  it('runs both steps as part of the full workflow', async () => {
+    const updatePostTitles = jest.spyOn(wordpress, 'updatePostTitles');
+    const completeAppraisalReport = jest.spyOn(wordpress, 'completeAppraisalReport');
+
+    await harness.worker.processFromStep(ROW, 'STEP_MERGE_DESCRIPTIONS', false, { endStep: 'STEP_GENERATE_PDF' });
+
+    expect(updatePostTitles).toHaveBeenCalledTimes(1);
+    expect(completeAppraisalReport).toHaveBeenCalledTimes(1);
+    expect(post().acf.report_generated_at).toBeDefined();
+    expect(post().acf.pdflink).toBe('https://docs.example.com/appraisal-101.pdf');
+    expect(status()).toBe('Completed');
+  });
+});
+
+describe('WordPressService.updatePostTitles', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new WordPressService();
+    service.updateAppraisalPost = jest.fn(async postId => ({ id: Number(postId) }));
+  });
+
+  it('sends the title on one line and the detailed title as given', async () => {
+    await service.updatePostTitles('101', {
+      title: '  River Landscape,\n Oil on Canvas ',
+      detailedTitle: 'Late 19th Century River Landscape.\nOil on canvas in a gilt frame.'
+    });
+
+    expect(service.updateAppraisalPost).toHaveBeenCalledWith('101', {
+      title: 'River Landscape, Oil on Canvas',
+      detailedTitle: 'Late 19th Century River Landscape.\nOil on canvas in a gilt frame.'
+    });
+  });
+
+  it('leaves the detailed title unchanged when it is not given', async () => {
+    await service.updatePostTitles('101', { title: 'River Landscape' });
+
+    expect(service.updateAppraisalPost).toHaveBeenCalledWith('101', { title: 'River Landscape' });
+  });
+
+  it.each([
+    ['a missing title', { detailedTitle: 'Detailed' }, 'Invalid title: it is required'],
+    ['a blank title', { title: ' \n ' }, 'Invalid title: it is required'],
+    ['a title that is not a string', { title: 42 }, 'Invalid title: expected a string, got number'],
+    ['a title over 255 characters', { title: 'x'.repeat(256) }, 'Invalid title: it is 256 characters long, the limit is 255'],
+    ['control characters', { title: 'River', detailedTitle: 'River\u0000Landscape' }, 'Invalid detailedTitle: it contains control characters']
+  ])('rejects %s with 400', async (label, titles, message) => {
+    await expect(service.updatePostTitles('101', titles)).rejects.toMatchObject({ statusCode: 400, message });
+    expect(service.updateAppraisalPost).not.toHaveBeenCalled();
+  });
+});